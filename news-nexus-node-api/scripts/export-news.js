@@ -0,0 +1,106 @@
+/**
+ * Article Archive Export
+ * Streams News documents matching the filters as CSV or NDJSON to a file or stdout
+ *
+ * Usage:
+ *   npm run export -- --format ndjson --from 2025-01-01 --category technology --gzip --out tech.ndjson.gz
+ *   node scripts/export-news.js --fields articleId,title,publishedAt,sourceApi > articles.csv
+ *
+ * Pipe stdout from "node scripts/export-news.js" or "npm run -s export": without -s, npm
+ * prints its own banner to stdout
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+
+// Nothing but the export may be written to stdout: logs go to stderr, dotenv stays quiet
+process.env.LOG_TO_STDERR = "true";
+process.env.DOTENV_CONFIG_QUIET = "true";
+
+// Load environment variables
+dotenv.config();
+
+const { databaseConnection } = await import("../src/db/index.js");
+const { default: articleExportService } = await import("../src/services/articleExport.service.js");
+const { Logger } = await import("../src/utils/index.js");
+const { EXPORT } = await import("../src/constants/index.js");
+
+const USAGE = `Usage: npm run export -- [options]
+
+  --format <csv|ndjson>      Output format (default: csv)
+  --fields <a,b,...>         Fields to export (default: ${EXPORT.DEFAULT_FIELDS.join(",")})
+  --from <date>              Articles published on/after this date (ISO 8601)
+  --to <date>                Articles published before this date (ISO 8601)
+  --category <a,b,...>       Categories
+  --country <a,b,...>        Country codes
+  --source-api <a,b,...>     Providers (e.g. newsdata.io,rss)
+  --include-deleted          Include soft-deleted articles
+  --include-duplicates       Include cross-provider duplicates
+  --gzip                     Gzip the output
+  --out <file>               Write to a file instead of stdout
+  --help                     Show this message
+
+Fields: ${EXPORT.FIELDS.join(", ")}`;
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      format: { type: "string" },
+      fields: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      category: { type: "string" },
+      country: { type: "string" },
+      "source-api": { type: "string" },
+      "include-deleted": { type: "boolean" },
+      "include-duplicates": { type: "boolean" },
+      gzip: { type: "boolean" },
+      out: { type: "string" },
+      help: { type: "boolean" },
+    },
+  }));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.error(USAGE);
+  process.exit(0);
+}
+
+let options;
+try {
+  options = articleExportService.parseOptions({
+    ...args,
+    sourceApi: args["source-api"],
+    includeDeleted: args["include-deleted"],
+    includeDuplicates: args["include-duplicates"],
+  });
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+try {
+  await databaseConnection.connect();
+
+  const startedAt = Date.now();
+  const destination = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  const { rows } = await articleExportService.exportTo(destination, options);
+
+  Logger.info("Article export completed", {
+    rows,
+    format: options.format,
+    gzip: options.gzip,
+    out: args.out || "stdout",
+    durationMs: Date.now() - startedAt,
+  });
+} catch (error) {
+  Logger.error("Article export failed", { error: error.message });
+  process.exitCode = 1;
+} finally {
+  await databaseConnection.disconnect();
+}
@@ -0,0 +1,131 @@
+/**
+ * Article Dump Import
+ * Loads NDJSON article dumps (e.g. from npm run export) into MongoDB through the same
+ * normalization, validation and deduplication as fetched articles; no API keys needed
+ *
+ * Usage:
+ *   npm run import -- archive.ndjson.gz
+ *   npm run import -- --dry-run january.ndjson february.ndjson
+ *   gunzip -c archive.ndjson.gz | npm run import -- -
+ *   npm run seed                     (imports fixtures/articles/*.ndjson)
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+const { databaseConnection } = await import("../src/db/index.js");
+const { default: articleImportService } = await import("../src/services/articleImport.service.js");
+const { Logger } = await import("../src/utils/index.js");
+const { IMPORT } = await import("../src/constants/index.js");
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "articles");
+
+const USAGE = `Usage: npm run import -- [options] <file.ndjson[.gz]> ... (- reads stdin)
+
+  --fixtures             Import the sample articles in fixtures/articles (seeds a dev database)
+  --dry-run              Validate without saving
+  --batch-size <n>       Articles per bulk write (default: ${IMPORT.BATCH_SIZE}, max: ${IMPORT.MAX_BATCH_SIZE})
+  --help                 Show this message`;
+
+let args;
+let files;
+try {
+  ({ values: args, positionals: files } = parseArgs({
+    allowPositionals: true,
+    options: {
+      fixtures: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      "batch-size": { type: "string" },
+      help: { type: "boolean" },
+    },
+  }));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+if (args.fixtures) {
+  files = files.concat(
+    fs
+      .readdirSync(FIXTURES_DIR)
+      .filter((file) => /\.ndjson(\.gz)?$/.test(file))
+      .sort()
+      .map((file) => path.join(FIXTURES_DIR, file))
+  );
+}
+
+if (files.length === 0) {
+  console.error(`No input files\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const missing = files.filter((file) => file !== "-" && !fs.existsSync(file));
+if (missing.length > 0) {
+  console.error(`File not found: ${missing.join(", ")}`);
+  process.exit(1);
+}
+
+const batchSize = Math.min(
+  Math.max(parseInt(args["batch-size"]) || IMPORT.BATCH_SIZE, 1),
+  IMPORT.MAX_BATCH_SIZE
+);
+const dryRun = Boolean(args["dry-run"]);
+
+/**
+ * Readable of an input file (.gz files are decompressed, - is stdin)
+ */
+const openInput = (file) => {
+  if (file === "-") return process.stdin;
+  const stream = fs.createReadStream(file);
+  return file.endsWith(".gz") ? stream.pipe(zlib.createGunzip()) : stream;
+};
+
+try {
+  // A dry run only validates, it does not need the database
+  if (!dryRun) await databaseConnection.connect();
+
+  for (const file of files) {
+    const name = file === "-" ? "stdin" : path.basename(file);
+    const result = await articleImportService.importFrom(openInput(file), {
+      batchSize,
+      dryRun,
+      onProgress: ({ lines, accepted, rejected, saved, updated }) =>
+        Logger.info(`Importing ${name}`, { lines, accepted, rejected, saved, updated }),
+    });
+
+    Logger.info(`${dryRun ? "Validated" : "Imported"} ${name}`, {
+      lines: result.lines,
+      accepted: result.accepted,
+      repaired: result.repaired,
+      rejected: result.rejected,
+      saved: result.saved,
+      updated: result.updated,
+      duplicates: result.duplicates,
+    });
+
+    result.rejections.forEach(({ line, articleId, reasons }) => {
+      Logger.warn(`Rejected line ${line ?? "?"}${articleId ? ` (${articleId})` : ""}: ${reasons.join("; ")}`);
+    });
+
+    if (result.rejected > result.rejections.length) {
+      Logger.warn(`...and ${result.rejected - result.rejections.length} more rejected line(s)`);
+    }
+  }
+} catch (error) {
+  Logger.error("Article import failed", { error: error.message });
+  process.exitCode = 1;
+} finally {
+  await databaseConnection.disconnect();
+}
@@ -0,0 +1,62 @@
+/**
+ * User Role
+ * Grants or revokes the admin role of an existing account. Use it to create the first
+ * admin; after that admins can also use PATCH /api/admin/users/:id/role
+ *
+ * Usage:
+ *   npm run set-role -- --email jane@example.com --role admin
+ *   npm run set-role -- --email jane@example.com --role user
+ */
+
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+const { databaseConnection } = await import("../src/db/index.js");
+const { default: authService } = await import("../src/services/auth.service.js");
+const { Logger } = await import("../src/utils/index.js");
+const { USER_ROLES } = await import("../src/db/models/User.model.js");
+
+const USAGE = `Usage: npm run set-role -- --email <email> --role <${USER_ROLES.join("|")}>
+
+  --email <email>        Email of the account (it must be registered already)
+  --role <role>          New role (default: admin)
+  --help                 Show this message`;
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      email: { type: "string" },
+      role: { type: "string", default: "admin" },
+      help: { type: "boolean" },
+    },
+  }));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+if (!args.email) {
+  console.error(`--email is required\n\n${USAGE}`);
+  process.exit(1);
+}
+
+try {
+  await databaseConnection.connect();
+
+  const user = await authService.setRole({ email: args.email }, args.role);
+  Logger.info(`Role of ${user.email} is now ${user.role}`, { userId: user.id });
+} catch (error) {
+  Logger.error("Role change failed", { error: error.message });
+  process.exitCode = 1;
+} finally {
+  await databaseConnection.disconnect();
+}
@@ -0,0 +1,53 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Parse a comma-separated list from an environment variable
+ */
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse ADMIN_API_KEYS: "label:key,label:key" (a bare key is labelled key1, key2, ...)
+ * Labels identify the key in audit logs without exposing the key itself
+ */
+const parseApiKeys = (value) =>
+  parseList(value).map((entry, index) => {
+    const separator = entry.indexOf(":");
+    return separator > 0
+      ? { label: entry.slice(0, separator), key: entry.slice(separator + 1) }
+      : { label: `key${index + 1}`, key: entry };
+  });
+
+/**
+ * Secret that signs access tokens
+ * Required in production: tokens carry the user's role, so a known secret would let anyone
+ * sign an admin token. Elsewhere a random secret is generated per process (tokens stop
+ * working on restart; refresh tokens still do)
+ */
+const resolveJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set when NODE_ENV=production");
+  }
+
+  return crypto.randomBytes(48).toString("hex");
+};
+
+export const AUTH_CONFIG = {
+  JWT_SECRET: resolveJwtSecret(),
+  JWT_ISSUER: process.env.JWT_ISSUER || "nexus-news-api",
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+  PASSWORD_MIN_LENGTH: 8,
+
+  // Keys accepted in the X-API-Key header for admin routes (scripts, cron jobs)
+  ADMIN_API_KEYS: parseApiKeys(process.env.ADMIN_API_KEYS),
+};
@@ -8,6 +8,14 @@
  * Strategy: Distribute fetches across 5 times daily
  * - Each NewsData.io fetch: ~40 credits (200/5)
  * - Each NewsAPI.org fetch: ~20 credits (100/5)
+ *
+ * RSS/Atom feeds (rssConfig) do not consume API credits. Each entry is one feed:
+ * { url: "https://example.com/feed.xml", name: "Example News", category: "world", country: "in", language: "en" }
+ * Use { file: "fixtures/feeds/sample-rss.xml" } instead of url to read a local feed
+ *
+ * These are the defaults: on first run they are copied into the fetch_schedules
+ * collection, which the scheduler reads from then on. Change schedules at runtime
+ * with /api/scheduler/schedules; edits here only apply to a new database
  */
 
 export const FETCH_SCHEDULE = {
@@ -23,6 +31,7 @@ export const FETCH_SCHEDULE = {
       { category: "world", language: "en" },
     ],
     newsApiConfig: [],
+    rssConfig: [],
   },
 
   // Morning: 9:00 AM - Business & Technology
@@ -36,6 +45,7 @@ export const FETCH_SCHEDULE = {
       { category: "technology", country: "us", language: "en" },
     ],
     newsApiConfig: [],
+    rssConfig: [],
   },
 
   // Afternoon: 1:00 PM - Entertainment & Sports
@@ -49,6 +59,7 @@ export const FETCH_SCHEDULE = {
       { category: "sports", country: "in", language: "en" },
     ],
     newsApiConfig: [],
+    rssConfig: [],
   },
 
   // Evening: 6:00 PM - Health & Science
@@ -64,6 +75,7 @@ export const FETCH_SCHEDULE = {
       { category: "politics", country: "us", language: "en" },
     ],
     newsApiConfig: [],
+    rssConfig: [],
   },
 
   // Night: 10:00 PM - Latest updates & Politics
@@ -78,6 +90,7 @@ export const FETCH_SCHEDULE = {
       { category: "technology", country: "us", language: "en" },
     ],
     newsApiConfig: [],
+    rssConfig: [],
   },
 };
 
@@ -89,10 +102,13 @@ export const SCHEDULER_CONFIG = {
   timezone: process.env.SCHEDULER_TIMEZONE || "Asia/Kolkata",
   runOnStartup: process.env.SCHEDULER_RUN_ON_STARTUP !== "false", // Default: true - Run immediately on startup
   checkEmptyOnStartup: true, // Check if DB is empty and fetch initial data
+  // Schedule of the startup fetch; the first enabled schedule when it does not exist (or is disabled)
+  initialSchedule: process.env.SCHEDULER_INITIAL_SCHEDULE || "MORNING",
 };
 
 /**
  * API Credit Limits
+ * dailyLimit is enforced by the credit ledger (creditLedger.service.js), per day in SCHEDULER_TIMEZONE
  */
 export const API_LIMITS = {
   newsDataIo: {
@@ -115,33 +131,3 @@ export function getScheduleTimes() {
     description: FETCH_SCHEDULE[key].description,
   }));
 }
-
-/**
- * Get total estimated credits per day
- */
-export function getEstimatedDailyCredits() {
-  const schedules = Object.values(FETCH_SCHEDULE);
-
-  const newsDataTotal = schedules.reduce(
-    (sum, schedule) => sum + schedule.newsDataConfig.length,
-    0,
-  );
-
-  const newsApiTotal = schedules.reduce(
-    (sum, schedule) => sum + schedule.newsApiConfig.length,
-    0,
-  );
-
-  return {
-    newsDataIo: {
-      estimated: newsDataTotal,
-      limit: API_LIMITS.newsDataIo.dailyLimit,
-      remaining: API_LIMITS.newsDataIo.dailyLimit - newsDataTotal,
-    },
-    newsApiOrg: {
-      estimated: newsApiTotal,
-      limit: API_LIMITS.newsApiOrg.dailyLimit,
-      remaining: API_LIMITS.newsApiOrg.dailyLimit - newsApiTotal,
-    },
-  };
-}
@@ -9,6 +9,9 @@ export * from "./fetchSchedule.config.js";
 // Re-export named exports from API configs
 export * from "./newsApi.config.js";
 export * from "./newsApiOrg.config.js";
+export * from "./rss.config.js";
+export * from "./auth.config.js";
+export * from "./mail.config.js";
 
 // Re-export server config
 export * from "./server.config.js";
@@ -0,0 +1,42 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Outgoing mail settings (digest emails)
+ *
+ * MAIL_TRANSPORT:
+ * - "smtp": send through SMTP_HOST:SMTP_PORT. Defaults point at a local SMTP sink
+ *   (e.g. Mailpit or MailHog on localhost:1025) so nothing reaches real inboxes
+ * - "log": render messages and write them to the log only
+ */
+export const MAIL_CONFIG = {
+  TRANSPORT: process.env.MAIL_TRANSPORT === "smtp" ? "smtp" : "log",
+  FROM: process.env.MAIL_FROM || "Nexus News <digest@nexus-news.local>",
+  SMTP_HOST: process.env.SMTP_HOST || "localhost",
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 1025,
+  SMTP_SECURE: process.env.SMTP_SECURE === "true",
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASS: process.env.SMTP_PASS || null,
+
+  // Frontend linked from digests ("Open Nexus News")
+  APP_URL: (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, ""),
+};
+
+/**
+ * Digest email schedules (registered by the scheduler next to FETCH_SCHEDULE)
+ */
+export const DIGEST_SCHEDULE = {
+  DAILY: {
+    frequency: "daily",
+    time: process.env.DIGEST_DAILY_CRON || "30 7 * * *", // 7:30 AM, after the morning fetch
+    description: "Daily digest emails",
+  },
+  WEEKLY: {
+    frequency: "weekly",
+    time: process.env.DIGEST_WEEKLY_CRON || "0 9 * * 0", // Sunday 9:00 AM
+    description: "Weekly digest emails",
+  },
+};
+
+export const DIGEST_ENABLED = process.env.DIGEST_ENABLED !== "false";
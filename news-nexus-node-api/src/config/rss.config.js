@@ -0,0 +1,9 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const RSS_CONFIG = {
+  TIMEOUT: parseInt(process.env.RSS_TIMEOUT) || 10000,
+  USER_AGENT: process.env.RSS_USER_AGENT || "NexusNewsBot/1.0",
+  MAX_ITEMS_PER_FEED: parseInt(process.env.RSS_MAX_ITEMS_PER_FEED) || 50,
+};
@@ -40,7 +40,7 @@ export const apiInfo = {
   features: [
     "Dual API integration (NewsData.io + NewsAPI.org)",
     "MongoDB caching for fast responses",
-    "Automated scheduled fetching (5 times daily)",
+    "Automated scheduled fetching (schedules editable at runtime)",
     "No API credit exhaustion on user requests",
     "Unified endpoints - users never know the source",
     "Historical news archive - never deletes old articles"
@@ -51,15 +51,93 @@ export const apiInfo = {
       latest: "/api/news/latest",
       search: "/api/news/search?q=query",
       trending: "/api/news/trending",
+      clusters: "/api/news/clusters",
+      stream: "/api/news/stream (Server-Sent Events)",
+      feeds: "/api/news/feed.rss | /api/news/feed.atom | /api/news/feed.json",
+      click: "POST /api/news/:articleId/click",
       category: "/api/news/category/:category",
       country: "/api/news/country/:country",
       sources: "/api/news/sources",
       stats: "/api/news/stats",
-      refresh: "POST /api/news/refresh"
+      refresh: "POST /api/news/refresh (admin)"
     },
     direct: {
-      newsdata: "/api/newsdata/*",
-      newsapi: "/api/newsapi/*"
+      newsdata: "/api/newsdata/* (admin)",
+      newsapi: "/api/newsapi/* (admin)"
+    },
+    auth: {
+      register: "POST /api/auth/register",
+      login: "POST /api/auth/login",
+      refresh: "POST /api/auth/refresh",
+      logout: "POST /api/auth/logout",
+      me: "/api/auth/me"
+    },
+    bookmarks: {
+      list: "/api/bookmarks",
+      ids: "/api/bookmarks/ids",
+      folders: "/api/bookmarks/folders",
+      add: "POST /api/bookmarks",
+      update: "PATCH /api/bookmarks/:articleId",
+      remove: "DELETE /api/bookmarks/:articleId",
+      claim: "POST /api/bookmarks/claim"
+    },
+    me: {
+      history: "/api/me/history",
+      readIds: "/api/me/history/ids",
+      recordRead: "POST /api/me/history",
+      removeHistoryEntry: "DELETE /api/me/history/:articleId",
+      clearHistory: "DELETE /api/me/history",
+      preferences: "/api/me/preferences",
+      updatePreferences: "PUT /api/me/preferences",
+      feed: "/api/me/feed"
+    },
+    watchlists: {
+      list: "/api/watchlists",
+      create: "POST /api/watchlists",
+      summary: "/api/watchlists/summary",
+      notifications: "/api/watchlists/notifications",
+      markAllSeen: "POST /api/watchlists/seen",
+      update: "PATCH /api/watchlists/:id",
+      remove: "DELETE /api/watchlists/:id",
+      watchlistNotifications: "/api/watchlists/:id/notifications",
+      markSeen: "POST /api/watchlists/:id/seen"
+    },
+    digests: {
+      list: "/api/digests",
+      subscribe: "POST /api/digests",
+      update: "PATCH /api/digests/:id",
+      remove: "DELETE /api/digests/:id",
+      preview: "/api/digests/:id/preview",
+      sendNow: "POST /api/digests/:id/send",
+      unsubscribe: "/api/digests/unsubscribe?token="
+    },
+    webhooks: {
+      list: "/api/webhooks",
+      create: "POST /api/webhooks",
+      get: "/api/webhooks/:id",
+      update: "PATCH /api/webhooks/:id",
+      remove: "DELETE /api/webhooks/:id",
+      rotateSecret: "POST /api/webhooks/:id/rotate-secret",
+      test: "POST /api/webhooks/:id/test",
+      deliveries: "/api/webhooks/:id/deliveries",
+      delivery: "/api/webhooks/deliveries/:deliveryId",
+      redeliver: "POST /api/webhooks/deliveries/:deliveryId/redeliver"
+    },
+    scheduler: {
+      status: "/api/scheduler/status",
+      trigger: "POST /api/scheduler/trigger (admin)",
+      plan: "/api/scheduler/plan (admin)",
+      schedules: "/api/scheduler/schedules (admin)",
+      createSchedule: "POST /api/scheduler/schedules (admin)",
+      updateSchedule: "PATCH /api/scheduler/schedules/:name (admin)",
+      removeSchedule: "DELETE /api/scheduler/schedules/:name (admin)"
+    },
+    admin: {
+      auditLogs: "/api/admin/audit-logs",
+      setUserRole: "PATCH /api/admin/users/:id/role",
+      runDigests: "POST /api/admin/digests/run",
+      export: "/api/admin/export?format=csv|ndjson",
+      import: "POST /api/admin/import (application/x-ndjson)"
     }
   }
 };
@@ -62,6 +62,7 @@ export const NEWSAPI_SORT_BY = {
 export const API_SOURCES = {
   NEWSDATA: "newsdata.io",
   NEWSAPI: "newsapi.org",
+  RSS: "rss",
 };
 
 /**
@@ -81,3 +82,271 @@ export const API_ENDPOINTS = {
     SOURCES: "/sources",
   },
 };
+
+/**
+ * Cross-provider duplicate detection settings
+ */
+export const DEDUPLICATION = {
+  WINDOW_HOURS: 48, // Only compare titles of articles published this close together
+  TITLE_SIMILARITY_THRESHOLD: 0.75, // Jaccard similarity of title tokens
+  UPSTREAM_DUPLICATE_THRESHOLD: 0.5, // Lower threshold when the provider already flagged a duplicate
+  MIN_TITLE_TOKENS: 3, // Titles shorter than this only match by URL
+};
+
+/**
+ * Story clustering settings
+ */
+export const CLUSTERING = {
+  WINDOW_HOURS: 48, // Articles considered by the clustering job
+  SIMILARITY_THRESHOLD: 0.35, // Cosine similarity between an article and a cluster
+  MAX_ARTICLES: 3000, // Upper bound of articles clustered per run
+  TITLE_WEIGHT: 3,
+  KEYWORD_WEIGHT: 2,
+  DESCRIPTION_WEIGHT: 1,
+};
+
+/**
+ * Trending score settings
+ */
+export const TRENDING = {
+  DEFAULT_WINDOW_HOURS: 24, // Articles published within this window can trend
+  MAX_WINDOW_HOURS: 168,
+  BASELINE_DAYS: 7, // Keyword frequency before the window is the burst baseline
+  RECENCY_HALF_LIFE_HOURS: 6, // Score halves every 6 hours
+  MAX_CANDIDATES: 1000,
+  MAX_BASELINE_ARTICLES: 5000,
+  SOURCE_WEIGHT: 1.5, // Distinct sources covering the story cluster
+  BURST_WEIGHT: 1, // Keyword burst vs. baseline
+  CLICK_WEIGHT: 0.75, // In-app clicks
+  CLICK_DEDUP_HOURS: 24, // One counted click per article and user (or IP) within this period
+};
+
+/**
+ * Reading history
+ */
+export const READING_HISTORY = {
+  RETENTION_DAYS: 180, // Entries not re-read within this period expire
+  MAX_READ_IDS: 500, // Read article ids returned for marking cards
+};
+
+/**
+ * Personalized "For You" feed
+ */
+export const FEED = {
+  DEFAULT_WINDOW_HOURS: 72, // Candidate articles published within this window
+  MAX_CANDIDATES: 1000,
+  RECENCY_HALF_LIFE_HOURS: 12,
+  SIGNAL_ITEMS: 100, // Recent history entries / bookmarks used as implicit signals
+  TOP_IMPLICIT_KEYWORDS: 20,
+  // Explicit follows
+  CATEGORY_WEIGHT: 2,
+  COUNTRY_WEIGHT: 1,
+  SOURCE_WEIGHT: 2,
+  KEYWORD_WEIGHT: 1.5, // Per matched followed keyword (max 2 counted)
+  // Implicit signals (affinity share 0 - 1 from history and bookmarks)
+  IMPLICIT_CATEGORY_WEIGHT: 1.5,
+  IMPLICIT_SOURCE_WEIGHT: 1,
+  IMPLICIT_KEYWORD_WEIGHT: 0.5, // Per matched keyword (max 3 counted)
+  BOOKMARK_SIGNAL_WEIGHT: 2, // A bookmark counts as much as two reads
+  CLICK_WEIGHT: 0.25,
+  READ_PENALTY: 0.2, // Score multiplier for articles already read
+  // Diversity
+  SOURCE_REPEAT_DECAY: 0.6, // Score multiplier per article already picked from the same source
+  MAX_SOURCE_SHARE: 0.25, // No source fills more than a quarter of a page
+  MAX_PREFERENCE_ITEMS: 30, // Per followed list
+};
+
+/**
+ * Keyword watchlists and their notifications
+ */
+export const WATCHLISTS = {
+  MAX_PER_OWNER: 20, // Signed-in users
+  MAX_PER_DEVICE: 5, // Anonymous devices (X-Device-Id is chosen by the client)
+  MAX_TOTAL: 10000, // All owners: every watchlist is matched on each ingest
+  MAX_TERMS: 10, // Keywords / entities per watchlist
+  MAX_TERM_LENGTH: 60,
+  NOTIFICATION_RETENTION_DAYS: 30, // Notifications expire after this period
+};
+
+/**
+ * Digest emails
+ */
+export const DIGEST = {
+  FREQUENCIES: ["daily", "weekly"],
+  PERIOD_HOURS: { daily: 24, weekly: 168 },
+  ARTICLES_PER_SECTION: 5,
+  MAX_SECTIONS: 8,
+  MAX_SUBSCRIPTIONS: 5, // Per user
+};
+
+/**
+ * Outbound webhooks (new articles pushed to downstream services)
+ */
+export const WEBHOOKS = {
+  MAX_WEBHOOKS: 50,
+  MAX_KEYWORDS: 20,
+  MAX_ARTICLES_PER_DELIVERY: 50, // Larger batches are split into several deliveries
+  TIMEOUT_MS: 10000, // Per delivery attempt
+  RETRY_DELAYS_MINUTES: [1, 5, 30, 120, 360], // Backoff after each failed attempt
+  RETRY_SCHEDULE: "* * * * *", // Cron of the retry worker
+  WORKER_BATCH_SIZE: 25, // Deliveries attempted per worker run
+  MAX_CONSECUTIVE_FAILURES: 20, // Failed deliveries in a row before a webhook is paused
+  DELIVERY_RETENTION_DAYS: 30,
+  EVENTS: ["articles.created", "ping"],
+};
+
+/**
+ * Live feed of newly saved articles (Server-Sent Events)
+ */
+export const NEWS_STREAM = {
+  MAX_CLIENTS: 500, // Open connections per server
+  HEARTBEAT_MS: 25000, // Comment line that keeps proxies from closing idle connections
+  RETRY_MS: 10000, // Reconnect delay suggested to EventSource clients
+  MAX_ARTICLES_PER_EVENT: 50,
+};
+
+/**
+ * RSS, Atom and JSON Feed outputs (/api/news/feed.rss, feed.atom, feed.json)
+ */
+export const SYNDICATION = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 100,
+  CACHE_SECONDS: 300, // Cache-Control max-age: feed readers poll, the cache changes a few times a day
+  FORMATS: ["rss", "atom", "json"],
+};
+
+/**
+ * Bulk export of the article archive (GET /api/admin/export, npm run export)
+ */
+export const EXPORT = {
+  FORMATS: ["csv", "ndjson"],
+  FIELDS: [
+    "articleId",
+    "title",
+    "description",
+    "content",
+    "url",
+    "urlToImage",
+    "video_url",
+    "publishedAt",
+    "source.id",
+    "source.name",
+    "author",
+    "creator",
+    "category",
+    "country",
+    "language",
+    "keywords",
+    "sourceApi",
+    "fetchedAt",
+    "sentiment",
+    "duplicate",
+    "canonicalUrl",
+    "canonicalArticleId",
+    "clusterId",
+    "clickCount",
+    "isDeleted",
+    "deletedAt",
+    "createdAt",
+    "updatedAt",
+  ],
+  DEFAULT_FIELDS: [
+    "articleId",
+    "title",
+    "description",
+    "url",
+    "publishedAt",
+    "source.name",
+    "author",
+    "category",
+    "country",
+    "language",
+    "sourceApi",
+  ],
+  BATCH_SIZE: 500, // Documents per cursor batch
+  ARRAY_SEPARATOR: "|", // CSV cells of array fields (category, country, keywords...)
+};
+
+/**
+ * Bulk import of NDJSON article dumps (POST /api/admin/import, npm run import)
+ */
+export const IMPORT = {
+  BATCH_SIZE: 500, // Articles normalized and upserted per bulkWrite
+  MAX_BATCH_SIZE: 5000,
+  MAX_LINE_LENGTH: 1000000, // Characters; longer lines are rejected without parsing
+  DATE_FIELDS: ["publishedAt", "fetchedAt", "lastClickedAt", "deletedAt"],
+  // Fields taken from a dump; anything else (e.g. _id, createdAt) is ignored
+  FIELDS: [
+    "articleId",
+    "title",
+    "description",
+    "content",
+    "url",
+    "urlToImage",
+    "video_url",
+    "publishedAt",
+    "source",
+    "author",
+    "creator",
+    "category",
+    "country",
+    "language",
+    "keywords",
+    "sourceApi",
+    "fetchedAt",
+    "sentiment",
+    "ai_tag",
+    "duplicate",
+    "clickCount",
+    "lastClickedAt",
+    "isDeleted",
+    "deletedAt",
+  ],
+};
+
+/**
+ * Fetch schedules stored in MongoDB (/api/scheduler/schedules)
+ */
+export const FETCH_SCHEDULES = {
+  MAX_SCHEDULES: 24,
+  MAX_CONFIGS_PER_PROVIDER: 20, // Fetch configurations per provider and schedule
+  NAME_PATTERN: /^[A-Z][A-Z0-9_]{1,39}$/, // e.g. MORNING, LATE_NIGHT_2
+  RESERVED_NAMES: ["WEBHOOK_RETRY", "DIGEST_DAILY", "DIGEST_WEEKLY"], // Names of the other scheduler jobs
+};
+
+/**
+ * Upstream API credit ledger (daily budgets of API_LIMITS)
+ */
+export const CREDITS = {
+  USAGE_RETENTION_DAYS: 90, // Daily usage records kept for reporting
+  RATE_LIMIT_BLOCK_SECONDS: 900, // Pause after a 429 without Retry-After / X-RateLimit-Reset
+  MAX_DEFER_SECONDS: 60, // Scheduled fetches wait out shorter rate-limit pauses instead of skipping
+};
+
+/**
+ * Adaptive fetch planning (every schedule not set to adaptive: false)
+ * Slices are the distinct provider configurations of the enabled schedules
+ */
+export const PLANNER = {
+  WEIGHTS: {
+    staleness: 0.5, // Time since the slice was last fetched
+    demand: 0.3, // Reader traffic on /api/news/category/:category
+    yield: 0.2, // New articles saved by the last fetch of the slice
+  },
+  MAX_STALENESS_HOURS: 24, // Slices not fetched for this long are fully stale
+  MIN_INTERVAL_MINUTES: 90, // Slices fetched more recently are not fetched again
+  MIN_SCORE: 0.15, // Slices scoring lower are not worth a credit
+  DEMAND_WINDOW_DAYS: 7, // Category views counted
+  DEMAND_RETENTION_DAYS: 30,
+  SLICE_RETENTION_DAYS: 30, // Fetch history of slices no longer configured
+};
+
+/**
+ * NewsData.io pagination of scheduled fetches (one credit per page)
+ * A configuration can set its own budget with maxPages (e.g. { category: "business", maxPages: 5 })
+ */
+export const NEWSDATA_PAGES = {
+  DEFAULT_MAX_PAGES: 3, // Pages per configuration and fetch
+  MAX_PAGES: 10,
+  MAX_RESUME_TOKENS: 5, // Gaps queued per configuration for later fetches
+};
@@ -0,0 +1,254 @@
+import zlib from "zlib";
+import {
+  authService,
+  auditLogService,
+  digestService,
+  articleExportService,
+  articleImportService,
+} from "../services/index.js";
+import { DIGEST, IMPORT } from "../constants/index.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse,
+  Logger,
+} from "../utils/index.js";
+import { AUDIT_ACTIONS, AUDIT_STATUSES } from "../db/models/AuditLog.model.js";
+
+/**
+ * Parse an optional date query param
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Admin Controller
+ * Admin-only endpoints (audit log, user roles, digest runs, archive export and import)
+ */
+class AdminController {
+  /**
+   * Get audit log entries, newest first
+   * GET /api/admin/audit-logs
+   * Query params: action, actorType, userId, apiKeyLabel, schedule, status, from, to, page, limit
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const { action, actorType, status } = req.query;
+
+      if (action && !AUDIT_ACTIONS.includes(action)) {
+        return sendErrorResponse(res, `Unknown action: ${action}`, 400, { actions: AUDIT_ACTIONS });
+      }
+
+      if (status && !AUDIT_STATUSES.includes(status)) {
+        return sendErrorResponse(res, `Unknown status: ${status}`, 400, { statuses: AUDIT_STATUSES });
+      }
+
+      if (actorType && !["user", "apiKey"].includes(actorType)) {
+        return sendErrorResponse(res, "actorType must be 'user' or 'apiKey'", 400);
+      }
+
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+
+      if (from === undefined || to === undefined) {
+        return sendErrorResponse(res, "from and to must be valid dates (e.g. 2025-01-31)", 400);
+      }
+
+      const filters = {
+        action,
+        actorType,
+        status,
+        userId: req.query.userId,
+        apiKeyLabel: req.query.apiKeyLabel,
+        schedule: req.query.schedule,
+        from,
+        to,
+      };
+
+      const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      };
+
+      const data = await auditLogService.getAuditLogs(filters, pagination);
+
+      sendPaginatedResponse(
+        res,
+        data,
+        {
+          currentPage: data.page,
+          totalPages: data.totalPages,
+          totalItems: data.totalResults,
+          itemsPerPage: data.limit,
+        },
+        "Audit logs fetched successfully"
+      );
+    } catch (error) {
+      if (error.name === "BadRequestError") {
+        return sendErrorResponse(res, error.message, error.statusCode);
+      }
+
+      Logger.error("Error fetching audit logs", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Grant or revoke the admin role of a user
+   * PATCH /api/admin/users/:id/role
+   * Body: { role }
+   */
+  async setUserRole(req, res) {
+    try {
+      const { role } = req.body || {};
+      const user = await authService.setRole({ id: req.params.id }, role);
+
+      await auditLogService.record("user.role", req.actor, {
+        params: { userId: user.id, role },
+        result: { email: user.email, role: user.role },
+      });
+
+      sendSuccessResponse(res, user, `Role of ${user.email} set to ${user.role}`);
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return sendErrorResponse(res, error.message, error.statusCode);
+      }
+
+      Logger.error("Error changing user role", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Send the digests of a frequency now (same as the digest cron job)
+   * POST /api/admin/digests/run
+   * Body: { frequency }
+   */
+  async runDigests(req, res) {
+    try {
+      const { frequency } = req.body || {};
+
+      if (!DIGEST.FREQUENCIES.includes(frequency)) {
+        return sendErrorResponse(res, `frequency must be one of: ${DIGEST.FREQUENCIES.join(", ")}`, 400);
+      }
+
+      const auditEntry = await auditLogService.start("digest.send", req.actor, { params: { frequency } });
+
+      // Run in the background; the audit entry is completed when it ends
+      digestService
+        .runDigests(frequency)
+        .then((result) =>
+          auditLogService.complete(auditEntry, {
+            status: result.failed > 0 && result.sent === 0 ? "failed" : "success",
+            result,
+          })
+        )
+        .catch((error) => {
+          Logger.error("Digest run failed", { error: error.message });
+          return auditLogService.complete(auditEntry, { status: "failed", error: error.message });
+        });
+
+      sendSuccessResponse(
+        res,
+        { frequency, status: "triggered", auditLogId: auditEntry?._id ?? null },
+        `Sending ${frequency} digests`,
+        202
+      );
+    } catch (error) {
+      Logger.error("Error triggering digest run", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Stream the article archive as a CSV or NDJSON download
+   * GET /api/admin/export
+   * Query params: format, fields, from, to, category, country, sourceApi, includeDeleted, includeDuplicates, gzip
+   */
+  async exportArticles(req, res) {
+    let options;
+    try {
+      options = articleExportService.parseOptions(req.query);
+    } catch (error) {
+      return sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
+    }
+
+    const { contentType, fileName } = articleExportService.describe(options);
+    const auditEntry = await auditLogService.start("news.export", req.actor, {
+      params: { format: options.format, fields: options.fields, gzip: options.gzip, ...options.filters },
+    });
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    try {
+      const result = await articleExportService.exportTo(res, options);
+      await auditLogService.complete(auditEntry, { status: "success", result });
+    } catch (error) {
+      // The download is cut short: headers (and maybe rows) are already sent
+      Logger.error("Article export failed", { error: error.message });
+      await auditLogService.complete(auditEntry, { status: "failed", error: error.message });
+
+      if (!res.headersSent) {
+        sendErrorResponse(res, error.message, 500);
+      }
+    }
+  }
+
+  /**
+   * Import an NDJSON article dump sent as the request body
+   * POST /api/admin/import
+   * Query params: dryRun, batchSize
+   */
+  async importArticles(req, res) {
+    if (!req.is(["application/x-ndjson", "application/jsonl", "text/plain"])) {
+      return sendErrorResponse(res, "Send the dump as application/x-ndjson (one article per line)", 415);
+    }
+
+    const encoding = (req.get("Content-Encoding") || "identity").toLowerCase();
+    if (!["identity", "gzip"].includes(encoding)) {
+      return sendErrorResponse(res, `Unsupported Content-Encoding: ${encoding}`, 415);
+    }
+
+    const dryRun = req.query.dryRun === "true";
+    const batchSize = Math.min(
+      Math.max(parseInt(req.query.batchSize) || IMPORT.BATCH_SIZE, 1),
+      IMPORT.MAX_BATCH_SIZE
+    );
+
+    const auditEntry = await auditLogService.start("news.import", req.actor, {
+      params: { dryRun, batchSize, gzip: encoding === "gzip" },
+    });
+
+    try {
+      const input = encoding === "gzip" ? req.pipe(zlib.createGunzip()) : req;
+      const result = await articleImportService.importFrom(input, {
+        batchSize,
+        dryRun,
+        onProgress: (progress) => Logger.info("Article import progress", progress),
+      });
+
+      await auditLogService.complete(auditEntry, {
+        status: "success",
+        result: { ...result, rejections: result.rejections.slice(0, 5) },
+      });
+
+      sendSuccessResponse(
+        res,
+        { ...result, auditLogId: auditEntry?._id ?? null },
+        dryRun ? "Dump validated (nothing was saved)" : "Articles imported successfully"
+      );
+    } catch (error) {
+      Logger.error("Article import failed", { error: error.message });
+      await auditLogService.complete(auditEntry, { status: "failed", error: error.message });
+      sendErrorResponse(res, error.message, error.code === "Z_DATA_ERROR" ? 400 : 500);
+    }
+  }
+}
+
+export default new AdminController();
@@ -0,0 +1,106 @@
+import { authService } from "../services/index.js";
+import { sendSuccessResponse, sendErrorResponse, Logger } from "../utils/index.js";
+
+/**
+ * Request metadata stored with refresh tokens
+ */
+const getClientMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent") || null,
+});
+
+/**
+ * Send an error from the auth service (expected errors carry a statusCode)
+ */
+const sendAuthError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error during ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Auth Controller
+ * User registration, login and token management
+ */
+class AuthController {
+  /**
+   * Register a new user
+   * POST /api/auth/register
+   * Body: { email, password, name }
+   */
+  async register(req, res) {
+    try {
+      const data = await authService.register(req.body, getClientMeta(req));
+
+      sendSuccessResponse(res, data, "User registered successfully", 201);
+    } catch (error) {
+      sendAuthError(res, error, "registration");
+    }
+  }
+
+  /**
+   * Log in
+   * POST /api/auth/login
+   * Body: { email, password }
+   */
+  async login(req, res) {
+    try {
+      const data = await authService.login(req.body, getClientMeta(req));
+
+      Logger.info("User logged in", { userId: data.user.id });
+
+      sendSuccessResponse(res, data, "Logged in successfully");
+    } catch (error) {
+      sendAuthError(res, error, "login");
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * POST /api/auth/refresh
+   * Body: { refreshToken }
+   */
+  async refresh(req, res) {
+    try {
+      const data = await authService.refresh(req.body?.refreshToken, getClientMeta(req));
+
+      sendSuccessResponse(res, data, "Tokens refreshed successfully");
+    } catch (error) {
+      sendAuthError(res, error, "token refresh");
+    }
+  }
+
+  /**
+   * Log out (revoke the refresh token's session)
+   * POST /api/auth/logout
+   * Body: { refreshToken }
+   */
+  async logout(req, res) {
+    try {
+      const data = await authService.logout(req.body?.refreshToken);
+
+      sendSuccessResponse(res, data, "Logged out successfully");
+    } catch (error) {
+      sendAuthError(res, error, "logout");
+    }
+  }
+
+  /**
+   * Get the authenticated user's profile
+   * GET /api/auth/me
+   */
+  async getProfile(req, res) {
+    try {
+      const data = await authService.getProfile(req.user.id);
+
+      sendSuccessResponse(res, data, "Profile fetched successfully");
+    } catch (error) {
+      sendAuthError(res, error, "profile fetch");
+    }
+  }
+}
+
+export default new AuthController();
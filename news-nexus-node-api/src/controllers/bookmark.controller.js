@@ -0,0 +1,161 @@
+import { bookmarkService } from "../services/index.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse,
+  Logger,
+} from "../utils/index.js";
+
+/**
+ * Send an error from the bookmark service (expected errors carry a statusCode)
+ */
+const sendBookmarkError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Bookmark Controller
+ * Saved articles of the signed-in user or the anonymous device (req.owner)
+ */
+class BookmarkController {
+  /**
+   * List bookmarks
+   * GET /api/bookmarks
+   * Query params: folder, tag, page, limit
+   */
+  async getBookmarks(req, res) {
+    try {
+      const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      };
+
+      const data = await bookmarkService.getBookmarks(
+        req.owner,
+        { folder: req.query.folder, tag: req.query.tag },
+        pagination
+      );
+
+      sendPaginatedResponse(
+        res,
+        data,
+        {
+          currentPage: data.page,
+          totalPages: data.totalPages,
+          totalItems: data.totalResults,
+          itemsPerPage: data.limit,
+        },
+        "Bookmarks fetched successfully"
+      );
+    } catch (error) {
+      sendBookmarkError(res, error, "fetching bookmarks");
+    }
+  }
+
+  /**
+   * Get the ids of bookmarked articles
+   * GET /api/bookmarks/ids
+   */
+  async getBookmarkedIds(req, res) {
+    try {
+      const articleIds = await bookmarkService.getBookmarkedIds(req.owner);
+
+      sendSuccessResponse(res, { articleIds }, "Bookmarked article ids fetched successfully");
+    } catch (error) {
+      sendBookmarkError(res, error, "fetching bookmarked article ids");
+    }
+  }
+
+  /**
+   * Get folders and tags with counts
+   * GET /api/bookmarks/folders
+   */
+  async getFolders(req, res) {
+    try {
+      const data = await bookmarkService.getFolders(req.owner);
+
+      sendSuccessResponse(res, data, "Bookmark folders fetched successfully");
+    } catch (error) {
+      sendBookmarkError(res, error, "fetching bookmark folders");
+    }
+  }
+
+  /**
+   * Bookmark an article
+   * POST /api/bookmarks
+   * Body: { articleId, folder, tags }
+   */
+  async addBookmark(req, res) {
+    try {
+      const { bookmark, created } = await bookmarkService.addBookmark(req.owner, req.body || {});
+
+      sendSuccessResponse(
+        res,
+        bookmark,
+        created ? "Article bookmarked" : "Article already bookmarked",
+        created ? 201 : 200
+      );
+    } catch (error) {
+      sendBookmarkError(res, error, "adding bookmark");
+    }
+  }
+
+  /**
+   * Update folder/tags of a bookmark
+   * PATCH /api/bookmarks/:articleId
+   * Body: { folder, tags }
+   */
+  async updateBookmark(req, res) {
+    try {
+      const bookmark = await bookmarkService.updateBookmark(
+        req.owner,
+        req.params.articleId,
+        req.body || {}
+      );
+
+      sendSuccessResponse(res, bookmark, "Bookmark updated");
+    } catch (error) {
+      sendBookmarkError(res, error, "updating bookmark");
+    }
+  }
+
+  /**
+   * Remove a bookmark
+   * DELETE /api/bookmarks/:articleId
+   */
+  async removeBookmark(req, res) {
+    try {
+      const data = await bookmarkService.removeBookmark(req.owner, req.params.articleId);
+
+      sendSuccessResponse(res, data, "Bookmark removed");
+    } catch (error) {
+      sendBookmarkError(res, error, "removing bookmark");
+    }
+  }
+
+  /**
+   * Move the bookmarks of the X-Device-Id device to the signed-in user
+   * POST /api/bookmarks/claim
+   */
+  async claimDeviceBookmarks(req, res) {
+    try {
+      const deviceId = req.get("x-device-id");
+      if (!deviceId) {
+        return sendErrorResponse(res, "X-Device-Id header is required", 400);
+      }
+
+      const data = await bookmarkService.claimDeviceBookmarks(req.user.id, deviceId);
+
+      sendSuccessResponse(res, data, "Device bookmarks moved to your account");
+    } catch (error) {
+      sendBookmarkError(res, error, "claiming device bookmarks");
+    }
+  }
+}
+
+export default new BookmarkController();
@@ -0,0 +1,183 @@
+import { digestService } from "../services/index.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  Logger,
+} from "../utils/index.js";
+import { renderUnsubscribePage, renderUnsubscribeConfirmPage } from "../templates/digest.template.js";
+
+/**
+ * Send an error from the digest service (expected errors carry a statusCode)
+ */
+const sendDigestError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Digest Controller
+ * Digest email subscriptions of the signed-in user, previews and unsubscribe links
+ */
+class DigestController {
+  /**
+   * List digest subscriptions
+   * GET /api/digests
+   */
+  async getSubscriptions(req, res) {
+    try {
+      const subscriptions = await digestService.getSubscriptions(req.user.id);
+
+      sendSuccessResponse(res, { subscriptions }, "Digest subscriptions fetched successfully");
+    } catch (error) {
+      sendDigestError(res, error, "fetching digest subscriptions");
+    }
+  }
+
+  /**
+   * Subscribe to a digest
+   * POST /api/digests
+   * Body: { frequency, categories, countries, watchlists }
+   */
+  async createSubscription(req, res) {
+    try {
+      const subscription = await digestService.createSubscription(req.user.id, req.body || {});
+
+      sendSuccessResponse(res, subscription, "Digest subscription created", 201);
+    } catch (error) {
+      sendDigestError(res, error, "creating digest subscription");
+    }
+  }
+
+  /**
+   * Update a digest subscription
+   * PATCH /api/digests/:id
+   * Body: { frequency, categories, countries, watchlists, isActive }
+   */
+  async updateSubscription(req, res) {
+    try {
+      const subscription = await digestService.updateSubscription(
+        req.user.id,
+        req.params.id,
+        req.body || {}
+      );
+
+      sendSuccessResponse(res, subscription, "Digest subscription updated");
+    } catch (error) {
+      sendDigestError(res, error, "updating digest subscription");
+    }
+  }
+
+  /**
+   * Delete a digest subscription
+   * DELETE /api/digests/:id
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const data = await digestService.deleteSubscription(req.user.id, req.params.id);
+
+      sendSuccessResponse(res, data, "Digest subscription deleted");
+    } catch (error) {
+      sendDigestError(res, error, "deleting digest subscription");
+    }
+  }
+
+  /**
+   * Preview the next digest
+   * GET /api/digests/:id/preview
+   * Query params: format (json, html or text)
+   */
+  async previewDigest(req, res) {
+    try {
+      const format = req.query.format || "json";
+
+      if (!["json", "html", "text"].includes(format)) {
+        return sendErrorResponse(res, "format must be json, html or text", 400);
+      }
+
+      const digest = await digestService.previewDigest(req.user.id, req.params.id);
+
+      if (format === "html") {
+        return res.type("html").send(digest.html);
+      }
+      if (format === "text") {
+        return res.type("text").send(digest.text);
+      }
+
+      sendSuccessResponse(res, digest, "Digest preview generated");
+    } catch (error) {
+      sendDigestError(res, error, "previewing digest");
+    }
+  }
+
+  /**
+   * Send the next digest now
+   * POST /api/digests/:id/send
+   */
+  async sendNow(req, res) {
+    try {
+      const data = await digestService.sendNow(req.user.id, req.params.id);
+
+      sendSuccessResponse(
+        res,
+        data,
+        data.status === "sent" ? "Digest sent" : "No new articles for this digest, nothing was sent"
+      );
+    } catch (error) {
+      sendDigestError(res, error, "sending digest");
+    }
+  }
+
+  /**
+   * Confirmation page of the unsubscribe link in a digest (changes nothing)
+   * GET /api/digests/unsubscribe?token=...
+   */
+  async confirmUnsubscribe(req, res) {
+    try {
+      const subscription = await digestService.findByUnsubscribeToken(req.query.token);
+
+      if (!subscription) {
+        return res.status(404).type("html").send(renderUnsubscribePage({ unsubscribed: false }));
+      }
+
+      const page = subscription.isActive
+        ? renderUnsubscribeConfirmPage({ frequency: subscription.frequency, token: req.query.token })
+        : renderUnsubscribePage({ unsubscribed: true, frequency: subscription.frequency });
+
+      res.type("html").send(page);
+    } catch (error) {
+      sendDigestError(res, error, "loading unsubscribe page");
+    }
+  }
+
+  /**
+   * Unsubscribe from a digest
+   * POST /api/digests/unsubscribe?token=... (one-click from the mail client: JSON,
+   * or the confirmation page's form with the token in the body: HTML page)
+   */
+  async unsubscribe(req, res) {
+    try {
+      const result = await digestService.unsubscribe(req.query.token || req.body?.token);
+
+      if (req.accepts(["json", "html"]) === "html") {
+        return res
+          .status(result.unsubscribed ? 200 : 404)
+          .type("html")
+          .send(renderUnsubscribePage(result));
+      }
+
+      if (!result.unsubscribed) {
+        return sendErrorResponse(res, "Invalid unsubscribe token", 404);
+      }
+
+      sendSuccessResponse(res, result, "Unsubscribed from digest");
+    } catch (error) {
+      sendDigestError(res, error, "unsubscribing from digest");
+    }
+  }
+}
+
+export default new DigestController();
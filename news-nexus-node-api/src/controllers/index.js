@@ -7,3 +7,10 @@ export { default as newsController } from "./news.controller.js";
 export { default as newsApiOrgController } from "./newsApiOrg.controller.js";
 export { default as schedulerController } from "./scheduler.controller.js";
 export { default as unifiedNewsController } from "./unifiedNews.controller.js";
+export { default as authController } from "./auth.controller.js";
+export { default as adminController } from "./admin.controller.js";
+export { default as bookmarkController } from "./bookmark.controller.js";
+export { default as meController } from "./me.controller.js";
+export { default as watchlistController } from "./watchlist.controller.js";
+export { default as digestController } from "./digest.controller.js";
+export { default as webhookController } from "./webhook.controller.js";
@@ -0,0 +1,170 @@
+import { readingHistoryService, preferenceService, feedService } from "../services/index.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse,
+  Logger,
+  clickerKey,
+} from "../utils/index.js";
+
+/**
+ * Send an error from a personal-data service (expected errors carry a statusCode)
+ */
+const sendMeError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Me Controller
+ * Personal data of the signed-in user or the anonymous device (req.owner)
+ */
+class MeController {
+  /**
+   * Get reading history, most recently read first
+   * GET /api/me/history
+   * Query params: page, limit
+   */
+  async getHistory(req, res) {
+    try {
+      const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      };
+
+      const data = await readingHistoryService.getHistory(req.owner, pagination);
+
+      sendPaginatedResponse(
+        res,
+        data,
+        {
+          currentPage: data.page,
+          totalPages: data.totalPages,
+          totalItems: data.totalResults,
+          itemsPerPage: data.limit,
+        },
+        "Reading history fetched successfully"
+      );
+    } catch (error) {
+      sendMeError(res, error, "fetching reading history");
+    }
+  }
+
+  /**
+   * Get the ids of recently read articles
+   * GET /api/me/history/ids
+   */
+  async getReadIds(req, res) {
+    try {
+      const articleIds = await readingHistoryService.getReadIds(req.owner);
+
+      sendSuccessResponse(res, { articleIds }, "Read article ids fetched successfully");
+    } catch (error) {
+      sendMeError(res, error, "fetching read article ids");
+    }
+  }
+
+  /**
+   * Record that an article was opened
+   * POST /api/me/history
+   * Body: { articleId, source }
+   */
+  async recordRead(req, res) {
+    try {
+      const { articleId, source } = req.body || {};
+
+      const entry = await readingHistoryService.recordRead(req.owner, articleId, {
+        source,
+        clicker: clickerKey(req),
+      });
+
+      sendSuccessResponse(res, entry, "Article read recorded");
+    } catch (error) {
+      sendMeError(res, error, "recording article read");
+    }
+  }
+
+  /**
+   * Remove one article from the reading history
+   * DELETE /api/me/history/:articleId
+   */
+  async removeHistoryEntry(req, res) {
+    try {
+      const data = await readingHistoryService.removeEntry(req.owner, req.params.articleId);
+
+      sendSuccessResponse(res, data, "History entry removed");
+    } catch (error) {
+      sendMeError(res, error, "removing history entry");
+    }
+  }
+
+  /**
+   * Clear the reading history
+   * DELETE /api/me/history
+   */
+  async clearHistory(req, res) {
+    try {
+      const data = await readingHistoryService.clearHistory(req.owner);
+
+      sendSuccessResponse(res, data, "Reading history cleared");
+    } catch (error) {
+      sendMeError(res, error, "clearing reading history");
+    }
+  }
+
+  /**
+   * Get followed categories, countries, sources and keywords
+   * GET /api/me/preferences
+   */
+  async getPreferences(req, res) {
+    try {
+      const preferences = await preferenceService.getPreferences(req.owner);
+
+      sendSuccessResponse(res, preferences, "Preferences fetched successfully");
+    } catch (error) {
+      sendMeError(res, error, "fetching preferences");
+    }
+  }
+
+  /**
+   * Replace followed lists (lists not sent are kept)
+   * PUT /api/me/preferences
+   * Body: { categories, countries, sources, keywords, mutedSources }
+   */
+  async updatePreferences(req, res) {
+    try {
+      const preferences = await preferenceService.updatePreferences(req.owner, req.body || {});
+
+      sendSuccessResponse(res, preferences, "Preferences updated successfully");
+    } catch (error) {
+      sendMeError(res, error, "updating preferences");
+    }
+  }
+
+  /**
+   * Get the personalized "For You" feed
+   * GET /api/me/feed
+   * Query params: page, limit, hours
+   */
+  async getFeed(req, res) {
+    try {
+      const options = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+        hours: parseInt(req.query.hours) || undefined,
+      };
+
+      const data = await feedService.getFeed(req.owner, options);
+
+      sendSuccessResponse(res, data, "Personalized feed fetched successfully");
+    } catch (error) {
+      sendMeError(res, error, "fetching personalized feed");
+    }
+  }
+}
+
+export default new MeController();
@@ -41,7 +41,7 @@ class NewsController {
       if (language) filters.language = language;
       if (category) filters.category = category;
       if (q) filters.q = q;
-      if (page) filters.page = parseInt(page);
+      if (page) filters.page = page; // nextPage token of the previous response
 
       const result = await newsApiService.getLatestNews(filters);
 
@@ -71,7 +71,7 @@ class NewsController {
       if (country) filters.country = country;
       if (language) filters.language = language;
       if (category) filters.category = category;
-      if (page) filters.page = parseInt(page);
+      if (page) filters.page = page; // nextPage token of the previous response
 
       const result = await newsApiService.searchNews(q, filters);
 
@@ -100,7 +100,7 @@ class NewsController {
 
       if (country) filters.country = country;
       if (language) filters.language = language;
-      if (page) filters.page = parseInt(page);
+      if (page) filters.page = page; // nextPage token of the previous response
 
       const result = await newsApiService.getLatestNews(filters);
 
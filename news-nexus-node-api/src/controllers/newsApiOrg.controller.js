@@ -37,7 +37,7 @@ class NewsApiOrgController {
       Logger.error("Error fetching top headlines from NewsAPI.org", {
         error: error.message,
       });
-      sendErrorResponse(res, error.message, 500);
+      sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
     }
   }
 
@@ -75,7 +75,7 @@ class NewsApiOrgController {
       Logger.error("Error searching everything on NewsAPI.org", {
         error: error.message,
       });
-      sendErrorResponse(res, error.message, 500);
+      sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
     }
   }
 
@@ -101,7 +101,7 @@ class NewsApiOrgController {
       Logger.error("Error fetching sources from NewsAPI.org", {
         error: error.message,
       });
-      sendErrorResponse(res, error.message, 500);
+      sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
     }
   }
 
@@ -140,7 +140,7 @@ class NewsApiOrgController {
       Logger.error("Error fetching headlines by category from NewsAPI.org", {
         error: error.message,
       });
-      sendErrorResponse(res, error.message, 500);
+      sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
     }
   }
 
@@ -179,7 +179,7 @@ class NewsApiOrgController {
       Logger.error("Error fetching headlines by country from NewsAPI.org", {
         error: error.message,
       });
-      sendErrorResponse(res, error.message, 500);
+      sendErrorResponse(res, error.message, error.statusCode || 500, error.details);
     }
   }
 }
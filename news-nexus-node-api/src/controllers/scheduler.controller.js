@@ -1,9 +1,21 @@
-import { newsFetchScheduler } from "../services/index.js";
+import { newsFetchScheduler, auditLogService, fetchScheduleService, fetchPlanner } from "../services/index.js";
 import { sendSuccessResponse, sendErrorResponse, Logger } from "../utils/index.js";
 
+/**
+ * Send an error from the fetch schedule service (expected errors carry a statusCode)
+ */
+const sendScheduleError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
 /**
  * Scheduler Controller
- * Manages news fetch scheduler operations
+ * Manages news fetch scheduler operations and the fetch schedules
  */
 class SchedulerController {
   /**
@@ -14,7 +26,7 @@ class SchedulerController {
     try {
       Logger.info("Fetching scheduler status");
       
-      const status = newsFetchScheduler.getStatus();
+      const status = await newsFetchScheduler.getStatus();
       
       sendSuccessResponse(res, status, "Scheduler status fetched successfully");
     } catch (error) {
@@ -26,26 +38,49 @@ class SchedulerController {
   /**
    * Trigger manual fetch
    * POST /api/scheduler/trigger
-   * Body: { schedule: "MORNING" | "AFTERNOON" | "EVENING" | "NIGHT" | "EARLY_MORNING" }
+   * Body: { schedule: "MORNING" } (any schedule name, enabled or not)
    */
   async triggerManualFetch(req, res) {
     try {
-      const { schedule } = req.body;
+      const { schedule: scheduleName } = req.body ?? {};
       
-      if (!schedule) {
-        return sendErrorResponse(res, "Schedule name is required (MORNING, AFTERNOON, EVENING, NIGHT, EARLY_MORNING)", 400);
+      if (!scheduleName) {
+        return sendErrorResponse(res, "Schedule name is required (e.g. MORNING)", 400);
       }
 
-      Logger.info("Triggering manual fetch", { schedule });
-      
-      // Trigger fetch asynchronously (don't wait)
-      newsFetchScheduler.triggerManualFetch(schedule).catch((error) => {
-        Logger.error("Manual fetch failed", { error: error.message });
-      });
+      const found = await fetchScheduleService.findSchedule(scheduleName);
+      if (!found) {
+        const schedules = await fetchScheduleService.getSchedules();
+        return sendErrorResponse(res, `Unknown schedule: ${scheduleName}`, 400, {
+          schedules: schedules.map(({ name }) => name),
+        });
+      }
+
+      const schedule = found.name;
+
+      Logger.info("Triggering manual fetch", { schedule, actor: req.actor });
+
+      const auditEntry = await auditLogService.start("scheduler.trigger", req.actor, { schedule });
+
+      // Trigger fetch asynchronously (don't wait); the audit entry is completed when it ends
+      newsFetchScheduler
+        .triggerManualFetch(schedule)
+        .then(({ status, error, creditsConsumed, ...result }) =>
+          auditLogService.complete(auditEntry, {
+            status: status === "failed" ? "failed" : "success",
+            creditsConsumed,
+            result: { status, ...result },
+            error,
+          })
+        )
+        .catch((error) => {
+          Logger.error("Manual fetch failed", { error: error.message });
+          return auditLogService.complete(auditEntry, { status: "failed", error: error.message });
+        });
       
       sendSuccessResponse(
         res,
-        { schedule, status: "triggered" },
+        { schedule, status: "triggered", auditLogId: auditEntry?._id ?? null },
         `Manual fetch for ${schedule} has been triggered`,
         202
       );
@@ -63,7 +98,8 @@ class SchedulerController {
     try {
       Logger.info("Starting scheduler via API");
       
-      newsFetchScheduler.start();
+      await newsFetchScheduler.start();
+      await auditLogService.record("scheduler.start", req.actor);
       
       sendSuccessResponse(res, { status: "running" }, "Scheduler started successfully");
     } catch (error) {
@@ -81,6 +117,7 @@ class SchedulerController {
       Logger.info("Stopping scheduler via API");
       
       newsFetchScheduler.stop();
+      await auditLogService.record("scheduler.stop", req.actor);
       
       sendSuccessResponse(res, { status: "stopped" }, "Scheduler stopped successfully");
     } catch (error) {
@@ -88,6 +125,102 @@ class SchedulerController {
       sendErrorResponse(res, error.message, 500);
     }
   }
+
+  /**
+   * Next fetch plan of adaptive schedules: the slices each credit-limited provider
+   * would fetch if an adaptive schedule ran now, with their scores
+   * GET /api/scheduler/plan
+   */
+  async getPlan(req, res) {
+    try {
+      const plan = await fetchPlanner.buildPlan();
+
+      sendSuccessResponse(res, plan, "Fetch plan built successfully");
+    } catch (error) {
+      sendScheduleError(res, error, "building fetch plan");
+    }
+  }
+
+  /**
+   * List fetch schedules
+   * GET /api/scheduler/schedules
+   */
+  async getSchedules(req, res) {
+    try {
+      const schedules = await fetchScheduleService.getSchedules();
+
+      sendSuccessResponse(res, { schedules }, "Schedules fetched successfully");
+    } catch (error) {
+      sendScheduleError(res, error, "fetching schedules");
+    }
+  }
+
+  /**
+   * Get a fetch schedule
+   * GET /api/scheduler/schedules/:name
+   */
+  async getSchedule(req, res) {
+    try {
+      const schedule = await fetchScheduleService.getSchedule(req.params.name);
+
+      sendSuccessResponse(res, schedule, "Schedule fetched successfully");
+    } catch (error) {
+      sendScheduleError(res, error, "fetching schedule");
+    }
+  }
+
+  /**
+   * Create a fetch schedule (scheduled right away when the scheduler is running)
+   * POST /api/scheduler/schedules
+   * Body: { name, time, description, enabled, newsDataConfig, newsApiConfig, rssConfig }
+   */
+  async createSchedule(req, res) {
+    try {
+      const schedule = await fetchScheduleService.createSchedule(req.body || {}, req.actor);
+      await auditLogService.record("schedule.create", req.actor, {
+        schedule: schedule.name,
+        params: req.body,
+      });
+
+      sendSuccessResponse(res, schedule, `Schedule ${schedule.name} created`, 201);
+    } catch (error) {
+      sendScheduleError(res, error, "creating schedule");
+    }
+  }
+
+  /**
+   * Change a fetch schedule (its job is reloaded)
+   * PATCH /api/scheduler/schedules/:name
+   * Body: any of { time, description, enabled, newsDataConfig, newsApiConfig, rssConfig }
+   */
+  async updateSchedule(req, res) {
+    try {
+      const schedule = await fetchScheduleService.updateSchedule(req.params.name, req.body || {}, req.actor);
+      await auditLogService.record("schedule.update", req.actor, {
+        schedule: schedule.name,
+        params: req.body,
+      });
+
+      sendSuccessResponse(res, schedule, `Schedule ${schedule.name} updated`);
+    } catch (error) {
+      sendScheduleError(res, error, "updating schedule");
+    }
+  }
+
+  /**
+   * Delete a fetch schedule (its job is stopped)
+   * DELETE /api/scheduler/schedules/:name
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const result = await fetchScheduleService.deleteSchedule(req.params.name);
+      await auditLogService.record("schedule.delete", req.actor, { schedule: result.name });
+
+      sendSuccessResponse(res, result, `Schedule ${result.name} deleted`);
+    } catch (error) {
+      sendScheduleError(res, error, "deleting schedule");
+    }
+  }
 }
 
 export default new SchedulerController();
@@ -1,11 +1,54 @@
-import { unifiedNewsService } from "../services/index.js";
+import {
+  unifiedNewsService,
+  storyClusteringService,
+  trendingService,
+  auditLogService,
+  newsStreamService,
+  syndicationService,
+  fetchPlanner,
+} from "../services/index.js";
+import { serverConfig } from "../config/index.js";
+import { SYNDICATION } from "../constants/index.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
   sendPaginatedResponse,
+  clickerKey,
   Logger
 } from "../utils/index.js";
 
+/**
+ * Read the pagination query params shared by the list endpoints
+ * `cursor` (opaque, from nextCursor/prevCursor) takes precedence over `page`
+ */
+const getPaginationParams = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 100),
+  cursor: query.cursor || null,
+});
+
+/**
+ * Read a comma-separated filter list of the stream endpoint ("business,technology")
+ * @returns {string[]|null} Lowercase values, or null when one is malformed
+ */
+const parseStreamFilter = (value, pattern) => {
+  const values = [...new Set(String(value || "").split(",").map((item) => item.trim().toLowerCase()).filter(Boolean))];
+  return values.every((item) => pattern.test(item)) ? values : null;
+};
+
+/**
+ * Pagination metadata of a paginated service result
+ */
+const toPagination = (data) => ({
+  currentPage: data.page,
+  totalPages: data.totalPages,
+  totalItems: data.totalResults,
+  itemsPerPage: data.limit,
+  nextCursor: data.nextCursor,
+  prevCursor: data.prevCursor,
+  hasMore: data.hasMore,
+});
+
 /**
  * Unified News Controller
  * Handles all news requests - users never know which API is used
@@ -15,7 +58,7 @@ class UnifiedNewsController {
   /**
    * Get latest news (from cache or fetched from both APIs)
    * GET /api/news/latest
-   * Query params: country, category, language, page, limit
+   * Query params: country, category, language, source, cursor, page, limit
    */
   async getLatestNews(req, res) {
     try {
@@ -25,26 +68,25 @@ class UnifiedNewsController {
         country: req.query.country,
         category: req.query.category,
         language: req.query.language,
+        source: req.query.source,
       };
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-
-      const data = await unifiedNewsService.getLatestNews(filters);
-
-      if (data.articles && data.articles.length > 0) {
-        sendPaginatedResponse(
-          res,
-          data.articles.slice((page - 1) * limit, page * limit),
-          page,
-          limit,
-          data.totalResults,
-          "Latest news fetched successfully"
-        );
-      } else {
-        sendSuccessResponse(res, data, "Latest news fetched successfully");
-      }
+      const data = await unifiedNewsService.getLatestNews(
+        filters,
+        getPaginationParams(req.query)
+      );
+
+      sendPaginatedResponse(
+        res,
+        data,
+        toPagination(data),
+        "Latest news fetched successfully"
+      );
     } catch (error) {
+      if (error.name === "InvalidCursorError") {
+        return sendErrorResponse(res, error.message, error.statusCode);
+      }
+
       Logger.error("Error fetching latest news", { error: error.message });
       sendErrorResponse(res, error.message, 500);
     }
@@ -53,7 +95,7 @@ class UnifiedNewsController {
   /**
    * Search news across both APIs
    * GET /api/news/search
-   * Query params: q (required), country, language, page, limit
+   * Query params: q (required, advanced syntax), country, language, category, source, from, to, cursor, page, limit
    */
   async searchNews(req, res) {
     try {
@@ -65,32 +107,39 @@ class UnifiedNewsController {
 
       Logger.info("Searching news", { query: req.query });
 
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return sendErrorResponse(res, "Query parameters 'from' and 'to' must be valid dates", 400);
+      }
+
       const filters = {
         country: req.query.country,
         language: req.query.language,
+        category: req.query.category,
+        source: req.query.source,
+        from,
+        to,
       };
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-
-      const data = await unifiedNewsService.searchNews(q, filters);
-
-      if (data.articles && data.articles.length > 0) {
-        const startIndex = (page - 1) * limit;
-        const endIndex = page * limit;
-
-        sendPaginatedResponse(
-          res,
-          data.articles.slice(startIndex, endIndex),
-          page,
-          limit,
-          data.totalResults,
-          "Search results fetched successfully"
-        );
-      } else {
-        sendSuccessResponse(res, data, "No results found");
-      }
+      const data = await unifiedNewsService.searchNews(
+        q,
+        filters,
+        getPaginationParams(req.query)
+      );
+
+      sendPaginatedResponse(
+        res,
+        data,
+        toPagination(data),
+        data.totalResults > 0 ? "Search results fetched successfully" : "No results found"
+      );
     } catch (error) {
+      if (["SearchQueryError", "InvalidCursorError"].includes(error.name)) {
+        return sendErrorResponse(res, error.message, error.statusCode, error.details);
+      }
+
       Logger.error("Error searching news", { error: error.message });
       sendErrorResponse(res, error.message, 500);
     }
@@ -99,7 +148,7 @@ class UnifiedNewsController {
   /**
    * Get news by category
    * GET /api/news/category/:category
-   * Query params: country, language, page, limit
+   * Query params: country, language, cursor, page, limit
    */
   async getNewsByCategory(req, res) {
     try {
@@ -115,31 +164,30 @@ class UnifiedNewsController {
         language: req.query.language,
       };
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-
       const data = await unifiedNewsService.getNewsByCategory(
         category,
-        filters
+        filters,
+        getPaginationParams(req.query)
       );
 
-      if (data.articles && data.articles.length > 0) {
-        sendPaginatedResponse(
-          res,
-          data.articles.slice((page - 1) * limit, page * limit),
-          page,
-          limit,
-          data.totalResults,
-          `News for category '${category}' fetched successfully`
-        );
-      } else {
-        sendSuccessResponse(
-          res,
-          data,
-          `News for category '${category}' fetched successfully`
-        );
+      // Reader demand for the fetch planner: first pages only (a visit, not every scroll)
+      if (!req.query.cursor && (parseInt(req.query.page) || 1) === 1) {
+        fetchPlanner.recordCategoryView(category, req.query.country).catch((error) => {
+          Logger.warn("Failed to record category view", { category, error: error.message });
+        });
       }
+
+      sendPaginatedResponse(
+        res,
+        data,
+        toPagination(data),
+        `News for category '${category}' fetched successfully`
+      );
     } catch (error) {
+      if (error.name === "InvalidCursorError") {
+        return sendErrorResponse(res, error.message, error.statusCode);
+      }
+
       Logger.error("Error fetching news by category", {
         error: error.message,
       });
@@ -148,17 +196,22 @@ class UnifiedNewsController {
   }
 
   /**
-   * Get trending news (most recent from database)
+   * Get trending news (ranked by coverage, keyword burst, clicks and recency)
    * GET /api/news/trending
-   * Query params: limit
+   * Query params: window, category, country, limit
    */
   async getTrendingNews(req, res) {
     try {
-      const limit = parseInt(req.query.limit) || 20;
+      const options = {
+        window: req.query.window,
+        category: req.query.category,
+        country: req.query.country,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      };
 
-      Logger.info("Fetching trending news", { limit });
+      Logger.info("Fetching trending news", options);
 
-      const data = await unifiedNewsService.getTrendingNews(limit);
+      const data = await trendingService.getTrendingNews(options);
 
       sendSuccessResponse(res, data, "Trending news fetched successfully");
     } catch (error) {
@@ -167,6 +220,56 @@ class UnifiedNewsController {
     }
   }
 
+  /**
+   * Record an in-app click on an article
+   * POST /api/news/:articleId/click
+   */
+  async recordClick(req, res) {
+    try {
+      const { articleId } = req.params;
+      const data = await trendingService.recordClick(articleId, clickerKey(req));
+
+      if (!data) {
+        return sendErrorResponse(res, "Article not found", 404);
+      }
+
+      sendSuccessResponse(
+        res,
+        data,
+        data.counted ? "Click recorded successfully" : "Click already counted recently"
+      );
+    } catch (error) {
+      Logger.error("Error recording click", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get story clusters (related coverage of the same event)
+   * GET /api/news/clusters
+   * Query params: hours, minSources, category, country, limit
+   */
+  async getClusters(req, res) {
+    try {
+      const options = {
+        hours: parseInt(req.query.hours) || undefined,
+        minSources: req.query.minSources !== undefined ? parseInt(req.query.minSources) || 1 : undefined,
+        category: req.query.category,
+        country: req.query.country,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      };
+
+      Logger.info("Fetching story clusters", options);
+
+      const data = await storyClusteringService.getClusters(options);
+
+      sendSuccessResponse(res, data, "Story clusters fetched successfully");
+    } catch (error) {
+      Logger.error("Error fetching story clusters", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
   /**
    * Get news sources from both APIs
    * GET /api/news/sources
@@ -197,25 +300,43 @@ class UnifiedNewsController {
    * Body: { country, category, language }
    */
   async refreshCache(req, res) {
+    const startedAt = Date.now();
+    const body = req.body || {};
+
+    const filters = {
+      country: body.country,
+      category: body.category,
+      language: body.language,
+    };
+
     try {
-      Logger.info("Manually refreshing cache", { body: req.body });
+      Logger.info("Manually refreshing cache", { body: req.body, actor: req.actor });
 
-      const filters = {
-        country: req.body.country,
-        category: req.body.category,
-        language: req.body.language,
-      };
+      const { creditsConsumed, ...result } = await unifiedNewsService.refreshCache(filters);
 
-      const result = await unifiedNewsService.refreshCache(filters);
+      await auditLogService.record("news.refresh", req.actor, {
+        params: filters,
+        creditsConsumed,
+        result: { saved: result.saved, updated: result.updated, duplicates: result.duplicates },
+        durationMs: Date.now() - startedAt,
+      });
 
       sendSuccessResponse(
         res,
-        result,
+        { ...result, creditsConsumed },
         "Cache refreshed successfully",
         201
       );
     } catch (error) {
       Logger.error("Error refreshing cache", { error: error.message });
+
+      await auditLogService.record("news.refresh", req.actor, {
+        params: filters,
+        status: "failed",
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+      });
+
       sendErrorResponse(res, error.message, 500);
     }
   }
@@ -237,10 +358,74 @@ class UnifiedNewsController {
     }
   }
 
+  /**
+   * RSS 2.0, Atom 1.0 or JSON Feed 1.1 of the latest articles
+   * GET /api/news/feed.rss, /api/news/feed.atom, /api/news/feed.json
+   * Query params: category, country, language, source, limit
+   */
+  async getSyndicationFeed(req, res) {
+    try {
+      const { format } = req.params;
+
+      if (!SYNDICATION.FORMATS.includes(format)) {
+        return sendErrorResponse(res, `Unknown feed format: ${format}`, 404, { formats: SYNDICATION.FORMATS });
+      }
+
+      const filters = {
+        category: req.query.category,
+        country: req.query.country,
+        language: req.query.language,
+        source: req.query.source,
+      };
+
+      const feed = await syndicationService.getFeed(filters, {
+        limit: Math.min(Math.max(parseInt(req.query.limit) || SYNDICATION.DEFAULT_LIMIT, 1), SYNDICATION.MAX_LIMIT),
+        selfUrl: `${serverConfig.getBaseURL()}${req.originalUrl}`,
+      });
+
+      const { contentType, body } = syndicationService.render(format, feed);
+
+      // res.send adds an ETag and answers conditional requests with 304 Not Modified
+      res
+        .set({
+          "Content-Type": contentType,
+          "Cache-Control": `public, max-age=${SYNDICATION.CACHE_SECONDS}`,
+          "Last-Modified": feed.updatedAt.toUTCString(),
+        })
+        .send(body);
+    } catch (error) {
+      Logger.error("Error rendering news feed", { error: error.message });
+      sendErrorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Live feed of newly saved articles (Server-Sent Events)
+   * GET /api/news/stream
+   * Query params: category, country (comma-separated), language
+   */
+  streamNews(req, res) {
+    const categories = parseStreamFilter(req.query.category, /^[a-z][a-z_-]{1,29}$/);
+    const countries = parseStreamFilter(req.query.country, /^[a-z]{2}$/);
+    const language = req.query.language ? String(req.query.language).toLowerCase() : null;
+
+    if (!categories || !countries || (language && !/^[a-z]{2}$/.test(language))) {
+      return sendErrorResponse(
+        res,
+        "category, country and language must be valid codes (e.g. category=business,technology&country=in)",
+        400
+      );
+    }
+
+    if (!newsStreamService.connect(req, res, { categories, countries, language })) {
+      return sendErrorResponse(res, "Too many open news streams, try again later", 503);
+    }
+  }
+
   /**
    * Get news by country
    * GET /api/news/country/:country
-   * Query params: category, language, page, limit
+   * Query params: category, language, cursor, page, limit
    */
   async getNewsByCountry(req, res) {
     try {
@@ -257,28 +442,22 @@ class UnifiedNewsController {
         language: req.query.language,
       };
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-
-      const data = await unifiedNewsService.getLatestNews(filters);
-
-      if (data.articles && data.articles.length > 0) {
-        sendPaginatedResponse(
-          res,
-          data.articles.slice((page - 1) * limit, page * limit),
-          page,
-          limit,
-          data.totalResults,
-          `News for country '${country}' fetched successfully`
-        );
-      } else {
-        sendSuccessResponse(
-          res,
-          data,
-          `News for country '${country}' fetched successfully`
-        );
-      }
+      const data = await unifiedNewsService.getLatestNews(
+        filters,
+        getPaginationParams(req.query)
+      );
+
+      sendPaginatedResponse(
+        res,
+        data,
+        toPagination(data),
+        `News for country '${country}' fetched successfully`
+      );
     } catch (error) {
+      if (error.name === "InvalidCursorError") {
+        return sendErrorResponse(res, error.message, error.statusCode);
+      }
+
       Logger.error("Error fetching news by country", {
         error: error.message,
       });
@@ -0,0 +1,147 @@
+import { watchlistService } from "../services/index.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse,
+  Logger,
+} from "../utils/index.js";
+
+/**
+ * Send an error from the watchlist service (expected errors carry a statusCode)
+ */
+const sendWatchlistError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Watchlist Controller
+ * Keyword watchlists and alerts of the signed-in user or the anonymous device (req.owner)
+ */
+class WatchlistController {
+  /**
+   * List watchlists with their new-article counts
+   * GET /api/watchlists
+   */
+  async getWatchlists(req, res) {
+    try {
+      const watchlists = await watchlistService.getWatchlists(req.owner);
+
+      sendSuccessResponse(res, { watchlists }, "Watchlists fetched successfully");
+    } catch (error) {
+      sendWatchlistError(res, error, "fetching watchlists");
+    }
+  }
+
+  /**
+   * Create a watchlist
+   * POST /api/watchlists
+   * Body: { name, terms, categories, countries }
+   */
+  async createWatchlist(req, res) {
+    try {
+      const watchlist = await watchlistService.createWatchlist(req.owner, req.body || {});
+
+      sendSuccessResponse(res, watchlist, "Watchlist created", 201);
+    } catch (error) {
+      sendWatchlistError(res, error, "creating watchlist");
+    }
+  }
+
+  /**
+   * Update a watchlist
+   * PATCH /api/watchlists/:id
+   * Body: { name, terms, categories, countries, isActive }
+   */
+  async updateWatchlist(req, res) {
+    try {
+      const watchlist = await watchlistService.updateWatchlist(req.owner, req.params.id, req.body || {});
+
+      sendSuccessResponse(res, watchlist, "Watchlist updated");
+    } catch (error) {
+      sendWatchlistError(res, error, "updating watchlist");
+    }
+  }
+
+  /**
+   * Delete a watchlist and its notifications
+   * DELETE /api/watchlists/:id
+   */
+  async deleteWatchlist(req, res) {
+    try {
+      const data = await watchlistService.deleteWatchlist(req.owner, req.params.id);
+
+      sendSuccessResponse(res, data, "Watchlist deleted");
+    } catch (error) {
+      sendWatchlistError(res, error, "deleting watchlist");
+    }
+  }
+
+  /**
+   * New articles per watchlist since the last visit
+   * GET /api/watchlists/summary
+   */
+  async getSummary(req, res) {
+    try {
+      const summary = await watchlistService.getSummary(req.owner);
+
+      sendSuccessResponse(res, summary, "Watchlist summary fetched successfully");
+    } catch (error) {
+      sendWatchlistError(res, error, "fetching watchlist summary");
+    }
+  }
+
+  /**
+   * List notifications of all watchlists, or of one (/:id/notifications)
+   * GET /api/watchlists/notifications
+   * Query params: new, page, limit
+   */
+  async getNotifications(req, res) {
+    try {
+      const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      };
+
+      const data = await watchlistService.getNotifications(
+        req.owner,
+        { watchlistId: req.params.id, onlyNew: req.query.new === "true" },
+        pagination
+      );
+
+      sendPaginatedResponse(
+        res,
+        data,
+        {
+          currentPage: data.page,
+          totalPages: data.totalPages,
+          totalItems: data.totalResults,
+          itemsPerPage: data.limit,
+        },
+        "Notifications fetched successfully"
+      );
+    } catch (error) {
+      sendWatchlistError(res, error, "fetching notifications");
+    }
+  }
+
+  /**
+   * Mark all watchlists, or one (/:id/seen), as seen
+   * POST /api/watchlists/seen
+   */
+  async markSeen(req, res) {
+    try {
+      const data = await watchlistService.markSeen(req.owner, req.params.id);
+
+      sendSuccessResponse(res, data, "Watchlists marked as seen");
+    } catch (error) {
+      sendWatchlistError(res, error, "marking watchlists as seen");
+    }
+  }
+}
+
+export default new WatchlistController();
@@ -0,0 +1,205 @@
+import { webhookService } from "../services/index.js";
+import { WEBHOOKS } from "../constants/index.js";
+import { DELIVERY_STATUSES } from "../db/models/WebhookDelivery.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse,
+  Logger,
+} from "../utils/index.js";
+
+/**
+ * Send an error from the webhook service (expected errors carry a statusCode)
+ */
+const sendWebhookError = (res, error, action) => {
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, error.details);
+  }
+
+  Logger.error(`Error ${action}`, { error: error.message });
+  return sendErrorResponse(res, error.message, 500);
+};
+
+/**
+ * Webhook Controller
+ * Outbound webhooks and their delivery log (admin only)
+ */
+class WebhookController {
+  /**
+   * List webhooks
+   * GET /api/webhooks
+   */
+  async getWebhooks(req, res) {
+    try {
+      const webhooks = await webhookService.getWebhooks();
+
+      sendSuccessResponse(res, { webhooks }, "Webhooks fetched successfully");
+    } catch (error) {
+      sendWebhookError(res, error, "fetching webhooks");
+    }
+  }
+
+  /**
+   * Create a webhook (the response is the only time the secret is shown, until rotated)
+   * POST /api/webhooks
+   * Body: { name, url, categories, countries, keywords, secret }
+   */
+  async createWebhook(req, res) {
+    try {
+      const webhook = await webhookService.createWebhook(req.body || {}, req.actor);
+
+      sendSuccessResponse(res, webhook, "Webhook created", 201);
+    } catch (error) {
+      sendWebhookError(res, error, "creating webhook");
+    }
+  }
+
+  /**
+   * Get a webhook
+   * GET /api/webhooks/:id
+   */
+  async getWebhook(req, res) {
+    try {
+      const webhook = await webhookService.getWebhook(req.params.id);
+
+      sendSuccessResponse(res, webhook, "Webhook fetched successfully");
+    } catch (error) {
+      sendWebhookError(res, error, "fetching webhook");
+    }
+  }
+
+  /**
+   * Update a webhook
+   * PATCH /api/webhooks/:id
+   * Body: { name, url, categories, countries, keywords, secret, isActive }
+   */
+  async updateWebhook(req, res) {
+    try {
+      const webhook = await webhookService.updateWebhook(req.params.id, req.body || {});
+
+      sendSuccessResponse(res, webhook, "Webhook updated");
+    } catch (error) {
+      sendWebhookError(res, error, "updating webhook");
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * DELETE /api/webhooks/:id
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const data = await webhookService.deleteWebhook(req.params.id);
+
+      sendSuccessResponse(res, data, "Webhook deleted");
+    } catch (error) {
+      sendWebhookError(res, error, "deleting webhook");
+    }
+  }
+
+  /**
+   * Generate a new signing secret
+   * POST /api/webhooks/:id/rotate-secret
+   */
+  async rotateSecret(req, res) {
+    try {
+      const webhook = await webhookService.rotateSecret(req.params.id);
+
+      sendSuccessResponse(res, webhook, "Webhook secret rotated");
+    } catch (error) {
+      sendWebhookError(res, error, "rotating webhook secret");
+    }
+  }
+
+  /**
+   * Send a ping event now
+   * POST /api/webhooks/:id/test
+   */
+  async sendTest(req, res) {
+    try {
+      const delivery = await webhookService.sendTest(req.params.id);
+
+      sendSuccessResponse(
+        res,
+        delivery,
+        delivery.status === "success" ? "Test delivery succeeded" : "Test delivery failed"
+      );
+    } catch (error) {
+      sendWebhookError(res, error, "sending test delivery");
+    }
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * GET /api/webhooks/:id/deliveries
+   * Query params: status, event, page, limit
+   */
+  async getDeliveries(req, res) {
+    try {
+      const { status, event } = req.query;
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return sendErrorResponse(res, `Unknown status: ${status}`, 400, { statuses: DELIVERY_STATUSES });
+      }
+
+      if (event && !WEBHOOKS.EVENTS.includes(event)) {
+        return sendErrorResponse(res, `Unknown event: ${event}`, 400, { events: WEBHOOKS.EVENTS });
+      }
+
+      const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      };
+
+      const data = await webhookService.getDeliveries(req.params.id, { status, event }, pagination);
+
+      sendPaginatedResponse(
+        res,
+        data,
+        {
+          currentPage: data.page,
+          totalPages: data.totalPages,
+          totalItems: data.totalResults,
+          itemsPerPage: data.limit,
+        },
+        "Deliveries fetched successfully"
+      );
+    } catch (error) {
+      sendWebhookError(res, error, "fetching webhook deliveries");
+    }
+  }
+
+  /**
+   * Get a delivery with its payload and attempts
+   * GET /api/webhooks/deliveries/:deliveryId
+   */
+  async getDelivery(req, res) {
+    try {
+      const delivery = await webhookService.getDelivery(req.params.deliveryId);
+
+      sendSuccessResponse(res, delivery, "Delivery fetched successfully");
+    } catch (error) {
+      sendWebhookError(res, error, "fetching webhook delivery");
+    }
+  }
+
+  /**
+   * Send a delivery again now
+   * POST /api/webhooks/deliveries/:deliveryId/redeliver
+   */
+  async redeliver(req, res) {
+    try {
+      const delivery = await webhookService.redeliver(req.params.deliveryId);
+
+      sendSuccessResponse(
+        res,
+        delivery,
+        delivery.status === "success" ? "Redelivery succeeded" : "Redelivery failed"
+      );
+    } catch (error) {
+      sendWebhookError(res, error, "redelivering webhook delivery");
+    }
+  }
+}
+
+export default new WebhookController();
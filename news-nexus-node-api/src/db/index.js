@@ -5,3 +5,21 @@
 
 export { default as databaseConnection } from "./connection.js";
 export { default as News } from "./models/News.model.js";
+export { default as User } from "./models/User.model.js";
+export { default as RefreshToken } from "./models/RefreshToken.model.js";
+export { default as AuditLog } from "./models/AuditLog.model.js";
+export { default as Bookmark } from "./models/Bookmark.model.js";
+export { default as ReadingHistory } from "./models/ReadingHistory.model.js";
+export { default as UserPreference } from "./models/UserPreference.model.js";
+export { default as Watchlist } from "./models/Watchlist.model.js";
+export { default as Notification } from "./models/Notification.model.js";
+export { default as DigestSubscription } from "./models/DigestSubscription.model.js";
+export { default as Webhook } from "./models/Webhook.model.js";
+export { default as WebhookDelivery } from "./models/WebhookDelivery.model.js";
+export { default as FetchSchedule } from "./models/FetchSchedule.model.js";
+export { default as CreditUsage } from "./models/CreditUsage.model.js";
+export { default as FetchSlice } from "./models/FetchSlice.model.js";
+export { default as CategoryDemand } from "./models/CategoryDemand.model.js";
+export { default as AppSetting } from "./models/AppSetting.model.js";
+export { default as ArticleClick } from "./models/ArticleClick.model.js";
+export { articleSnapshotSchema, toArticleSnapshot } from "./models/articleSnapshot.schema.js";
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+/**
+ * App Setting Schema
+ *
+ * Application state that must survive restarts but belongs to no other
+ * collection, one document per key (e.g. "fetchSchedules.seeded": when the
+ * default fetch schedules were inserted, so they are never inserted twice).
+ */
+const appSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "app_settings",
+  }
+);
+
+const AppSetting = mongoose.model("AppSetting", appSettingSchema);
+
+export default AppSetting;
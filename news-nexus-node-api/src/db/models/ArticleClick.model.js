@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { TRENDING } from "../../constants/index.js";
+
+/**
+ * Article Click Schema
+ *
+ * Marker of a counted click on an article per clicker (signed-in user, or
+ * client IP for anonymous readers). While the marker exists, further clicks of
+ * the same clicker are not counted, so a loop cannot push an article up the
+ * trending and digest rankings. Markers expire after CLICK_DEDUP_HOURS.
+ */
+const articleClickSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: String,
+      required: true,
+    },
+
+    // "user:<id>" or "ip:<address>" (clickerKey), "device:<id>" for internal callers
+    clicker: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "article_clicks",
+  }
+);
+
+articleClickSchema.index({ articleId: 1, clicker: 1 }, { unique: true });
+
+articleClickSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: TRENDING.CLICK_DEDUP_HOURS * 60 * 60 }
+);
+
+const ArticleClick = mongoose.model("ArticleClick", articleClickSchema);
+
+export default ArticleClick;
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+
+/**
+ * Audited admin actions
+ */
+export const AUDIT_ACTIONS = [
+  "scheduler.trigger",
+  "scheduler.start",
+  "scheduler.stop",
+  "schedule.create",
+  "schedule.update",
+  "schedule.delete",
+  "news.refresh",
+  "digest.send",
+  "news.export",
+  "news.import",
+  "user.role",
+];
+
+export const AUDIT_STATUSES = ["started", "success", "failed"];
+
+/**
+ * Audit Log Schema
+ *
+ * One entry per admin action: who (user or API key), when, which schedule,
+ * and how many upstream API credits the action consumed.
+ * Long-running actions (manual fetches) are created as "started" and completed later.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+      index: true,
+    },
+
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "apiKey"],
+        required: true,
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+      // Label from ADMIN_API_KEYS (the key itself is never stored)
+      apiKeyLabel: {
+        type: String,
+        default: null,
+      },
+      ip: {
+        type: String,
+        default: null,
+      },
+      userAgent: {
+        type: String,
+        default: null,
+      },
+    },
+
+    // Schedule name for scheduler.trigger (e.g. "MORNING")
+    schedule: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    // Request parameters (e.g. refresh filters)
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: AUDIT_STATUSES,
+      default: "success",
+      index: true,
+    },
+
+    // Upstream requests made, keyed by provider key (e.g. { newsDataIo: 4, newsApiOrg: 2 })
+    creditsConsumed: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+
+    totalCredits: {
+      type: Number,
+      default: 0,
+    },
+
+    // Outcome summary (saved, updated, duplicates, ...)
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "audit_logs",
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { articleSnapshotSchema } from "./articleSnapshot.schema.js";
+
+/**
+ * Bookmark Schema
+ *
+ * A saved article owned by a user or by an anonymous device (X-Device-Id).
+ * The article is copied into `snapshot` when it is saved, so bookmarks keep
+ * working after the News document is soft-deleted or purged.
+ */
+const bookmarkSchema = new mongoose.Schema(
+  {
+    // Owner: exactly one of user / deviceId is set
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deviceId: {
+      type: String,
+      default: null,
+    },
+
+    // News document at the time of saving (may no longer exist)
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      default: null,
+    },
+
+    articleId: {
+      type: String,
+      required: true,
+    },
+
+    // Copy of the displayable article fields (same shape as News)
+    snapshot: {
+      type: articleSnapshotSchema,
+      required: true,
+    },
+
+    folder: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [50, "Folder name cannot exceed 50 characters"],
+    },
+
+    tags: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "bookmarks",
+  }
+);
+
+// One bookmark per article and owner
+bookmarkSchema.index(
+  { user: 1, articleId: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+bookmarkSchema.index(
+  { deviceId: 1, articleId: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } }
+);
+
+// Listing (newest first)
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ deviceId: 1, createdAt: -1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import { PLANNER } from "../../constants/index.js";
+
+/**
+ * Category Demand Schema
+ *
+ * Reader visits of a category page (GET /api/news/category/:category) per
+ * country filter and day. The fetch planner spends more credits on the
+ * categories readers open most.
+ */
+const categoryDemandSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+    },
+
+    // Country filter of the request (null: no country filter)
+    country: {
+      type: String,
+      default: null,
+    },
+
+    // YYYY-MM-DD in SCHEDULER_TIMEZONE
+    day: {
+      type: String,
+      required: true,
+    },
+
+    views: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "category_demand",
+  }
+);
+
+categoryDemandSchema.index({ category: 1, country: 1, day: 1 }, { unique: true });
+
+categoryDemandSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: PLANNER.DEMAND_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const CategoryDemand = mongoose.model("CategoryDemand", categoryDemandSchema);
+
+export default CategoryDemand;
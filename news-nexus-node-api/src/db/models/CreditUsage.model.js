@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { CREDITS } from "../../constants/index.js";
+
+/**
+ * Credit Usage Schema
+ *
+ * Upstream API calls of one provider on one day (in SCHEDULER_TIMEZONE, the
+ * day the daily credits reset). Written by creditLedger.service.js before and
+ * after every request to a credit-limited provider, so scheduled fetches,
+ * manual triggers, refreshes and proxied API routes share one budget.
+ */
+const creditUsageSchema = new mongoose.Schema(
+  {
+    // Provider key (e.g. newsDataIo)
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    // YYYY-MM-DD in SCHEDULER_TIMEZONE
+    day: {
+      type: String,
+      required: true,
+    },
+
+    // Credits reserved by requests sent today (refunded when no response came back)
+    used: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    calls: {
+      type: Number,
+      default: 0,
+    },
+
+    // Requests that failed (error status or no response)
+    failed: {
+      type: Number,
+      default: 0,
+    },
+
+    // Requests answered with 429 Too Many Requests
+    rateLimited: {
+      type: Number,
+      default: 0,
+    },
+
+    lastCallAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Latest X-RateLimit-Limit / X-RateLimit-Remaining sent by the provider
+    providerLimit: {
+      type: Number,
+      default: null,
+    },
+    providerRemaining: {
+      type: Number,
+      default: null,
+    },
+
+    // No requests before this time (provider rate limit or its remaining credits at 0)
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "credit_usage",
+  }
+);
+
+creditUsageSchema.index({ provider: 1, day: 1 }, { unique: true });
+
+creditUsageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: CREDITS.USAGE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const CreditUsage = mongoose.model("CreditUsage", creditUsageSchema);
+
+export default CreditUsage;
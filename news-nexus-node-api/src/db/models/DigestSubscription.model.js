@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { DIGEST } from "../../constants/index.js";
+
+/**
+ * Digest Subscription Schema
+ *
+ * A daily or weekly digest email of a user: top articles of the chosen
+ * categories/countries and new matches of the chosen watchlists.
+ */
+const digestSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Recipient (the account email when the subscription was created)
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    frequency: {
+      type: String,
+      enum: DIGEST.FREQUENCIES,
+      required: true,
+    },
+
+    categories: {
+      type: [String],
+      default: [],
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+    },
+
+    watchlists: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Watchlist" }],
+      default: [],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Opaque token of the unsubscribe link in every digest (no login needed)
+    unsubscribeToken: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+      default: () => crypto.randomBytes(24).toString("base64url"),
+    },
+
+    unsubscribedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastArticleCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "digest_subscriptions",
+  }
+);
+
+// Subscriptions due for a digest run
+digestSubscriptionSchema.index({ frequency: 1, isActive: 1 });
+
+const DigestSubscription = mongoose.model("DigestSubscription", digestSubscriptionSchema);
+
+export default DigestSubscription;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { providerRegistry } from "../../providers/index.js";
+
+/**
+ * Fetch Schedule Schema
+ *
+ * One scheduled fetch: a cron expression and, per provider, the fetch
+ * configurations to request (same shape as the FETCH_SCHEDULE entries it is
+ * seeded from). Edited at runtime by admins; the scheduler reloads the job
+ * of a schedule when it changes.
+ */
+
+// One list of fetch configurations per registered provider (newsDataConfig, rssConfig, ...)
+const providerConfigFields = Object.fromEntries(
+  providerRegistry.list().map((provider) => [
+    provider.scheduleKey,
+    { type: [mongoose.Schema.Types.Mixed], default: [] },
+  ])
+);
+
+const fetchScheduleSchema = new mongoose.Schema(
+  {
+    // Schedule key (e.g. MORNING), used in URLs, the audit log and scheduler status
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // Cron expression, evaluated in SCHEDULER_TIMEZONE
+    time: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 200,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Credit-limited providers fetch the slices chosen by the fetch planner
+    // instead of the configurations below (false: fetch exactly these)
+    adaptive: {
+      type: Boolean,
+      default: true,
+    },
+
+    ...providerConfigFields,
+
+    updatedBy: {
+      type: {
+        type: String,
+        enum: ["user", "apiKey", "system"],
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+      apiKeyLabel: {
+        type: String,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: "fetch_schedules",
+    minimize: false,
+  }
+);
+
+const FetchSchedule = mongoose.model("FetchSchedule", fetchScheduleSchema);
+
+export default FetchSchedule;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { PLANNER } from "../../constants/index.js";
+
+/**
+ * Fetch Slice Schema
+ *
+ * Outcome of the latest fetch of one provider configuration (a category /
+ * country slice such as business in India). Written after every scheduled
+ * fetch; the fetch planner ranks slices by how stale they are and how many
+ * new articles they yielded, and paginated fetches resume from nextPages.
+ */
+const fetchSliceSchema = new mongoose.Schema(
+  {
+    // Provider key (e.g. newsDataIo)
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    // Canonical form of the configuration (e.g. category=business&country=in&language=en)
+    key: {
+      type: String,
+      required: true,
+    },
+
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    lastFetchedAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Articles accepted by the latest fetch
+    lastReceived: {
+      type: Number,
+      default: 0,
+    },
+
+    // Articles of the latest fetch that were not in the database yet
+    lastYield: {
+      type: Number,
+      default: 0,
+    },
+
+    // Pages (credits) the latest fetch used
+    lastPages: {
+      type: Number,
+      default: 1,
+    },
+
+    // Page tokens where fetches ran out of pages before reaching stored articles,
+    // oldest first; later fetches continue from them (NewsData.io nextPage)
+    nextPages: {
+      type: [String],
+      default: [],
+    },
+
+    fetches: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "fetch_slices",
+    minimize: false,
+  }
+);
+
+fetchSliceSchema.index({ provider: 1, key: 1 }, { unique: true });
+
+// Slices removed from every schedule stop being fetched and expire
+fetchSliceSchema.index(
+  { lastFetchedAt: 1 },
+  { expireAfterSeconds: PLANNER.SLICE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const FetchSlice = mongoose.model("FetchSlice", fetchSliceSchema);
+
+export default FetchSlice;
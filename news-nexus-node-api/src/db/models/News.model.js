@@ -1,4 +1,13 @@
 import mongoose from "mongoose";
+import { providerRegistry } from "../../providers/index.js";
+import {
+  DATE_SORT,
+  RELEVANCE_SORT,
+  decodeCursor,
+  buildKeysetFilter,
+  buildCursorSort,
+  buildCursorPage,
+} from "../../utils/cursor.js";
 
 /**
  * URL Validator
@@ -130,11 +139,12 @@ const newsSchema = new mongoose.Schema(
     },
 
     // Metadata
+    // Must match a provider registered in src/providers
     sourceApi: {
       type: String,
-      enum: {
-        values: ["newsdata.io", "newsapi.org"],
-        message: "{VALUE} is not a supported news API source",
+      validate: {
+        validator: (value) => providerRegistry.has(value),
+        message: (props) => `${props.value} is not a supported news API source`,
       },
       required: true,
       index: true,
@@ -180,6 +190,37 @@ const newsSchema = new mongoose.Schema(
       index: true, // Index for filtering out duplicates
     },
 
+    // Cross-provider duplicate detection
+    canonicalUrl: {
+      type: String,
+      default: null,
+      index: true, // URL without tracking params / host variants
+    },
+
+    canonicalArticleId: {
+      type: String,
+      default: null,
+      index: true, // articleId of the canonical article when duplicate: true
+    },
+
+    // Story cluster (related coverage of the same event)
+    clusterId: {
+      type: String,
+      default: null,
+    },
+
+    // In-app engagement (used by the trending score)
+    clickCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastClickedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Soft delete support (for logical deletion without removing data)
     isDeleted: {
       type: Boolean,
@@ -260,6 +301,9 @@ newsSchema.index({
 // Duplicate detection index
 newsSchema.index({ duplicate: 1, fetchedAt: -1 });
 
+// Story clusters: members of a cluster ordered by publish time
+newsSchema.index({ clusterId: 1, publishedAt: -1 });
+
 /**
  * QUERY HELPERS
  * Reusable query builders for common patterns
@@ -365,16 +409,19 @@ newsSchema.statics.findByCountry = function (countries, options = {}) {
  * Search articles using full-text search (IMPROVED)
  * Sorts by textScore for relevance instead of just publishedAt
  * @param {string} searchQuery - Search text
- * @param {object} options - { limit, skip, lean }
+ * @param {object} options - { limit, skip, lean, filters }
+ *   filters: additional MongoDB conditions (country, language, date range, ...)
  */
 newsSchema.statics.searchArticles = function (searchQuery, options = {}) {
   const {
     limit = 20,
     skip = 0,
     lean = true,
+    filters = {},
   } = options;
 
   let query = this.find({
+    ...filters,
     $text: { $search: searchQuery },
     isDeleted: false,
     duplicate: false,
@@ -392,6 +439,20 @@ newsSchema.statics.searchArticles = function (searchQuery, options = {}) {
   return lean ? query.lean() : query;
 };
 
+/**
+ * Count full-text search matches (for pagination metadata)
+ * @param {string} searchQuery - Search text
+ * @param {object} filters - Same additional conditions as searchArticles
+ */
+newsSchema.statics.countSearchResults = function (searchQuery, filters = {}) {
+  return this.countDocuments({
+    ...filters,
+    $text: { $search: searchQuery },
+    isDeleted: false,
+    duplicate: false,
+  });
+};
+
 /**
  * Count articles matching filters (for pagination metadata)
  */
@@ -403,6 +464,93 @@ newsSchema.statics.countByFilters = function (filters = {}) {
   });
 };
 
+/**
+ * Paginate active articles by publish date (newest first)
+ * Accepts an opaque cursor (keyset on publishedAt + _id) or a page number
+ * @param {object} filters - Additional MongoDB conditions
+ * @param {object} options - { limit, cursor, page }
+ * @returns {Promise<{ items, nextCursor, prevCursor, hasMore }>}
+ */
+newsSchema.statics.findPage = async function (filters = {}, options = {}) {
+  const { limit = 20, cursor = null, page = 1 } = options;
+  const conditions = { ...filters, isDeleted: false, duplicate: false };
+
+  let direction = null;
+  let query;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, DATE_SORT);
+    direction = decoded.direction;
+    query = this.find({ $and: [conditions, buildKeysetFilter(DATE_SORT, decoded.values, direction)] })
+      .sort(buildCursorSort(DATE_SORT, direction));
+  } else {
+    query = this.find(conditions)
+      .sort(buildCursorSort(DATE_SORT, "next"))
+      .skip((page - 1) * limit);
+  }
+
+  // One extra row tells whether another page exists
+  const rows = await query.limit(limit + 1).lean();
+
+  return buildCursorPage(rows, {
+    limit,
+    sortFields: DATE_SORT,
+    direction,
+    hasPrevious: Boolean(cursor) || page > 1,
+  });
+};
+
+/**
+ * Paginate full-text search results by relevance (textScore, then date)
+ * Same cursor/page options as findPage; every article includes its "score"
+ * @param {string} searchQuery - Search text
+ * @param {object} options - { filters, limit, cursor, page }
+ * @returns {Promise<{ items, nextCursor, prevCursor, hasMore }>}
+ */
+newsSchema.statics.searchPage = async function (searchQuery, options = {}) {
+  const { filters = {}, limit = 20, cursor = null, page = 1 } = options;
+
+  const pipeline = [
+    // $text must be part of the first stage
+    {
+      $match: {
+        ...filters,
+        $text: { $search: searchQuery },
+        isDeleted: false,
+        duplicate: false,
+      },
+    },
+    { $addFields: { score: { $meta: "textScore" } } },
+  ];
+
+  let direction = null;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, RELEVANCE_SORT);
+    direction = decoded.direction;
+    pipeline.push(
+      { $match: buildKeysetFilter(RELEVANCE_SORT, decoded.values, direction) },
+      { $sort: buildCursorSort(RELEVANCE_SORT, direction) }
+    );
+  } else {
+    pipeline.push(
+      { $sort: buildCursorSort(RELEVANCE_SORT, "next") },
+      { $skip: (page - 1) * limit }
+    );
+  }
+
+  pipeline.push({ $limit: limit + 1 });
+
+  const rows = await this.aggregate(pipeline);
+
+  return buildCursorPage(rows, {
+    limit,
+    sortFields: RELEVANCE_SORT,
+    direction,
+    hasPrevious: Boolean(cursor) || page > 1,
+  });
+};
+
 /**
  * Bulk upsert articles (SAFE INSERT STRATEGY)
  * 
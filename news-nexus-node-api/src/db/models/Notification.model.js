@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { articleSnapshotSchema } from "./articleSnapshot.schema.js";
+import { WATCHLISTS } from "../../constants/index.js";
+
+/**
+ * Notification Schema
+ *
+ * An article that matched a watchlist. Created after scheduled fetches, one per
+ * watchlist and article, and expired WATCHLISTS.NOTIFICATION_RETENTION_DAYS later.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    // Owner (copied from the watchlist)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deviceId: {
+      type: String,
+      default: null,
+    },
+
+    watchlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Watchlist",
+      required: true,
+    },
+
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      default: null,
+    },
+
+    articleId: {
+      type: String,
+      required: true,
+    },
+
+    snapshot: {
+      type: articleSnapshotSchema,
+      required: true,
+    },
+
+    matchedTerms: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "notifications",
+  }
+);
+
+// An article notifies a watchlist once
+notificationSchema.index({ watchlist: 1, articleId: 1 }, { unique: true });
+
+// Newest first per owner
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ deviceId: 1, createdAt: -1 });
+
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WATCHLISTS.NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
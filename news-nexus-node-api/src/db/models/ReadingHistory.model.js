@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import { articleSnapshotSchema } from "./articleSnapshot.schema.js";
+import { READING_HISTORY } from "../../constants/index.js";
+
+/**
+ * Where an article was opened from in the app
+ */
+export const READ_SOURCES = ["card", "trending", "continue", "saved", "alert", "other"];
+
+/**
+ * Reading History Schema
+ *
+ * One entry per article and owner (user or anonymous device), updated every time
+ * the article is opened again. Entries expire READING_HISTORY.RETENTION_DAYS after
+ * the last read.
+ */
+const readingHistorySchema = new mongoose.Schema(
+  {
+    // Owner: exactly one of user / deviceId is set
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deviceId: {
+      type: String,
+      default: null,
+    },
+
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      default: null,
+    },
+
+    articleId: {
+      type: String,
+      required: true,
+    },
+
+    snapshot: {
+      type: articleSnapshotSchema,
+      required: true,
+    },
+
+    firstReadAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastReadAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    readCount: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    lastSource: {
+      type: String,
+      enum: READ_SOURCES,
+      default: "other",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "reading_history",
+  }
+);
+
+// One entry per article and owner
+readingHistorySchema.index(
+  { user: 1, articleId: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+readingHistorySchema.index(
+  { deviceId: 1, articleId: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } }
+);
+
+// Recently read first
+readingHistorySchema.index({ user: 1, lastReadAt: -1 });
+readingHistorySchema.index({ deviceId: 1, lastReadAt: -1 });
+
+// Forget articles not opened again within the retention period
+readingHistorySchema.index(
+  { lastReadAt: 1 },
+  { expireAfterSeconds: READING_HISTORY.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const ReadingHistory = mongoose.model("ReadingHistory", readingHistorySchema);
+
+export default ReadingHistory;
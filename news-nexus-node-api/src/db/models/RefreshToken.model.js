@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+/**
+ * Refresh Token Schema
+ *
+ * Opaque refresh tokens are stored as SHA-256 hashes. Every refresh rotates the
+ * token: the old one is revoked and points to its replacement. All tokens issued
+ * from one login share a `family`, so reusing a rotated token (a sign of theft)
+ * revokes the whole family.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // tokenHash of the token issued when this one was rotated
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+
+    createdByIp: {
+      type: String,
+      default: null,
+    },
+
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "refresh_tokens",
+  }
+);
+
+// Expired tokens are removed by MongoDB automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the token can still be exchanged
+ */
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
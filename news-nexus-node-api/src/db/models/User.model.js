@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import { AUTH_CONFIG } from "../../config/auth.config.js";
+
+/**
+ * User roles
+ */
+export const USER_ROLES = ["user", "admin"];
+
+/**
+ * User Schema
+ *
+ * Identity for personalization features with:
+ * - bcrypt password hashing (pre-save hook, password never selected by default)
+ * - Roles for authorization
+ * - Account deactivation without deleting data
+ */
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [254, "Email cannot exceed 254 characters"],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Email is not valid"],
+    },
+
+    // bcrypt hash (plain text is only set before save)
+    password: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    name: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "users",
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * INSTANCE METHODS
+ */
+
+/**
+ * Compare a plain password with the stored hash
+ * Requires the document to be loaded with .select("+password")
+ */
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Public profile (safe to return from the API)
+ */
+userSchema.methods.toProfile = function () {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    createdAt: this.createdAt,
+    lastLoginAt: this.lastLoginAt,
+  };
+};
+
+/**
+ * MIDDLEWARE (Pre/Post Hooks)
+ */
+
+// Pre-save: hash the password whenever it changes
+userSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+  this.password = await bcrypt.hash(this.password, AUTH_CONFIG.BCRYPT_ROUNDS);
+});
+
+const User = mongoose.model("User", userSchema);
+
+export default User;
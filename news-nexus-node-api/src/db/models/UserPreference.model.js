@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+/**
+ * User Preference Schema
+ *
+ * Explicit follows of a user or anonymous device for the "For You" feed.
+ * Implicit signals (reading history, bookmarks) are derived when the feed is built.
+ */
+const userPreferenceSchema = new mongoose.Schema(
+  {
+    // Owner: exactly one of user / deviceId is set
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deviceId: {
+      type: String,
+      default: null,
+    },
+
+    categories: {
+      type: [String],
+      default: [],
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+    },
+
+    // Source ids or names (matched case-insensitively)
+    sources: {
+      type: [String],
+      default: [],
+    },
+
+    keywords: {
+      type: [String],
+      default: [],
+    },
+
+    // Sources never shown in the feed
+    mutedSources: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "user_preferences",
+  }
+);
+
+// One preference document per owner
+userPreferenceSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+userPreferenceSchema.index(
+  { deviceId: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } }
+);
+
+const UserPreference = mongoose.model("UserPreference", userPreferenceSchema);
+
+export default UserPreference;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+/**
+ * Watchlist Schema
+ *
+ * Keywords or entities ("RBI", "OpenAI", "monsoon") followed by a user or an
+ * anonymous device. Articles saved by scheduled fetches that mention any of the
+ * terms create notifications.
+ */
+const watchlistSchema = new mongoose.Schema(
+  {
+    // Owner: exactly one of user / deviceId is set
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deviceId: {
+      type: String,
+      default: null,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+
+    // Matched as whole words / phrases, case-insensitive
+    terms: {
+      type: [String],
+      required: true,
+    },
+
+    // Optional narrowing: only articles in these categories / countries
+    categories: {
+      type: [String],
+      default: [],
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Notifications created after this are "new since your last visit"
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastMatchedAt: {
+      type: Date,
+      default: null,
+    },
+
+    totalMatches: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "watchlists",
+  }
+);
+
+// Watchlist names are unique per owner
+watchlistSchema.index(
+  { user: 1, name: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+watchlistSchema.index(
+  { deviceId: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } }
+);
+
+// Matching loads the active watchlists filtered by the articles' categories
+watchlistSchema.index({ isActive: 1, categories: 1 });
+
+const Watchlist = mongoose.model("Watchlist", watchlistSchema);
+
+export default Watchlist;
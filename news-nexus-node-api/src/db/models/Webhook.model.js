@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+/**
+ * Webhook Schema
+ *
+ * A downstream service that is pushed newly fetched articles matching its
+ * category/country/keyword filters. Payloads are signed with the webhook secret.
+ * Managed by admins.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+      unique: true,
+    },
+
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Filters: an article must match all given filters (empty = any)
+    categories: {
+      type: [String],
+      default: [],
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+    },
+
+    // Whole-word keywords in title, description or article keywords (any of them)
+    keywords: {
+      type: [String],
+      default: [],
+    },
+
+    // HMAC-SHA256 key of the X-Nexus-Signature header (only returned on create and rotate)
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+      default: () => `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Set when the webhook was paused after too many failed deliveries in a row
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+
+    createdBy: {
+      type: {
+        type: String,
+        enum: ["user", "apiKey"],
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+      apiKeyLabel: {
+        type: String,
+        default: null,
+      },
+    },
+
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+
+    totalDeliveries: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "webhooks",
+  }
+);
+
+webhookSchema.index({ isActive: 1 });
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
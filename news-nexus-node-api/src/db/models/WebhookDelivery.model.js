@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { WEBHOOKS } from "../../constants/index.js";
+
+export const DELIVERY_STATUSES = ["pending", "success", "failed"];
+
+/**
+ * One HTTP attempt of a delivery
+ */
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    // Network error, timeout or non-2xx status
+    error: { type: String, default: null },
+    // Start of the response body, for debugging the receiver
+    responseBody: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Webhook Delivery Schema
+ *
+ * One event sent to one webhook, with every attempt made. Pending deliveries are
+ * retried with backoff (WEBHOOKS.RETRY_DELAYS_MINUTES) until they succeed or run
+ * out of attempts. Deliveries expire after WEBHOOKS.DELIVERY_RETENTION_DAYS.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+
+    // Sent as X-Nexus-Delivery; receivers can use it to ignore redeliveries
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomUUID(),
+    },
+
+    event: {
+      type: String,
+      enum: WEBHOOKS.EVENTS,
+      required: true,
+    },
+
+    // JSON body (signed again on every attempt with a fresh timestamp)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    articleIds: {
+      type: [String],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+
+    attempts: {
+      type: [deliveryAttemptSchema],
+      default: [],
+    },
+
+    // Next attempt of a pending delivery (pushed forward while an attempt is running)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "webhook_deliveries",
+  }
+);
+
+// Delivery log of a webhook, newest first
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Due deliveries (retry worker)
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOKS.DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+export default WebhookDelivery;
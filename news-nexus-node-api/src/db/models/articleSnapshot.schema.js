@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+/**
+ * Article Snapshot Schema
+ *
+ * Copy of the displayable fields of a News article (same shape as News), embedded
+ * in personal collections (bookmarks, reading history) so they stay readable after
+ * the article is soft-deleted or purged
+ */
+export const articleSnapshotSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String, default: null },
+    url: { type: String, required: true },
+    urlToImage: { type: String, default: null },
+    publishedAt: { type: Date, default: null },
+    source: {
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    author: { type: String, default: null },
+    category: { type: [String], default: [] },
+    country: { type: [String], default: [] },
+    language: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Build a snapshot from a News document (or a stored snapshot)
+ */
+export const toArticleSnapshot = (article) => ({
+  title: article.title,
+  description: article.description || null,
+  url: article.url,
+  urlToImage: article.urlToImage || null,
+  publishedAt: article.publishedAt || null,
+  source: { id: article.source?.id || null, name: article.source?.name || null },
+  author: article.author || null,
+  category: article.category || [],
+  country: article.country || [],
+  language: article.language || null,
+});
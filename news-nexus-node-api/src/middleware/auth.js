@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import { authService } from "../services/index.js";
+import { UnauthorizedError, ForbiddenError, BadRequestError } from "../utils/index.js";
+import { AUTH_CONFIG } from "../config/index.js";
+
+/**
+ * Authentication Middleware
+ * Verifies "Authorization: Bearer <access token>" and sets req.user = { id, role, email }
+ * Admin routes also accept an "X-API-Key" header and set req.actor for audit logs
+ */
+
+// Anonymous device ids generated by clients (e.g. crypto.randomUUID())
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @returns {string|null} Token, or null when the header is missing
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    throw new UnauthorizedError("Authorization header must be 'Bearer <token>'");
+  }
+
+  return token;
+};
+
+/**
+ * Set req.user from a verified access token
+ */
+const attachUser = (req, token) => {
+  const payload = authService.verifyAccessToken(token);
+  req.user = { id: payload.sub, role: payload.role, email: payload.email };
+};
+
+/**
+ * Require a valid access token (401 otherwise)
+ */
+export const authenticate = (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new UnauthorizedError("Authentication required");
+    }
+
+    attachUser(req, token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Identify the user when a token is sent, continue anonymously otherwise
+ * An invalid or expired token still returns 401 so clients know to refresh it
+ */
+export const optionalAuth = (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      attachUser(req, token);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Identify who owns personal data (bookmarks, ...): the signed-in user, or else
+ * the anonymous device from the "X-Device-Id" header
+ * Sets req.owner = { user } or { deviceId }
+ */
+export const identifyOwner = (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      attachUser(req, token);
+      req.owner = { user: req.user.id };
+      return next();
+    }
+
+    const deviceId = req.get("x-device-id");
+    if (!deviceId) {
+      throw new UnauthorizedError("Sign in or send an X-Device-Id header");
+    }
+
+    if (!DEVICE_ID_PATTERN.test(deviceId)) {
+      throw new BadRequestError("X-Device-Id must be 8-128 letters, digits, '-' or '_'");
+    }
+
+    req.owner = { deviceId };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an authenticated user with one of the given roles
+ * Use after authenticate: router.get("/x", authenticate, authorize("admin"), handler)
+ * @param {...string} roles - Allowed roles
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError("Authentication required"));
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+/**
+ * Find the configured admin API key matching a header value (constant-time compare)
+ * @returns {Object|null} { label, key } or null
+ */
+const findApiKey = (value) => {
+  const candidate = crypto.createHash("sha256").update(value).digest();
+
+  return (
+    AUTH_CONFIG.ADMIN_API_KEYS.find(({ key }) =>
+      crypto.timingSafeEqual(candidate, crypto.createHash("sha256").update(key).digest())
+    ) || null
+  );
+};
+
+/**
+ * Require an admin: either an admin access token or a valid X-API-Key
+ * Sets req.actor = { type, userId, email, apiKeyLabel, ip, userAgent } for audit logs
+ */
+export const requireAdmin = (req, res, next) => {
+  try {
+    const meta = { ip: req.ip, userAgent: req.get("user-agent") || null };
+    const apiKey = req.get("x-api-key");
+
+    if (apiKey) {
+      const match = findApiKey(apiKey);
+      if (!match) {
+        throw new UnauthorizedError("Invalid API key");
+      }
+
+      req.actor = { type: "apiKey", apiKeyLabel: match.label, ...meta };
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new UnauthorizedError("Admin access token or API key required");
+    }
+
+    attachUser(req, token);
+
+    if (req.user.role !== "admin") {
+      throw new ForbiddenError("Admin role required");
+    }
+
+    req.actor = { type: "user", userId: req.user.id, email: req.user.email, ...meta };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
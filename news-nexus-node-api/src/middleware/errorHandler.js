@@ -20,12 +20,24 @@ const errorHandler = (err, req, res, next) => {
     return sendErrorResponse(res, "Validation failed", 400, err.errors);
   }
 
+  if (err.name === "SearchQueryError") {
+    return sendErrorResponse(res, err.message, 400, err.details);
+  }
+
+  if (err.name === "QuotaExceededError") {
+    return sendErrorResponse(res, err.message, 429, err.details);
+  }
+
   if (err.name === "UnauthorizedError") {
-    return sendErrorResponse(res, "Unauthorized access", 401);
+    return sendErrorResponse(res, err.message || "Unauthorized access", 401);
+  }
+
+  if (err.name === "ForbiddenError") {
+    return sendErrorResponse(res, err.message, 403);
   }
 
   if (err.name === "NotFoundError") {
-    return sendErrorResponse(res, "Resource not found", 404);
+    return sendErrorResponse(res, err.message || "Resource not found", 404);
   }
 
   // Default error response
@@ -6,3 +6,11 @@
 export { default as errorHandler } from "./errorHandler.js";
 export { default as requestLogger } from "./logger.js";
 export { default as notFoundHandler } from "./notFoundHandler.js";
+export { default as requireSingleQueryValues } from "./queryParams.js";
+export {
+  authenticate,
+  optionalAuth,
+  identifyOwner,
+  authorize,
+  requireAdmin,
+} from "./auth.js";
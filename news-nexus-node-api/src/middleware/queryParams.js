@@ -0,0 +1,23 @@
+import { BadRequestError } from "../utils/index.js";
+
+/**
+ * Reject query parameters given more than once ("?source=a&source=b")
+ * Express parses repeated parameters into arrays, which the list endpoints
+ * would otherwise pass on to string methods and database filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSingleQueryValues = (req, res, next) => {
+  const repeated = Object.keys(req.query || {}).filter((name) => typeof req.query[name] !== "string");
+
+  if (repeated.length > 0) {
+    return next(
+      new BadRequestError(`Query parameters must be given once: ${repeated.join(", ")}`, { params: repeated })
+    );
+  }
+
+  next();
+};
+
+export default requireSingleQueryValues;
@@ -0,0 +1,94 @@
+import { API_LIMITS } from "../config/index.js";
+
+/**
+ * Base News Provider
+ * Common adapter interface implemented by every upstream news source
+ *
+ * Each provider describes itself with:
+ * - name: value stored in News.sourceApi (e.g. "newsdata.io")
+ * - key: identifier used for credit limits and statistics (e.g. "newsDataIo")
+ * - scheduleKey: field read from each FETCH_SCHEDULE entry (e.g. "newsDataConfig")
+ *
+ * Subclasses must implement fetch() and normalize(); paginated providers also
+ * override fetchPages() and estimateCredits()
+ * Normalized articles are validated by articleNormalizer.service.js
+ */
+export class BaseNewsProvider {
+  constructor({ name, key, scheduleKey, displayName, supportsRefresh = true }) {
+    this.name = name;
+    this.key = key;
+    this.scheduleKey = scheduleKey;
+    this.displayName = displayName || name;
+    this.supportsRefresh = supportsRefresh; // Can be used by POST /api/news/refresh
+  }
+
+  /**
+   * Fetch raw articles from the upstream API
+   * @param {Object} config - Fetch configuration (category, country, language, ...)
+   * @returns {Promise<Array>} Raw articles as returned by the upstream API
+   */
+  async fetch(config = {}) {
+    throw new Error(`${this.constructor.name} must implement fetch()`);
+  }
+
+  /**
+   * Fetch raw articles over several pages (scheduled fetches)
+   * @param {Object} config - Fetch configuration
+   * @param {Object} options - { resumeFrom, isStored } resumeFrom: page tokens saved by earlier fetches
+   *   (oldest first), isStored: async (articleIds) => whether any of them is already in the database
+   * @returns {Promise<Object>} { articles, pages, nextPages, stoppedBy } nextPages: tokens to resume from next time
+   */
+  async fetchPages(config = {}, options = {}) {
+    const articles = await this.fetch(config);
+    return { articles, pages: 1, nextPages: [], stoppedBy: "end" };
+  }
+
+  /**
+   * Most credits a scheduled fetch of a configuration can use
+   */
+  estimateCredits(config = {}) {
+    return 1;
+  }
+
+  /**
+   * Normalize a raw article to the News schema shape
+   * @param {Object} article - Raw article
+   * @param {Object} context - Fetch configuration the article was fetched with
+   * @returns {Object} Normalized article
+   */
+  normalize(article, context = {}) {
+    throw new Error(`${this.constructor.name} must implement normalize()`);
+  }
+
+  /**
+   * Map unified refresh filters to a provider fetch configuration
+   * @param {Object} filters - { country, category, language }
+   * @returns {Object} Provider fetch configuration
+   */
+  buildRefreshConfig(filters = {}) {
+    return filters;
+  }
+
+  /**
+   * Whether requests to this provider count against a daily credit limit
+   */
+  usesCredits() {
+    return this.getQuotaInfo().dailyLimit !== null;
+  }
+
+  /**
+   * Get API credit quota information for this provider
+   * @returns {Object} { provider, dailyLimit, perFetchLimit }
+   */
+  getQuotaInfo() {
+    const limits = API_LIMITS[this.key] || {};
+
+    return {
+      provider: this.name,
+      dailyLimit: limits.dailyLimit ?? null,
+      perFetchLimit: limits.perFetchLimit ?? null,
+    };
+  }
+}
+
+export default BaseNewsProvider;
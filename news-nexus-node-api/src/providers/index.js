@@ -0,0 +1,18 @@
+/**
+ * Providers barrel export
+ * Registers the built-in news providers and exposes the registry
+ */
+
+import providerRegistry from "./registry.js";
+import newsDataProvider from "./newsData.provider.js";
+import newsApiOrgProvider from "./newsApiOrg.provider.js";
+import rssProvider from "./rss.provider.js";
+
+// Built-in providers (registration order = fetch order)
+providerRegistry
+  .register(newsDataProvider)
+  .register(newsApiOrgProvider)
+  .register(rssProvider);
+
+export { providerRegistry, newsDataProvider, newsApiOrgProvider, rssProvider };
+export { BaseNewsProvider } from "./base.provider.js";
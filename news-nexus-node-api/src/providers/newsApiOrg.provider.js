@@ -0,0 +1,66 @@
+import { BaseNewsProvider } from "./base.provider.js";
+import newsApiOrgService from "../services/newsApiOrg.service.js";
+import { API_SOURCES } from "../constants/index.js";
+
+/**
+ * NewsAPI.org Provider
+ * Adapter for NewsAPI.org top headlines endpoint
+ */
+class NewsApiOrgProvider extends BaseNewsProvider {
+  constructor() {
+    super({
+      name: API_SOURCES.NEWSAPI,
+      key: "newsApiOrg",
+      scheduleKey: "newsApiConfig",
+      displayName: "NewsAPI.org",
+    });
+  }
+
+  /**
+   * Fetch top headlines from NewsAPI.org
+   */
+  async fetch(config = {}) {
+    const result = await newsApiOrgService.getTopHeadlines(config);
+    return result?.articles || [];
+  }
+
+  /**
+   * Normalize NewsAPI.org article
+   * Category and country are not part of the response, so they are taken
+   * from the configuration the article was fetched with
+   */
+  normalize(article, context = {}) {
+    return {
+      articleId: `newsapi_${article.url}`,
+      title: article.title,
+      description: article.description || "",
+      content: article.content || "",
+      url: article.url,
+      urlToImage: article.urlToImage || null,
+      publishedAt: new Date(article.publishedAt),
+      source: {
+        id: article.source?.id || null,
+        name: article.source?.name || "Unknown",
+      },
+      author: article.author || null,
+      category: context.category ? [context.category] : [],
+      country: context.country ? [context.country] : [],
+      language: "en", // NewsAPI.org doesn't always provide language in results
+      keywords: [],
+      sourceApi: this.name,
+    };
+  }
+
+  /**
+   * Top headlines accept up to 100 articles per request
+   */
+  buildRefreshConfig(filters = {}) {
+    return {
+      country: filters.country,
+      category: filters.category,
+      pageSize: 100,
+    };
+  }
+}
+
+export default new NewsApiOrgProvider();
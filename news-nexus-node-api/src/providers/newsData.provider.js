@@ -0,0 +1,159 @@
+import { BaseNewsProvider } from "./base.provider.js";
+import newsApiService from "../services/newsApi.service.js";
+import { API_SOURCES, NEWSDATA_PAGES } from "../constants/index.js";
+import { QuotaExceededError } from "../utils/index.js";
+
+/**
+ * NewsData.io Provider
+ * Adapter for NewsData.io latest news endpoint
+ *
+ * Scheduled fetches follow nextPage tokens: from the newest page until results
+ * reach articles already stored (or the page budget, maxPages, runs out); the
+ * token where a fetch ran out of pages is queued behind the ones earlier fetches
+ * left, and later fetches continue from them, oldest first, once they have
+ * caught up with the newest articles
+ */
+class NewsDataProvider extends BaseNewsProvider {
+  constructor() {
+    super({
+      name: API_SOURCES.NEWSDATA,
+      key: "newsDataIo",
+      scheduleKey: "newsDataConfig",
+      displayName: "NewsData.io",
+    });
+  }
+
+  /**
+   * Fetch latest articles from NewsData.io
+   */
+  async fetch(config = {}) {
+    const result = await newsApiService.getLatestNews(config);
+
+    // result from newsApiService has the format { success: true, data: {...} }
+    return result?.data?.results || result?.results || [];
+  }
+
+  /**
+   * Fetch new articles page by page, then resume earlier fetches that ran out of pages
+   * @param {Object} options - { resumeFrom, isStored } resumeFrom: queued page tokens, oldest first
+   * @returns {Promise<Object>} { articles, pages, nextPages, stoppedBy } nextPages: the queue to save
+   */
+  async fetchPages(config = {}, { resumeFrom = [], isStored } = {}) {
+    const { maxPages, ...filters } = config;
+    const budget = this.getPageBudget(config);
+
+    const shouldStop = isStored
+      ? (results) => isStored(results.map((article) => this.getArticleId(article)))
+      : undefined;
+
+    const latest = (await newsApiService.getLatestNewsPages(filters, { maxPages: budget, shouldStop })).data;
+    const articles = [...latest.results];
+    let { pages, stoppedBy } = latest;
+
+    // Reached the end of the results: every gap was read on the way
+    if (stoppedBy === "end") {
+      return { articles, pages, nextPages: [], stoppedBy };
+    }
+
+    const nextPages = [...resumeFrom];
+
+    // Ran out of pages (or credits) before reaching stored articles: a new gap, queued behind
+    // the older ones (dropped when the queue is full, the older gaps stay)
+    if (stoppedBy !== "stop") {
+      if (latest.nextPage && nextPages.length < NEWSDATA_PAGES.MAX_RESUME_TOKENS) {
+        nextPages.push(latest.nextPage);
+      }
+      return { articles, pages, nextPages, stoppedBy };
+    }
+
+    // Caught up with stored articles: the pages left go to the gaps, oldest first
+    while (nextPages.length > 0 && pages < budget) {
+      try {
+        const resumed = (
+          await newsApiService.getLatestNewsPages(
+            { ...filters, page: nextPages[0] },
+            { maxPages: budget - pages, shouldStop }
+          )
+        ).data;
+
+        articles.push(...resumed.results);
+        pages += resumed.pages;
+        stoppedBy = resumed.stoppedBy;
+
+        if (resumed.stoppedBy === "stop" || resumed.stoppedBy === "end") {
+          nextPages.shift();
+          continue;
+        }
+
+        // Not closed yet: the gap continues from where this fetch stopped
+        if (resumed.nextPage) nextPages[0] = resumed.nextPage;
+        break;
+      } catch (error) {
+        // The token is kept for the next fetch, unless NewsData.io rejected it (expired)
+        if (error instanceof QuotaExceededError) {
+          stoppedBy = "quota";
+        } else {
+          if (error?.status >= 400 && error.status < 500) nextPages.shift();
+          stoppedBy = "error";
+        }
+        break;
+      }
+    }
+
+    return { articles, pages, nextPages, stoppedBy };
+  }
+
+  /**
+   * Page budget of a configuration (maxPages, NEWSDATA_PAGES.DEFAULT_MAX_PAGES by default)
+   */
+  getPageBudget(config = {}) {
+    const maxPages = parseInt(config.maxPages) || NEWSDATA_PAGES.DEFAULT_MAX_PAGES;
+    return Math.min(Math.max(maxPages, 1), NEWSDATA_PAGES.MAX_PAGES);
+  }
+
+  /**
+   * Every page costs a credit
+   */
+  estimateCredits(config = {}) {
+    return this.getPageBudget(config);
+  }
+
+  /**
+   * articleId a NewsData.io article is stored with
+   */
+  getArticleId(article) {
+    return `newsdata_${article.article_id || article.link}`;
+  }
+
+  /**
+   * Normalize NewsData.io article
+   */
+  normalize(article) {
+    return {
+      articleId: this.getArticleId(article),
+      title: article.title,
+      description: article.description || "",
+      content: article.content || "",
+      url: article.link,
+      urlToImage: article.image_url || null,
+      publishedAt: new Date(article.pubDate),
+      source: {
+        id: article.source_id || null,
+        name: article.source_name || article.source_id || "Unknown",
+      },
+      author: article.creator?.join(", ") || null,
+      category: article.category || [],
+      country: article.country || [],
+      language: article.language || "en",
+      keywords: article.keywords || [],
+      sourceApi: this.name,
+      sentiment: article.sentiment || null,
+      creator: article.creator || [],
+      video_url: article.video_url || null,
+      ai_tag: article.ai_tag || null,
+      duplicate: article.duplicate || false,
+    };
+  }
+}
+
+export default new NewsDataProvider();
@@ -0,0 +1,99 @@
+/**
+ * News Provider Registry
+ * Keeps track of every upstream news source available to the scheduler,
+ * the unified service and the News schema
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // sourceApi name -> provider
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {BaseNewsProvider} provider - Provider instance
+   * @returns {ProviderRegistry} Registry (chainable)
+   */
+  register(provider) {
+    if (!provider?.name || !provider?.key || !provider?.scheduleKey) {
+      throw new Error("Provider must define name, key and scheduleKey");
+    }
+
+    if (typeof provider.fetch !== "function" || typeof provider.normalize !== "function") {
+      throw new Error(`Provider ${provider.name} must implement fetch() and normalize()`);
+    }
+
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider ${provider.name} is already registered`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Get provider by sourceApi name
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Check if a sourceApi name is registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Get all registered providers (in registration order)
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Get all registered sourceApi names
+   */
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Get estimated daily credits for a set of schedules
+   * Every schedule config entry costs provider.estimateCredits(config) credits (its page budget)
+   * @param {Object} schedules - Schedule definitions (e.g. FETCH_SCHEDULE)
+   * @returns {Object} Estimated credits keyed by provider key
+   */
+  getEstimatedDailyCredits(schedules = {}) {
+    const scheduleList = Object.values(schedules);
+
+    return this.list().reduce((credits, provider) => {
+      // Providers without a daily limit (e.g. RSS feeds) don't use credits
+      if (!provider.usesCredits()) {
+        return credits;
+      }
+
+      const { dailyLimit } = provider.getQuotaInfo();
+
+      const estimated = scheduleList.reduce(
+        (sum, schedule) =>
+          sum +
+          (schedule[provider.scheduleKey] || []).reduce(
+            (credits, config) => credits + provider.estimateCredits(config),
+            0,
+          ),
+        0,
+      );
+
+      credits[provider.key] = {
+        estimated,
+        limit: dailyLimit,
+        remaining: dailyLimit - estimated,
+      };
+
+      return credits;
+    }, {});
+  }
+}
+
+export default new ProviderRegistry();
@@ -0,0 +1,81 @@
+import { BaseNewsProvider } from "./base.provider.js";
+import rssFeedService from "../services/rssFeed.service.js";
+import { API_SOURCES } from "../constants/index.js";
+
+/**
+ * RSS/Atom Provider
+ * Adapter for outlets that publish RSS or Atom feeds
+ *
+ * Each schedule entry in FETCH_SCHEDULE[*].rssConfig describes one feed:
+ * { url, name, category, country, language } or { file, ... } for local feeds
+ */
+class RssProvider extends BaseNewsProvider {
+  constructor() {
+    super({
+      name: API_SOURCES.RSS,
+      key: "rss",
+      scheduleKey: "rssConfig",
+      displayName: "RSS/Atom",
+      supportsRefresh: false, // Feeds are configured per schedule, not by filters
+    });
+  }
+
+  /**
+   * Fetch feed items
+   * Feed-level metadata is attached to every item for normalization
+   */
+  async fetch(config = {}) {
+    const feed = await rssFeedService.fetchFeed(config);
+
+    return feed.items.map((item) => ({
+      ...item,
+      feed: {
+        title: feed.title,
+        link: feed.link,
+        language: feed.language,
+      },
+    }));
+  }
+
+  /**
+   * Normalize feed item (same shape as NewsData.io articles)
+   */
+  normalize(item, context = {}) {
+    const sourceUrl = item.feed?.link || context.url || item.link;
+
+    return {
+      articleId: `rss_${item.id || item.link}`,
+      title: item.title,
+      description: item.description || "",
+      content: item.content || "",
+      url: item.link,
+      urlToImage: item.imageUrl || null,
+      publishedAt: new Date(item.publishedAt),
+      source: {
+        id: context.sourceId || this.getHostname(sourceUrl),
+        name: context.name || item.feed?.title || "Unknown",
+      },
+      author: item.authors?.join(", ") || null,
+      category: context.category ? [context.category] : [],
+      country: context.country ? [context.country] : [],
+      language: (context.language || item.feed?.language || "en").slice(0, 2),
+      keywords: item.categories || [],
+      sourceApi: this.name,
+      creator: item.authors || [],
+      video_url: item.videoUrl || null,
+    };
+  }
+
+  /**
+   * Get hostname from a URL (used as the source id)
+   */
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default new RssProvider();
@@ -0,0 +1,84 @@
+import express from "express";
+import { adminController } from "../controllers/index.js";
+import { requireAdmin } from "../middleware/index.js";
+
+const router = express.Router();
+
+// Every admin route requires an admin access token or an X-API-Key
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get the audit log of admin actions (who, when, which schedule, credits consumed), newest first
+ * @query   action - scheduler.trigger, scheduler.start, scheduler.stop, schedule.create, schedule.update, schedule.delete,
+ *          news.refresh, digest.send, news.export, news.import or user.role
+ * @query   actorType - user or apiKey
+ * @query   userId - Admin user id
+ * @query   apiKeyLabel - Label of the API key (from ADMIN_API_KEYS)
+ * @query   schedule - Schedule name (e.g. MORNING)
+ * @query   status - started, success or failed
+ * @query   from - Entries created on/after this date (ISO 8601)
+ * @query   to - Entries created before this date (ISO 8601)
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 50, max: 100)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/admin/audit-logs?action=scheduler.trigger&from=2025-01-01
+ */
+router.get("/audit-logs", adminController.getAuditLogs);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Grant or revoke the admin role of a user (recorded in the audit log); takes effect
+ *          with the user's next access token
+ * @param   id - User id
+ * @body    role - user or admin (required)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example PATCH /api/admin/users/65f1c2.../role { "role": "admin" }
+ */
+router.patch("/users/:id/role", adminController.setUserRole);
+
+/**
+ * @route   POST /api/admin/digests/run
+ * @desc    Send the daily or weekly digests now (runs in the background; recorded in the audit log)
+ * @body    frequency - daily or weekly (required)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/admin/digests/run { "frequency": "daily" }
+ */
+router.post("/digests/run", adminController.runDigests);
+
+/**
+ * @route   GET /api/admin/export
+ * @desc    Download the article archive as CSV or NDJSON, streamed from the database (recorded in the audit log)
+ * @query   format - csv or ndjson (default: csv)
+ * @query   fields - Comma-separated fields (default: articleId,title,description,url,publishedAt,source.name,author,category,country,language,sourceApi)
+ * @query   from - Articles published on/after this date (ISO 8601)
+ * @query   to - Articles published before this date (ISO 8601)
+ * @query   category - Comma-separated categories
+ * @query   country - Comma-separated country codes
+ * @query   sourceApi - Comma-separated providers (e.g. newsdata.io,rss)
+ * @query   includeDeleted - Include soft-deleted articles (default: false)
+ * @query   includeDuplicates - Include cross-provider duplicates (default: false)
+ * @query   gzip - Download a .gz file (default: false)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/admin/export?format=ndjson&from=2025-01-01&category=technology&gzip=true
+ */
+router.get("/export", adminController.exportArticles);
+
+/**
+ * @route   POST /api/admin/import
+ * @desc    Import an NDJSON article dump (e.g. from /api/admin/export): normalized, validated,
+ *          deduplicated and upserted by articleId in batches (recorded in the audit log)
+ * @body    One JSON article per line (Content-Type: application/x-ndjson; Content-Encoding: gzip allowed)
+ * @query   dryRun - Validate without saving (default: false)
+ * @query   batchSize - Articles per bulk write (default: 500, max: 5000)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example curl -X POST /api/admin/import -H "Content-Type: application/x-ndjson" --data-binary @archive.ndjson
+ */
+router.post("/import", adminController.importArticles);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from "express";
+import { authController } from "../controllers/index.js";
+import { authenticate } from "../middleware/index.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new user and issue tokens
+ * @body    email - Email address (required)
+ * @body    password - Password, at least 8 characters (required)
+ * @body    name - Display name
+ * @access  Public
+ * @example POST /api/auth/register { "email": "jane@example.com", "password": "s3cret-pass", "name": "Jane" }
+ */
+router.post("/register", authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and receive an access token and a refresh token
+ * @body    email - Email address (required)
+ * @body    password - Password (required)
+ * @access  Public
+ * @example POST /api/auth/login { "email": "jane@example.com", "password": "s3cret-pass" }
+ */
+router.post("/login", authController.login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair (the old refresh token is revoked)
+ * @body    refreshToken - Refresh token (required)
+ * @access  Public
+ * @example POST /api/auth/refresh { "refreshToken": "..." }
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the session of a refresh token
+ * @body    refreshToken - Refresh token (required)
+ * @access  Public
+ * @example POST /api/auth/logout { "refreshToken": "..." }
+ */
+router.post("/logout", authController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated user's profile
+ * @header  Authorization - Bearer <access token>
+ * @access  Private
+ * @example /api/auth/me
+ */
+router.get("/me", authenticate, authController.getProfile);
+
+export default router;
@@ -0,0 +1,85 @@
+import express from "express";
+import { bookmarkController } from "../controllers/index.js";
+import { authenticate, identifyOwner } from "../middleware/index.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/bookmarks/claim
+ * @desc    Move the bookmarks of an anonymous device to the signed-in user (after login)
+ * @header  Authorization - Bearer <access token> (required)
+ * @header  X-Device-Id - Device whose bookmarks are moved (required)
+ * @access  Private
+ * @example POST /api/bookmarks/claim
+ */
+router.post("/claim", authenticate, bookmarkController.claimDeviceBookmarks);
+
+// The remaining routes belong to the signed-in user, or else to the X-Device-Id device
+router.use(identifyOwner);
+
+/**
+ * @route   GET /api/bookmarks
+ * @desc    List bookmarks, newest first (each includes the saved article snapshot)
+ * @query   folder - Only bookmarks in this folder (empty for bookmarks without a folder)
+ * @query   tag - Only bookmarks with this tag
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/bookmarks?folder=Reading%20list&page=2
+ */
+router.get("/", bookmarkController.getBookmarks);
+
+/**
+ * @route   GET /api/bookmarks/ids
+ * @desc    Ids of all bookmarked articles (to show saved state on cards)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/bookmarks/ids
+ */
+router.get("/ids", bookmarkController.getBookmarkedIds);
+
+/**
+ * @route   GET /api/bookmarks/folders
+ * @desc    Folders and tags in use, with bookmark counts
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/bookmarks/folders
+ */
+router.get("/folders", bookmarkController.getFolders);
+
+/**
+ * @route   POST /api/bookmarks
+ * @desc    Bookmark an article (returns the existing bookmark if already saved)
+ * @body    articleId - Article id (required)
+ * @body    folder - Folder name
+ * @body    tags - Array of tags (or comma-separated string)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example POST /api/bookmarks { "articleId": "abc123", "folder": "Reading list", "tags": ["ai"] }
+ */
+router.post("/", bookmarkController.addBookmark);
+
+/**
+ * @route   PATCH /api/bookmarks/:articleId
+ * @desc    Move a bookmark to another folder (null for none) and/or replace its tags
+ * @param   articleId - Bookmarked article id
+ * @body    folder - Folder name or null
+ * @body    tags - Array of tags
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example PATCH /api/bookmarks/abc123 { "folder": "Archive" }
+ */
+router.patch("/:articleId", bookmarkController.updateBookmark);
+
+/**
+ * @route   DELETE /api/bookmarks/:articleId
+ * @desc    Remove a bookmark
+ * @param   articleId - Bookmarked article id
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example DELETE /api/bookmarks/abc123
+ */
+router.delete("/:articleId", bookmarkController.removeBookmark);
+
+export default router;
@@ -0,0 +1,93 @@
+import express from "express";
+import { digestController } from "../controllers/index.js";
+import { authenticate } from "../middleware/index.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/digests/unsubscribe
+ * @desc    Unsubscribe link of a digest email: a confirmation page whose button
+ *          POSTs the token (a GET never unsubscribes, so link scanners cannot)
+ * @query   token - Unsubscribe token from the email (required)
+ * @access  Public (the token identifies the subscription)
+ * @example /api/digests/unsubscribe?token=q1w2e3...
+ */
+router.get("/unsubscribe", digestController.confirmUnsubscribe);
+
+/**
+ * @route   POST /api/digests/unsubscribe
+ * @desc    Unsubscribe: one-click from mail clients (List-Unsubscribe-Post, JSON
+ *          response) or the confirmation page's form (HTML response)
+ * @query   token - Unsubscribe token from the email (or token in the form body)
+ * @access  Public (the token identifies the subscription)
+ * @example POST /api/digests/unsubscribe?token=q1w2e3...
+ */
+router.post("/unsubscribe", digestController.unsubscribe);
+
+// Digests are emailed, so subscriptions need an account
+router.use(authenticate);
+
+/**
+ * @route   GET /api/digests
+ * @desc    List digest subscriptions of the signed-in user
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example /api/digests
+ */
+router.get("/", digestController.getSubscriptions);
+
+/**
+ * @route   POST /api/digests
+ * @desc    Subscribe to a daily or weekly digest email (sent to the account email)
+ * @body    frequency - daily or weekly (required)
+ * @body    categories - Top articles of these categories (optional)
+ * @body    countries - Only articles from these countries (optional)
+ * @body    watchlists - Ids of own watchlists whose new matches are included (optional)
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example POST /api/digests { "frequency": "daily", "categories": ["business", "technology"], "countries": ["in"] }
+ */
+router.post("/", digestController.createSubscription);
+
+/**
+ * @route   PATCH /api/digests/:id
+ * @desc    Change a subscription, or pause/resume it with isActive
+ * @param   id - Subscription id
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example PATCH /api/digests/665f1c2e9b1d8a0012a3b4c5 { "frequency": "weekly" }
+ */
+router.patch("/:id", digestController.updateSubscription);
+
+/**
+ * @route   DELETE /api/digests/:id
+ * @desc    Delete a subscription
+ * @param   id - Subscription id
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example DELETE /api/digests/665f1c2e9b1d8a0012a3b4c5
+ */
+router.delete("/:id", digestController.deleteSubscription);
+
+/**
+ * @route   GET /api/digests/:id/preview
+ * @desc    Render the next digest without sending it
+ * @param   id - Subscription id
+ * @query   format - json (default, includes html and text), html or text
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example /api/digests/665f1c2e9b1d8a0012a3b4c5/preview?format=html
+ */
+router.get("/:id/preview", digestController.previewDigest);
+
+/**
+ * @route   POST /api/digests/:id/send
+ * @desc    Send the next digest now (nothing is sent when there are no articles)
+ * @param   id - Subscription id
+ * @header  Authorization - Bearer <access token> (required)
+ * @access  Private
+ * @example POST /api/digests/665f1c2e9b1d8a0012a3b4c5/send
+ */
+router.post("/:id/send", digestController.sendNow);
+
+export default router;
@@ -8,7 +8,15 @@ import newsRoutes from "./news.routes.js";
 import newsApiOrgRoutes from "./newsApiOrg.routes.js";
 import unifiedNewsRoutes from "./unifiedNews.routes.js";
 import schedulerRoutes from "./scheduler.routes.js";
+import authRoutes from "./auth.routes.js";
+import adminRoutes from "./admin.routes.js";
+import bookmarkRoutes from "./bookmark.routes.js";
+import meRoutes from "./me.routes.js";
+import watchlistRoutes from "./watchlist.routes.js";
+import digestRoutes from "./digest.routes.js";
+import webhookRoutes from "./webhook.routes.js";
 import { databaseConnection } from "../db/index.js";
+import { newsStreamService } from "../services/index.js";
 
 const router = express.Router();
 
@@ -27,6 +35,7 @@ router.get("/health", async (req, res) => {
       connected: dbStatus.isConnected,
       status: dbStatus.readyState === 1 ? "connected" : "disconnected",
     },
+    stream: newsStreamService.getStats(),
     apis: {
       unified: {
         name: "Unified News API (Recommended)",
@@ -36,22 +45,79 @@ router.get("/health", async (req, res) => {
           "/latest",
           "/search",
           "/trending",
+          "/clusters",
+          "/stream (SSE)",
+          "/feed.rss",
+          "/feed.atom",
+          "/feed.json",
+          "POST /:articleId/click",
           "/category/:category",
           "/country/:country",
           "/sources",
           "/stats",
-          "POST /refresh"
+          "POST /refresh (admin)"
         ]
       },
       newsdata: {
-        name: "NewsData.io (Direct)",
+        name: "NewsData.io (Direct, admin token or X-API-Key)",
         baseUrl: "/api/newsdata",
         endpoints: ["/sources", "/latest", "/search", "/category/:category"]
       },
       newsapi: {
-        name: "NewsAPI.org (Direct)",
+        name: "NewsAPI.org (Direct, admin token or X-API-Key)",
         baseUrl: "/api/newsapi",
         endpoints: ["/top-headlines", "/everything", "/sources", "/category/:category", "/country/:country"]
+      },
+      auth: {
+        name: "Authentication",
+        baseUrl: "/api/auth",
+        endpoints: ["POST /register", "POST /login", "POST /refresh", "POST /logout", "/me"]
+      },
+      bookmarks: {
+        name: "Bookmarks (access token or X-Device-Id)",
+        baseUrl: "/api/bookmarks",
+        endpoints: ["/", "/ids", "/folders", "POST /", "PATCH /:articleId", "DELETE /:articleId", "POST /claim"]
+      },
+      me: {
+        name: "Personal data (access token or X-Device-Id)",
+        baseUrl: "/api/me",
+        endpoints: ["/history", "/history/ids", "POST /history", "DELETE /history/:articleId", "DELETE /history", "/preferences", "PUT /preferences", "/feed"]
+      },
+      watchlists: {
+        name: "Watchlists and alerts (access token or X-Device-Id)",
+        baseUrl: "/api/watchlists",
+        endpoints: ["/", "POST /", "/summary", "/notifications", "POST /seen", "PATCH /:id", "DELETE /:id", "/:id/notifications", "POST /:id/seen"]
+      },
+      digests: {
+        name: "Digest emails (access token)",
+        baseUrl: "/api/digests",
+        endpoints: ["/", "POST /", "PATCH /:id", "DELETE /:id", "/:id/preview", "POST /:id/send", "/unsubscribe (public)"]
+      },
+      webhooks: {
+        name: "Outbound webhooks (admin token or X-API-Key)",
+        baseUrl: "/api/webhooks",
+        endpoints: ["/", "POST /", "/:id", "PATCH /:id", "DELETE /:id", "POST /:id/rotate-secret", "POST /:id/test", "/:id/deliveries", "/deliveries/:deliveryId", "POST /deliveries/:deliveryId/redeliver"]
+      },
+      scheduler: {
+        name: "Scheduler",
+        baseUrl: "/api/scheduler",
+        endpoints: [
+          "/status",
+          "POST /trigger (admin)",
+          "POST /start (admin)",
+          "POST /stop (admin)",
+          "/plan (admin)",
+          "/schedules (admin)",
+          "POST /schedules (admin)",
+          "/schedules/:name (admin)",
+          "PATCH /schedules/:name (admin)",
+          "DELETE /schedules/:name (admin)"
+        ]
+      },
+      admin: {
+        name: "Admin (admin token or X-API-Key)",
+        baseUrl: "/api/admin",
+        endpoints: ["/audit-logs", "PATCH /users/:id/role", "POST /digests/run", "/export", "POST /import"]
       }
     }
   });
@@ -67,17 +133,59 @@ router.use("/news", unifiedNewsRoutes);
 /**
  * NewsData.io Routes (Direct API Access)
  * Base path: /api/newsdata
- * Direct access to NewsData.io API without caching
+ * Direct access to NewsData.io API without caching (admin token or X-API-Key required)
  */
 router.use("/newsdata", newsRoutes);
 
 /**
  * NewsAPI.org Routes (Direct API Access)
  * Base path: /api/newsapi
- * Direct access to NewsAPI.org API without caching
+ * Direct access to NewsAPI.org API without caching (admin token or X-API-Key required)
  */
 router.use("/newsapi", newsApiOrgRoutes);
 
+/**
+ * Auth Routes
+ * Base path: /api/auth
+ * User registration, login and JWT token management
+ */
+router.use("/auth", authRoutes);
+
+/**
+ * Bookmark Routes
+ * Base path: /api/bookmarks
+ * Saved articles of a user or an anonymous device
+ */
+router.use("/bookmarks", bookmarkRoutes);
+
+/**
+ * Me Routes
+ * Base path: /api/me
+ * Reading history, preferences and the "For You" feed of a user or an anonymous device
+ */
+router.use("/me", meRoutes);
+
+/**
+ * Watchlist Routes
+ * Base path: /api/watchlists
+ * Keyword watchlists and their alerts of a user or an anonymous device
+ */
+router.use("/watchlists", watchlistRoutes);
+
+/**
+ * Digest Routes
+ * Base path: /api/digests
+ * Daily/weekly digest email subscriptions and unsubscribe links
+ */
+router.use("/digests", digestRoutes);
+
+/**
+ * Webhook Routes
+ * Base path: /api/webhooks
+ * Outbound webhooks for new articles and their delivery log (admin token or X-API-Key required)
+ */
+router.use("/webhooks", webhookRoutes);
+
 /**
  * Scheduler Routes
  * Base path: /api/scheduler
@@ -85,4 +193,11 @@ router.use("/newsapi", newsApiOrgRoutes);
  */
 router.use("/scheduler", schedulerRoutes);
 
+/**
+ * Admin Routes
+ * Base path: /api/admin
+ * Audit log of admin actions (admin token or X-API-Key required)
+ */
+router.use("/admin", adminRoutes);
+
 export default router;
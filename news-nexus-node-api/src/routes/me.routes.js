@@ -0,0 +1,96 @@
+import express from "express";
+import { meController } from "../controllers/index.js";
+import { identifyOwner } from "../middleware/index.js";
+
+const router = express.Router();
+
+// Personal data of the signed-in user, or else of the X-Device-Id device
+router.use(identifyOwner);
+
+/**
+ * @route   GET /api/me/history
+ * @desc    Reading history, most recently read first (each entry includes the article snapshot)
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/me/history?limit=6
+ */
+router.get("/history", meController.getHistory);
+
+/**
+ * @route   GET /api/me/history/ids
+ * @desc    Ids of the 500 most recently read articles (to mark cards as read)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/me/history/ids
+ */
+router.get("/history/ids", meController.getReadIds);
+
+/**
+ * @route   POST /api/me/history
+ * @desc    Record that an article was opened (also counts as a click for trending)
+ * @body    articleId - Article id (required)
+ * @body    source - Where it was opened: card, trending, continue, saved, alert or other
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example POST /api/me/history { "articleId": "abc123", "source": "card" }
+ */
+router.post("/history", meController.recordRead);
+
+/**
+ * @route   DELETE /api/me/history/:articleId
+ * @desc    Remove one article from the reading history
+ * @param   articleId - Article id
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example DELETE /api/me/history/abc123
+ */
+router.delete("/history/:articleId", meController.removeHistoryEntry);
+
+/**
+ * @route   DELETE /api/me/history
+ * @desc    Clear the reading history
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example DELETE /api/me/history
+ */
+router.delete("/history", meController.clearHistory);
+
+/**
+ * @route   GET /api/me/preferences
+ * @desc    Followed categories, countries, sources and keywords, and muted sources
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/me/preferences
+ */
+router.get("/preferences", meController.getPreferences);
+
+/**
+ * @route   PUT /api/me/preferences
+ * @desc    Replace followed lists (lists not sent are kept; at most 30 values each)
+ * @body    categories - e.g. ["technology", "science"]
+ * @body    countries - 2-letter codes, e.g. ["in"]
+ * @body    sources - Source ids or names
+ * @body    keywords - Words or phrases
+ * @body    mutedSources - Source ids or names never shown in the feed
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example PUT /api/me/preferences { "categories": ["technology"], "keywords": ["space"] }
+ */
+router.put("/preferences", meController.updatePreferences);
+
+/**
+ * @route   GET /api/me/feed
+ * @desc    Personalized "For You" feed: recent articles ranked by follows, reading history
+ *          and bookmarks, with at most a quarter of a page from one source
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @query   hours - Only articles published within this many hours (default: 72, max: 168)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/me/feed?limit=20
+ */
+router.get("/feed", meController.getFeed);
+
+export default router;
@@ -1,15 +1,21 @@
 import express from "express";
 import { newsController } from "../controllers/index.js";
+import { requireAdmin } from "../middleware/index.js";
 
 const router = express.Router();
 
+// Every request spends upstream API credits from the shared daily budget:
+// admins only (readers use the cached /api/news routes)
+router.use(requireAdmin);
+
 /**
  * @route   GET /api/newsdata/sources
  * @desc    Get news sources from NewsData.io
  * @query   country - Country code (in, us, etc.)
  * @query   category - Category (business, technology, sports, etc.)
  * @query   language - Language code (en, hi, etc.)
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsdata/sources?country=in&language=en
  */
 router.get("/sources", newsController.getNewsSources.bind(newsController));
@@ -22,7 +28,8 @@ router.get("/sources", newsController.getNewsSources.bind(newsController));
  * @query   language - Language code
  * @query   q - Search query
  * @query   page - Page token for pagination
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsdata/latest?country=in&category=technology
  */
 router.get("/latest", newsController.getLatestNews.bind(newsController));
@@ -35,7 +42,8 @@ router.get("/latest", newsController.getLatestNews.bind(newsController));
  * @query   language - Language code
  * @query   category - News category
  * @query   page - Page token for pagination
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsdata/search?q=bitcoin&country=us
  */
 router.get("/search", newsController.searchNews.bind(newsController));
@@ -47,7 +55,8 @@ router.get("/search", newsController.searchNews.bind(newsController));
  * @query   country - Country code
  * @query   language - Language code
  * @query   page - Page token for pagination
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsdata/category/technology?country=in
  */
 router.get("/category/:category", newsController.getNewsByCategory.bind(newsController));
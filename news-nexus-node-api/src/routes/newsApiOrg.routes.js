@@ -1,8 +1,13 @@
 import express from "express";
 import { newsApiOrgController } from "../controllers/index.js";
+import { requireAdmin } from "../middleware/index.js";
 
 const router = express.Router();
 
+// Every request spends upstream API credits from the shared daily budget:
+// admins only (readers use the cached /api/news routes)
+router.use(requireAdmin);
+
 /**
  * @route   GET /api/newsapi/top-headlines
  * @desc    Get top breaking news headlines
@@ -12,7 +17,8 @@ const router = express.Router();
  * @query   sources - Comma-separated source IDs
  * @query   page - Page number (default: 1)
  * @query   pageSize - Results per page (default: 20, max: 100)
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsapi/top-headlines?country=us&category=technology
  */
 router.get("/top-headlines", newsApiOrgController.getTopHeadlines);
@@ -30,7 +36,8 @@ router.get("/top-headlines", newsApiOrgController.getTopHeadlines);
  * @query   sortBy - Sort by (relevancy, popularity, publishedAt)
  * @query   page - Page number (default: 1)
  * @query   pageSize - Results per page (default: 20, max: 100)
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsapi/everything?q=bitcoin&sortBy=popularity
  */
 router.get("/everything", newsApiOrgController.searchEverything);
@@ -41,7 +48,8 @@ router.get("/everything", newsApiOrgController.searchEverything);
  * @query   category - Filter by category
  * @query   language - Filter by language
  * @query   country - Filter by country
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsapi/sources?language=en&country=us
  */
 router.get("/sources", newsApiOrgController.getSources);
@@ -53,7 +61,8 @@ router.get("/sources", newsApiOrgController.getSources);
  * @query   country - Country code
  * @query   page - Page number (default: 1)
  * @query   pageSize - Results per page (default: 20)
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsapi/category/technology?country=us
  */
 router.get("/category/:category", newsApiOrgController.getTopHeadlinesByCategory);
@@ -65,7 +74,8 @@ router.get("/category/:category", newsApiOrgController.getTopHeadlinesByCategory
  * @query   category - Filter by category
  * @query   page - Page number (default: 1)
  * @query   pageSize - Results per page (default: 20)
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example /api/newsapi/country/us?category=business
  */
 router.get("/country/:country", newsApiOrgController.getTopHeadlinesByCountry);
@@ -1,11 +1,12 @@
 import express from "express";
 import { schedulerController } from "../controllers/index.js";
+import { requireAdmin } from "../middleware/index.js";
 
 const router = express.Router();
 
 /**
  * @route   GET /api/scheduler/status
- * @desc    Get scheduler status and statistics
+ * @desc    Get scheduler status, statistics and today's API credit usage (actual vs. estimated)
  * @access  Public
  * @example /api/scheduler/status
  */
@@ -14,26 +15,96 @@ router.get("/status", schedulerController.getStatus);
 /**
  * @route   POST /api/scheduler/trigger
  * @desc    Manually trigger a scheduled fetch
- * @body    schedule - Schedule name (EARLY_MORNING, MORNING, AFTERNOON, EVENING, NIGHT)
- * @access  Public
+ * @body    schedule - Schedule name (e.g. MORNING; see GET /api/scheduler/schedules)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example POST /api/scheduler/trigger { "schedule": "MORNING" }
  */
-router.post("/trigger", schedulerController.triggerManualFetch);
+router.post("/trigger", requireAdmin, schedulerController.triggerManualFetch);
 
 /**
  * @route   POST /api/scheduler/start
  * @desc    Start the scheduler
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example POST /api/scheduler/start
  */
-router.post("/start", schedulerController.startScheduler);
+router.post("/start", requireAdmin, schedulerController.startScheduler);
 
 /**
  * @route   POST /api/scheduler/stop
  * @desc    Stop the scheduler
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example POST /api/scheduler/stop
  */
-router.post("/stop", schedulerController.stopScheduler);
+router.post("/stop", requireAdmin, schedulerController.stopScheduler);
+
+/**
+ * @route   GET /api/scheduler/plan
+ * @desc    Next fetch plan of adaptive schedules: per credit-limited provider, the slices (distinct
+ *          configurations of the enabled schedules) ranked by staleness, reader demand and yield,
+ *          and the ones that fit the credits of a run
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/scheduler/plan
+ */
+router.get("/plan", requireAdmin, schedulerController.getPlan);
+
+/**
+ * @route   GET /api/scheduler/schedules
+ * @desc    List the fetch schedules (stored in MongoDB, seeded from FETCH_SCHEDULE on first run)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/scheduler/schedules
+ */
+router.get("/schedules", requireAdmin, schedulerController.getSchedules);
+
+/**
+ * @route   POST /api/scheduler/schedules
+ * @desc    Create a fetch schedule; it is scheduled right away when the scheduler is running
+ * @body    name - Schedule name (e.g. LATE_NIGHT; letters, digits and underscores)
+ * @body    time - Cron expression in SCHEDULER_TIMEZONE (e.g. "0 23 * * *")
+ * @body    description - Optional description
+ * @body    enabled - Optional (default: true)
+ * @body    adaptive - Optional (default: true); let the fetch planner choose what credit-limited providers fetch,
+ *          false fetches exactly the configurations below
+ * @body    newsDataConfig, newsApiConfig, rssConfig - Fetch configurations per provider
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/scheduler/schedules { "name": "LATE_NIGHT", "time": "0 23 * * *", "newsDataConfig": [{ "category": "world", "language": "en" }] }
+ */
+router.post("/schedules", requireAdmin, schedulerController.createSchedule);
+
+/**
+ * @route   GET /api/scheduler/schedules/:name
+ * @desc    Get a fetch schedule
+ * @param   name - Schedule name
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/scheduler/schedules/AFTERNOON
+ */
+router.get("/schedules/:name", requireAdmin, schedulerController.getSchedule);
+
+/**
+ * @route   PATCH /api/scheduler/schedules/:name
+ * @desc    Change the time, description or fetch configurations of a schedule, or enable/disable it;
+ *          its job is reloaded without restarting the scheduler
+ * @param   name - Schedule name (cannot be changed)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example PATCH /api/scheduler/schedules/AFTERNOON { "time": "30 13 * * *" }
+ */
+router.patch("/schedules/:name", requireAdmin, schedulerController.updateSchedule);
+
+/**
+ * @route   DELETE /api/scheduler/schedules/:name
+ * @desc    Delete a fetch schedule and stop its job
+ * @param   name - Schedule name
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example DELETE /api/scheduler/schedules/LATE_NIGHT
+ */
+router.delete("/schedules/:name", requireAdmin, schedulerController.deleteSchedule);
 
 export default router;
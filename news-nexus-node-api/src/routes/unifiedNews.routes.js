@@ -1,51 +1,106 @@
 import express from "express";
 import { unifiedNewsController } from "../controllers/index.js";
+import { requireAdmin, optionalAuth, requireSingleQueryValues } from "../middleware/index.js";
 
 const router = express.Router();
 
+// Every filter takes a single value (lists are comma-separated where supported)
+router.use(requireSingleQueryValues);
+
 /**
  * @route   GET /api/news/latest
  * @desc    Get latest news from cache or fetch from both APIs
  * @query   country - Country code (in, us, etc.)
  * @query   category - Category (business, technology, sports, etc.)
  * @query   language - Language code (en, hi, etc.)
- * @query   page - Page number (default: 1)
- * @query   limit - Results per page (default: 50)
+ * @query   source - Source id or name (e.g. reuters)
+ * @query   cursor - Opaque cursor from pagination.nextCursor / prevCursor
+ * @query   page - Page number (default: 1, ignored when cursor is given)
+ * @query   limit - Results per page (default: 50, max: 100)
  * @access  Public
  * @example /api/news/latest?country=in&category=technology
  */
 router.get("/latest", unifiedNewsController.getLatestNews);
 
+/**
+ * @route   GET /api/news/feed.rss | /api/news/feed.atom | /api/news/feed.json
+ * @desc    Latest articles as RSS 2.0, Atom 1.0 or JSON Feed 1.1 for feed readers. Images and
+ *          videos are enclosures; responses are cacheable (Cache-Control, Last-Modified, ETag)
+ * @query   category - Category (business, technology, sports, etc.)
+ * @query   country - Country code (in, us, etc.)
+ * @query   language - Language code (en, hi, etc.)
+ * @query   source - Source id or name (e.g. reuters)
+ * @query   limit - Number of articles (default: 50, max: 100)
+ * @access  Public
+ * @example /api/news/feed.rss?category=technology&country=in
+ */
+router.get("/feed.:format", unifiedNewsController.getSyndicationFeed);
+
+/**
+ * @route   GET /api/news/stream
+ * @desc    Live feed of newly saved articles (Server-Sent Events). Sends a "ready" event, then an
+ *          "articles" event ({ count, articles }) each time a fetch saves new matching articles
+ * @query   category - Only these categories, comma-separated (optional)
+ * @query   country - Only these countries, comma-separated (optional)
+ * @query   language - Language code (optional)
+ * @access  Public
+ * @example /api/news/stream?category=business,technology&country=in
+ */
+router.get("/stream", unifiedNewsController.streamNews);
+
 /**
  * @route   GET /api/news/search
- * @desc    Search news across both APIs and database
- * @query   q - Search query (required)
+ * @desc    Search cached news (full-text, ranked by relevance score)
+ * @query   q - Search query (required). Supports "quoted phrases", -exclusions,
+ *              source:, author:, category:, country:, language:, after: and before: qualifiers
  * @query   country - Country code
  * @query   language - Language code
- * @query   page - Page number (default: 1)
- * @query   limit - Results per page (default: 50)
+ * @query   category - Category
+ * @query   source - Source id or name (e.g. reuters)
+ * @query   from - Published on or after (ISO date)
+ * @query   to - Published on or before (ISO date)
+ * @query   cursor - Opaque cursor from pagination.nextCursor / prevCursor
+ * @query   page - Page number (default: 1, ignored when cursor is given)
+ * @query   limit - Results per page (default: 50, max: 100)
  * @access  Public
- * @example /api/news/search?q=bitcoin&country=us
+ * @example /api/news/search?q="climate change" -opinion source:reuters after:2026-01-01
  */
 router.get("/search", unifiedNewsController.searchNews);
 
 /**
  * @route   GET /api/news/trending
- * @desc    Get trending news (most recent articles from database)
- * @query   limit - Number of articles (default: 20)
+ * @desc    Get trending news ranked by source coverage, keyword burst, clicks and recency
+ * @query   window - Trending window, e.g. 6h, 24h, 3d (default: 24h, max: 7d)
+ * @query   category - Filter by category
+ * @query   country - Filter by country
+ * @query   limit - Number of articles (default: 20, max: 100)
  * @access  Public
- * @example /api/news/trending?limit=10
+ * @example /api/news/trending?window=6h&category=technology&limit=10
  */
 router.get("/trending", unifiedNewsController.getTrendingNews);
 
+/**
+ * @route   GET /api/news/clusters
+ * @desc    Get story clusters grouping coverage of the same event across sources
+ * @query   hours - Look-back window in hours (default: 48)
+ * @query   minSources - Minimum distinct sources per cluster (default: 2)
+ * @query   category - Filter by category
+ * @query   country - Filter by country
+ * @query   limit - Number of clusters (default: 20, max: 100)
+ * @access  Public
+ * @example /api/news/clusters?category=politics&minSources=3
+ */
+router.get("/clusters", unifiedNewsController.getClusters);
+
 /**
  * @route   GET /api/news/category/:category
  * @desc    Get news by category
  * @param   category - News category
  * @query   country - Country code
  * @query   language - Language code
- * @query   page - Page number (default: 1)
- * @query   limit - Results per page (default: 50)
+ * @query   cursor - Opaque cursor from pagination.nextCursor / prevCursor
+ * @query   page - Page number (default: 1, ignored when cursor is given)
+ * @query   limit - Results per page (default: 50, max: 100)
  * @access  Public
  * @example /api/news/category/technology?country=in
  */
@@ -57,8 +112,9 @@ router.get("/category/:category", unifiedNewsController.getNewsByCategory);
  * @param   country - Country code (us, in, etc.)
  * @query   category - Filter by category
  * @query   language - Language code
- * @query   page - Page number (default: 1)
- * @query   limit - Results per page (default: 50)
+ * @query   cursor - Opaque cursor from pagination.nextCursor / prevCursor
+ * @query   page - Page number (default: 1, ignored when cursor is given)
+ * @query   limit - Results per page (default: 50, max: 100)
  * @access  Public
  * @example /api/news/country/us?category=business
  */
@@ -81,10 +137,11 @@ router.get("/sources", unifiedNewsController.getSources);
  * @body    country - Country code
  * @body    category - Category
  * @body    language - Language code
- * @access  Public
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
  * @example POST /api/news/refresh { "country": "in", "category": "technology" }
  */
-router.post("/refresh", unifiedNewsController.refreshCache);
+router.post("/refresh", requireAdmin, unifiedNewsController.refreshCache);
 
 /**
  * @route   GET /api/news/stats
@@ -94,4 +151,15 @@ router.post("/refresh", unifiedNewsController.refreshCache);
  */
 router.get("/stats", unifiedNewsController.getStats);
 
+/**
+ * @route   POST /api/news/:articleId/click
+ * @desc    Record an in-app click on an article (trending signal), counted once
+ *          per signed-in user (or IP) and article within 24 hours
+ * @param   articleId - Article identifier
+ * @header  Authorization - Bearer <access token> (optional)
+ * @access  Public
+ * @example POST /api/news/newsdata_abc123/click
+ */
+router.post("/:articleId/click", optionalAuth, unifiedNewsController.recordClick);
+
 export default router;
@@ -0,0 +1,105 @@
+import express from "express";
+import { watchlistController } from "../controllers/index.js";
+import { identifyOwner } from "../middleware/index.js";
+
+const router = express.Router();
+
+// Watchlists of the signed-in user, or else of the X-Device-Id device
+router.use(identifyOwner);
+
+/**
+ * @route   GET /api/watchlists
+ * @desc    List watchlists with the number of new articles since each was last seen
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/watchlists
+ */
+router.get("/", watchlistController.getWatchlists);
+
+/**
+ * @route   POST /api/watchlists
+ * @desc    Create a watchlist (articles saved by later scheduled fetches that mention a term create notifications)
+ * @body    name - Display name (required, unique per owner)
+ * @body    terms - Keywords, entities or phrases, matched as whole words (required, max 10)
+ * @body    categories - Only articles in these categories (optional)
+ * @body    countries - Only articles from these countries (optional)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example POST /api/watchlists { "name": "RBI", "terms": ["RBI", "Reserve Bank of India", "repo rate"] }
+ */
+router.post("/", watchlistController.createWatchlist);
+
+/**
+ * @route   GET /api/watchlists/summary
+ * @desc    New articles per watchlist since the last visit (only watchlists with new articles)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/watchlists/summary
+ */
+router.get("/summary", watchlistController.getSummary);
+
+/**
+ * @route   GET /api/watchlists/notifications
+ * @desc    Matched articles of all watchlists, newest first
+ * @query   new - "true" for notifications since the last visit only
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/watchlists/notifications?new=true
+ */
+router.get("/notifications", watchlistController.getNotifications);
+
+/**
+ * @route   POST /api/watchlists/seen
+ * @desc    Mark every watchlist as seen (resets the new-article counts)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example POST /api/watchlists/seen
+ */
+router.post("/seen", watchlistController.markSeen);
+
+/**
+ * @route   PATCH /api/watchlists/:id
+ * @desc    Rename a watchlist, change its terms or filters, or pause it (isActive: false)
+ * @param   id - Watchlist id
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example PATCH /api/watchlists/665f1c2e9b1d8a0012a3b4c5 { "terms": ["RBI", "monetary policy"] }
+ */
+router.patch("/:id", watchlistController.updateWatchlist);
+
+/**
+ * @route   DELETE /api/watchlists/:id
+ * @desc    Delete a watchlist and its notifications
+ * @param   id - Watchlist id
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example DELETE /api/watchlists/665f1c2e9b1d8a0012a3b4c5
+ */
+router.delete("/:id", watchlistController.deleteWatchlist);
+
+/**
+ * @route   GET /api/watchlists/:id/notifications
+ * @desc    Matched articles of one watchlist, newest first
+ * @param   id - Watchlist id
+ * @query   new - "true" for notifications since the last visit only
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example /api/watchlists/665f1c2e9b1d8a0012a3b4c5/notifications
+ */
+router.get("/:id/notifications", watchlistController.getNotifications);
+
+/**
+ * @route   POST /api/watchlists/:id/seen
+ * @desc    Mark one watchlist as seen
+ * @param   id - Watchlist id
+ * @header  Authorization - Bearer <access token>, or X-Device-Id for anonymous clients
+ * @access  Private (user or device)
+ * @example POST /api/watchlists/665f1c2e9b1d8a0012a3b4c5/seen
+ */
+router.post("/:id/seen", watchlistController.markSeen);
+
+export default router;
@@ -0,0 +1,119 @@
+import express from "express";
+import { webhookController } from "../controllers/index.js";
+import { requireAdmin } from "../middleware/index.js";
+
+const router = express.Router();
+
+// Webhooks push articles to other services: admin token or X-API-Key only
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks with their delivery stats
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/webhooks
+ */
+router.get("/", webhookController.getWebhooks);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook: articles saved by later scheduled fetches that pass its filters are POSTed to the URL
+ * @body    name - Display name (required, unique)
+ * @body    url - Receiver URL, http(s) (required)
+ * @body    categories - Only articles in these categories (optional)
+ * @body    countries - Only articles from these countries (optional)
+ * @body    keywords - Only articles mentioning one of these, matched as whole words (optional, max 20)
+ * @body    secret - Signing secret, 16-128 characters (optional, generated when omitted; returned once)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/webhooks { "name": "markets-desk", "url": "https://markets.internal/hooks/news", "categories": ["business"], "keywords": ["RBI", "Sensex"] }
+ */
+router.post("/", webhookController.createWebhook);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and every attempt (status code, duration, error)
+ * @param   deliveryId - Delivery id (id field of the delivery log, not X-Nexus-Delivery)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/webhooks/deliveries/665f1c2e9b1e8a0012345678
+ */
+router.get("/deliveries/:deliveryId", webhookController.getDelivery);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery again now (one attempt, same X-Nexus-Delivery id and payload)
+ * @param   deliveryId - Delivery id
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/webhooks/deliveries/665f1c2e9b1e8a0012345678/redeliver
+ */
+router.post("/deliveries/:deliveryId/redeliver", webhookController.redeliver);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook
+ * @param   id - Webhook id
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/webhooks/665f1c2e9b1e8a0012345678
+ */
+router.get("/:id", webhookController.getWebhook);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Change the URL, filters or secret, or pause/resume a webhook (resuming resets its failure count)
+ * @param   id - Webhook id
+ * @body    name, url, categories, countries, keywords, secret, isActive (at least one)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example PATCH /api/webhooks/665f1c2e9b1e8a0012345678 { "isActive": true }
+ */
+router.patch("/:id", webhookController.updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @param   id - Webhook id
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example DELETE /api/webhooks/665f1c2e9b1e8a0012345678
+ */
+router.delete("/:id", webhookController.deleteWebhook);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret with a new random one (returned once)
+ * @param   id - Webhook id
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/webhooks/665f1c2e9b1e8a0012345678/rotate-secret
+ */
+router.post("/:id/rotate-secret", webhookController.rotateSecret);
+
+/**
+ * @route   POST /api/webhooks/:id/test
+ * @desc    Send a signed "ping" event now and return the attempt (also works while the webhook is paused)
+ * @param   id - Webhook id
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example POST /api/webhooks/665f1c2e9b1e8a0012345678/test
+ */
+router.post("/:id/test", webhookController.sendTest);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook, newest first (attempts, status codes, errors, next retry)
+ * @param   id - Webhook id
+ * @query   status - pending, success or failed (optional)
+ * @query   event - articles.created or ping (optional)
+ * @query   page - Page number (default: 1)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @header  Authorization - Bearer <admin access token> (or X-API-Key)
+ * @access  Admin
+ * @example /api/webhooks/665f1c2e9b1e8a0012345678/deliveries?status=failed
+ */
+router.get("/:id/deliveries", webhookController.getDeliveries);
+
+export default router;
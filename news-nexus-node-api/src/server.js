@@ -7,7 +7,7 @@ import dotenv from "dotenv";
 import app from "./app.js";
 import { Logger } from "./utils/index.js";
 import { databaseConnection } from "./db/index.js";
-import { newsFetchScheduler } from "./services/index.js";
+import { newsFetchScheduler, newsStreamService } from "./services/index.js";
 import { serverConfig } from "./config/index.js";
 
 // Load environment variables
@@ -32,7 +32,9 @@ const server = app.listen(serverConfig.port, () => {
   // Start news fetch scheduler after server starts
   if (databaseConnection.getStatus().isConnected) {
     Logger.info("Starting News Fetch Scheduler...");
-    newsFetchScheduler.start();
+    newsFetchScheduler.start().catch((error) => {
+      Logger.error("News Fetch Scheduler failed to start", { error: error.message });
+    });
   } else {
     Logger.warn("Database not connected. Scheduler will not start.");
   }
@@ -47,6 +49,9 @@ const gracefulShutdown = async (signal) => {
   
   // Stop scheduler
   newsFetchScheduler.stop();
+
+  // End live news streams (they would keep the HTTP server open)
+  newsStreamService.closeAll();
   
   // Close database connection
   await databaseConnection.disconnect().catch((error) => {
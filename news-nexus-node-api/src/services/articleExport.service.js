@@ -0,0 +1,223 @@
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import News from "../db/models/News.model.js";
+import { providerRegistry } from "../providers/index.js";
+import { EXPORT } from "../constants/index.js";
+import { BadRequestError } from "../utils/index.js";
+
+const CATEGORY_PATTERN = /^[a-z][a-z_-]{1,29}$/;
+const COUNTRY_PATTERN = /^[a-z]{2}$/;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const toBoolean = (value) => value === true || value === "true" || value === "1";
+
+/**
+ * Parse an optional date option
+ * @returns {Date|null} null when absent
+ */
+const toDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new BadRequestError(`${name} must be a valid date (e.g. 2025-01-31)`);
+  }
+  return date;
+};
+
+/**
+ * Value of a dotted field path (e.g. "source.name")
+ */
+const getPath = (doc, field) => field.split(".").reduce((value, key) => value?.[key], doc);
+
+/**
+ * One CSV cell (RFC 4180 quoting; arrays joined with EXPORT.ARRAY_SEPARATOR)
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join(EXPORT.ARRAY_SEPARATOR);
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (cells) => `${cells.map(toCsvCell).join(",")}\r\n`;
+
+/**
+ * Selected fields of a document, nested paths kept nested ({ source: { name } })
+ */
+const pickFields = (doc, fields) =>
+  fields.reduce((record, field) => {
+    const keys = field.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => (target[key] ??= {}), record);
+    parent[last] = getPath(doc, field) ?? null;
+    return record;
+  }, {});
+
+/**
+ * Article Export Service
+ * Streams the article archive as CSV or NDJSON straight from a MongoDB cursor,
+ * so memory use stays flat whatever the size of the export
+ */
+class ArticleExportService {
+  /**
+   * Validate export options (query params of the endpoint or CLI flags)
+   * @param {Object} input - { format, fields, from, to, category, country, sourceApi, includeDeleted, includeDuplicates, gzip }
+   * @returns {Object} { format, fields, filters, gzip }
+   * @throws {BadRequestError} On unknown formats, fields or filter values
+   */
+  parseOptions(input = {}) {
+    const format = String(input.format || "csv").toLowerCase();
+    if (!EXPORT.FORMATS.includes(format)) {
+      throw new BadRequestError(`format must be one of: ${EXPORT.FORMATS.join(", ")}`);
+    }
+
+    const fields = input.fields ? [...new Set(toList(input.fields))] : EXPORT.DEFAULT_FIELDS;
+    const unknownFields = fields.filter((field) => !EXPORT.FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new BadRequestError(`Unknown fields: ${unknownFields.join(", ")}`, { fields: EXPORT.FIELDS });
+    }
+
+    const categories = toList(input.category).map((category) => category.toLowerCase());
+    const invalidCategory = categories.find((category) => !CATEGORY_PATTERN.test(category));
+    if (invalidCategory) {
+      throw new BadRequestError(`Invalid category: ${invalidCategory}`);
+    }
+
+    const countries = toList(input.country).map((country) => country.toLowerCase());
+    const invalidCountry = countries.find((country) => !COUNTRY_PATTERN.test(country));
+    if (invalidCountry) {
+      throw new BadRequestError(`Invalid country code: ${invalidCountry}`);
+    }
+
+    const sourceApis = toList(input.sourceApi);
+    const unknownSource = sourceApis.find((sourceApi) => !providerRegistry.has(sourceApi));
+    if (unknownSource) {
+      throw new BadRequestError(`Unknown sourceApi: ${unknownSource}`, { sourceApis: providerRegistry.names() });
+    }
+
+    const from = toDate(input.from, "from");
+    const to = toDate(input.to, "to");
+    if (from && to && from >= to) {
+      throw new BadRequestError("from must be before to");
+    }
+
+    return {
+      format,
+      fields,
+      filters: {
+        from,
+        to,
+        categories,
+        countries,
+        sourceApis,
+        includeDeleted: toBoolean(input.includeDeleted),
+        includeDuplicates: toBoolean(input.includeDuplicates),
+      },
+      gzip: toBoolean(input.gzip),
+    };
+  }
+
+  /**
+   * MongoDB query of the export filters
+   * (deleted and duplicate articles are left out unless asked for)
+   */
+  buildQuery({ from, to, categories, countries, sourceApis, includeDeleted, includeDuplicates }) {
+    const query = {};
+
+    if (!includeDeleted) query.isDeleted = false;
+    if (!includeDuplicates) query.duplicate = false;
+
+    if (from || to) {
+      query.publishedAt = {};
+      if (from) query.publishedAt.$gte = from;
+      if (to) query.publishedAt.$lt = to;
+    }
+
+    if (categories.length > 0) query.category = { $in: categories };
+    if (countries.length > 0) query.country = { $in: countries };
+    if (sourceApis.length > 0) query.sourceApi = { $in: sourceApis };
+
+    return query;
+  }
+
+  /**
+   * Content type and file name of an export
+   * @param {Object} options - Result of parseOptions()
+   * @returns {Object} { contentType, fileName }
+   */
+  describe({ format, gzip }, date = new Date()) {
+    const stamp = date.toISOString().replace(/[:.]/g, "-");
+
+    return {
+      contentType: gzip ? "application/gzip" : CONTENT_TYPES[format],
+      fileName: `news-export-${stamp}.${format}${gzip ? ".gz" : ""}`,
+    };
+  }
+
+  /**
+   * Transform from lean documents to CSV or NDJSON text (the CSV header row comes first)
+   * @param {Object} options - { format, fields }
+   * @param {Object} stats - Counter updated with the rows written
+   */
+  createSerializer({ format, fields }, stats = { rows: 0 }) {
+    return new Transform({
+      writableObjectMode: true,
+      construct(callback) {
+        if (format === "csv") this.push(toCsvRow(fields));
+        callback();
+      },
+      transform(doc, encoding, callback) {
+        stats.rows++;
+        callback(
+          null,
+          format === "csv"
+            ? toCsvRow(fields.map((field) => getPath(doc, field)))
+            : `${JSON.stringify(pickFields(doc, fields))}\n`
+        );
+      },
+    });
+  }
+
+  /**
+   * Stream the matching articles into a writable (HTTP response, file, stdout)
+   * Oldest first, so an interrupted export can resume with from=<last publishedAt>
+   * @param {Writable} destination - Where the export is written
+   * @param {Object} options - Result of parseOptions()
+   * @returns {Promise<Object>} { rows }
+   */
+  async exportTo(destination, options) {
+    const stats = { rows: 0 };
+
+    const cursor = News.find(this.buildQuery(options.filters))
+      .select(options.fields.concat("-_id").join(" "))
+      .sort({ publishedAt: 1, _id: 1 })
+      .lean()
+      .cursor({ batchSize: EXPORT.BATCH_SIZE });
+
+    await pipeline(
+      cursor,
+      this.createSerializer(options, stats),
+      ...(options.gzip ? [zlib.createGzip()] : []),
+      destination
+    );
+
+    return stats;
+  }
+}
+
+export default new ArticleExportService();
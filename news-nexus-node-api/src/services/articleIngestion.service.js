@@ -0,0 +1,76 @@
+import { EventEmitter } from "events";
+import { News } from "../db/index.js";
+import { Logger } from "../utils/index.js";
+import deduplicationService from "./deduplication.service.js";
+
+/**
+ * Article Ingestion Service
+ * Final ingestion stage shared by the scheduler and manual cache refreshes:
+ * duplicate detection followed by a bulk upsert by articleId
+ *
+ * Events:
+ * - "articles:saved" ({ articles }) - articles that were not in the database yet,
+ *   duplicates excluded; each has its new _id
+ */
+class ArticleIngestionService extends EventEmitter {
+  /**
+   * Save normalized articles to MongoDB (bulk upsert with duplicate handling)
+   * @param {Object[]} articles - Normalized and validated articles
+   * @param {Object} options - { notify } notify: false skips the "articles:saved" event (imports)
+   * @returns {Promise<Object>} { saved, updated, skipped, duplicates, savedIds, savedArticleIds }
+   */
+  async saveArticlesToDB(articles, { notify = true } = {}) {
+    try {
+      if (!articles || articles.length === 0) {
+        return { saved: 0, updated: 0, skipped: 0, duplicates: 0, savedIds: [], savedArticleIds: [] };
+      }
+
+      const dedupStats = await deduplicationService.markDuplicates(articles);
+
+      const bulkOps = articles.map((article) => ({
+        updateOne: {
+          filter: { articleId: article.articleId },
+          update: { $set: article },
+          upsert: true,
+        },
+      }));
+
+      const result = await News.bulkWrite(bulkOps, { ordered: false });
+
+      Logger.info("Articles saved to database", {
+        saved: result.upsertedCount,
+        updated: result.modifiedCount,
+        duplicates: dedupStats.duplicates,
+        total: articles.length,
+      });
+
+      // upsertedIds maps the index of each inserted operation to the new _id
+      const upserted = Object.entries(result.upsertedIds || {});
+      const newArticles = upserted
+        .map(([index, _id]) => ({ _id, ...articles[index] }))
+        .filter((article) => !article.duplicate);
+
+      if (notify && newArticles.length > 0) {
+        this.emit("articles:saved", { articles: newArticles });
+      }
+
+      return {
+        saved: result.upsertedCount,
+        updated: result.modifiedCount,
+        skipped: articles.length - result.upsertedCount - result.modifiedCount,
+        duplicates: dedupStats.duplicates,
+        // _ids of the articles that were not in the database yet
+        savedIds: upserted.map(([, _id]) => _id),
+        // ...and their articleIds (fetch yield per configuration)
+        savedArticleIds: upserted.map(([index]) => articles[index].articleId),
+      };
+    } catch (error) {
+      Logger.error("Error saving articles to database", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+export default new ArticleIngestionService();
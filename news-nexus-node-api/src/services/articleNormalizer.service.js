@@ -0,0 +1,267 @@
+import { News } from "../db/index.js";
+import { Logger } from "../utils/index.js";
+
+/**
+ * Limits taken from the News schema
+ */
+const TITLE_MAX_LENGTH = 500;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const SENTIMENT_VALUES = ["positive", "negative", "neutral"];
+
+/**
+ * Maximum number of rejected/repaired items kept in a report
+ */
+const REPORT_MAX_ITEMS = 50;
+
+/**
+ * Article Normalizer Service
+ * Single normalization pipeline for every provider:
+ * provider.normalize() -> repair -> validate against the News schema
+ *
+ * Invalid articles are dropped before they reach bulkWrite, and every batch
+ * returns a report of rejected items and the reasons they were rejected
+ */
+class ArticleNormalizerService {
+  /**
+   * Normalize and validate a batch of raw articles from one provider
+   * @param {BaseNewsProvider} provider - Provider the articles came from
+   * @param {Array} rawArticles - Raw articles as returned by provider.fetch()
+   * @param {Object} context - Fetch configuration the articles were fetched with
+   * @returns {Object} { articles, report }
+   */
+  normalizeBatch(provider, rawArticles = [], context = {}) {
+    const report = this.createReport(provider.name);
+    const articles = [];
+
+    for (const rawArticle of rawArticles) {
+      report.received++;
+
+      let article;
+      try {
+        article = provider.normalize(rawArticle, context);
+      } catch (error) {
+        this.addRejection(report, rawArticle, [`Normalization failed: ${error.message}`]);
+        continue;
+      }
+
+      const fixes = this.repair(article);
+      const reasons = this.validate(article);
+
+      if (reasons.length > 0) {
+        this.addRejection(report, article, reasons);
+        continue;
+      }
+
+      if (fixes.length > 0) {
+        report.repaired++;
+        if (report.repairs.length < REPORT_MAX_ITEMS) {
+          report.repairs.push({ articleId: article.articleId, fixes });
+        }
+      }
+
+      articles.push(article);
+      report.accepted++;
+    }
+
+    if (report.rejected > 0) {
+      Logger.warn(`Rejected ${report.rejected} invalid article(s) from ${provider.name}`, {
+        received: report.received,
+        accepted: report.accepted,
+        rejections: report.rejections.slice(0, 5),
+      });
+    }
+
+    return { articles, report };
+  }
+
+  /**
+   * Repair fixable problems in place
+   * @param {Object} article - Normalized article
+   * @returns {string[]} Applied fixes
+   */
+  repair(article) {
+    const fixes = [];
+
+    if (typeof article.title === "string") {
+      article.title = article.title.trim();
+      if (article.title.length > TITLE_MAX_LENGTH) {
+        article.title = `${article.title.slice(0, TITLE_MAX_LENGTH - 3)}...`;
+        fixes.push("title truncated");
+      }
+    }
+
+    if (typeof article.description !== "string") {
+      article.description = "";
+    } else if (article.description.length > DESCRIPTION_MAX_LENGTH) {
+      article.description = `${article.description.slice(0, DESCRIPTION_MAX_LENGTH - 3)}...`;
+      fixes.push("description truncated");
+    }
+
+    if (typeof article.content !== "string") {
+      article.content = "";
+    }
+
+    // Optional URLs: drop invalid values instead of rejecting the article
+    for (const field of ["urlToImage", "video_url"]) {
+      if (article[field] && !this.isHttpUrl(article[field])) {
+        article[field] = null;
+        fixes.push(`invalid ${field} removed`);
+      }
+    }
+
+    if (!article.source?.name) {
+      article.source = { id: article.source?.id || null, name: "Unknown" };
+      fixes.push("missing source name set to Unknown");
+    }
+
+    // Publication dates in the future (timezone bugs upstream) are clamped to now
+    if (this.isValidDate(article.publishedAt) && article.publishedAt > new Date()) {
+      article.publishedAt = new Date();
+      fixes.push("future publishedAt clamped");
+    }
+
+    // Paid-plan-only fields come back as placeholder strings on free plans
+    if (article.sentiment !== undefined && article.sentiment !== null) {
+      const sentiment = String(article.sentiment).toLowerCase();
+      if (SENTIMENT_VALUES.includes(sentiment)) {
+        article.sentiment = sentiment;
+      } else {
+        article.sentiment = null;
+        fixes.push("unsupported sentiment removed");
+      }
+    }
+
+    for (const field of ["category", "country", "keywords", "creator"]) {
+      if (article[field] !== undefined && !Array.isArray(article[field])) {
+        article[field] = article[field] ? [article[field]] : [];
+        fixes.push(`${field} converted to array`);
+      }
+      if (Array.isArray(article[field])) {
+        article[field] = article[field].filter((value) => typeof value === "string" && value.trim());
+      }
+    }
+
+    return fixes;
+  }
+
+  /**
+   * Validate an article against the News schema
+   * @param {Object} article - Normalized (and repaired) article
+   * @returns {string[]} Reasons the article is invalid (empty when valid)
+   */
+  validate(article) {
+    const reasons = [];
+
+    if (!article.articleId) reasons.push("articleId is required");
+    if (!article.title) reasons.push("title is required");
+    if (!this.isHttpUrl(article.url)) reasons.push("url is missing or not a valid HTTP/HTTPS URL");
+    if (!this.isValidDate(article.publishedAt)) reasons.push("publishedAt is missing or invalid");
+
+    // Schema rules not covered above (enums, validators, lengths)
+    const validationError = new News(article).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach((error) => {
+        if (!reasons.some((reason) => reason.startsWith(error.path))) {
+          reasons.push(error.message);
+        }
+      });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Create an empty batch report
+   */
+  createReport(provider) {
+    return {
+      provider,
+      received: 0,
+      accepted: 0,
+      repaired: 0,
+      rejected: 0,
+      rejections: [],
+      repairs: [],
+    };
+  }
+
+  /**
+   * Merge batch reports (e.g. all batches of one scheduled fetch)
+   * @param {Object[]} reports - Batch reports
+   * @returns {Object} Combined report with per-provider totals
+   */
+  mergeReports(reports = []) {
+    const merged = {
+      received: 0,
+      accepted: 0,
+      repaired: 0,
+      rejected: 0,
+      byProvider: {},
+      rejections: [],
+    };
+
+    for (const report of reports) {
+      merged.received += report.received;
+      merged.accepted += report.accepted;
+      merged.repaired += report.repaired;
+      merged.rejected += report.rejected;
+
+      const totals = merged.byProvider[report.provider] || {
+        received: 0,
+        accepted: 0,
+        repaired: 0,
+        rejected: 0,
+      };
+      totals.received += report.received;
+      totals.accepted += report.accepted;
+      totals.repaired += report.repaired;
+      totals.rejected += report.rejected;
+      merged.byProvider[report.provider] = totals;
+
+      for (const rejection of report.rejections) {
+        if (merged.rejections.length < REPORT_MAX_ITEMS) {
+          merged.rejections.push({ provider: report.provider, ...rejection });
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Record a rejected article in the report
+   */
+  addRejection(report, article, reasons) {
+    report.rejected++;
+
+    if (report.rejections.length < REPORT_MAX_ITEMS) {
+      report.rejections.push({
+        articleId: article?.articleId || null,
+        title: typeof article?.title === "string" ? article.title.slice(0, 120) : null,
+        reasons,
+      });
+    }
+  }
+
+  /**
+   * Check if value is an HTTP/HTTPS URL
+   */
+  isHttpUrl(value) {
+    if (!value || typeof value !== "string") return false;
+    try {
+      const url = new URL(value);
+      return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check if value is a valid Date
+   */
+  isValidDate(value) {
+    return value instanceof Date && !Number.isNaN(value.getTime());
+  }
+}
+
+export default new ArticleNormalizerService();
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import { AuditLog } from "../db/index.js";
+import { Logger, BadRequestError } from "../utils/index.js";
+
+/**
+ * Sum a { providerKey: credits } map
+ */
+const sumCredits = (creditsConsumed = {}) =>
+  Object.values(creditsConsumed).reduce((total, credits) => total + credits, 0);
+
+/**
+ * Audit Log Service
+ * Records admin actions (who, when, which schedule, credits consumed)
+ *
+ * Audit writes never fail the audited action: errors are logged and swallowed
+ */
+class AuditLogService {
+  /**
+   * Record a finished action
+   * @param {string} action - One of AUDIT_ACTIONS (e.g. "news.refresh")
+   * @param {Object} actor - req.actor set by requireAdmin
+   * @param {Object} entry - { schedule, params, status, creditsConsumed, result, error }
+   * @returns {Promise<Object|null>} Created entry
+   */
+  async record(action, actor, entry = {}) {
+    const now = new Date();
+
+    return this.write(() =>
+      AuditLog.create({
+        action,
+        actor,
+        schedule: entry.schedule || null,
+        params: entry.params || {},
+        status: entry.status || "success",
+        creditsConsumed: entry.creditsConsumed || {},
+        totalCredits: sumCredits(entry.creditsConsumed),
+        result: entry.result || null,
+        error: entry.error || null,
+        completedAt: now,
+        durationMs: entry.durationMs ?? 0,
+      })
+    );
+  }
+
+  /**
+   * Record the start of a long-running action (completed later with complete())
+   * @returns {Promise<Object|null>} Created entry
+   */
+  async start(action, actor, { schedule = null, params = {} } = {}) {
+    return this.write(() =>
+      AuditLog.create({ action, actor, schedule, params, status: "started" })
+    );
+  }
+
+  /**
+   * Complete an entry created with start()
+   * @param {Object} entry - Entry returned by start()
+   * @param {Object} outcome - { status, creditsConsumed, result, error }
+   */
+  async complete(entry, { status, creditsConsumed = {}, result = null, error = null }) {
+    if (!entry) return null;
+
+    const completedAt = new Date();
+
+    return this.write(() =>
+      AuditLog.findByIdAndUpdate(
+        entry._id,
+        {
+          $set: {
+            status,
+            creditsConsumed,
+            totalCredits: sumCredits(creditsConsumed),
+            result,
+            error,
+            completedAt,
+            durationMs: completedAt - entry.createdAt,
+          },
+        },
+        { returnDocument: "after" }
+      )
+    );
+  }
+
+  /**
+   * Run an audit write without letting it fail the caller
+   */
+  async write(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      Logger.error("Failed to write audit log", { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Query audit log entries, newest first
+   * @param {Object} filters - { action, actorType, userId, apiKeyLabel, schedule, status, from, to }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { logs, totalResults, page, limit, totalPages }
+   */
+  async getAuditLogs(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    if (filters.action) query.action = filters.action;
+    if (filters.actorType) query["actor.type"] = filters.actorType;
+    if (filters.apiKeyLabel) query["actor.apiKeyLabel"] = filters.apiKeyLabel;
+    if (filters.schedule) query.schedule = filters.schedule.toUpperCase();
+    if (filters.status) query.status = filters.status;
+
+    if (filters.userId) {
+      if (!mongoose.Types.ObjectId.isValid(filters.userId)) {
+        throw new BadRequestError("Invalid userId");
+      }
+      query["actor.userId"] = new mongoose.Types.ObjectId(filters.userId);
+    }
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = filters.from;
+      if (filters.to) query.createdAt.$lt = filters.to;
+    }
+
+    const [logs, totalResults] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      totalResults,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+    };
+  }
+}
+
+export default new AuditLogService();
@@ -0,0 +1,315 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { User, RefreshToken } from "../db/index.js";
+import { USER_ROLES } from "../db/models/User.model.js";
+import {
+  Logger,
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/index.js";
+import { AUTH_CONFIG } from "../config/index.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Hash an opaque refresh token for storage
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Auth Service
+ * Registration, login and token lifecycle
+ *
+ * - Access tokens: short-lived JWTs (Authorization: Bearer <token>)
+ * - Refresh tokens: opaque random strings, stored hashed, rotated on every use
+ */
+class AuthService {
+  /**
+   * Register a new user
+   * @param {Object} data - { email, password, name }
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, ... }
+   */
+  async register({ email, password, name } = {}, meta = {}) {
+    this.validateCredentials(email, password, name);
+
+    const existing = await User.exists({ email: email.trim().toLowerCase() });
+    if (existing) {
+      throw new ConflictError("An account with this email already exists");
+    }
+
+    const user = new User({
+      email,
+      password,
+      name,
+      lastLoginAt: new Date(),
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      // A concurrent registration with the same email won the unique index
+      if (error.code === 11000) {
+        throw new ConflictError("An account with this email already exists");
+      }
+      throw error;
+    }
+
+    Logger.info("User registered", { userId: user._id.toString() });
+
+    return this.issueTokens(user, null, meta);
+  }
+
+  /**
+   * Log in with email and password
+   * @param {Object} credentials - { email, password }
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, ... }
+   */
+  async login({ email, password } = {}, meta = {}) {
+    if (!email || !password) {
+      throw new BadRequestError("Email and password are required");
+    }
+
+    if (typeof email !== "string" || typeof password !== "string") {
+      throw new BadRequestError("Email and password must be strings");
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select("+password");
+
+    // Same message for unknown email and wrong password
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      throw new UnauthorizedError("Invalid email or password");
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return this.issueTokens(user, null, meta);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * @param {string} refreshToken - Refresh token from login/register/refresh
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, ... }
+   */
+  async refresh(refreshToken, meta = {}) {
+    if (!refreshToken) {
+      throw new BadRequestError("Refresh token is required");
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+    if (!stored) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    // A rotated token was used again: assume it leaked and end the whole session
+    if (stored.revokedAt) {
+      await this.revokeFamily(stored.family);
+      Logger.warn("Refresh token reuse detected", {
+        userId: stored.user.toString(),
+        family: stored.family,
+      });
+      throw new UnauthorizedError("Refresh token has been revoked");
+    }
+
+    if (!stored.isActive()) {
+      throw new UnauthorizedError("Refresh token has expired");
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      await this.revokeFamily(stored.family);
+      throw new UnauthorizedError("Account is not active");
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!claimed) {
+      throw new UnauthorizedError("Refresh token has been revoked");
+    }
+
+    const tokens = await this.issueTokens(user, stored.family, meta);
+
+    await RefreshToken.updateOne(
+      { _id: stored._id },
+      { $set: { replacedBy: hashToken(tokens.refreshToken) } }
+    );
+
+    return tokens;
+  }
+
+  /**
+   * Log out: revoke the refresh token's session (its whole family)
+   * @param {string} refreshToken - Refresh token to revoke
+   */
+  async logout(refreshToken) {
+    if (!refreshToken) {
+      throw new BadRequestError("Refresh token is required");
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) {
+      await this.revokeFamily(stored.family);
+    }
+
+    return { loggedOut: true };
+  }
+
+  /**
+   * Get the profile of a user
+   * @param {string} userId - User id (from the access token)
+   */
+  async getProfile(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError("Account is not active");
+    }
+    return user.toProfile();
+  }
+
+  /**
+   * Change the role of a user (admin route or scripts/set-role.js)
+   * Takes effect with the user's next access token (at the latest when it is refreshed)
+   * @param {Object} target - { id } or { email }
+   * @param {string} role - One of USER_ROLES
+   * @returns {Promise<Object>} Updated profile
+   */
+  async setRole({ id, email } = {}, role) {
+    if (!USER_ROLES.includes(role)) {
+      throw new BadRequestError(`role must be one of: ${USER_ROLES.join(", ")}`);
+    }
+
+    let filter;
+    if (id !== undefined) {
+      if (!mongoose.isValidObjectId(id)) {
+        throw new BadRequestError("Invalid user id");
+      }
+      filter = { _id: id };
+    } else if (email) {
+      filter = { email: String(email).trim().toLowerCase() };
+    } else {
+      throw new BadRequestError("A user id or email is required");
+    }
+
+    const user = await User.findOne(filter);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (user.role !== role) {
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      Logger.info("User role changed", { userId: user._id.toString(), from: previousRole, to: role });
+    }
+
+    return user.toProfile();
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT access token
+   * @returns {Object} Decoded payload { sub, role, email }
+   * @throws {UnauthorizedError} Invalid or expired token
+   */
+  verifyAccessToken(token) {
+    try {
+      return jwt.verify(token, AUTH_CONFIG.JWT_SECRET, { issuer: AUTH_CONFIG.JWT_ISSUER });
+    } catch (error) {
+      throw new UnauthorizedError(
+        error.name === "TokenExpiredError" ? "Access token has expired" : "Invalid access token"
+      );
+    }
+  }
+
+  /**
+   * Issue an access token and a new refresh token
+   * @param {Object} user - User document
+   * @param {string|null} family - Token family (null starts a new session)
+   * @param {Object} meta - { ip, userAgent }
+   */
+  async issueTokens(user, family, meta = {}) {
+    const accessToken = jwt.sign(
+      { sub: user._id.toString(), role: user.role, email: user.email },
+      AUTH_CONFIG.JWT_SECRET,
+      { expiresIn: AUTH_CONFIG.ACCESS_TOKEN_EXPIRES_IN, issuer: AUTH_CONFIG.JWT_ISSUER }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const refreshTokenExpiresAt = new Date(
+      Date.now() + AUTH_CONFIG.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    await RefreshToken.create({
+      tokenHash: hashToken(refreshToken),
+      user: user._id,
+      family: family || crypto.randomUUID(),
+      expiresAt: refreshTokenExpiresAt,
+      createdByIp: meta.ip || null,
+      userAgent: meta.userAgent || null,
+    });
+
+    return {
+      user: user.toProfile(),
+      accessToken,
+      accessTokenExpiresIn: AUTH_CONFIG.ACCESS_TOKEN_EXPIRES_IN,
+      refreshToken,
+      refreshTokenExpiresAt,
+      tokenType: "Bearer",
+    };
+  }
+
+  /**
+   * Revoke every active token of a session
+   */
+  async revokeFamily(family) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Validate registration input (same limits as the User schema)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateCredentials(email, password, name) {
+    const errors = {};
+
+    if (!email || typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+      errors.email = "A valid email is required";
+    } else if (email.trim().length > 254) {
+      errors.email = "Email cannot exceed 254 characters";
+    }
+
+    if (!password || typeof password !== "string" || password.length < AUTH_CONFIG.PASSWORD_MIN_LENGTH) {
+      errors.password = `Password must be at least ${AUTH_CONFIG.PASSWORD_MIN_LENGTH} characters`;
+    } else if (password.length > 72) {
+      errors.password = "Password cannot exceed 72 characters"; // bcrypt input limit
+    }
+
+    if (name !== undefined && name !== null) {
+      if (typeof name !== "string") {
+        errors.name = "Name must be a string";
+      } else if (name.trim().length > 100) {
+        errors.name = "Name cannot exceed 100 characters";
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,259 @@
+import mongoose from "mongoose";
+import { Bookmark, News, toArticleSnapshot } from "../db/index.js";
+import { Logger, BadRequestError, NotFoundError, ownerFilter } from "../utils/index.js";
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Bookmark Service
+ * Saved articles of users and anonymous devices, with folders and tags
+ */
+class BookmarkService {
+  /**
+   * Bookmark an article (idempotent: an existing bookmark is returned, with folder/tags updated when given)
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} data - { articleId, folder, tags }
+   * @returns {Promise<Object>} { bookmark, created }
+   */
+  async addBookmark(owner, { articleId, folder, tags } = {}) {
+    if (!articleId || typeof articleId !== "string") {
+      throw new BadRequestError("articleId is required");
+    }
+
+    const changes = this.validateInput({ folder, tags });
+    const filter = { ...ownerFilter(owner), articleId };
+
+    const existing = await Bookmark.findOne(filter);
+    if (existing) {
+      if (Object.keys(changes).length > 0) {
+        existing.set(changes);
+        await existing.save();
+      }
+      return { bookmark: this.format(existing), created: false };
+    }
+
+    const article = await News.findOne({ articleId, isDeleted: false }).lean();
+    if (!article) {
+      throw new NotFoundError("Article not found");
+    }
+
+    try {
+      const bookmark = await Bookmark.create({
+        ...filter,
+        article: article._id,
+        snapshot: toArticleSnapshot(article),
+        folder: null,
+        tags: [],
+        ...changes,
+      });
+
+      return { bookmark: this.format(bookmark), created: true };
+    } catch (error) {
+      // Saved concurrently by another request
+      if (error.code === 11000) {
+        const bookmark = await Bookmark.findOne(filter);
+        return { bookmark: this.format(bookmark), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a bookmark to another folder and/or replace its tags
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {string} articleId - Bookmarked article id
+   * @param {Object} data - { folder, tags }
+   */
+  async updateBookmark(owner, articleId, { folder, tags } = {}) {
+    const changes = this.validateInput({ folder, tags });
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { ...ownerFilter(owner), articleId },
+      { $set: changes },
+      { returnDocument: "after" }
+    );
+
+    if (!bookmark) {
+      throw new NotFoundError("Bookmark not found");
+    }
+
+    return this.format(bookmark);
+  }
+
+  /**
+   * Remove a bookmark
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {string} articleId - Bookmarked article id
+   */
+  async removeBookmark(owner, articleId) {
+    const result = await Bookmark.deleteOne({ ...ownerFilter(owner), articleId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError("Bookmark not found");
+    }
+
+    return { articleId, removed: true };
+  }
+
+  /**
+   * List bookmarks, newest first
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} filters - { folder, tag }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { bookmarks, totalResults, page, limit, totalPages }
+   */
+  async getBookmarks(owner, { folder, tag } = {}, { page = 1, limit = 20 } = {}) {
+    const query = ownerFilter(owner);
+
+    if (folder !== undefined) query.folder = folder || null;
+    if (tag) query.tags = String(tag).trim().toLowerCase();
+
+    const [bookmarks, totalResults] = await Promise.all([
+      Bookmark.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Bookmark.countDocuments(query),
+    ]);
+
+    // Flag bookmarks whose article has been removed since it was saved
+    const liveIds = new Set(
+      (
+        await News.find(
+          { _id: { $in: bookmarks.map((bookmark) => bookmark.article).filter(Boolean) }, isDeleted: false },
+          { _id: 1 }
+        ).lean()
+      ).map((article) => article._id.toString())
+    );
+
+    return {
+      bookmarks: bookmarks.map((bookmark) =>
+        this.format(bookmark, liveIds.has(bookmark.article?.toString()))
+      ),
+      totalResults,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+    };
+  }
+
+  /**
+   * Get the ids of all bookmarked articles (lets clients mark cards as saved)
+   * @returns {Promise<string[]>} Article ids
+   */
+  async getBookmarkedIds(owner) {
+    return Bookmark.distinct("articleId", ownerFilter(owner));
+  }
+
+  /**
+   * Folders and tags in use, with bookmark counts
+   * @returns {Promise<Object>} { folders: [{ name, count }], tags: [{ name, count }] }
+   */
+  async getFolders(owner) {
+    const match = ownerFilter(owner);
+
+    const [folders, tags] = await Promise.all([
+      Bookmark.aggregate([
+        { $match: match },
+        { $group: { _id: "$folder", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+      Bookmark.aggregate([
+        { $match: match },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ]),
+    ]);
+
+    return {
+      folders: folders.map(({ _id, count }) => ({ name: _id, count })),
+      tags: tags.map(({ _id, count }) => ({ name: _id, count })),
+    };
+  }
+
+  /**
+   * Move the bookmarks of an anonymous device to a user (after sign-in)
+   * Articles the user already saved keep the user's bookmark
+   * @returns {Promise<Object>} { claimed, skipped }
+   */
+  async claimDeviceBookmarks(userId, deviceId) {
+    const user = new mongoose.Types.ObjectId(userId);
+    const saved = await Bookmark.distinct("articleId", { user });
+
+    const { deletedCount } = await Bookmark.deleteMany({ deviceId, articleId: { $in: saved } });
+    const { modifiedCount } = await Bookmark.updateMany(
+      { deviceId },
+      { $set: { user, deviceId: null } }
+    );
+
+    Logger.info("Device bookmarks claimed", { userId, claimed: modifiedCount, skipped: deletedCount });
+
+    return { claimed: modifiedCount, skipped: deletedCount };
+  }
+
+  /**
+   * Validate folder/tags input
+   * @returns {Object} Fields to set (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateInput({ folder, tags }) {
+    const changes = {};
+    const errors = {};
+
+    if (folder !== undefined) {
+      if (folder !== null && typeof folder !== "string") {
+        errors.folder = "Folder must be a string";
+      } else if (folder && folder.trim().length > 50) {
+        errors.folder = "Folder name cannot exceed 50 characters";
+      } else {
+        changes.folder = folder?.trim() || null;
+      }
+    }
+
+    if (tags !== undefined) {
+      const list = typeof tags === "string" ? tags.split(",") : tags;
+
+      if (!Array.isArray(list) || list.some((tag) => typeof tag !== "string")) {
+        errors.tags = "Tags must be an array of strings";
+      } else {
+        const normalized = [...new Set(list.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+        if (normalized.length > MAX_TAGS) {
+          errors.tags = `At most ${MAX_TAGS} tags are allowed`;
+        } else if (normalized.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+          errors.tags = `Tags cannot exceed ${MAX_TAG_LENGTH} characters`;
+        } else {
+          changes.tags = normalized;
+        }
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Response shape of a bookmark; `article` is the saved snapshot
+   * @param {Object} bookmark - Bookmark document
+   * @param {boolean} isAvailable - Whether the News document still exists
+   */
+  format(bookmark, isAvailable = true) {
+    return {
+      id: bookmark._id.toString(),
+      articleId: bookmark.articleId,
+      folder: bookmark.folder,
+      tags: bookmark.tags,
+      createdAt: bookmark.createdAt,
+      isAvailable,
+      article: { articleId: bookmark.articleId, ...toArticleSnapshot(bookmark.snapshot) },
+    };
+  }
+}
+
+export default new BookmarkService();
@@ -0,0 +1,331 @@
+import { AsyncLocalStorage } from "async_hooks";
+// Model imported directly: the db barrel loads FetchSchedule, which needs the
+// provider registry, whose providers use this service
+import CreditUsage from "../db/models/CreditUsage.model.js";
+import { Logger, QuotaExceededError } from "../utils/index.js";
+import { API_LIMITS, SCHEDULER_CONFIG } from "../config/index.js";
+import { CREDITS } from "../constants/index.js";
+
+const dateParts = new Intl.DateTimeFormat("en-CA", {
+  timeZone: SCHEDULER_CONFIG.timezone,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Calendar fields of a date in SCHEDULER_TIMEZONE
+ */
+const zonedParts = (date) =>
+  Object.fromEntries(
+    dateParts
+      .formatToParts(date)
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+/**
+ * Offset of SCHEDULER_TIMEZONE from UTC at a date, in milliseconds
+ */
+const zoneOffset = (date) => {
+  const parts = zonedParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Credits charged to the requests of a metered() run, per provider
+ */
+const meters = new AsyncLocalStorage();
+
+/**
+ * Whether a failed request is refunded: the provider never answered or answered 429
+ */
+const isRefunded = (error) => !error?.response || error.response.status === 429;
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Credit Ledger Service
+ * Records every request to a credit-limited provider (API_LIMITS) in the
+ * credit_usage collection, one document per provider and day, and refuses
+ * requests once the daily budget is spent or the provider rate-limited us
+ *
+ * Days follow SCHEDULER_TIMEZONE, like the fetch schedules: credits reset at
+ * local midnight. A credit is reserved before the request is sent and
+ * refunded when the provider never answered or answered 429.
+ */
+class CreditLedgerService {
+  /**
+   * Day of a date in SCHEDULER_TIMEZONE (YYYY-MM-DD)
+   */
+  dayKey(date = new Date()) {
+    const { year, month, day } = zonedParts(date);
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  }
+
+  /**
+   * Next midnight in SCHEDULER_TIMEZONE, when the daily credits reset
+   */
+  nextReset(date = new Date()) {
+    const { year, month, day } = zonedParts(date);
+    const midnight = Date.UTC(year, month - 1, day + 1);
+
+    // The offset at midnight can differ from the current one (DST change)
+    const guess = new Date(midnight - zoneOffset(date));
+    return new Date(midnight - zoneOffset(guess));
+  }
+
+  /**
+   * Reserve credits for a request to a provider
+   * @param {string} provider - Provider key (e.g. newsDataIo)
+   * @param {number} credits - Credits the request costs
+   * @returns {Promise<Object|null>} Ticket { provider, day, credits } for recordResponse()/recordFailure(),
+   *   null when the provider has no daily limit or the ledger is unavailable
+   * @throws {QuotaExceededError} When the budget is spent or the provider is rate-limiting
+   */
+  async reserve(provider, credits = 1) {
+    const dailyLimit = API_LIMITS[provider]?.dailyLimit ?? null;
+    if (dailyLimit === null) return null;
+
+    const now = new Date();
+    const day = this.dayKey(now);
+
+    // Two attempts: the first requests of a day can race to insert its document
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await CreditUsage.findOneAndUpdate(
+          {
+            provider,
+            day,
+            used: { $lte: dailyLimit - credits },
+            $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }],
+          },
+          { $inc: { used: credits, calls: 1 }, $set: { lastCallAt: now } },
+          { upsert: true }
+        );
+
+        return { provider, day, credits };
+      } catch (error) {
+        // The day exists but did not match the filter: refused (or an insert race)
+        if (error.code !== 11000) {
+          // The ledger must not take the API down with it
+          Logger.warn("Credit ledger unavailable, request not counted", { provider, error: error.message });
+          return null;
+        }
+
+        const usage = await CreditUsage.findOne({ provider, day }).lean();
+        const resetsAt = this.nextReset(now);
+
+        if (usage?.blockedUntil > now) {
+          throw new QuotaExceededError(
+            provider,
+            { used: usage.used, dailyLimit, resetsAt, retryAt: usage.blockedUntil },
+            `${provider} is rate-limiting requests until ${usage.blockedUntil.toISOString()}`
+          );
+        }
+
+        if (usage && usage.used + credits > dailyLimit) {
+          Logger.warn(`Daily API credit limit reached for ${provider}`, { used: usage.used, dailyLimit });
+          throw new QuotaExceededError(provider, { used: usage.used, dailyLimit, resetsAt, retryAt: resetsAt });
+        }
+      }
+    }
+
+    throw new QuotaExceededError(provider, { dailyLimit, resetsAt: this.nextReset(now) });
+  }
+
+  /**
+   * Record the response to a request (rate-limit headers of the provider)
+   * @param {Object|null} ticket - From reserve()
+   * @param {Object} response - Axios response
+   */
+  async recordResponse(ticket, response) {
+    if (!ticket) return;
+
+    await this.update(ticket, this.rateLimitChanges(response?.headers));
+  }
+
+  /**
+   * Record a failed request
+   * Requests without a response or answered 429 are refunded: the provider did not charge them
+   * @param {Object|null} ticket - From reserve()
+   * @param {Error} error - Axios error
+   */
+  async recordFailure(ticket, error) {
+    if (!ticket) return;
+
+    const response = error?.response;
+    const changes = this.rateLimitChanges(response?.headers);
+    changes.$inc = { failed: 1 };
+
+    if (isRefunded(error)) {
+      changes.$inc.used = -ticket.credits;
+    }
+
+    if (response?.status === 429) {
+      changes.$inc.rateLimited = 1;
+      changes.$set.blockedUntil =
+        this.parseRetryAt(response.headers) || new Date(Date.now() + CREDITS.RATE_LIMIT_BLOCK_SECONDS * 1000);
+
+      Logger.warn(`${ticket.provider} rate limit hit`, { blockedUntil: changes.$set.blockedUntil });
+    }
+
+    await this.update(ticket, changes);
+  }
+
+  /**
+   * Run an upstream request through the ledger: reserve, send, record
+   * @param {string} provider - Provider key
+   * @param {Function} send - Sends the request, resolves to the axios response
+   * @returns {Promise<Object>} Axios response
+   * @throws {QuotaExceededError} When the request was refused (not sent)
+   */
+  async track(provider, send) {
+    const ticket = await this.reserve(provider);
+
+    try {
+      const response = await send();
+      await this.recordResponse(ticket, response);
+      this.charge(ticket);
+      return response;
+    } catch (error) {
+      await this.recordFailure(ticket, error);
+      if (!isRefunded(error)) this.charge(ticket);
+      throw error;
+    }
+  }
+
+  /**
+   * Run work and add the credits its requests are charged to a meter
+   * (reserved and not refunded, as in credit_usage), also when the work fails
+   * @param {Object} meter - { <provider key>: credits }, updated in place
+   * @param {Function} work - Sends the requests
+   * @returns {Promise<*>} Result of work
+   */
+  metered(meter, work) {
+    return meters.run(meter, work);
+  }
+
+  /**
+   * Add the credits of a ticket to the meter of the current metered() run
+   */
+  charge(ticket) {
+    const meter = meters.getStore();
+    if (!ticket || !meter) return;
+
+    meter[ticket.provider] = (meter[ticket.provider] || 0) + ticket.credits;
+  }
+
+  /**
+   * Today's usage of every credit-limited provider
+   * @param {Object} estimates - providerRegistry.getEstimatedDailyCredits() of the active schedules
+   * @returns {Promise<Object>} { day, timezone, resetsAt, providers: { <key>: { dailyLimit, estimated, used, remaining, ... } } }
+   */
+  async getUsage(estimates = {}) {
+    const now = new Date();
+    const day = this.dayKey(now);
+
+    const records = await CreditUsage.find({ day }).lean();
+    const usageOf = new Map(records.map((record) => [record.provider, record]));
+
+    const providers = Object.fromEntries(
+      Object.entries(API_LIMITS).map(([provider, { dailyLimit }]) => {
+        const usage = usageOf.get(provider) || {};
+        const used = usage.used || 0;
+
+        return [
+          provider,
+          {
+            dailyLimit,
+            estimated: estimates[provider]?.estimated ?? 0,
+            used,
+            remaining: Math.max(dailyLimit - used, 0),
+            calls: usage.calls || 0,
+            failed: usage.failed || 0,
+            rateLimited: usage.rateLimited || 0,
+            lastCallAt: usage.lastCallAt || null,
+            providerLimit: usage.providerLimit ?? null,
+            providerRemaining: usage.providerRemaining ?? null,
+            blockedUntil: usage.blockedUntil > now ? usage.blockedUntil : null,
+          },
+        ];
+      })
+    );
+
+    return {
+      day,
+      timezone: SCHEDULER_CONFIG.timezone,
+      resetsAt: this.nextReset(now),
+      providers,
+    };
+  }
+
+  /**
+   * Changes from the X-RateLimit-* headers of a response
+   * A provider reporting no remaining requests blocks further calls until its reset
+   */
+  rateLimitChanges(headers = {}) {
+    const $set = {};
+
+    const limit = toNumber(headers["x-ratelimit-limit"]);
+    const remaining = toNumber(headers["x-ratelimit-remaining"]);
+
+    if (limit !== null) $set.providerLimit = limit;
+    if (remaining !== null) $set.providerRemaining = remaining;
+
+    if (remaining === 0) {
+      $set.blockedUntil =
+        this.parseRetryAt(headers) || new Date(Date.now() + CREDITS.RATE_LIMIT_BLOCK_SECONDS * 1000);
+    }
+
+    return { $set };
+  }
+
+  /**
+   * When the provider accepts requests again, from Retry-After (seconds or HTTP date)
+   * or X-RateLimit-Reset (seconds from now or epoch seconds)
+   * @returns {Date|null}
+   */
+  parseRetryAt(headers = {}) {
+    const retryAfter = headers["retry-after"];
+    if (retryAfter) {
+      const seconds = toNumber(retryAfter);
+      const date = seconds !== null ? new Date(Date.now() + seconds * 1000) : new Date(retryAfter);
+      if (!isNaN(date)) return date;
+    }
+
+    const reset = toNumber(headers["x-ratelimit-reset"]);
+    if (reset !== null) {
+      // Epoch seconds are far larger than any window length
+      return reset > 1e9 ? new Date(reset * 1000) : new Date(Date.now() + reset * 1000);
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply changes to the usage document of a ticket (errors are only logged)
+   */
+  async update({ provider, day }, { $set = {}, $inc }) {
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if ($inc) update.$inc = $inc;
+
+    if (Object.keys(update).length === 0) return;
+
+    await CreditUsage.updateOne({ provider, day }, update).catch((error) => {
+      Logger.warn("Failed to record API credit usage", { provider, error: error.message });
+    });
+  }
+}
+
+export default new CreditLedgerService();
@@ -0,0 +1,153 @@
+import { News } from "../db/index.js";
+import { Logger, canonicalizeUrl, tokenize, jaccardSimilarity } from "../utils/index.js";
+import { DEDUPLICATION } from "../constants/index.js";
+
+/**
+ * Deduplication Service
+ * Links the same story arriving from different providers to one canonical article
+ *
+ * An incoming article is a duplicate when a canonical article (already stored,
+ * or earlier in the same batch) has:
+ * - the same canonical URL (tracking params, host and AMP variants removed), or
+ * - a similar title (Jaccard similarity of title tokens) within WINDOW_HOURS
+ *
+ * The first stored article of a story stays its canonical, even when a later
+ * fetch brings an earlier-published copy; only within a batch are articles
+ * taken in publication order
+ *
+ * Duplicates get duplicate: true and canonicalArticleId, so the active() query
+ * helper and the static finders hide them
+ */
+class DeduplicationService {
+  /**
+   * Mark duplicates in a batch of normalized articles (in place)
+   * @param {Object[]} articles - Normalized articles about to be saved
+   * @returns {Promise<Object>} { checked, duplicates, byUrl, byTitle }
+   */
+  async markDuplicates(articles = []) {
+    const stats = { checked: articles.length, duplicates: 0, byUrl: 0, byTitle: 0 };
+
+    if (articles.length === 0) {
+      return stats;
+    }
+
+    articles.forEach((article) => {
+      article.canonicalUrl = canonicalizeUrl(article.url);
+    });
+
+    const canonicals = await this.loadCandidates(articles);
+    const storedCanonicalIds = new Set(canonicals.map((entry) => entry.articleId));
+
+    // Within the batch, the earliest article of a new story becomes its canonical
+    const ordered = [...articles].sort((a, b) => a.publishedAt - b.publishedAt);
+
+    for (const article of ordered) {
+      // A stored canonical is never re-decided: the upsert would demote it and
+      // leave its duplicates pointing at a hidden article
+      if (storedCanonicalIds.has(article.articleId)) {
+        article.duplicate = false;
+        article.canonicalArticleId = null;
+        continue;
+      }
+
+      const tokens = new Set(tokenize(article.title));
+      const upstreamDuplicate = article.duplicate === true;
+      const match = this.findCanonical(article, tokens, canonicals, upstreamDuplicate);
+
+      if (match) {
+        article.duplicate = true;
+        article.canonicalArticleId = match.entry.articleId;
+        stats.duplicates++;
+        stats[match.reason === "url" ? "byUrl" : "byTitle"]++;
+        continue;
+      }
+
+      // No canonical found: the article is shown even if the provider flagged it,
+      // otherwise the story would disappear entirely
+      article.duplicate = false;
+      article.canonicalArticleId = null;
+
+      canonicals.push({
+        articleId: article.articleId,
+        canonicalUrl: article.canonicalUrl,
+        publishedAt: article.publishedAt,
+        tokens,
+      });
+    }
+
+    if (stats.duplicates > 0) {
+      Logger.info("Duplicate articles detected", stats);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the canonical article an incoming article duplicates
+   * @returns {Object|null} { entry, reason } or null
+   */
+  findCanonical(article, tokens, canonicals, upstreamDuplicate) {
+    const windowMs = DEDUPLICATION.WINDOW_HOURS * 60 * 60 * 1000;
+    const threshold = upstreamDuplicate
+      ? DEDUPLICATION.UPSTREAM_DUPLICATE_THRESHOLD
+      : DEDUPLICATION.TITLE_SIMILARITY_THRESHOLD;
+
+    let best = null;
+
+    for (const entry of canonicals) {
+      // The same article re-fetched (e.g. listed under two categories) is not a duplicate
+      if (entry.articleId === article.articleId) continue;
+
+      if (article.canonicalUrl && entry.canonicalUrl === article.canonicalUrl) {
+        return { entry, reason: "url" };
+      }
+
+      if (tokens.size < DEDUPLICATION.MIN_TITLE_TOKENS) continue;
+      if (Math.abs(entry.publishedAt - article.publishedAt) > windowMs) continue;
+
+      const similarity = jaccardSimilarity(tokens, entry.tokens);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { entry, reason: "title", similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Load canonical articles already stored that incoming articles may duplicate
+   * (same canonical URL, or published within the comparison window), including
+   * incoming articles that are stored canonicals themselves
+   */
+  async loadCandidates(articles) {
+    const windowMs = DEDUPLICATION.WINDOW_HOURS * 60 * 60 * 1000;
+    const times = articles.map((article) => article.publishedAt.getTime());
+    const canonicalUrls = articles.map((article) => article.canonicalUrl).filter(Boolean);
+
+    const stored = await News.find(
+      {
+        $or: [
+          { canonicalUrl: { $in: canonicalUrls } },
+          {
+            publishedAt: {
+              $gte: new Date(Math.min(...times) - windowMs),
+              $lte: new Date(Math.max(...times) + windowMs),
+            },
+          },
+        ],
+        duplicate: false,
+        isDeleted: false,
+      },
+      { articleId: 1, title: 1, canonicalUrl: 1, url: 1, publishedAt: 1 }
+    ).lean();
+
+    return stored.map((doc) => ({
+      articleId: doc.articleId,
+      canonicalUrl: doc.canonicalUrl || canonicalizeUrl(doc.url),
+      publishedAt: doc.publishedAt,
+      tokens: new Set(tokenize(doc.title)),
+    }));
+  }
+}
+
+export default new DeduplicationService();
@@ -0,0 +1,462 @@
+import mongoose from "mongoose";
+import {
+  DigestSubscription,
+  User,
+  News,
+  Watchlist,
+  Notification,
+  toArticleSnapshot,
+} from "../db/index.js";
+import {
+  Logger,
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+  toList,
+  validateFilterLists,
+} from "../utils/index.js";
+import { DIGEST } from "../constants/index.js";
+import { MAIL_CONFIG, serverConfig } from "../config/index.js";
+import {
+  renderDigestSubject,
+  renderDigestHtml,
+  renderDigestText,
+} from "../templates/digest.template.js";
+import mailTransport from "./mailTransport.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const toTitle = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Digest Service
+ * Daily/weekly digest emails: subscriptions, digest building and delivery
+ */
+class DigestService {
+  /**
+   * Subscribe a user to a digest
+   * @param {string} userId - Signed-in user
+   * @param {Object} data - { frequency, categories, countries, watchlists }
+   */
+  async createSubscription(userId, data = {}) {
+    const fields = await this.validateInput(userId, data, { requireFrequency: true });
+    const user = await this.getActiveUser(userId);
+
+    await this.checkSubscriptionLimit({ user: user._id });
+
+    const subscription = await DigestSubscription.create({
+      user: user._id,
+      email: user.email,
+      ...fields,
+    });
+
+    Logger.info("Digest subscription created", { userId, frequency: subscription.frequency });
+
+    return this.format(subscription);
+  }
+
+  /**
+   * List the digest subscriptions of a user
+   */
+  async getSubscriptions(userId) {
+    const subscriptions = await DigestSubscription.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    return subscriptions.map((subscription) => this.format(subscription));
+  }
+
+  /**
+   * Change frequency, content or pause/resume a subscription
+   * @param {Object} data - { frequency, categories, countries, watchlists, isActive }
+   */
+  async updateSubscription(userId, subscriptionId, data = {}) {
+    const changes = await this.validateInput(userId, data);
+
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError("Send at least one of: frequency, categories, countries, watchlists, isActive");
+    }
+
+    const filter = this.subscriptionFilter(userId, subscriptionId);
+
+    // Resuming a paused or unsubscribed subscription counts against the limit
+    if (changes.isActive) {
+      changes.unsubscribedAt = null;
+      await this.checkSubscriptionLimit({ user: filter.user, _id: { $ne: filter._id } });
+    }
+
+    const subscription = await DigestSubscription.findOneAndUpdate(
+      filter,
+      { $set: changes },
+      { returnDocument: "after" }
+    ).lean();
+
+    if (!subscription) {
+      throw new NotFoundError("Digest subscription not found");
+    }
+
+    return this.format(subscription);
+  }
+
+  /**
+   * Delete a subscription
+   */
+  async deleteSubscription(userId, subscriptionId) {
+    const result = await DigestSubscription.deleteOne(this.subscriptionFilter(userId, subscriptionId));
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError("Digest subscription not found");
+    }
+
+    return { id: subscriptionId, removed: true };
+  }
+
+  /**
+   * Subscription of an unsubscribe link, without changing it
+   * @returns {Promise<Object|null>} { frequency, isActive }, null for an unknown token
+   */
+  async findByUnsubscribeToken(token) {
+    if (!token || typeof token !== "string") {
+      return null;
+    }
+
+    const subscription = await DigestSubscription.findOne({ unsubscribeToken: token })
+      .select("frequency isActive")
+      .lean();
+
+    return subscription && { frequency: subscription.frequency, isActive: subscription.isActive };
+  }
+
+  /**
+   * Unsubscribe with the token of a digest's unsubscribe link
+   * @returns {Promise<Object>} { unsubscribed, frequency }
+   */
+  async unsubscribe(token) {
+    if (!token || typeof token !== "string") {
+      return { unsubscribed: false, frequency: null };
+    }
+
+    const subscription = await DigestSubscription.findOneAndUpdate(
+      { unsubscribeToken: token },
+      { $set: { isActive: false, unsubscribedAt: new Date() } },
+      { returnDocument: "after" }
+    ).lean();
+
+    if (!subscription) {
+      return { unsubscribed: false, frequency: null };
+    }
+
+    Logger.info("Digest unsubscribed", {
+      userId: subscription.user.toString(),
+      frequency: subscription.frequency,
+    });
+
+    return { unsubscribed: true, frequency: subscription.frequency };
+  }
+
+  /**
+   * Render the next digest of a subscription without sending it
+   * @returns {Promise<Object>} Digest with subject, html and text
+   */
+  async previewDigest(userId, subscriptionId) {
+    const subscription = await this.getSubscriptionWithToken(userId, subscriptionId);
+    const digest = await this.buildDigest(subscription);
+
+    return {
+      ...digest,
+      subject: renderDigestSubject(digest),
+      html: renderDigestHtml(digest),
+      text: renderDigestText(digest),
+    };
+  }
+
+  /**
+   * Send the next digest of a subscription now (e.g. to check it in the SMTP sink)
+   */
+  async sendNow(userId, subscriptionId) {
+    const subscription = await this.getSubscriptionWithToken(userId, subscriptionId);
+    return this.sendDigest(subscription);
+  }
+
+  /**
+   * Send the digests of every active subscription with a frequency (cron job)
+   * Subscriptions already sent during the current period are skipped, so a
+   * repeated run does not send twice
+   * @param {string} frequency - daily or weekly
+   * @returns {Promise<Object>} { frequency, subscriptions, sent, empty, skipped, failed }
+   */
+  async runDigests(frequency) {
+    if (!DIGEST.FREQUENCIES.includes(frequency)) {
+      throw new BadRequestError(`frequency must be one of: ${DIGEST.FREQUENCIES.join(", ")}`);
+    }
+
+    const now = new Date();
+    const recentlySent = new Date(now - (DIGEST.PERIOD_HOURS[frequency] / 2) * HOUR_MS);
+    const stats = { frequency, subscriptions: 0, sent: 0, empty: 0, skipped: 0, failed: 0 };
+
+    Logger.info(`📧 Sending ${frequency} digests`);
+
+    const cursor = DigestSubscription.find({ frequency, isActive: true })
+      .select("+unsubscribeToken")
+      .lean()
+      .cursor();
+
+    for await (const subscription of cursor) {
+      stats.subscriptions++;
+
+      if (subscription.lastSentAt && subscription.lastSentAt > recentlySent) {
+        stats.skipped++;
+        continue;
+      }
+
+      try {
+        const { status } = await this.sendDigest(subscription, now);
+        stats[status === "sent" ? "sent" : "empty"]++;
+      } catch (error) {
+        stats.failed++;
+        Logger.error("Digest delivery failed", {
+          subscriptionId: subscription._id.toString(),
+          error: error.message,
+        });
+      }
+    }
+
+    Logger.info(`✅ ${toTitle(frequency)} digests done`, stats);
+
+    return stats;
+  }
+
+  /**
+   * Build and send one digest; nothing is sent when there are no articles
+   * @param {Object} subscription - Subscription including unsubscribeToken
+   * @returns {Promise<Object>} { status: "sent" | "empty", articleCount, messageId }
+   */
+  async sendDigest(subscription, now = new Date()) {
+    const digest = await this.buildDigest(subscription, now);
+
+    if (digest.articleCount === 0) {
+      return { status: "empty", articleCount: 0, messageId: null };
+    }
+
+    const { messageId } = await mailTransport.send({
+      to: subscription.email,
+      subject: renderDigestSubject(digest),
+      html: renderDigestHtml(digest),
+      text: renderDigestText(digest),
+      headers: {
+        // One-click unsubscribe (RFC 8058)
+        "List-Unsubscribe": `<${digest.unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+
+    await DigestSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastSentAt: now, lastArticleCount: digest.articleCount } }
+    );
+
+    return { status: "sent", articleCount: digest.articleCount, messageId };
+  }
+
+  /**
+   * Collect the articles of a digest
+   * Period: the last day/week, or since the previous digest when that is more recent
+   * Sections: top articles per category (or overall), then new matches per watchlist
+   * @param {Object} subscription - Subscription including unsubscribeToken
+   * @returns {Promise<Object>} { frequency, periodStart, periodEnd, sections, articleCount, unsubscribeUrl, appUrl }
+   */
+  async buildDigest(subscription, now = new Date()) {
+    const periodStart = new Date(
+      Math.max(
+        now - DIGEST.PERIOD_HOURS[subscription.frequency] * HOUR_MS,
+        subscription.lastSentAt ? new Date(subscription.lastSentAt).getTime() : 0
+      )
+    );
+
+    const query = { publishedAt: { $gte: periodStart, $lte: now } };
+    if (subscription.countries.length > 0) {
+      query.country = { $in: subscription.countries };
+    }
+
+    const topArticles = (filter, limit) =>
+      News.find(filter)
+        .active()
+        .sort({ clickCount: -1, publishedAt: -1 })
+        .limit(limit)
+        .lean();
+
+    const categorySections = subscription.categories.map(async (category) => ({
+      title: toTitle(category),
+      type: "category",
+      articles: await topArticles({ ...query, category }, DIGEST.ARTICLES_PER_SECTION * 2),
+    }));
+
+    // Without categories or watchlists the digest has the overall top stories
+    if (subscription.categories.length === 0 && subscription.watchlists.length === 0) {
+      categorySections.push(
+        topArticles(query, DIGEST.ARTICLES_PER_SECTION * 2).then((articles) => ({
+          title: "Top stories",
+          type: "top",
+          articles,
+        }))
+      );
+    }
+
+    const watchlists = await Watchlist.find({
+      _id: { $in: subscription.watchlists },
+      user: subscription.user,
+    }).lean();
+
+    const watchlistSections = watchlists.map(async (watchlist) => ({
+      title: `Watchlist: ${watchlist.name}`,
+      type: "watchlist",
+      articles: (
+        await Notification.find({ watchlist: watchlist._id, createdAt: { $gte: periodStart } })
+          .sort({ createdAt: -1 })
+          .limit(DIGEST.ARTICLES_PER_SECTION * 2)
+          .lean()
+      ).map((notification) => ({ articleId: notification.articleId, ...notification.snapshot })),
+    }));
+
+    // An article appears once, in the first section that has it
+    const seen = new Set();
+    const sections = (await Promise.all([...categorySections, ...watchlistSections]))
+      .map((section) => ({
+        ...section,
+        articles: section.articles
+          .filter((article) => !seen.has(article.articleId) && seen.add(article.articleId))
+          .slice(0, DIGEST.ARTICLES_PER_SECTION)
+          .map((article) => ({ articleId: article.articleId, ...toArticleSnapshot(article) })),
+      }))
+      .filter((section) => section.articles.length > 0)
+      .slice(0, DIGEST.MAX_SECTIONS);
+
+    return {
+      frequency: subscription.frequency,
+      periodStart,
+      periodEnd: now,
+      sections,
+      articleCount: sections.reduce((total, section) => total + section.articles.length, 0),
+      unsubscribeUrl: `${serverConfig.getBaseURL()}/api/digests/unsubscribe?token=${encodeURIComponent(subscription.unsubscribeToken)}`,
+      appUrl: MAIL_CONFIG.APP_URL,
+    };
+  }
+
+  /**
+   * Load a subscription of a user, including its unsubscribe token
+   */
+  async getSubscriptionWithToken(userId, subscriptionId) {
+    const subscription = await DigestSubscription.findOne(this.subscriptionFilter(userId, subscriptionId))
+      .select("+unsubscribeToken")
+      .lean();
+
+    if (!subscription) {
+      throw new NotFoundError("Digest subscription not found");
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Condition selecting one subscription of a user
+   * @throws {NotFoundError} Malformed id
+   */
+  subscriptionFilter(userId, subscriptionId) {
+    if (!mongoose.isValidObjectId(subscriptionId)) {
+      throw new NotFoundError("Digest subscription not found");
+    }
+    return { _id: new mongoose.Types.ObjectId(subscriptionId), user: new mongoose.Types.ObjectId(userId) };
+  }
+
+  /**
+   * Enforce DIGEST.MAX_SUBSCRIPTIONS active subscriptions per user
+   * @param {Object} filter - Subscriptions counted (the user's, minus the one being resumed)
+   * @throws {BadRequestError} When the limit is reached
+   */
+  async checkSubscriptionLimit(filter) {
+    const count = await DigestSubscription.countDocuments({ ...filter, isActive: true });
+    if (count >= DIGEST.MAX_SUBSCRIPTIONS) {
+      throw new BadRequestError(`At most ${DIGEST.MAX_SUBSCRIPTIONS} digest subscriptions are allowed`);
+    }
+  }
+
+  async getActiveUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError("Account is not active");
+    }
+    return user;
+  }
+
+  /**
+   * Validate subscription input
+   * @param {Object} options - { requireFrequency } frequency is required (create)
+   * @returns {Promise<Object>} Normalized fields (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  async validateInput(userId, data, { requireFrequency = false } = {}) {
+    const fields = {};
+    const errors = {};
+
+    if (data.frequency !== undefined || requireFrequency) {
+      if (!DIGEST.FREQUENCIES.includes(data.frequency)) {
+        errors.frequency = `Frequency must be one of: ${DIGEST.FREQUENCIES.join(", ")}`;
+      } else {
+        fields.frequency = data.frequency;
+      }
+    }
+
+    validateFilterLists(data, fields, errors, { max: DIGEST.MAX_SECTIONS });
+
+    if (data.watchlists !== undefined) {
+      const list = toList(data.watchlists);
+
+      if (!Array.isArray(list) || list.some((id) => !mongoose.isValidObjectId(id))) {
+        errors.watchlists = "Must be an array of watchlist ids";
+      } else {
+        const ids = [...new Set(list.map(String))];
+        const owned = await Watchlist.countDocuments({
+          _id: { $in: ids },
+          user: new mongoose.Types.ObjectId(userId),
+        });
+
+        if (owned !== ids.length) {
+          errors.watchlists = "Unknown watchlist (watchlists must belong to your account)";
+        } else {
+          fields.watchlists = ids;
+        }
+      }
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== "boolean") {
+        errors.isActive = "isActive must be a boolean";
+      } else {
+        fields.isActive = data.isActive;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Response shape of a subscription (never includes the unsubscribe token)
+   */
+  format(subscription) {
+    return {
+      id: subscription._id.toString(),
+      email: subscription.email,
+      frequency: subscription.frequency,
+      categories: subscription.categories,
+      countries: subscription.countries,
+      watchlists: subscription.watchlists.map(String),
+      isActive: subscription.isActive,
+      unsubscribedAt: subscription.unsubscribedAt,
+      lastSentAt: subscription.lastSentAt,
+      lastArticleCount: subscription.lastArticleCount,
+      createdAt: subscription.createdAt,
+    };
+  }
+}
+
+export default new DigestService();
@@ -0,0 +1,287 @@
+import { News, ReadingHistory, Bookmark } from "../db/index.js";
+import { Logger, tokenize, ownerFilter } from "../utils/index.js";
+import { FEED, TRENDING } from "../constants/index.js";
+import preferenceService from "./preference.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Lowercased source id and name of an article (either can be followed or muted)
+ */
+const getSourceKeys = (article) =>
+  [article.source?.id, article.source?.name].filter(Boolean).map((value) => value.toLowerCase());
+
+/**
+ * Normalize a weight map to 0 - 1 by its largest value
+ */
+const toAffinity = (weights) => {
+  const max = Math.max(0, ...weights.values());
+  return new Map([...weights].map(([key, weight]) => [key, max > 0 ? weight / max : 0]));
+};
+
+/**
+ * Feed Service
+ * Personalized "For You" ranking of recent articles
+ *
+ * Signals:
+ * - Explicit follows: categories, countries, sources, keywords (UserPreference)
+ * - Implicit affinity: categories, sources and keywords of read and bookmarked articles
+ * - Engagement and recency, with already-read articles pushed down
+ *
+ * Diversity: one article per story cluster, a decaying score for repeated sources
+ * and at most FEED.MAX_SOURCE_SHARE of a page from one source
+ */
+class FeedService {
+  /**
+   * Get the personalized feed of an owner
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} options - { page, limit, hours }
+   * @returns {Promise<Object>} { articles, page, limit, hasMore, personalized, windowHours, ... }
+   */
+  async getFeed(owner, { page = 1, limit = 20, hours } = {}) {
+    try {
+      const windowHours = Math.min(
+        hours > 0 ? hours : FEED.DEFAULT_WINDOW_HOURS,
+        TRENDING.MAX_WINDOW_HOURS
+      );
+      const now = Date.now();
+
+      const [preferences, signals] = await Promise.all([
+        preferenceService.getPreferences(owner),
+        this.getImplicitSignals(owner),
+      ]);
+
+      const mutedSources = new Set(preferences.mutedSources.map((source) => source.toLowerCase()));
+
+      const candidates = (
+        await News.find({ publishedAt: { $gte: new Date(now - windowHours * HOUR_MS) } })
+          .active()
+          .sort({ publishedAt: -1 })
+          .limit(FEED.MAX_CANDIDATES)
+          .lean()
+      ).filter((article) => !getSourceKeys(article).some((key) => mutedSources.has(key)));
+
+      const personalized =
+        signals.total > 0 ||
+        ["categories", "countries", "sources", "keywords"].some((field) => preferences[field].length > 0);
+
+      const scored = candidates
+        .map((article) => this.scoreArticle(article, preferences, signals, now))
+        .sort((a, b) => b.feed.score - a.feed.score);
+
+      const { articles, hasMore } = this.diversify(scored, { page, limit });
+
+      return {
+        success: true,
+        totalResults: articles.length,
+        articles,
+        page,
+        limit,
+        hasMore,
+        personalized,
+        windowHours,
+        source: "database",
+      };
+    } catch (error) {
+      Logger.error("Error building personalized feed", { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Derive affinities from recent reads and bookmarks
+   * @returns {Promise<Object>} { categories, sources (Map key -> 0-1), keywords (Set), readIds (Set), total }
+   */
+  async getImplicitSignals(owner) {
+    const filter = ownerFilter(owner);
+
+    const [history, bookmarks] = await Promise.all([
+      ReadingHistory.find(filter, { article: 1, articleId: 1, snapshot: 1 })
+        .sort({ lastReadAt: -1 })
+        .limit(FEED.SIGNAL_ITEMS)
+        .lean(),
+      Bookmark.find(filter, { article: 1, snapshot: 1 })
+        .sort({ createdAt: -1 })
+        .limit(FEED.SIGNAL_ITEMS)
+        .lean(),
+    ]);
+
+    const entries = [
+      ...history.map((entry) => ({ ...entry, weight: 1 })),
+      ...bookmarks.map((entry) => ({ ...entry, weight: FEED.BOOKMARK_SIGNAL_WEIGHT })),
+    ];
+
+    // Keywords are not part of snapshots: read them from the articles that still exist
+    const keywordsById = new Map(
+      (
+        await News.find(
+          { _id: { $in: entries.map((entry) => entry.article).filter(Boolean) } },
+          { keywords: 1 }
+        ).lean()
+      ).map((article) => [article._id.toString(), article.keywords || []])
+    );
+
+    const categories = new Map();
+    const sources = new Map();
+    const keywords = new Map();
+    const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+    for (const { snapshot, article, weight } of entries) {
+      (snapshot.category || []).forEach((category) => add(categories, category, weight));
+      getSourceKeys(snapshot).slice(0, 1).forEach((key) => add(sources, key, weight));
+
+      const terms = keywordsById.get(article?.toString())?.map((keyword) => keyword.toLowerCase());
+      (terms?.length ? terms : tokenize(snapshot.title)).forEach((term) => add(keywords, term, weight));
+    }
+
+    const topKeywords = [...keywords]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, FEED.TOP_IMPLICIT_KEYWORDS)
+      .map(([keyword]) => keyword);
+
+    return {
+      categories: toAffinity(categories),
+      sources: toAffinity(sources),
+      keywords: new Set(topKeywords),
+      readIds: new Set(history.map((entry) => entry.articleId)),
+      total: entries.length,
+    };
+  }
+
+  /**
+   * Score an article for an owner
+   * @returns {Object} Article with feed: { score, reasons }
+   */
+  scoreArticle(article, preferences, signals, now) {
+    const reasons = [];
+    let relevance = 0;
+
+    const categories = article.category || [];
+    const sourceKeys = getSourceKeys(article);
+    const text = `${article.title || ""} ${article.description || ""}`.toLowerCase();
+    const terms = new Set([
+      ...tokenize(text),
+      ...(article.keywords || []).map((keyword) => keyword.toLowerCase()),
+    ]);
+
+    // Explicit follows
+    const followedCategory = categories.find((category) => preferences.categories.includes(category));
+    if (followedCategory) {
+      relevance += FEED.CATEGORY_WEIGHT;
+      reasons.push({ type: "category", value: followedCategory });
+    }
+
+    const followedCountry = (article.country || []).find((country) => preferences.countries.includes(country));
+    if (followedCountry) {
+      relevance += FEED.COUNTRY_WEIGHT;
+      reasons.push({ type: "country", value: followedCountry });
+    }
+
+    if (preferences.sources.some((source) => sourceKeys.includes(source.toLowerCase()))) {
+      relevance += FEED.SOURCE_WEIGHT;
+      reasons.push({ type: "source", value: article.source?.name });
+    }
+
+    // Multi-word keywords match as phrases, single words as terms
+    const matchedKeywords = preferences.keywords.filter((keyword) =>
+      keyword.includes(" ") ? text.includes(keyword) : terms.has(keyword)
+    );
+    if (matchedKeywords.length > 0) {
+      relevance += FEED.KEYWORD_WEIGHT * Math.min(matchedKeywords.length, 2);
+      matchedKeywords.forEach((keyword) => reasons.push({ type: "keyword", value: keyword }));
+    }
+
+    // Implicit affinity
+    const categoryAffinity = Math.max(0, ...categories.map((category) => signals.categories.get(category) || 0));
+    const sourceAffinity = Math.max(0, ...sourceKeys.map((key) => signals.sources.get(key) || 0));
+    const similarTerms = [...terms].filter((term) => signals.keywords.has(term)).length;
+
+    const implicit =
+      FEED.IMPLICIT_CATEGORY_WEIGHT * categoryAffinity +
+      FEED.IMPLICIT_SOURCE_WEIGHT * sourceAffinity +
+      FEED.IMPLICIT_KEYWORD_WEIGHT * Math.min(similarTerms, 3);
+
+    relevance += implicit;
+    if (implicit >= 1) {
+      reasons.push({ type: "history" });
+    }
+
+    const ageHours = Math.max(0, (now - new Date(article.publishedAt).getTime()) / HOUR_MS);
+    const decay = Math.pow(0.5, ageHours / FEED.RECENCY_HALF_LIFE_HOURS);
+    const popularity = FEED.CLICK_WEIGHT * Math.log1p(article.clickCount || 0);
+    const isRead = signals.readIds.has(article.articleId);
+
+    const score = (1 + relevance + popularity) * decay * (isRead ? FEED.READ_PENALTY : 1);
+
+    return {
+      ...article,
+      feed: {
+        score: Number(score.toFixed(4)),
+        relevance: Number(relevance.toFixed(4)),
+        isRead,
+        reasons,
+      },
+    };
+  }
+
+  /**
+   * Pick articles page by page so no source dominates
+   * Each pick from a source lowers that source's next scores; a source is capped at
+   * FEED.MAX_SOURCE_SHARE of a page unless nothing else is left
+   * @param {Object[]} scored - Articles sorted by feed score
+   * @param {Object} options - { page, limit }
+   * @returns {{ articles: Object[], hasMore: boolean }}
+   */
+  diversify(scored, { page, limit }) {
+    // One article per story cluster (the best scored one)
+    const seenClusters = new Set();
+    const remaining = scored.filter((article) => {
+      if (!article.clusterId) return true;
+      if (seenClusters.has(article.clusterId)) return false;
+      seenClusters.add(article.clusterId);
+      return true;
+    });
+
+    const maxPerSource = Math.max(1, Math.ceil(limit * FEED.MAX_SOURCE_SHARE));
+    const wanted = Math.min(page * limit, FEED.MAX_CANDIDATES);
+    const ranked = [];
+    let pageCounts = new Map();
+
+    while (ranked.length < wanted && remaining.length > 0) {
+      if (ranked.length % limit === 0) {
+        pageCounts = new Map();
+      }
+
+      let bestIndex = -1;
+      let bestScore = -Infinity;
+      let fallbackIndex = -1;
+      let fallbackScore = -Infinity;
+
+      remaining.forEach((article, index) => {
+        const count = pageCounts.get(getSourceKeys(article)[0]) || 0;
+        const adjusted = article.feed.score * Math.pow(FEED.SOURCE_REPEAT_DECAY, count);
+
+        if (adjusted > fallbackScore) {
+          fallbackScore = adjusted;
+          fallbackIndex = index;
+        }
+        if (count < maxPerSource && adjusted > bestScore) {
+          bestScore = adjusted;
+          bestIndex = index;
+        }
+      });
+
+      const [picked] = remaining.splice(bestIndex >= 0 ? bestIndex : fallbackIndex, 1);
+      const key = getSourceKeys(picked)[0];
+      pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+      ranked.push(picked);
+    }
+
+    return {
+      articles: ranked.slice((page - 1) * limit, page * limit),
+      hasMore: remaining.length > 0,
+    };
+  }
+}
+
+export default new FeedService();
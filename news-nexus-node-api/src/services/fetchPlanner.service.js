@@ -0,0 +1,335 @@
+// Matcher node-cron fires the scheduled jobs with
+import TimeMatcher from "node-cron/src/time-matcher.js";
+import { FetchSlice, CategoryDemand } from "../db/index.js";
+import { providerRegistry } from "../providers/index.js";
+import fetchScheduleService from "./fetchSchedule.service.js";
+import creditLedger from "./creditLedger.service.js";
+import { PLANNER, NEWS_CATEGORIES, NEWS_COUNTRIES } from "../constants/index.js";
+import { SCHEDULER_CONFIG } from "../config/index.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Values of a comma-separated configuration field (e.g. category: "business,technology")
+ */
+const listOf = (value) =>
+  value === undefined || value === null
+    ? []
+    : String(value)
+        .toLowerCase()
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Fetch Planner Service
+ * Decides what adaptive schedules fetch from credit-limited providers: every
+ * distinct configuration (slice) of the enabled schedules is scored by how
+ * stale it is, how often readers open its category and how many new articles
+ * its last fetch yielded, and the best slices are picked until the credits of
+ * the run are spent: what is left today, shared by the adaptive runs left today
+ */
+class FetchPlannerService {
+  /**
+   * Canonical key of a provider configuration (e.g. category=business&country=in&language=en)
+   */
+  sliceKey(config = {}) {
+    return new URLSearchParams(
+      Object.keys(config)
+        .sort()
+        .map((key) => [key, String(config[key])])
+    ).toString();
+  }
+
+  /**
+   * Record a reader visit of a category page
+   * @param {string} category - Category of /api/news/category/:category
+   * @param {string} country - Country filter (comma-separated), if any
+   */
+  async recordCategoryView(category, country) {
+    const name = String(category).toLowerCase();
+    if (!NEWS_CATEGORIES.includes(name)) return;
+
+    const countries = listOf(country).filter((code) => NEWS_COUNTRIES.includes(code));
+    const day = creditLedger.dayKey();
+
+    await CategoryDemand.bulkWrite(
+      (countries.length > 0 ? countries : [null]).map((code) => ({
+        updateOne: {
+          filter: { category: name, country: code, day },
+          update: { $inc: { views: 1 } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Page tokens a paginated fetch of a configuration should resume from, oldest first
+   * @returns {Promise<string[]>}
+   */
+  async getResumeTokens(provider, config) {
+    const slice = await FetchSlice.findOne(
+      { provider: provider.key, key: this.sliceKey(config) },
+      { nextPages: 1 }
+    ).lean();
+
+    return slice?.nextPages ?? [];
+  }
+
+  /**
+   * Record the outcome of the fetches of a scheduled run
+   * @param {Object[]} fetches - { provider, config, articleIds, pages, nextPages } per configuration fetched
+   * @param {string[]} savedArticleIds - articleIds that were new (saveArticlesToDB)
+   */
+  async recordFetches(fetches, savedArticleIds = []) {
+    if (fetches.length === 0) return;
+
+    const saved = new Set(savedArticleIds);
+    const now = new Date();
+
+    await FetchSlice.bulkWrite(
+      fetches.map(({ provider, config, articleIds, pages = 1, nextPages = [] }) => ({
+        updateOne: {
+          filter: { provider: provider.key, key: this.sliceKey(config) },
+          update: {
+            $set: {
+              config,
+              lastFetchedAt: now,
+              lastReceived: articleIds.length,
+              lastYield: articleIds.filter((articleId) => saved.has(articleId)).length,
+              lastPages: pages,
+              nextPages,
+            },
+            $inc: { fetches: 1 },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Build the next fetch plan of every credit-limited provider
+   * @returns {Promise<Object>} { generatedAt, day, resetsAt, weights,
+   *   providers: { <key>: { budget, runsLeft, planned, slices } } }
+   */
+  async buildPlan() {
+    const now = new Date();
+
+    const [schedules, credits, demand, history] = await Promise.all([
+      fetchScheduleService.getSchedules({ enabled: true }),
+      creditLedger.getUsage(),
+      this.getDemand(now),
+      FetchSlice.find({}).lean(),
+    ]);
+
+    const historyOf = new Map(history.map((slice) => [`${slice.provider}:${slice.key}`, slice]));
+    const runsLeft = this.getRunsLeftToday(schedules, now);
+
+    const providers = {};
+    for (const provider of providerRegistry.list()) {
+      // Providers without a daily limit (RSS) always fetch their schedule configurations
+      if (!provider.usesCredits()) continue;
+
+      const { dailyLimit, used, remaining } = credits.providers[provider.key];
+      const { budget, runs } = this.getRunBudget(provider, remaining, schedules, runsLeft);
+
+      const slices = this.rankSlices(this.getSlices(schedules, provider), {
+        provider,
+        budget,
+        demand,
+        historyOf,
+        now,
+      });
+
+      providers[provider.key] = {
+        dailyLimit,
+        used,
+        remaining,
+        budget,
+        runsLeft: runs,
+        planned: slices.filter((slice) => slice.selected).length,
+        slices,
+      };
+    }
+
+    return {
+      generatedAt: now,
+      day: credits.day,
+      resetsAt: credits.resetsAt,
+      weights: PLANNER.WEIGHTS,
+      providers,
+    };
+  }
+
+  /**
+   * Runs of each schedule from the current minute until the credits reset (midnight in SCHEDULER_TIMEZONE)
+   * A run starting now is included; seconds of six-field cron expressions are ignored
+   * @returns {Map} Schedule name -> runs
+   */
+  getRunsLeftToday(schedules, now = new Date()) {
+    const matchers = schedules.map(({ name, time }) => {
+      const fields = time.trim().split(/\s+/);
+      const pattern = fields.length === 6 ? ["0", ...fields.slice(1)].join(" ") : fields.join(" ");
+      return [name, new TimeMatcher(pattern, SCHEDULER_CONFIG.timezone)];
+    });
+
+    const runs = new Map(schedules.map(({ name }) => [name, 0]));
+    const end = creditLedger.nextReset(now).getTime();
+
+    for (let time = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS; time < end; time += MINUTE_MS) {
+      const minute = new Date(time);
+      for (const [name, matcher] of matchers) {
+        if (matcher.match(minute)) runs.set(name, runs.get(name) + 1);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Credits one adaptive run may spend on a provider: what is left today, less what the
+   * fixed schedules still due today are estimated to use, shared by the adaptive runs left
+   * A run outside the schedules (manual trigger, after the last run of the day) gets a full share
+   * @returns {Object} { budget, runs } runs are the adaptive runs the credits are shared by
+   */
+  getRunBudget(provider, remaining, schedules, runsLeft) {
+    let reserved = 0;
+    let adaptiveRuns = 0;
+
+    for (const schedule of schedules) {
+      const runs = runsLeft.get(schedule.name) || 0;
+
+      if (schedule.adaptive) {
+        adaptiveRuns += runs;
+      } else {
+        const credits = (schedule[provider.scheduleKey] || []).reduce(
+          (sum, config) => sum + provider.estimateCredits(config),
+          0
+        );
+        reserved += runs * credits;
+      }
+    }
+
+    const runs = Math.max(adaptiveRuns, 1);
+    return { budget: Math.ceil(Math.max(remaining - reserved, 0) / runs), runs };
+  }
+
+  /**
+   * Distinct configurations of a provider across schedules
+   * @returns {Object[]} { key, config }
+   */
+  getSlices(schedules, provider) {
+    const slices = new Map();
+
+    for (const schedule of schedules) {
+      for (const config of schedule[provider.scheduleKey] || []) {
+        const key = this.sliceKey(config);
+        if (!slices.has(key)) slices.set(key, { key, config });
+      }
+    }
+
+    return Array.from(slices.values());
+  }
+
+  /**
+   * Score slices and select the best ones within the budget
+   * A slice is expected to cost the pages its last fetch used (its page budget when never fetched)
+   * @returns {Object[]} Slices, best first, with their score, factors and whether they are selected
+   */
+  rankSlices(pool, { provider, budget, demand, historyOf, now }) {
+    const slices = pool.map(({ key, config }) => {
+      const last = historyOf.get(`${provider.key}:${key}`);
+
+      return {
+        key,
+        config,
+        views: this.getSliceDemand(config, demand),
+        cost: last ? Math.max(last.lastPages || 1, 1) : provider.estimateCredits(config),
+        lastFetchedAt: last?.lastFetchedAt ?? null,
+        lastYield: last?.lastYield ?? null,
+        ageHours: last ? (now - last.lastFetchedAt) / HOUR_MS : null,
+      };
+    });
+
+    const maxViews = Math.max(0, ...slices.map((slice) => slice.views));
+    const maxYield = Math.max(0, ...slices.map((slice) => slice.lastYield ?? 0));
+
+    slices.forEach((slice) => {
+      slice.factors = {
+        // Never fetched: fully stale
+        staleness: slice.ageHours === null ? 1 : round(Math.min(slice.ageHours / PLANNER.MAX_STALENESS_HOURS, 1)),
+        demand: maxViews > 0 ? round(slice.views / maxViews) : 0,
+        // Never fetched: assumed productive until proven otherwise
+        yield: slice.lastYield === null ? 1 : maxYield > 0 ? round(slice.lastYield / maxYield) : 0,
+      };
+
+      slice.score = round(
+        Object.entries(PLANNER.WEIGHTS).reduce((score, [factor, weight]) => score + weight * slice.factors[factor], 0)
+      );
+    });
+
+    slices.sort((a, b) => b.score - a.score);
+
+    let credits = budget;
+    return slices.map(({ ageHours, ...slice }) => {
+      let reason = null;
+
+      if (ageHours !== null && ageHours * 60 < PLANNER.MIN_INTERVAL_MINUTES) {
+        reason = `fetched less than ${PLANNER.MIN_INTERVAL_MINUTES} minutes ago`;
+      } else if (slice.score < PLANNER.MIN_SCORE) {
+        reason = `score below ${PLANNER.MIN_SCORE}`;
+      } else if (credits < slice.cost) {
+        reason = "no credits left in this run";
+      } else {
+        credits -= slice.cost;
+      }
+
+      return { ...slice, selected: reason === null, reason };
+    });
+  }
+
+  /**
+   * Category views of the last PLANNER.DEMAND_WINDOW_DAYS days
+   * @returns {Promise<Map>} "category:country" ("*" without country filter) -> views
+   */
+  async getDemand(now = new Date()) {
+    const since = creditLedger.dayKey(new Date(now - (PLANNER.DEMAND_WINDOW_DAYS - 1) * 24 * HOUR_MS));
+
+    const rows = await CategoryDemand.aggregate([
+      { $match: { day: { $gte: since } } },
+      { $group: { _id: { category: "$category", country: "$country" }, views: { $sum: "$views" } } },
+    ]);
+
+    return new Map(rows.map(({ _id, views }) => [`${_id.category}:${_id.country ?? "*"}`, views]));
+  }
+
+  /**
+   * Views of the categories of a slice in its countries
+   * Views without a country filter count for every country; slices without a country take every view
+   */
+  getSliceDemand(config, demand) {
+    const categories = listOf(config.category);
+    const countries = listOf(config.country);
+
+    let views = 0;
+    for (const [key, count] of demand) {
+      const [category, country] = key.split(":");
+
+      if (!categories.includes(category)) continue;
+      if (country === "*" || countries.length === 0 || countries.includes(country)) {
+        views += count;
+      }
+    }
+
+    return views;
+  }
+}
+
+export default new FetchPlannerService();
@@ -0,0 +1,320 @@
+import { EventEmitter } from "events";
+import cron from "node-cron";
+import { FetchSchedule, AppSetting } from "../db/index.js";
+import { providerRegistry } from "../providers/index.js";
+import { Logger, BadRequestError, NotFoundError, ConflictError } from "../utils/index.js";
+import { FETCH_SCHEDULE } from "../config/index.js";
+import { FETCH_SCHEDULES } from "../constants/index.js";
+
+/**
+ * Snapshot of the admin who changed a schedule (req.actor)
+ */
+const toUpdatedBy = (actor) =>
+  actor ? { type: actor.type, email: actor.email, apiKeyLabel: actor.apiKeyLabel } : { type: "system" };
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// app_settings key recording that the defaults were seeded
+const SEEDED_KEY = "fetchSchedules.seeded";
+
+/**
+ * Fetch Schedule Service
+ * Schedules of the news fetch scheduler, stored in the fetch_schedules collection
+ * and seeded from FETCH_SCHEDULE on first run (only once: deleting every schedule
+ * leaves the scheduler without schedules)
+ *
+ * Names are upper case (MORNING); lookups accept any case
+ *
+ * Events:
+ * - "schedule:changed" ({ name, schedule }) - a schedule was created, updated or
+ *   deleted (schedule is null); the scheduler reloads its job
+ */
+class FetchScheduleService extends EventEmitter {
+  /**
+   * Insert the schedules of FETCH_SCHEDULE on the first run of a database
+   * The seeding is recorded in app_settings, so defaults an admin deleted stay deleted
+   * @returns {Promise<number>} Number of schedules seeded
+   */
+  async seedDefaults() {
+    let marker;
+    try {
+      // Claim the seeding: only the instance that inserts the marker seeds
+      marker = await AppSetting.findOneAndUpdate(
+        { key: SEEDED_KEY },
+        { $setOnInsert: { value: { at: new Date() } } },
+        { upsert: true, returnDocument: "before" }
+      );
+    } catch (error) {
+      // Another instance claimed it at the same time
+      if (error.code === 11000) return 0;
+      throw error;
+    }
+
+    if (marker) {
+      return 0;
+    }
+
+    // Database from before the marker existed: its schedules are already in place
+    if ((await FetchSchedule.estimatedDocumentCount()) > 0) {
+      return 0;
+    }
+
+    const schedules = Object.entries(FETCH_SCHEDULE).map(([name, schedule]) => ({
+      name,
+      ...schedule,
+      updatedBy: { type: "system" },
+    }));
+
+    try {
+      await FetchSchedule.insertMany(schedules, { ordered: false });
+    } catch (error) {
+      // Another instance seeded at the same time
+      if (error.code !== 11000) throw error;
+    }
+
+    Logger.info("Fetch schedules seeded from FETCH_SCHEDULE", { schedules: schedules.length });
+    return schedules.length;
+  }
+
+  /**
+   * All schedules, sorted by name
+   * @param {Object} filters - { enabled } only enabled (or disabled) schedules
+   */
+  async getSchedules({ enabled } = {}) {
+    const query = enabled === undefined ? {} : { enabled };
+    const schedules = await FetchSchedule.find(query).sort({ name: 1 }).lean();
+    return schedules.map((schedule) => this.format(schedule));
+  }
+
+  /**
+   * One schedule by name
+   * @returns {Promise<Object|null>} null when it does not exist
+   */
+  async findSchedule(name) {
+    const schedule = await FetchSchedule.findOne({ name: this.normalizeName(name) }).lean();
+    return schedule ? this.format(schedule) : null;
+  }
+
+  /**
+   * One schedule by name
+   * @throws {NotFoundError} When it does not exist
+   */
+  async getSchedule(name) {
+    const schedule = await this.findSchedule(name);
+
+    if (!schedule) {
+      throw new NotFoundError(`Schedule ${this.normalizeName(name)} not found`);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - { name, time, description, enabled, adaptive, <provider scheduleKey>: [configs] }
+   * @param {Object} actor - Admin creating it (req.actor)
+   */
+  async createSchedule(data = {}, actor = null) {
+    const fields = this.validateInput(data, { requireAll: true });
+
+    const count = await FetchSchedule.countDocuments();
+    if (count >= FETCH_SCHEDULES.MAX_SCHEDULES) {
+      throw new BadRequestError(`At most ${FETCH_SCHEDULES.MAX_SCHEDULES} schedules are allowed`);
+    }
+
+    try {
+      const schedule = await FetchSchedule.create({ ...fields, updatedBy: toUpdatedBy(actor) });
+      const formatted = this.format(schedule.toObject());
+
+      Logger.info("Fetch schedule created", { schedule: formatted.name, time: formatted.time });
+      this.emit("schedule:changed", { name: formatted.name, schedule: formatted });
+
+      return formatted;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A schedule named ${fields.name} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change the time, description, provider configurations or planning mode of a schedule, or enable/disable it
+   * (the name cannot change: it identifies the schedule in the audit log)
+   */
+  async updateSchedule(scheduleName, data = {}, actor = null) {
+    const name = this.normalizeName(scheduleName);
+
+    if (data.name !== undefined && this.normalizeName(data.name) !== name) {
+      throw new BadRequestError("A schedule cannot be renamed; create a new one instead");
+    }
+
+    const changes = this.validateInput(data);
+    delete changes.name;
+
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError(
+        `Send at least one of: time, description, enabled, adaptive, ${this.getConfigKeys().join(", ")}`
+      );
+    }
+
+    const schedule = await FetchSchedule.findOneAndUpdate(
+      { name },
+      { $set: { ...changes, updatedBy: toUpdatedBy(actor) } },
+      { returnDocument: "after" }
+    ).lean();
+
+    if (!schedule) {
+      throw new NotFoundError(`Schedule ${name} not found`);
+    }
+
+    const formatted = this.format(schedule);
+
+    Logger.info("Fetch schedule updated", { schedule: name, changes: Object.keys(changes) });
+    this.emit("schedule:changed", { name, schedule: formatted });
+
+    return formatted;
+  }
+
+  /**
+   * Delete a schedule (its job is stopped)
+   */
+  async deleteSchedule(scheduleName) {
+    const name = this.normalizeName(scheduleName);
+    const schedule = await FetchSchedule.findOneAndDelete({ name });
+
+    if (!schedule) {
+      throw new NotFoundError(`Schedule ${name} not found`);
+    }
+
+    Logger.info("Fetch schedule deleted", { schedule: name });
+    this.emit("schedule:changed", { name, schedule: null });
+
+    return { name, removed: true };
+  }
+
+  /**
+   * Stored form of a schedule name (trimmed, upper case)
+   */
+  normalizeName(name) {
+    return String(name ?? "").trim().toUpperCase();
+  }
+
+  /**
+   * Schedule fields holding provider fetch configurations (newsDataConfig, rssConfig, ...)
+   */
+  getConfigKeys() {
+    return providerRegistry.list().map((provider) => provider.scheduleKey);
+  }
+
+  /**
+   * Validate and normalize schedule input
+   * @param {Object} data - Request body
+   * @param {Object} options - { requireAll } name and time are required (create)
+   * @returns {Object} Normalized fields (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateInput(data, { requireAll = false } = {}) {
+    const fields = {};
+    const errors = {};
+
+    if (data.name !== undefined || requireAll) {
+      const name = typeof data.name === "string" ? this.normalizeName(data.name) : "";
+
+      if (!FETCH_SCHEDULES.NAME_PATTERN.test(name)) {
+        errors.name = "Name must be 2-40 letters, digits or underscores, starting with a letter (e.g. LATE_NIGHT)";
+      } else if (FETCH_SCHEDULES.RESERVED_NAMES.includes(name)) {
+        errors.name = `${name} is the name of another scheduler job`;
+      } else {
+        fields.name = name;
+      }
+    }
+
+    if (data.time !== undefined || requireAll) {
+      const time = typeof data.time === "string" ? data.time.trim().replace(/\s+/g, " ") : "";
+
+      if (!time || !cron.validate(time)) {
+        errors.time = "Time must be a valid cron expression (e.g. \"0 13 * * *\" for 1 PM daily)";
+      } else {
+        fields.time = time;
+      }
+    }
+
+    if (data.description !== undefined) {
+      if (typeof data.description !== "string" || data.description.trim().length > 200) {
+        errors.description = "Description must be a string of at most 200 characters";
+      } else {
+        fields.description = data.description.trim();
+      }
+    }
+
+    if (data.enabled !== undefined) {
+      if (typeof data.enabled !== "boolean") {
+        errors.enabled = "enabled must be a boolean";
+      } else {
+        fields.enabled = data.enabled;
+      }
+    }
+
+    if (data.adaptive !== undefined) {
+      if (typeof data.adaptive !== "boolean") {
+        errors.adaptive = "adaptive must be a boolean";
+      } else {
+        fields.adaptive = data.adaptive;
+      }
+    }
+
+    for (const key of this.getConfigKeys()) {
+      if (data[key] === undefined) continue;
+
+      const configs = data[key];
+      const isValid =
+        Array.isArray(configs) &&
+        configs.every(
+          (config) =>
+            isPlainObject(config) &&
+            Object.values(config).every((value) => ["string", "number", "boolean"].includes(typeof value))
+        );
+
+      if (!isValid) {
+        errors[key] = "Must be an array of objects with string, number or boolean values";
+      } else if (configs.length > FETCH_SCHEDULES.MAX_CONFIGS_PER_PROVIDER) {
+        errors[key] = `At most ${FETCH_SCHEDULES.MAX_CONFIGS_PER_PROVIDER} configurations per provider are allowed`;
+      } else {
+        fields[key] = configs;
+      }
+    }
+
+    const unknown = Object.keys(data).filter(
+      (key) => !["name", "time", "description", "enabled", "adaptive", ...this.getConfigKeys()].includes(key)
+    );
+    if (unknown.length > 0) {
+      errors.unknown = `Unknown fields: ${unknown.join(", ")}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Response shape of a schedule (also the definition the scheduler runs)
+   */
+  format(schedule) {
+    return {
+      name: schedule.name,
+      time: schedule.time,
+      description: schedule.description,
+      enabled: schedule.enabled,
+      adaptive: schedule.adaptive ?? true,
+      ...Object.fromEntries(this.getConfigKeys().map((key) => [key, schedule[key] || []])),
+      updatedBy: schedule.updatedBy?.email || schedule.updatedBy?.apiKeyLabel || schedule.updatedBy?.type || null,
+      createdAt: schedule.createdAt,
+      updatedAt: schedule.updatedAt,
+    };
+  }
+}
+
+export default new FetchScheduleService();
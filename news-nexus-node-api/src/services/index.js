@@ -5,5 +5,28 @@
 
 export { default as newsApiService } from "./newsApi.service.js";
 export { default as newsApiOrgService } from "./newsApiOrg.service.js";
+export { default as articleNormalizer } from "./articleNormalizer.service.js";
+export { default as deduplicationService } from "./deduplication.service.js";
+export { default as articleIngestion } from "./articleIngestion.service.js";
+export { default as storyClusteringService } from "./storyClustering.service.js";
+export { default as trendingService } from "./trending.service.js";
+export { default as rssFeedService } from "./rssFeed.service.js";
 export { default as newsFetchScheduler } from "./newsFetchScheduler.service.js";
 export { default as unifiedNewsService } from "./unifiedNews.service.js";
+export { default as authService } from "./auth.service.js";
+export { default as auditLogService } from "./auditLog.service.js";
+export { default as bookmarkService } from "./bookmark.service.js";
+export { default as readingHistoryService } from "./readingHistory.service.js";
+export { default as preferenceService } from "./preference.service.js";
+export { default as feedService } from "./feed.service.js";
+export { default as watchlistService } from "./watchlist.service.js";
+export { default as mailTransport } from "./mailTransport.service.js";
+export { default as digestService } from "./digest.service.js";
+export { default as webhookService } from "./webhook.service.js";
+export { default as newsStreamService } from "./newsStream.service.js";
+export { default as syndicationService } from "./syndication.service.js";
+export { default as articleExportService } from "./articleExport.service.js";
+export { default as articleImportService } from "./articleImport.service.js";
+export { default as fetchScheduleService } from "./fetchSchedule.service.js";
+export { default as creditLedger } from "./creditLedger.service.js";
+export { default as fetchPlanner } from "./fetchPlanner.service.js";
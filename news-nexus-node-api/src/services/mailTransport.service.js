@@ -0,0 +1,86 @@
+import nodemailer from "nodemailer";
+import { Logger } from "../utils/index.js";
+import { MAIL_CONFIG } from "../config/index.js";
+
+/**
+ * Mail Transport Service
+ * Single place that sends email, so callers do not depend on how mail leaves the app
+ *
+ * - "smtp": nodemailer SMTP transport (a local SMTP sink such as Mailpit by default)
+ * - "log": messages are rendered by nodemailer's JSON transport and logged, never sent
+ */
+class MailTransportService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Create the nodemailer transport on first use
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter =
+        MAIL_CONFIG.TRANSPORT === "smtp"
+          ? nodemailer.createTransport({
+              host: MAIL_CONFIG.SMTP_HOST,
+              port: MAIL_CONFIG.SMTP_PORT,
+              secure: MAIL_CONFIG.SMTP_SECURE,
+              auth: MAIL_CONFIG.SMTP_USER
+                ? { user: MAIL_CONFIG.SMTP_USER, pass: MAIL_CONFIG.SMTP_PASS }
+                : undefined,
+            })
+          : nodemailer.createTransport({ jsonTransport: true });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, html, text, headers }
+   * @returns {Promise<Object>} { messageId, transport }
+   */
+  async send({ to, subject, html, text, headers = {} }) {
+    const info = await this.getTransporter().sendMail({
+      from: MAIL_CONFIG.FROM,
+      to,
+      subject,
+      html,
+      text,
+      headers,
+    });
+
+    if (MAIL_CONFIG.TRANSPORT === "log") {
+      Logger.info("Email rendered (MAIL_TRANSPORT=log, not sent)", {
+        to,
+        subject,
+        messageId: info.messageId,
+        size: info.message?.length || 0,
+      });
+    } else {
+      Logger.info("Email sent", { to, subject, messageId: info.messageId });
+    }
+
+    return { messageId: info.messageId, transport: MAIL_CONFIG.TRANSPORT };
+  }
+
+  /**
+   * Check the SMTP connection (always true for the log transport)
+   */
+  async verify() {
+    if (MAIL_CONFIG.TRANSPORT !== "smtp") return true;
+
+    try {
+      await this.getTransporter().verify();
+      return true;
+    } catch (error) {
+      Logger.warn("SMTP server is not reachable", {
+        host: MAIL_CONFIG.SMTP_HOST,
+        port: MAIL_CONFIG.SMTP_PORT,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+}
+
+export default new MailTransportService();
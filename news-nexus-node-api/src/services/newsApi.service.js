@@ -1,6 +1,11 @@
 import axios from "axios";
 import { NEWS_API_CONFIG } from "../config/index.js";
 import { NEWS_CATEGORIES, NEWS_LANGUAGES, NEWS_COUNTRIES } from "../constants/index.js";
+import { QuotaExceededError } from "../utils/index.js";
+import creditLedger from "./creditLedger.service.js";
+
+// API_LIMITS / credit ledger key
+const PROVIDER_KEY = "newsDataIo";
 
 class NewsApiService {
   constructor() {
@@ -37,7 +42,7 @@ class NewsApiService {
         headers: {},
       };
 
-      const response = await axios.request(config);
+      const response = await this.request(config);
       return {
         success: true,
         data: response.data,
@@ -54,7 +59,7 @@ class NewsApiService {
    * @param {string} filters.language - Language code
    * @param {string} filters.category - Category name
    * @param {string} filters.q - Search query
-   * @param {number} filters.page - Page number
+   * @param {string} filters.page - nextPage token of a previous response (first page when omitted)
    * @returns {Promise<Object>} - News articles data
    */
   async getLatestNews(filters = {}) {
@@ -64,7 +69,7 @@ class NewsApiService {
         language,
         category,
         q,
-        page = 1,
+        page,
       } = filters;
 
       const params = {
@@ -85,7 +90,7 @@ class NewsApiService {
         headers: {},
       };
 
-      const response = await axios.request(config);
+      const response = await this.request(config);
       return {
         success: true,
         data: response.data,
@@ -95,6 +100,57 @@ class NewsApiService {
     }
   }
 
+  /**
+   * Fetch latest news articles, following nextPage tokens
+   * Every page is a request (and a credit); a failure after the first page ends the
+   * fetch with the pages received so far, and nextPage set to the page that failed
+   * @param {Object} filters - Filters of getLatestNews (page: token to start from)
+   * @param {Object} options - Paging options
+   * @param {number} options.maxPages - Page budget
+   * @param {Function} options.shouldStop - async (results) => true to stop after this page
+   * @returns {Promise<Object>} - { success, data: { results, pages, nextPage, stoppedBy } }
+   *   stoppedBy: "end" (no more pages), "stop" (shouldStop), "budget", "quota" or "error"
+   */
+  async getLatestNewsPages(filters = {}, { maxPages = 1, shouldStop } = {}) {
+    const results = [];
+    let page = filters.page || null;
+    let pages = 0;
+    let stoppedBy = "budget";
+
+    while (pages < maxPages) {
+      let response;
+      try {
+        response = await this.getLatestNews({ ...filters, page });
+      } catch (error) {
+        if (pages === 0) throw error;
+
+        stoppedBy = error instanceof QuotaExceededError ? "quota" : "error";
+        break;
+      }
+
+      const pageResults = response.data?.results || [];
+      results.push(...pageResults);
+      pages++;
+      page = response.data?.nextPage || null;
+
+      if (!page || pageResults.length === 0) {
+        page = null;
+        stoppedBy = "end";
+        break;
+      }
+
+      if (shouldStop && (await shouldStop(pageResults))) {
+        stoppedBy = "stop";
+        break;
+      }
+    }
+
+    return {
+      success: true,
+      data: { results, pages, nextPage: page, stoppedBy },
+    };
+  }
+
   /**
    * Search for specific news articles
    * @param {string} query - Search query
@@ -107,15 +163,15 @@ class NewsApiService {
         country,
         language,
         category,
-        page = 1,
+        page,
       } = filters;
 
       const params = {
         apikey: this.apiKey,
         q: query,
-        page,
       };
 
+      if (page) params.page = page;
       if (country) params.country = country;
       if (language) params.language = language;
       if (category) params.category = category;
@@ -128,7 +184,7 @@ class NewsApiService {
         headers: {},
       };
 
-      const response = await axios.request(config);
+      const response = await this.request(config);
       return {
         success: true,
         data: response.data,
@@ -138,13 +194,25 @@ class NewsApiService {
     }
   }
 
+  /**
+   * Send a request to NewsData.io; every request costs a credit, counted by the credit ledger
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} - Axios response
+   * @throws {QuotaExceededError} When the daily credits are spent (the request is not sent)
+   */
+  async request(config) {
+    return creditLedger.track(PROVIDER_KEY, () => axios.request(config));
+  }
+
   /**
    * Handle API errors
    * @param {Error} error - Error object
-   * @returns {Object} - Formatted error
+   * @returns {Object} - Formatted error (QuotaExceededError as-is)
    */
   handleError(error) {
-    if (error.response) {
+    if (error instanceof QuotaExceededError) {
+      return error;
+    } else if (error.response) {
       return {
         success: false,
         message: error.response.data?.message || "API request failed",
@@ -5,6 +5,11 @@ import {
   NEWS_LANGUAGES,
   NEWS_COUNTRIES,
 } from "../constants/index.js";
+import { QuotaExceededError } from "../utils/index.js";
+import creditLedger from "./creditLedger.service.js";
+
+// API_LIMITS / credit ledger key
+const PROVIDER_KEY = "newsApiOrg";
 
 /**
  * NewsAPI.org Service
@@ -20,19 +25,23 @@ class NewsApiOrgService {
 
   /**
    * Make API request to NewsAPI.org
+   * Every request costs a credit, counted by the credit ledger
    * @param {string} endpoint - API endpoint
    * @param {object} params - Query parameters
    * @returns {Promise<object>} API response
+   * @throws {QuotaExceededError} When the daily credits are spent (the request is not sent)
    */
   async makeRequest(endpoint, params = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
-        params: {
-          ...params,
-          apiKey: this.apiKey, // Note: capital 'K' for NewsAPI.org
-        },
-        timeout: this.timeout,
-      });
+      const response = await creditLedger.track(PROVIDER_KEY, () =>
+        axios.get(`${this.baseURL}${endpoint}`, {
+          params: {
+            ...params,
+            apiKey: this.apiKey, // Note: capital 'K' for NewsAPI.org
+          },
+          timeout: this.timeout,
+        })
+      );
 
       return response.data;
     } catch (error) {
@@ -128,10 +137,12 @@ class NewsApiOrgService {
   /**
    * Handle API errors
    * @param {Error} error - Axios error object
-   * @throws {Error} Formatted error
+   * @throws {Error} Formatted error (QuotaExceededError as-is)
    */
   handleError(error) {
-    if (error.response) {
+    if (error instanceof QuotaExceededError) {
+      throw error;
+    } else if (error.response) {
       // API responded with error
       const { status, data } = error.response;
       throw new Error(
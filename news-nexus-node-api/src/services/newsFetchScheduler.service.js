@@ -1,193 +1,178 @@
 import cron from "node-cron";
-import { newsApiService, newsApiOrgService } from "./index.js";
 import { News } from "../db/index.js";
-import { Logger } from "../utils/index.js";
-import {
-  FETCH_SCHEDULE,
-  SCHEDULER_CONFIG,
-  getScheduleTimes,
-  getEstimatedDailyCredits,
-} from "../config/index.js";
+import { providerRegistry } from "../providers/index.js";
+import articleNormalizer from "./articleNormalizer.service.js";
+import articleIngestion from "./articleIngestion.service.js";
+import storyClusteringService from "./storyClustering.service.js";
+import watchlistService from "./watchlist.service.js";
+import digestService from "./digest.service.js";
+import webhookService from "./webhook.service.js";
+import fetchScheduleService from "./fetchSchedule.service.js";
+import creditLedger from "./creditLedger.service.js";
+import fetchPlanner from "./fetchPlanner.service.js";
+import { Logger, QuotaExceededError } from "../utils/index.js";
+import { WEBHOOKS, CREDITS } from "../constants/index.js";
+import { SCHEDULER_CONFIG, DIGEST_SCHEDULE, DIGEST_ENABLED } from "../config/index.js";
 
 /**
  * News Fetch Scheduler Service
- * Automatically fetches news 5 times daily to populate database
+ * Automatically fetches news on the schedules stored in MongoDB (seeded from
+ * FETCH_SCHEDULE) to populate the database
  * Ensures users always get data from cache without exhausting API credits
+ *
+ * Jobs are reloaded when a schedule is created, changed or deleted through
+ * fetchScheduleService, without restarting the scheduler. Adaptive schedules
+ * fetch the slices chosen by fetchPlanner from credit-limited providers
  */
 class NewsFetchScheduler {
   constructor() {
     this.scheduledJobs = [];
+    this.fetchSchedules = {}; // Definitions of the scheduled fetch jobs, by schedule name
     this.isRunning = false;
-    this.lastFetchTimes = {
-      EARLY_MORNING: null,
-      MORNING: null,
-      AFTERNOON: null,
-      EVENING: null,
-      NIGHT: null,
-    };
+    this.lastFetchTimes = {};
     this.fetchStats = {
       totalFetches: 0,
       successfulFetches: 0,
       failedFetches: 0,
       articlesSaved: 0,
+      articlesRejected: 0,
     };
-  }
+    this.lastNormalizationReport = null; // Validation report of the latest fetch
 
-  /**
-   * Normalize NewsData.io article
-   */
-  normalizeNewsDataArticle(article) {
-    return {
-      articleId: `newsdata_${article.article_id || article.link}`,
-      title: article.title,
-      description: article.description || "",
-      content: article.content || "",
-      url: article.link,
-      urlToImage: article.image_url || null,
-      publishedAt: new Date(article.pubDate),
-      source: {
-        id: article.source_id || null,
-        name: article.source_name || article.source_id || "Unknown",
-      },
-      author: article.creator?.join(", ") || null,
-      category: article.category || [],
-      country: article.country || [],
-      language: article.language || "en",
-      keywords: article.keywords || [],
-      sourceApi: "newsdata.io",
-      sentiment: article.sentiment || null,
-      creator: article.creator || [],
-      video_url: article.video_url || null,
-      ai_tag: article.ai_tag || null,
-      duplicate: article.duplicate || false,
-    };
+    fetchScheduleService.on("schedule:changed", ({ name, schedule }) => this.reloadSchedule(name, schedule));
   }
 
   /**
-   * Normalize NewsAPI.org article
+   * Whether any of the articleIds is already stored (paginated fetches stop there)
    */
-  normalizeNewsApiOrgArticle(article, category = [], country = []) {
-    return {
-      articleId: `newsapi_${article.url}`,
-      title: article.title,
-      description: article.description || "",
-      content: article.content || "",
-      url: article.url,
-      urlToImage: article.urlToImage || null,
-      publishedAt: new Date(article.publishedAt),
-      source: {
-        id: article.source?.id || null,
-        name: article.source?.name || "Unknown",
-      },
-      author: article.author || null,
-      category: category,
-      country: country,
-      language: "en",
-      keywords: [],
-      sourceApi: "newsapi.org",
-    };
+  async hasStoredArticles(articleIds) {
+    return (await News.exists({ articleId: { $in: articleIds } })) !== null;
   }
 
   /**
-   * Save articles to database
+   * Fetch, normalize and validate articles from a provider with configuration
+   * Paginated providers resume from the page tokens saved by earlier fetches
+   * @returns {Promise<Object>} { articles, report, pages, nextPages, credits, quotaExceeded } credits are those
+   *   the credit ledger charged; quotaExceeded is the QuotaExceededError when it refused the request
    */
-  async saveArticlesToDB(articles) {
-    try {
-      if (!articles || articles.length === 0) {
-        return { saved: 0, updated: 0 };
-      }
-
-      const bulkOps = articles.map((article) => ({
-        updateOne: {
-          filter: { articleId: article.articleId },
-          update: { $set: article },
-          upsert: true,
-        },
-      }));
+  async fetchFromProvider(provider, config) {
+    const resumeFrom = await fetchPlanner.getResumeTokens(provider, config).catch(() => []);
+    const meter = {};
 
-      const result = await News.bulkWrite(bulkOps, { ordered: false });
+    try {
+      const { articles: rawArticles, pages, nextPages, stoppedBy } = await creditLedger.metered(meter, () =>
+        provider.fetchPages(config, {
+          resumeFrom,
+          isStored: (articleIds) => this.hasStoredArticles(articleIds),
+        })
+      );
 
       return {
-        saved: result.upsertedCount,
-        updated: result.modifiedCount,
+        ...articleNormalizer.normalizeBatch(provider, rawArticles, config),
+        pages,
+        nextPages,
+        stoppedBy,
+        credits: meter[provider.key] || 0,
       };
     } catch (error) {
-      Logger.error("Error saving articles to database", {
+      if (error instanceof QuotaExceededError) {
+        return {
+          articles: [],
+          report: articleNormalizer.createReport(provider.name),
+          pages: 0,
+          nextPages: resumeFrom,
+          credits: meter[provider.key] || 0,
+          quotaExceeded: error,
+        };
+      }
+
+      Logger.error(`${provider.displayName} fetch failed`, {
         error: error.message,
+        config,
       });
-      throw error;
+      return {
+        articles: [],
+        report: articleNormalizer.createReport(provider.name),
+        // The failed request is a page only if the provider answered it (the ledger
+        // refunds requests without a response)
+        pages: meter[provider.key] > 0 || error.response ? 1 : 0,
+        nextPages: resumeFrom,
+        credits: meter[provider.key] || 0,
+      };
     }
   }
 
   /**
-   * Fetch from NewsData.io with configuration
+   * Fetch with a provider configuration, waiting out a short rate-limit pause once
+   * (the daily budget is not waited for: its reset is hours away)
    */
-  async fetchFromNewsData(config) {
-    try {
-      const result = await newsApiService.getLatestNews(config);
+  async fetchWithDeferral(provider, config) {
+    const result = await this.fetchFromProvider(provider, config);
 
-      // result from newsApiService has the format { success: true, data: {...} }
-      if (result?.data?.results) {
-        const normalized = result.data.results.map((article) =>
-          this.normalizeNewsDataArticle(article)
-        );
-        return normalized;
-      } else if (result?.results) { // fallback just in case
-        const normalized = result.results.map((article) =>
-          this.normalizeNewsDataArticle(article)
-        );
-        return normalized;
-      }
+    const retryAt = result.quotaExceeded?.details.retryAt;
+    const delay = retryAt ? retryAt.getTime() - Date.now() : null;
 
-      return [];
-    } catch (error) {
-      Logger.error("NewsData.io fetch failed", {
-        error: error.message,
-        config,
-      });
-      return [];
+    if (delay === null || delay > CREDITS.MAX_DEFER_SECONDS * 1000) {
+      return result;
     }
+
+    Logger.info(`${provider.displayName} is rate-limiting, deferring fetch`, {
+      config,
+      retryAt: retryAt.toISOString(),
+    });
+    await new Promise((resolve) => setTimeout(resolve, Math.max(delay, 0)));
+
+    return this.fetchFromProvider(provider, config);
   }
 
   /**
-   * Fetch from NewsAPI.org with configuration
+   * Configurations a schedule fetches from a provider
+   * @param {Object|null} plan - fetchPlanner plan (adaptive schedules)
    */
-  async fetchFromNewsApiOrg(config) {
-    try {
-      const result = await newsApiOrgService.getTopHeadlines(config);
-
-      if (result?.articles) {
-        const normalized = result.articles.map((article) =>
-          this.normalizeNewsApiOrgArticle(
-            article,
-            config.category ? [config.category] : [],
-            config.country ? [config.country] : []
-          )
-        );
-        return normalized;
-      }
+  getProviderConfigs(schedule, provider, plan) {
+    const planned = plan?.providers[provider.key];
 
-      return [];
-    } catch (error) {
-      Logger.error("NewsAPI.org fetch failed", {
-        error: error.message,
-        config,
-      });
-      return [];
+    if (planned) {
+      return planned.slices.filter((slice) => slice.selected).map((slice) => slice.config);
     }
+
+    return schedule[provider.scheduleKey] || [];
   }
 
   /**
    * Execute scheduled fetch
+   * @returns {Promise<Object|null>} Summary { schedule, status, saved, updated, creditsConsumed, quotaExceeded, planned, ... }
+   *   (null for an unknown schedule)
    */
   async executeScheduledFetch(scheduleName) {
-    const schedule = FETCH_SCHEDULE[scheduleName];
+    // Read at run time, so a fetch always uses the latest saved configuration
+    const schedule = await fetchScheduleService.findSchedule(scheduleName).catch((error) => {
+      Logger.error("Failed to load fetch schedule", { scheduleName, error: error.message });
+      return null;
+    });
 
     if (!schedule) {
       Logger.error("Invalid schedule name", { scheduleName });
-      return;
+      return null;
     }
 
+    // Adaptive schedules let the planner choose what credit-limited providers fetch
+    const plan = schedule.adaptive
+      ? await fetchPlanner.buildPlan().catch((error) => {
+          Logger.warn(`Fetch planning failed, ${scheduleName} uses its configurations`, { error: error.message });
+          return null;
+        })
+      : null;
+    // Configurations planned per provider key (null for fixed schedules)
+    const planned = plan
+      ? Object.fromEntries(Object.entries(plan.providers).map(([key, { planned: count }]) => [key, count]))
+      : null;
+
+    // Upstream requests made, keyed by provider key
+    const creditsConsumed = {};
+    // Providers whose remaining configurations were skipped by the credit ledger
+    const quotaExceeded = {};
+
     Logger.info(`🚀 Starting scheduled fetch: ${scheduleName}`, {
       description: schedule.description,
       time: new Date().toISOString(),
@@ -195,43 +180,92 @@ class NewsFetchScheduler {
 
     try {
       const allArticles = [];
+      const reports = [];
+      // Configurations fetched, for the planner's slice history
+      const fetches = [];
 
-      // Fetch from NewsData.io
-      Logger.info(`Fetching from NewsData.io`, {
-        configs: schedule.newsDataConfig.length,
-      });
+      // Fetch from every registered provider configured for this schedule
+      for (const provider of providerRegistry.list()) {
+        const configs = this.getProviderConfigs(schedule, provider, plan);
 
-      for (const config of schedule.newsDataConfig) {
-        const articles = await this.fetchFromNewsData(config);
-        allArticles.push(...articles);
-        Logger.info(`NewsData.io fetch complete`, {
-          config,
-          articles: articles.length,
+        Logger.info(`Fetching from ${provider.displayName}`, {
+          configs: configs.length,
         });
+
+        for (const [index, config] of configs.entries()) {
+          const {
+            articles,
+            report,
+            pages,
+            nextPages,
+            stoppedBy,
+            credits,
+            quotaExceeded: refusal,
+          } = await this.fetchWithDeferral(provider, config);
+
+          if (refusal) {
+            quotaExceeded[provider.key] = {
+              skipped: configs.length - index,
+              reason: refusal.message,
+              retryAt: refusal.details.retryAt ?? null,
+            };
+            Logger.warn(`${provider.displayName} fetches skipped: ${refusal.message}`, {
+              skipped: configs.length - index,
+            });
+            break;
+          }
+
+          if (provider.usesCredits()) {
+            creditsConsumed[provider.key] = (creditsConsumed[provider.key] || 0) + credits;
+          }
+
+          allArticles.push(...articles);
+          reports.push(report);
+          fetches.push({
+            provider,
+            config,
+            articleIds: articles.map((article) => article.articleId),
+            pages,
+            nextPages,
+          });
+          Logger.info(`${provider.displayName} fetch complete`, {
+            config,
+            articles: articles.length,
+            rejected: report.rejected,
+            pages,
+            stoppedBy,
+          });
+        }
       }
 
-      // Fetch from NewsAPI.org
-      Logger.info(`Fetching from NewsAPI.org`, {
-        configs: schedule.newsApiConfig.length,
-      });
+      // Validation report (rejected and repaired articles)
+      const normalizationReport = articleNormalizer.mergeReports(reports);
+      this.lastNormalizationReport = {
+        schedule: scheduleName,
+        time: new Date(),
+        ...normalizationReport,
+      };
+      this.fetchStats.articlesRejected += normalizationReport.rejected;
 
-      for (const config of schedule.newsApiConfig) {
-        const articles = await this.fetchFromNewsApiOrg(config);
-        allArticles.push(...articles);
-        Logger.info(`NewsAPI.org fetch complete`, {
-          config,
-          articles: articles.length,
+      if (normalizationReport.rejected > 0) {
+        Logger.warn(`Invalid articles rejected during ${scheduleName}`, {
+          rejected: normalizationReport.rejected,
+          byProvider: normalizationReport.byProvider,
         });
       }
 
       // Save to database
       if (allArticles.length > 0) {
-        const saveResult = await this.saveArticlesToDB(allArticles);
+        const saveResult = await articleIngestion.saveArticlesToDB(allArticles);
+        await this.recordFetches(scheduleName, fetches, saveResult.savedArticleIds);
 
         Logger.info(`✅ Scheduled fetch completed: ${scheduleName}`, {
           totalFetched: allArticles.length,
           saved: saveResult.saved,
           updated: saveResult.updated,
+          duplicates: saveResult.duplicates,
+          rejected: normalizationReport.rejected,
+          repaired: normalizationReport.repaired,
           time: new Date().toISOString(),
         });
 
@@ -240,10 +274,70 @@ class NewsFetchScheduler {
         this.fetchStats.successfulFetches++;
         this.fetchStats.articlesSaved += saveResult.saved;
         this.lastFetchTimes[scheduleName] = new Date();
-      } else {
-        Logger.warn(`No articles fetched for ${scheduleName}`);
-        this.fetchStats.totalFetches++;
+
+        // Group the new coverage into story clusters
+        await storyClusteringService.clusterRecentArticles().catch((error) => {
+          Logger.warn(`Story clustering failed after ${scheduleName}`, {
+            error: error.message,
+          });
+        });
+
+        // Notify watchlists mentioned by the newly saved articles
+        const alerts = await watchlistService
+          .matchNewArticles(saveResult.savedIds)
+          .catch((error) => {
+            Logger.warn(`Watchlist matching failed after ${scheduleName}`, {
+              error: error.message,
+            });
+            return { notifications: 0 };
+          });
+
+        // Push the new articles to matching webhooks (sent in the background)
+        const webhooks = await webhookService
+          .dispatchNewArticles(saveResult.savedIds)
+          .catch((error) => {
+            Logger.warn(`Webhook dispatch failed after ${scheduleName}`, {
+              error: error.message,
+            });
+            return { deliveries: 0 };
+          });
+
+        return {
+          schedule: scheduleName,
+          status: "success",
+          totalFetched: allArticles.length,
+          saved: saveResult.saved,
+          updated: saveResult.updated,
+          duplicates: saveResult.duplicates,
+          rejected: normalizationReport.rejected,
+          repaired: normalizationReport.repaired,
+          notifications: alerts.notifications,
+          webhookDeliveries: webhooks.deliveries,
+          creditsConsumed,
+          quotaExceeded,
+          planned,
+        };
       }
+
+      Logger.warn(`No articles fetched for ${scheduleName}`);
+      await this.recordFetches(scheduleName, fetches, []);
+      this.fetchStats.totalFetches++;
+
+      return {
+        schedule: scheduleName,
+        status: "empty",
+        totalFetched: 0,
+        saved: 0,
+        updated: 0,
+        duplicates: 0,
+        rejected: normalizationReport.rejected,
+        repaired: normalizationReport.repaired,
+        notifications: 0,
+        webhookDeliveries: 0,
+        creditsConsumed,
+        quotaExceeded,
+        planned,
+      };
     } catch (error) {
       Logger.error(`❌ Scheduled fetch failed: ${scheduleName}`, {
         error: error.message,
@@ -251,13 +345,97 @@ class NewsFetchScheduler {
       });
       this.fetchStats.totalFetches++;
       this.fetchStats.failedFetches++;
+
+      return {
+        schedule: scheduleName,
+        status: "failed",
+        error: error.message,
+        creditsConsumed,
+        quotaExceeded,
+        planned,
+      };
     }
   }
 
+  /**
+   * Record what each configuration yielded, for the fetch planner (errors are only logged)
+   */
+  async recordFetches(scheduleName, fetches, savedArticleIds) {
+    await fetchPlanner.recordFetches(fetches, savedArticleIds).catch((error) => {
+      Logger.warn(`Failed to record fetch history of ${scheduleName}`, { error: error.message });
+    });
+  }
+
+  /**
+   * Register the cron job of a fetch schedule
+   * @param {Object} schedule - Schedule from fetchScheduleService
+   */
+  scheduleFetch(schedule) {
+    const job = cron.schedule(
+      schedule.time,
+      () => {
+        this.executeScheduledFetch(schedule.name);
+      },
+      {
+        scheduled: true,
+        timezone: SCHEDULER_CONFIG.timezone,
+      }
+    );
+
+    this.scheduledJobs.push({
+      name: schedule.name,
+      job: job,
+      time: schedule.time,
+      description: schedule.description,
+    });
+    this.fetchSchedules[schedule.name] = schedule;
+
+    Logger.info(`✓ Scheduled: ${schedule.name}`, {
+      time: schedule.time,
+      description: schedule.description,
+    });
+  }
+
+  /**
+   * Stop and remove the cron job of a fetch schedule (if registered)
+   */
+  unscheduleFetch(scheduleName) {
+    if (!this.fetchSchedules[scheduleName]) return;
+
+    const index = this.scheduledJobs.findIndex((job) => job.name === scheduleName);
+    if (index !== -1) {
+      this.scheduledJobs[index].job.stop();
+      this.scheduledJobs.splice(index, 1);
+    }
+
+    delete this.fetchSchedules[scheduleName];
+  }
+
+  /**
+   * Apply a created, changed or deleted schedule to the running jobs
+   * @param {string} scheduleName - Schedule name
+   * @param {Object|null} schedule - New definition (null when deleted)
+   */
+  reloadSchedule(scheduleName, schedule) {
+    if (!this.isRunning) return;
+
+    this.unscheduleFetch(scheduleName);
+
+    if (schedule?.enabled) {
+      this.scheduleFetch(schedule);
+    }
+
+    Logger.info(`🔄 Reloaded schedule: ${scheduleName}`, {
+      status: !schedule ? "deleted" : schedule.enabled ? "scheduled" : "disabled",
+      time: schedule?.time ?? null,
+    });
+  }
+
   /**
    * Start the scheduler
+   * Seeds the schedules from FETCH_SCHEDULE on first run, then registers the enabled ones
    */
-  start() {
+  async start() {
     if (this.isRunning) {
       Logger.warn("Scheduler is already running");
       return;
@@ -268,47 +446,87 @@ class NewsFetchScheduler {
       return;
     }
 
+    // Set before loading, so a second start() while loading is a no-op
+    this.isRunning = true;
+
+    let schedules;
+    try {
+      await fetchScheduleService.seedDefaults();
+      schedules = await fetchScheduleService.getSchedules({ enabled: true });
+    } catch (error) {
+      this.isRunning = false;
+      Logger.error("Failed to load fetch schedules", { error: error.message });
+      throw error;
+    }
+
     Logger.info("🕐 Starting News Fetch Scheduler", {
       timezone: SCHEDULER_CONFIG.timezone,
-      schedules: Object.keys(FETCH_SCHEDULE).length,
+      schedules: schedules.length,
     });
 
     // Schedule each fetch time
-    Object.keys(FETCH_SCHEDULE).forEach((scheduleName) => {
-      const schedule = FETCH_SCHEDULE[scheduleName];
-
-      const job = cron.schedule(
-        schedule.time,
-        () => {
-          this.executeScheduledFetch(scheduleName);
-        },
-        {
-          scheduled: true,
-          timezone: SCHEDULER_CONFIG.timezone,
-        }
-      );
+    schedules.forEach((schedule) => this.scheduleFetch(schedule));
+
+    // Digest emails run on the same scheduler
+    if (DIGEST_ENABLED) {
+      Object.keys(DIGEST_SCHEDULE).forEach((key) => {
+        const schedule = DIGEST_SCHEDULE[key];
+        const name = `DIGEST_${key}`;
+
+        const job = cron.schedule(
+          schedule.time,
+          () => {
+            digestService.runDigests(schedule.frequency).catch((error) => {
+              Logger.error(`❌ ${name} failed`, { error: error.message });
+            });
+          },
+          {
+            scheduled: true,
+            timezone: SCHEDULER_CONFIG.timezone,
+          }
+        );
 
-      this.scheduledJobs.push({
-        name: scheduleName,
-        job: job,
-        time: schedule.time,
-        description: schedule.description,
-      });
+        this.scheduledJobs.push({
+          name,
+          job,
+          time: schedule.time,
+          description: schedule.description,
+        });
 
-      Logger.info(`✓ Scheduled: ${scheduleName}`, {
-        time: schedule.time,
-        description: schedule.description,
+        Logger.info(`✓ Scheduled: ${name}`, {
+          time: schedule.time,
+          description: schedule.description,
+        });
       });
-    });
+    }
 
-    this.isRunning = true;
+    // Retries of failed webhook deliveries
+    const webhookJob = cron.schedule(
+      WEBHOOKS.RETRY_SCHEDULE,
+      () => {
+        webhookService.processDueDeliveries().catch((error) => {
+          Logger.error("❌ WEBHOOK_RETRY failed", { error: error.message });
+        });
+      },
+      {
+        scheduled: true,
+        timezone: SCHEDULER_CONFIG.timezone,
+      }
+    );
+
+    this.scheduledJobs.push({
+      name: "WEBHOOK_RETRY",
+      job: webhookJob,
+      time: WEBHOOKS.RETRY_SCHEDULE,
+      description: "Retry failed webhook deliveries",
+    });
 
     // Log schedule summary
-    const times = getScheduleTimes();
+    const times = schedules.map(({ name, time, description }) => ({ name, time, description }));
     Logger.info("📅 Fetch Schedule Overview:", { times });
 
     // Log estimated credits
-    const credits = getEstimatedDailyCredits();
+    const credits = providerRegistry.getEstimatedDailyCredits(this.fetchSchedules);
     Logger.info("💳 Estimated Daily API Credits:", credits);
 
     // Check if database is empty and fetch initial data
@@ -318,11 +536,45 @@ class NewsFetchScheduler {
       // Fallback to old behavior if checkEmptyOnStartup is disabled
       Logger.info("Running initial fetch on startup...");
       setTimeout(() => {
-        this.executeScheduledFetch("MORNING");
+        this.executeInitialFetch().catch((error) => {
+          Logger.error("❌ Initial data fetch failed", { error: error.message });
+        });
       }, 5000); // Wait 5 seconds after startup
     }
   }
 
+  /**
+   * Schedule used for fetches without a schedule name (startup, manual trigger without name):
+   * SCHEDULER_CONFIG.initialSchedule, or the first enabled schedule when it was renamed,
+   * deleted or disabled
+   * @returns {Promise<string|null>} Schedule name, null when no schedule is enabled
+   */
+  async getInitialSchedule() {
+    const configured = await fetchScheduleService.findSchedule(SCHEDULER_CONFIG.initialSchedule);
+    if (configured?.enabled) {
+      return configured.name;
+    }
+
+    const [first] = await fetchScheduleService.getSchedules({ enabled: true });
+
+    if (!first) {
+      Logger.warn("No enabled fetch schedule for the initial fetch");
+      return null;
+    }
+
+    Logger.info(`Initial schedule ${SCHEDULER_CONFIG.initialSchedule} is not available, using ${first.name}`);
+    return first.name;
+  }
+
+  /**
+   * Fetch with the initial schedule (see getInitialSchedule)
+   * @returns {Promise<Object|null>} Fetch summary, null when there is no schedule to run
+   */
+  async executeInitialFetch() {
+    const scheduleName = await this.getInitialSchedule();
+    return scheduleName ? this.executeScheduledFetch(scheduleName) : null;
+  }
+
   /**
    * Check if database is empty and fetch initial data
    */
@@ -338,8 +590,8 @@ class NewsFetchScheduler {
         // Wait 3 seconds for everything to settle
         setTimeout(async () => {
           try {
-            // Fetch initial data using MORNING schedule (business & tech)
-            await this.executeScheduledFetch("MORNING");
+            // Fetch initial data using the initial schedule (MORNING: business & tech by default)
+            await this.executeInitialFetch();
             Logger.info("✅ Initial data fetch completed");
           } catch (error) {
             Logger.error("❌ Initial data fetch failed", {
@@ -374,6 +626,7 @@ class NewsFetchScheduler {
     });
 
     this.scheduledJobs = [];
+    this.fetchSchedules = {};
     this.isRunning = false;
 
     Logger.info("News Fetch Scheduler stopped");
@@ -381,8 +634,16 @@ class NewsFetchScheduler {
 
   /**
    * Get scheduler status
+   * Includes today's API credits: used (credit ledger) against estimated (enabled schedules)
    */
-  getStatus() {
+  async getStatus() {
+    const estimatedCredits = providerRegistry.getEstimatedDailyCredits(this.fetchSchedules);
+
+    const credits = await creditLedger.getUsage(estimatedCredits).catch((error) => {
+      Logger.warn("Failed to load API credit usage", { error: error.message });
+      return null;
+    });
+
     return {
       isRunning: this.isRunning,
       scheduledJobs: this.scheduledJobs.map((job) => ({
@@ -392,21 +653,25 @@ class NewsFetchScheduler {
       })),
       lastFetchTimes: this.lastFetchTimes,
       stats: this.fetchStats,
+      lastNormalizationReport: this.lastNormalizationReport,
       config: {
         enabled: SCHEDULER_CONFIG.enabled,
         timezone: SCHEDULER_CONFIG.timezone,
         runOnStartup: SCHEDULER_CONFIG.runOnStartup,
       },
-      estimatedCredits: getEstimatedDailyCredits(),
+      estimatedCredits,
+      credits,
     };
   }
 
   /**
    * Manually trigger a fetch (for testing)
+   * @param {string} scheduleName - Schedule to run (default: the initial schedule)
    */
-  async triggerManualFetch(scheduleName = "MORNING") {
-    Logger.info(`Manual fetch triggered: ${scheduleName}`);
-    await this.executeScheduledFetch(scheduleName);
+  async triggerManualFetch(scheduleName) {
+    const name = scheduleName || (await this.getInitialSchedule());
+    Logger.info(`Manual fetch triggered: ${name}`);
+    return name ? this.executeScheduledFetch(name) : null;
   }
 }
 
@@ -0,0 +1,180 @@
+import articleIngestion from "./articleIngestion.service.js";
+import { Logger } from "../utils/index.js";
+import { NEWS_STREAM } from "../constants/index.js";
+
+/**
+ * News Stream Service
+ * Pushes newly saved articles to connected Server-Sent Events clients
+ * (GET /api/news/stream), each with its own category/country/language filters
+ */
+class NewsStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.lastEventId = 0;
+
+    articleIngestion.on("articles:saved", ({ articles }) => this.broadcast(articles));
+  }
+
+  /**
+   * Open an event stream on a response; it stays open until the client disconnects
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} filters - { categories, countries, language }
+   * @returns {boolean} false when the server is at NEWS_STREAM.MAX_CLIENTS
+   */
+  connect(req, res, filters = {}) {
+    if (this.clients.size >= NEWS_STREAM.MAX_CLIENTS) {
+      return false;
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Disable response buffering in nginx
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const client = { res, filters };
+    this.clients.add(client);
+
+    this.write(client, `retry: ${NEWS_STREAM.RETRY_MS}\n\n`);
+    this.send(client, "ready", { filters, connectedAt: new Date().toISOString() });
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const connected of this.clients) this.write(connected, ": heartbeat\n\n");
+      }, NEWS_STREAM.HEARTBEAT_MS);
+      this.heartbeat.unref();
+    }
+
+    req.on("close", () => this.disconnect(client));
+
+    return true;
+  }
+
+  /**
+   * Forget a client (connection closed)
+   */
+  disconnect(client) {
+    this.clients.delete(client);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Send newly saved articles to every client whose filters they match
+   * @param {Object[]} articles - Articles from the "articles:saved" ingestion event
+   */
+  broadcast(articles = []) {
+    if (this.clients.size === 0 || articles.length === 0) return;
+
+    let delivered = 0;
+
+    for (const client of this.clients) {
+      const matching = articles
+        .filter((article) => this.matches(client.filters, article))
+        .slice(0, NEWS_STREAM.MAX_ARTICLES_PER_EVENT);
+
+      if (matching.length === 0) continue;
+
+      this.send(client, "articles", {
+        count: matching.length,
+        articles: matching.map((article) => this.format(article)),
+      });
+      delivered++;
+    }
+
+    Logger.debug("New articles streamed", {
+      articles: articles.length,
+      clients: this.clients.size,
+      delivered,
+    });
+  }
+
+  /**
+   * Whether an article passes a client's filters (empty filters match everything)
+   */
+  matches({ categories = [], countries = [], language = null }, article) {
+    if (categories.length > 0 && !(article.category || []).some((category) => categories.includes(category))) {
+      return false;
+    }
+
+    if (countries.length > 0 && !(article.country || []).some((country) => countries.includes(country))) {
+      return false;
+    }
+
+    if (language && article.language !== language) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Write a named event with a JSON payload
+   */
+  send(client, event, data) {
+    this.lastEventId++;
+    this.write(client, `id: ${this.lastEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write raw stream data; flushes through the compression middleware
+   */
+  write(client, chunk) {
+    try {
+      client.res.write(chunk);
+      client.res.flush?.();
+    } catch (error) {
+      Logger.warn("Dropping news stream client", { error: error.message });
+      this.disconnect(client);
+    }
+  }
+
+  /**
+   * Article fields sent to clients (same shape as the news endpoints)
+   */
+  format(article) {
+    return {
+      _id: article._id,
+      articleId: article.articleId,
+      title: article.title,
+      description: article.description || null,
+      content: article.content || null,
+      url: article.url,
+      urlToImage: article.urlToImage || null,
+      publishedAt: article.publishedAt || null,
+      source: article.source || null,
+      author: article.author || null,
+      category: article.category || [],
+      country: article.country || [],
+      language: article.language || null,
+      clusterId: article.clusterId || null,
+    };
+  }
+
+  /**
+   * End every open stream (graceful shutdown; clients reconnect to another instance)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+      this.disconnect(client);
+    }
+  }
+
+  /**
+   * Connected clients (health check)
+   */
+  getStats() {
+    return { clients: this.clients.size, maxClients: NEWS_STREAM.MAX_CLIENTS };
+  }
+}
+
+export default new NewsStreamService();
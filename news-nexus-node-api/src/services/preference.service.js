@@ -0,0 +1,115 @@
+import { UserPreference } from "../db/index.js";
+import { BadRequestError, ownerFilter } from "../utils/index.js";
+import { FEED } from "../constants/index.js";
+
+/**
+ * Followable lists and how their values are validated/normalized
+ */
+const PREFERENCE_FIELDS = {
+  categories: { pattern: /^[a-z][a-z_-]{1,29}$/, lowercase: true, label: "category" },
+  countries: { pattern: /^[a-z]{2}$/, lowercase: true, label: "2-letter country code" },
+  sources: { maxLength: 100, label: "source id or name" },
+  keywords: { maxLength: 50, lowercase: true, label: "keyword" },
+  mutedSources: { maxLength: 100, label: "source id or name" },
+};
+
+/**
+ * Preference Service
+ * Explicit follows (categories, countries, sources, keywords) for the "For You" feed
+ */
+class PreferenceService {
+  /**
+   * Get the preferences of an owner (empty lists when none were saved)
+   * @param {Object} owner - { user } or { deviceId }
+   */
+  async getPreferences(owner) {
+    const preferences = await UserPreference.findOne(ownerFilter(owner)).lean();
+    return this.format(preferences);
+  }
+
+  /**
+   * Replace the given lists (fields not sent are kept)
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} data - { categories, countries, sources, keywords, mutedSources }
+   */
+  async updatePreferences(owner, data = {}) {
+    const changes = this.validateInput(data);
+
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError(
+        `Send at least one of: ${Object.keys(PREFERENCE_FIELDS).join(", ")}`
+      );
+    }
+
+    const preferences = await UserPreference.findOneAndUpdate(
+      ownerFilter(owner),
+      { $set: changes },
+      { upsert: true, returnDocument: "after" }
+    ).lean();
+
+    return this.format(preferences);
+  }
+
+  /**
+   * Validate and normalize preference lists
+   * @returns {Object} Normalized lists (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateInput(data) {
+    const changes = {};
+    const errors = {};
+
+    for (const [field, rules] of Object.entries(PREFERENCE_FIELDS)) {
+      if (data[field] === undefined) continue;
+
+      const list = typeof data[field] === "string" ? data[field].split(",") : data[field];
+
+      if (!Array.isArray(list) || list.some((value) => typeof value !== "string")) {
+        errors[field] = "Must be an array of strings";
+        continue;
+      }
+
+      const values = [
+        ...new Set(
+          list
+            .map((value) => value.trim())
+            .map((value) => (rules.lowercase ? value.toLowerCase() : value))
+            .filter(Boolean)
+        ),
+      ];
+
+      const invalid = values.find(
+        (value) =>
+          (rules.pattern && !rules.pattern.test(value)) ||
+          (rules.maxLength && value.length > rules.maxLength)
+      );
+
+      if (invalid !== undefined) {
+        errors[field] = `"${invalid}" is not a valid ${rules.label}`;
+      } else if (values.length > FEED.MAX_PREFERENCE_ITEMS) {
+        errors[field] = `At most ${FEED.MAX_PREFERENCE_ITEMS} values are allowed`;
+      } else {
+        changes[field] = values;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Response shape of preferences
+   */
+  format(preferences) {
+    const lists = Object.fromEntries(
+      Object.keys(PREFERENCE_FIELDS).map((field) => [field, preferences?.[field] || []])
+    );
+
+    return { ...lists, updatedAt: preferences?.updatedAt || null };
+  }
+}
+
+export default new PreferenceService();
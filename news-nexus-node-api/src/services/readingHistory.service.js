@@ -0,0 +1,164 @@
+import { ReadingHistory, News, toArticleSnapshot } from "../db/index.js";
+import { READ_SOURCES } from "../db/models/ReadingHistory.model.js";
+import { Logger, BadRequestError, NotFoundError, ownerFilter } from "../utils/index.js";
+import { READING_HISTORY } from "../constants/index.js";
+import trendingService from "./trending.service.js";
+
+/**
+ * Reading History Service
+ * Articles opened by users and anonymous devices ("continue reading", read markers)
+ */
+class ReadingHistoryService {
+  /**
+   * Record that an article was opened
+   * Also counts as a click for trending (once per clicker, see trendingService.recordClick)
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {string} articleId - Opened article id
+   * @param {Object} options - { source, clicker } where the article was opened (READ_SOURCES)
+   *   and who opened it (clickerKey; defaults to the owner)
+   * @returns {Promise<Object>} History entry
+   */
+  async recordRead(owner, articleId, { source, clicker } = {}) {
+    if (!articleId || typeof articleId !== "string") {
+      throw new BadRequestError("articleId is required");
+    }
+
+    if (source !== undefined && !READ_SOURCES.includes(source)) {
+      throw new BadRequestError(`source must be one of: ${READ_SOURCES.join(", ")}`);
+    }
+
+    const article = await News.findOne({ articleId, isDeleted: false }).lean();
+    if (!article) {
+      throw new NotFoundError("Article not found");
+    }
+
+    const ownerKey = owner.user ? `user:${owner.user}` : `device:${owner.deviceId}`;
+    await trendingService.recordClick(articleId, clicker || ownerKey);
+
+    const filter = { ...ownerFilter(owner), articleId };
+    const now = new Date();
+
+    const update = {
+      $set: { lastReadAt: now, lastSource: source || "other" },
+      $inc: { readCount: 1 },
+      $setOnInsert: {
+        article: article._id,
+        snapshot: toArticleSnapshot(article),
+        firstReadAt: now,
+      },
+    };
+
+    try {
+      const entry = await ReadingHistory.findOneAndUpdate(filter, update, {
+        upsert: true,
+        returnDocument: "after",
+        setDefaultsOnInsert: false,
+      });
+      return this.format(entry);
+    } catch (error) {
+      // Two opens of a new article at the same time: the second one updates
+      if (error.code === 11000) {
+        const entry = await ReadingHistory.findOneAndUpdate(
+          filter,
+          { $set: update.$set, $inc: update.$inc },
+          { returnDocument: "after" }
+        );
+        return this.format(entry);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reading history, most recently read first
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { history, totalResults, page, limit, totalPages }
+   */
+  async getHistory(owner, { page = 1, limit = 20 } = {}) {
+    const query = ownerFilter(owner);
+
+    const [entries, totalResults] = await Promise.all([
+      ReadingHistory.find(query)
+        .sort({ lastReadAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReadingHistory.countDocuments(query),
+    ]);
+
+    // Flag entries whose article has been removed since it was read
+    const liveIds = new Set(
+      (
+        await News.find(
+          { _id: { $in: entries.map((entry) => entry.article).filter(Boolean) }, isDeleted: false },
+          { _id: 1 }
+        ).lean()
+      ).map((article) => article._id.toString())
+    );
+
+    return {
+      history: entries.map((entry) => this.format(entry, liveIds.has(entry.article?.toString()))),
+      totalResults,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+    };
+  }
+
+  /**
+   * Ids of recently read articles (lets clients mark cards as read)
+   * @returns {Promise<string[]>} Up to READING_HISTORY.MAX_READ_IDS article ids
+   */
+  async getReadIds(owner) {
+    const entries = await ReadingHistory.find(ownerFilter(owner), { articleId: 1 })
+      .sort({ lastReadAt: -1 })
+      .limit(READING_HISTORY.MAX_READ_IDS)
+      .lean();
+
+    return entries.map((entry) => entry.articleId);
+  }
+
+  /**
+   * Remove one article from the history
+   */
+  async removeEntry(owner, articleId) {
+    const result = await ReadingHistory.deleteOne({ ...ownerFilter(owner), articleId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError("History entry not found");
+    }
+
+    return { articleId, removed: true };
+  }
+
+  /**
+   * Clear the whole history
+   */
+  async clearHistory(owner) {
+    const { deletedCount } = await ReadingHistory.deleteMany(ownerFilter(owner));
+
+    Logger.info("Reading history cleared", { owner, removed: deletedCount });
+
+    return { removed: deletedCount };
+  }
+
+  /**
+   * Response shape of a history entry; `article` is the snapshot taken on first read
+   * @param {Object} entry - ReadingHistory document
+   * @param {boolean} isAvailable - Whether the News document still exists
+   */
+  format(entry, isAvailable = true) {
+    return {
+      articleId: entry.articleId,
+      firstReadAt: entry.firstReadAt,
+      lastReadAt: entry.lastReadAt,
+      readCount: entry.readCount,
+      lastSource: entry.lastSource,
+      isAvailable,
+      article: { articleId: entry.articleId, ...toArticleSnapshot(entry.snapshot) },
+    };
+  }
+}
+
+export default new ReadingHistoryService();
@@ -0,0 +1,249 @@
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { XMLParser } from "fast-xml-parser";
+import { RSS_CONFIG } from "../config/index.js";
+
+/**
+ * RSS/Atom Feed Service
+ * Loads feeds (over HTTP or from local files) and parses RSS 2.0, RSS 1.0 (RDF)
+ * and Atom documents into a common item shape
+ */
+class RssFeedService {
+  constructor() {
+    this.timeout = RSS_CONFIG.TIMEOUT;
+    this.userAgent = RSS_CONFIG.USER_AGENT;
+    this.maxItems = RSS_CONFIG.MAX_ITEMS_PER_FEED;
+
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: "@_",
+      textNodeName: "#text",
+      parseTagValue: false,
+      trimValues: true,
+      htmlEntities: true,
+      // Elements that may repeat are always parsed as arrays
+      isArray: (name) =>
+        ["item", "entry", "link", "category", "media:content", "enclosure", "author"].includes(name),
+    });
+  }
+
+  /**
+   * Load raw feed XML
+   * @param {Object} source - Feed source
+   * @param {string} source.url - Feed URL (http(s):// or file://)
+   * @param {string} source.file - Local file path (relative to the working directory)
+   * @returns {Promise<string>} Raw XML
+   */
+  async loadFeed(source = {}) {
+    if (source.file) {
+      return await fs.readFile(path.resolve(process.cwd(), source.file), "utf8");
+    }
+
+    if (!source.url) {
+      throw new Error("RSS Feed Error: Feed source requires a url or file");
+    }
+
+    if (source.url.startsWith("file://")) {
+      return await fs.readFile(fileURLToPath(source.url), "utf8");
+    }
+
+    try {
+      const response = await axios.get(source.url, {
+        timeout: this.timeout,
+        responseType: "text",
+        headers: {
+          "User-Agent": this.userAgent,
+          Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml",
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      this.handleError(error, source.url);
+    }
+  }
+
+  /**
+   * Load and parse a feed
+   * @param {Object} source - Feed source ({ url } or { file })
+   * @returns {Promise<Object>} Parsed feed ({ format, title, link, language, items })
+   */
+  async fetchFeed(source = {}) {
+    const xml = await this.loadFeed(source);
+    const feed = this.parseFeed(xml);
+
+    return {
+      ...feed,
+      items: feed.items.slice(0, source.maxItems || this.maxItems),
+    };
+  }
+
+  /**
+   * Parse RSS/Atom XML (no I/O, safe to use with fixtures)
+   * @param {string} xml - Raw XML
+   * @returns {Object} Parsed feed ({ format, title, link, language, items })
+   */
+  parseFeed(xml) {
+    let document;
+
+    try {
+      document = this.parser.parse(xml);
+    } catch (error) {
+      throw new Error(`RSS Feed Error: Invalid XML (${error.message})`);
+    }
+
+    if (document?.rss?.channel) {
+      return this.parseRss(document.rss.channel, "rss");
+    }
+
+    if (document?.["rdf:RDF"]) {
+      const rdf = document["rdf:RDF"];
+      return this.parseRss({ ...rdf.channel, item: rdf.item }, "rdf");
+    }
+
+    if (document?.feed) {
+      return this.parseAtom(document.feed);
+    }
+
+    throw new Error("RSS Feed Error: Unsupported feed format");
+  }
+
+  /**
+   * Parse RSS 2.0 / RSS 1.0 channel
+   */
+  parseRss(channel, format) {
+    const items = (channel.item || []).map((item) => {
+      const enclosures = item.enclosure || [];
+      const media = item["media:content"] || [];
+
+      return {
+        id: this.getText(item.guid) || this.getText(item.link?.[0]) || null,
+        title: this.getText(item.title),
+        link: this.getText(item.link?.[0]) || null,
+        description: this.stripHtml(this.getText(item.description)),
+        content: this.stripHtml(this.getText(item["content:encoded"])),
+        publishedAt: this.getText(item.pubDate) || this.getText(item["dc:date"]) || null,
+        authors: this.toArray(item["dc:creator"] || item.author).map((author) => this.getText(author)).filter(Boolean),
+        categories: (item.category || []).map((category) => this.getText(category)).filter(Boolean),
+        imageUrl:
+          this.findMediaUrl([...media, ...enclosures], "image") ||
+          item["media:thumbnail"]?.["@_url"] ||
+          null,
+        videoUrl: this.findMediaUrl([...media, ...enclosures], "video"),
+      };
+    });
+
+    return {
+      format,
+      title: this.getText(channel.title),
+      link: this.getText(channel.link?.[0]) || null,
+      language: this.getText(channel.language) || this.getText(channel["dc:language"]) || null,
+      items,
+    };
+  }
+
+  /**
+   * Parse Atom feed
+   */
+  parseAtom(feed) {
+    const items = (feed.entry || []).map((entry) => {
+      const links = entry.link || [];
+      const alternate = links.find((link) => !link["@_rel"] || link["@_rel"] === "alternate");
+      const enclosures = links
+        .filter((link) => link["@_rel"] === "enclosure")
+        .map((link) => ({ "@_url": link["@_href"], "@_type": link["@_type"] }));
+
+      return {
+        id: this.getText(entry.id) || alternate?.["@_href"] || null,
+        title: this.stripHtml(this.getText(entry.title)),
+        link: alternate?.["@_href"] || null,
+        description: this.stripHtml(this.getText(entry.summary)),
+        content: this.stripHtml(this.getText(entry.content)),
+        publishedAt: this.getText(entry.published) || this.getText(entry.updated) || null,
+        authors: (entry.author || []).map((author) => this.getText(author.name)).filter(Boolean),
+        categories: (entry.category || []).map((category) => category["@_term"]).filter(Boolean),
+        imageUrl:
+          this.findMediaUrl([...(entry["media:content"] || []), ...enclosures], "image") ||
+          entry["media:thumbnail"]?.["@_url"] ||
+          null,
+        videoUrl: this.findMediaUrl(enclosures, "video"),
+      };
+    });
+
+    const feedLink = (feed.link || []).find((link) => !link["@_rel"] || link["@_rel"] === "alternate");
+
+    return {
+      format: "atom",
+      title: this.stripHtml(this.getText(feed.title)),
+      link: feedLink?.["@_href"] || null,
+      language: feed["@_xml:lang"] || null,
+      items,
+    };
+  }
+
+  /**
+   * Find the first media/enclosure URL of a given medium (image or video)
+   */
+  findMediaUrl(entries, medium) {
+    const match = entries.find(
+      (entry) =>
+        entry?.["@_url"] &&
+        (entry["@_medium"] === medium || entry["@_type"]?.startsWith(`${medium}/`))
+    );
+
+    return match ? match["@_url"] : null;
+  }
+
+  /**
+   * Extract text from a parsed XML node (string, { "#text" } or array)
+   */
+  getText(node) {
+    if (node === undefined || node === null) return "";
+    if (Array.isArray(node)) return this.getText(node[0]);
+    if (typeof node === "object") return String(node["#text"] ?? "").trim();
+    return String(node).trim();
+  }
+
+  /**
+   * Wrap a value in an array
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Remove HTML tags and collapse whitespace
+   */
+  stripHtml(text) {
+    if (!text) return "";
+
+    return text
+      .replace(/<[^>]*>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/\s+/g, " ")
+      .replace(/\s+([.,;:!?])/g, "$1")
+      .trim();
+  }
+
+  /**
+   * Handle feed request errors
+   * @param {Error} error - Axios error object
+   * @param {string} url - Feed URL
+   * @throws {Error} Formatted error
+   */
+  handleError(error, url) {
+    if (error.response) {
+      throw new Error(`RSS Feed Error (${error.response.status}): ${url}`);
+    } else if (error.request) {
+      throw new Error(`RSS Feed Error: No response received from ${url}`);
+    } else {
+      throw new Error(`RSS Feed Error: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export default new RssFeedService();
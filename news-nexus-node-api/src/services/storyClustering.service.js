@@ -0,0 +1,231 @@
+import mongoose from "mongoose";
+import { News } from "../db/index.js";
+import { Logger, buildTermVector, addTermVector, cosineSimilarity } from "../utils/index.js";
+import { CLUSTERING } from "../constants/index.js";
+
+/**
+ * Story Clustering Service
+ * Groups related articles from different sources into story clusters
+ * (e.g. several outlets covering the same election result)
+ *
+ * Articles are compared to cluster centroids built from title, keywords and
+ * description terms. Existing cluster ids are kept stable between runs, and
+ * cross-provider duplicates join the cluster of their canonical article
+ */
+class StoryClusteringService {
+  constructor() {
+    this.lastRun = null; // Stats of the latest clustering run
+  }
+
+  /**
+   * Cluster recent articles and persist cluster ids
+   * @param {number} hours - Hours to look back
+   * @returns {Promise<Object>} { articles, clusters, assigned, created, updated }
+   */
+  async clusterRecentArticles(hours = CLUSTERING.WINDOW_HOURS) {
+    try {
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+      const articles = await News.find(
+        { publishedAt: { $gte: since }, isDeleted: false },
+        {
+          articleId: 1,
+          title: 1,
+          description: 1,
+          keywords: 1,
+          publishedAt: 1,
+          clusterId: 1,
+          duplicate: 1,
+          canonicalArticleId: 1,
+        }
+      )
+        .sort({ publishedAt: 1 })
+        .limit(CLUSTERING.MAX_ARTICLES)
+        .lean();
+
+      const stats = { articles: articles.length, clusters: 0, assigned: 0, created: 0, updated: 0 };
+      const canonicals = articles.filter((article) => !article.duplicate);
+      const duplicates = articles.filter((article) => article.duplicate);
+
+      // Seed clusters from ids persisted by previous runs
+      const clusters = new Map();
+      const vectors = new Map();
+
+      for (const article of canonicals) {
+        const vector = this.buildArticleVector(article);
+        vectors.set(article.articleId, vector);
+
+        if (article.clusterId) {
+          const cluster = clusters.get(article.clusterId) || { centroid: new Map(), size: 0 };
+          addTermVector(cluster.centroid, vector);
+          cluster.size++;
+          clusters.set(article.clusterId, cluster);
+        }
+      }
+
+      // Assign unclustered articles to the most similar cluster or start a new one
+      const assignments = new Map(); // articleId -> clusterId
+
+      for (const article of canonicals) {
+        if (article.clusterId) {
+          assignments.set(article.articleId, article.clusterId);
+          continue;
+        }
+
+        const vector = vectors.get(article.articleId);
+        let bestId = null;
+        let bestSimilarity = 0;
+
+        for (const [clusterId, cluster] of clusters) {
+          const similarity = cosineSimilarity(vector, cluster.centroid);
+          if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            bestId = clusterId;
+          }
+        }
+
+        if (bestId && bestSimilarity >= CLUSTERING.SIMILARITY_THRESHOLD) {
+          const cluster = clusters.get(bestId);
+          addTermVector(cluster.centroid, vector);
+          cluster.size++;
+          stats.assigned++;
+        } else {
+          bestId = new mongoose.Types.ObjectId().toString();
+          clusters.set(bestId, { centroid: new Map(vector), size: 1 });
+          stats.created++;
+        }
+
+        assignments.set(article.articleId, bestId);
+      }
+
+      // Duplicates belong to the cluster of their canonical article
+      for (const article of duplicates) {
+        const clusterId = assignments.get(article.canonicalArticleId);
+        if (clusterId) {
+          assignments.set(article.articleId, clusterId);
+        }
+      }
+
+      const bulkOps = articles
+        .filter((article) => assignments.has(article.articleId))
+        .filter((article) => article.clusterId !== assignments.get(article.articleId))
+        .map((article) => ({
+          updateOne: {
+            filter: { articleId: article.articleId },
+            update: { $set: { clusterId: assignments.get(article.articleId) } },
+          },
+        }));
+
+      if (bulkOps.length > 0) {
+        const result = await News.bulkWrite(bulkOps, { ordered: false });
+        stats.updated = result.modifiedCount;
+      }
+
+      stats.clusters = clusters.size;
+      this.lastRun = { time: new Date(), hours, ...stats };
+
+      Logger.info("Story clustering completed", stats);
+
+      return stats;
+    } catch (error) {
+      Logger.error("Error clustering articles", { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the term vector of an article
+   */
+  buildArticleVector(article) {
+    return buildTermVector([
+      { text: article.title, weight: CLUSTERING.TITLE_WEIGHT },
+      { text: article.keywords || [], weight: CLUSTERING.KEYWORD_WEIGHT },
+      { text: article.description, weight: CLUSTERING.DESCRIPTION_WEIGHT },
+    ]);
+  }
+
+  /**
+   * Get story clusters with their member articles
+   * @param {Object} options - { hours, minSources, category, country, limit, articlesPerCluster }
+   * @returns {Promise<Object>} Clusters ordered by source count and recency
+   */
+  async getClusters(options = {}) {
+    try {
+      const {
+        hours = CLUSTERING.WINDOW_HOURS,
+        minSources = 2,
+        category,
+        country,
+        limit = 20,
+        articlesPerCluster = 10,
+      } = options;
+
+      const match = {
+        clusterId: { $ne: null },
+        isDeleted: false,
+        publishedAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) },
+      };
+      if (category) match.category = category;
+      if (country) match.country = country;
+
+      const clusters = await News.aggregate([
+        { $match: match },
+        { $sort: { publishedAt: 1 } },
+        {
+          $group: {
+            _id: "$clusterId",
+            headline: { $first: "$title" },
+            sources: { $addToSet: "$source.name" },
+            articleCount: { $sum: 1 },
+            firstPublishedAt: { $min: "$publishedAt" },
+            lastPublishedAt: { $max: "$publishedAt" },
+            articles: {
+              $push: {
+                articleId: "$articleId",
+                title: "$title",
+                description: "$description",
+                url: "$url",
+                urlToImage: "$urlToImage",
+                publishedAt: "$publishedAt",
+                source: "$source",
+                category: "$category",
+                country: "$country",
+                duplicate: "$duplicate",
+              },
+            },
+          },
+        },
+        { $addFields: { sourceCount: { $size: "$sources" } } },
+        { $match: { sourceCount: { $gte: minSources } } },
+        { $sort: { sourceCount: -1, lastPublishedAt: -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            clusterId: "$_id",
+            headline: 1,
+            sourceCount: 1,
+            sources: 1,
+            articleCount: 1,
+            firstPublishedAt: 1,
+            lastPublishedAt: 1,
+            articles: { $slice: [{ $reverseArray: "$articles" }, articlesPerCluster] },
+          },
+        },
+      ]);
+
+      return {
+        success: true,
+        totalResults: clusters.length,
+        clusters,
+        lastRun: this.lastRun,
+        source: "database",
+      };
+    } catch (error) {
+      Logger.error("Error fetching story clusters", { error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default new StoryClusteringService();
@@ -0,0 +1,70 @@
+import unifiedNewsService from "./unifiedNews.service.js";
+import { renderRss, renderAtom, renderJsonFeed } from "../templates/feed.template.js";
+import { MAIL_CONFIG } from "../config/index.js";
+import { SYNDICATION } from "../constants/index.js";
+
+/**
+ * Response content type of each feed format
+ */
+const CONTENT_TYPES = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+/**
+ * Syndication Service
+ * RSS, Atom and JSON Feed documents of the cached articles, with the same
+ * filters as /api/news/latest
+ */
+class SyndicationService {
+  /**
+   * Latest articles and feed metadata
+   * @param {Object} filters - { category, country, language, source }
+   * @param {Object} options - { limit, selfUrl } selfUrl is the absolute URL of the request
+   * @returns {Promise<Object>} { title, description, language, homeUrl, selfUrl, updatedAt, ttlSeconds, articles }
+   */
+  async getFeed(filters = {}, { limit = SYNDICATION.DEFAULT_LIMIT, selfUrl } = {}) {
+    const { articles } = await unifiedNewsService.getNewsFromDB(filters, { page: 1, limit });
+
+    // Last change of any article in the feed (Last-Modified / <updated>)
+    const timestamps = articles
+      .map((article) => new Date(article.updatedAt || article.fetchedAt || article.publishedAt).getTime())
+      .filter((time) => !isNaN(time));
+    const updatedAt = new Date(timestamps.length > 0 ? Math.max(...timestamps) : Date.now());
+
+    const scope = [filters.category, filters.country?.toUpperCase(), filters.source].filter(Boolean);
+
+    return {
+      title: scope.length > 0 ? `Nexus News: ${scope.join(" · ")}` : "Nexus News",
+      description: `Latest${filters.category ? ` ${filters.category}` : ""} news${
+        filters.country ? ` from ${filters.country.toUpperCase()}` : ""
+      }${filters.source ? ` by ${filters.source}` : ""}, aggregated by Nexus News`,
+      language: filters.language || null,
+      homeUrl: MAIL_CONFIG.APP_URL,
+      selfUrl,
+      // Whole seconds: Last-Modified has no milliseconds
+      updatedAt: new Date(Math.floor(updatedAt.getTime() / 1000) * 1000),
+      ttlSeconds: SYNDICATION.CACHE_SECONDS,
+      articles,
+    };
+  }
+
+  /**
+   * Render a feed document
+   * @param {string} format - rss, atom or json
+   * @param {Object} feed - Result of getFeed()
+   * @returns {Object} { contentType, body }
+   */
+  render(format, feed) {
+    const body = {
+      rss: () => renderRss(feed),
+      atom: () => renderAtom(feed),
+      json: () => JSON.stringify(renderJsonFeed(feed)),
+    }[format]();
+
+    return { contentType: CONTENT_TYPES[format], body };
+  }
+}
+
+export default new SyndicationService();
@@ -0,0 +1,253 @@
+import { News, ArticleClick } from "../db/index.js";
+import { Logger, tokenize } from "../utils/index.js";
+import { TRENDING } from "../constants/index.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Trending Service
+ * Ranks recent articles by a trending score instead of publish date
+ *
+ * Signals:
+ * - Coverage: distinct sources reporting the same story cluster
+ * - Keyword burst: terms appearing far more often in the window than in the baseline
+ * - Engagement: in-app clicks
+ * - Recency: exponential decay by article age
+ */
+class TrendingService {
+  /**
+   * Parse a trending window ("6h", "3d", "24") into hours
+   * @param {string|number} window - Window value from the query string
+   * @returns {number} Hours, clamped to TRENDING.MAX_WINDOW_HOURS
+   */
+  parseWindow(window) {
+    if (window === undefined || window === null || window === "") {
+      return TRENDING.DEFAULT_WINDOW_HOURS;
+    }
+
+    const match = String(window).trim().toLowerCase().match(/^(\d+)\s*([hd]?)$/);
+    if (!match || parseInt(match[1]) === 0) {
+      return TRENDING.DEFAULT_WINDOW_HOURS;
+    }
+
+    const hours = match[2] === "d" ? parseInt(match[1]) * 24 : parseInt(match[1]);
+    return Math.min(hours, TRENDING.MAX_WINDOW_HOURS);
+  }
+
+  /**
+   * Get trending articles
+   * @param {Object} options - { window, category, country, limit }
+   * @returns {Promise<Object>} Articles ordered by trending score
+   */
+  async getTrendingNews(options = {}) {
+    try {
+      const { category, country, limit = 20 } = options;
+      const windowHours = this.parseWindow(options.window);
+      const now = Date.now();
+      const windowStart = new Date(now - windowHours * HOUR_MS);
+      const baselineStart = new Date(windowStart.getTime() - TRENDING.BASELINE_DAYS * 24 * HOUR_MS);
+
+      const filters = {};
+      if (category) filters.category = category;
+      if (country) filters.country = country;
+
+      const candidates = await News.find({ ...filters, publishedAt: { $gte: windowStart } })
+        .active()
+        .sort({ publishedAt: -1 })
+        .limit(TRENDING.MAX_CANDIDATES)
+        .lean();
+
+      if (candidates.length === 0) {
+        return this.buildResponse([], windowHours);
+      }
+
+      const baseline = await News.find(
+        { ...filters, publishedAt: { $gte: baselineStart, $lt: windowStart } },
+        { title: 1, keywords: 1 }
+      )
+        .active()
+        .limit(TRENDING.MAX_BASELINE_ARTICLES)
+        .lean();
+
+      const sourceCounts = await this.getClusterSourceCounts(candidates);
+      const burstScores = this.getBurstScores(candidates, baseline, windowHours);
+
+      const scored = candidates.map((article) => {
+        const ageHours = Math.max(0, (now - new Date(article.publishedAt).getTime()) / HOUR_MS);
+        const sourceCount = sourceCounts.get(article.clusterId) || 1;
+        const burst = burstScores.get(article.articleId) || 0;
+        const clicks = article.clickCount || 0;
+        const decay = Math.pow(0.5, ageHours / TRENDING.RECENCY_HALF_LIFE_HOURS);
+
+        const score =
+          (TRENDING.SOURCE_WEIGHT * Math.log2(1 + sourceCount) +
+            TRENDING.BURST_WEIGHT * burst +
+            TRENDING.CLICK_WEIGHT * Math.log1p(clicks)) *
+          decay;
+
+        return {
+          ...article,
+          trending: {
+            score: Number(score.toFixed(4)),
+            sourceCount,
+            burst: Number(burst.toFixed(4)),
+            clicks,
+            ageHours: Number(ageHours.toFixed(1)),
+          },
+        };
+      });
+
+      scored.sort((a, b) => b.trending.score - a.trending.score);
+
+      // One article per story cluster
+      const seenClusters = new Set();
+      const articles = [];
+
+      for (const article of scored) {
+        if (article.clusterId) {
+          if (seenClusters.has(article.clusterId)) continue;
+          seenClusters.add(article.clusterId);
+        }
+        articles.push(article);
+        if (articles.length >= limit) break;
+      }
+
+      return this.buildResponse(articles, windowHours);
+    } catch (error) {
+      Logger.error("Error fetching trending news", { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count distinct sources per story cluster (duplicates included, they are coverage too)
+   * @returns {Promise<Map<string, number>>} clusterId -> source count
+   */
+  async getClusterSourceCounts(articles) {
+    const clusterIds = [...new Set(articles.map((article) => article.clusterId).filter(Boolean))];
+
+    if (clusterIds.length === 0) return new Map();
+
+    const counts = await News.aggregate([
+      { $match: { clusterId: { $in: clusterIds }, isDeleted: false } },
+      { $group: { _id: "$clusterId", sources: { $addToSet: "$source.name" } } },
+      { $project: { sourceCount: { $size: "$sources" } } },
+    ]);
+
+    return new Map(counts.map((entry) => [entry._id, entry.sourceCount]));
+  }
+
+  /**
+   * Score each article by the burst of its terms (window frequency vs. baseline)
+   * @returns {Map<string, number>} articleId -> burst score
+   */
+  getBurstScores(candidates, baseline, windowHours) {
+    const recentTerms = candidates.map((article) => ({
+      articleId: article.articleId,
+      terms: this.getArticleTerms(article),
+    }));
+
+    const recentCounts = this.countTerms(recentTerms.map((entry) => entry.terms));
+    const baselineCounts = this.countTerms(baseline.map((article) => this.getArticleTerms(article)));
+
+    // Baseline counts scaled to the length of the window
+    const scale = windowHours / (TRENDING.BASELINE_DAYS * 24);
+    const termBursts = new Map();
+
+    for (const [term, count] of recentCounts) {
+      if (count < 2) continue; // A single article is not a burst
+      const expected = (baselineCounts.get(term) || 0) * scale;
+      termBursts.set(term, Math.max(0, Math.log2((count + 1) / (expected + 1))));
+    }
+
+    const scores = new Map();
+
+    for (const { articleId, terms } of recentTerms) {
+      const top = [...terms]
+        .map((term) => termBursts.get(term) || 0)
+        .sort((a, b) => b - a)
+        .slice(0, 3);
+
+      scores.set(articleId, top.length > 0 ? top.reduce((sum, value) => sum + value, 0) / top.length : 0);
+    }
+
+    return scores;
+  }
+
+  /**
+   * Distinct title and keyword terms of an article
+   */
+  getArticleTerms(article) {
+    const keywords = Array.isArray(article.keywords) ? article.keywords.join(" ") : "";
+    return new Set([...tokenize(article.title), ...tokenize(keywords)]);
+  }
+
+  /**
+   * Count in how many articles each term appears
+   */
+  countTerms(termSets) {
+    const counts = new Map();
+
+    for (const terms of termSets) {
+      for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Record an in-app click on an article
+   * Counted once per clicker within TRENDING.CLICK_DEDUP_HOURS
+   * @param {string} articleId - Article identifier
+   * @param {string} clicker - "user:<id>" or "ip:<address>"
+   * @returns {Promise<Object|null>} { articleId, clickCount, lastClickedAt, counted },
+   *   or null if the article does not exist
+   */
+  async recordClick(articleId, clicker) {
+    const projection = { articleId: 1, clickCount: 1, lastClickedAt: 1 };
+
+    try {
+      const existing = await News.findOne({ articleId, isDeleted: false }, projection).lean();
+      if (!existing) {
+        return null;
+      }
+
+      try {
+        await ArticleClick.create({ articleId, clicker });
+      } catch (error) {
+        if (error.code === 11000) {
+          return { ...existing, counted: false };
+        }
+        throw error;
+      }
+
+      const article = await News.findOneAndUpdate(
+        { articleId, isDeleted: false },
+        { $inc: { clickCount: 1 }, $set: { lastClickedAt: new Date() } },
+        { returnDocument: "after", projection }
+      ).lean();
+
+      return article && { ...article, counted: true };
+    } catch (error) {
+      Logger.error("Error recording article click", { articleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the trending response payload
+   */
+  buildResponse(articles, windowHours) {
+    return {
+      success: true,
+      totalResults: articles.length,
+      windowHours,
+      articles,
+      source: "database",
+    };
+  }
+}
+
+export default new TrendingService();
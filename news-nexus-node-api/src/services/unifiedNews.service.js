@@ -1,10 +1,19 @@
-import { newsApiService, newsApiOrgService } from "./index.js";
 import { News } from "../db/index.js";
-import { Logger } from "../utils/index.js";
+import { providerRegistry } from "../providers/index.js";
+import articleNormalizer from "./articleNormalizer.service.js";
+import articleIngestion from "./articleIngestion.service.js";
+import storyClusteringService from "./storyClustering.service.js";
+import creditLedger from "./creditLedger.service.js";
+import { Logger, parseSearchQuery, QuotaExceededError } from "../utils/index.js";
+
+/**
+ * Escape special characters for use inside a RegExp
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 /**
  * Unified News Service
- * Fetches from both APIs simultaneously, normalizes data, and caches in MongoDB
+ * Fetches from all registered providers, normalizes data, and caches in MongoDB
  * Users never know which API the news comes from
  */
 class UnifiedNewsService {
@@ -12,99 +21,6 @@ class UnifiedNewsService {
     this.cacheExpiryMinutes = 30; // Cache validity duration
   }
 
-  /**
-   * Normalize NewsData.io article to common format
-   */
-  normalizeNewsDataArticle(article) {
-    return {
-      articleId: `newsdata_${article.article_id || article.link}`,
-      title: article.title,
-      description: article.description || "",
-      content: article.content || "",
-      url: article.link,
-      urlToImage: article.image_url || null,
-      publishedAt: new Date(article.pubDate),
-      source: {
-        id: article.source_id || null,
-        name: article.source_name || article.source_id || "Unknown",
-      },
-      author: article.creator?.join(", ") || null,
-      category: article.category || [],
-      country: article.country || [],
-      language: article.language || "en",
-      keywords: article.keywords || [],
-      sourceApi: "newsdata.io",
-      sentiment: article.sentiment || null,
-      creator: article.creator || [],
-      video_url: article.video_url || null,
-      ai_tag: article.ai_tag || null,
-      duplicate: article.duplicate || false,
-    };
-  }
-
-  /**
-   * Normalize NewsAPI.org article to common format
-   */
-  normalizeNewsApiOrgArticle(article, category = [], country = []) {
-    return {
-      articleId: `newsapi_${article.url}`,
-      title: article.title,
-      description: article.description || "",
-      content: article.content || "",
-      url: article.url,
-      urlToImage: article.urlToImage || null,
-      publishedAt: new Date(article.publishedAt),
-      source: {
-        id: article.source?.id || null,
-        name: article.source?.name || "Unknown",
-      },
-      author: article.author || null,
-      category: category,
-      country: country,
-      language: "en", // NewsAPI.org doesn't always provide language in results
-      keywords: [],
-      sourceApi: "newsapi.org",
-    };
-  }
-
-  /**
-   * Save articles to MongoDB (bulk insert with duplicate handling)
-   */
-  async saveArticlesToDB(articles) {
-    try {
-      if (!articles || articles.length === 0) {
-        return { saved: 0, skipped: 0 };
-      }
-
-      const bulkOps = articles.map((article) => ({
-        updateOne: {
-          filter: { articleId: article.articleId },
-          update: { $set: article },
-          upsert: true,
-        },
-      }));
-
-      const result = await News.bulkWrite(bulkOps, { ordered: false });
-
-      Logger.info("Articles saved to database", {
-        saved: result.upsertedCount,
-        updated: result.modifiedCount,
-        total: articles.length,
-      });
-
-      return {
-        saved: result.upsertedCount,
-        updated: result.modifiedCount,
-        skipped: articles.length - result.upsertedCount - result.modifiedCount,
-      };
-    } catch (error) {
-      Logger.error("Error saving articles to database", {
-        error: error.message,
-      });
-      throw error;
-    }
-  }
-
   /**
    * Check if we have fresh data in cache
    */
@@ -140,13 +56,15 @@ class UnifiedNewsService {
    * Get latest news from database ONLY
    * Note: API fetching is handled by scheduler, not user requests
    * This prevents exhausting API credits on user requests
+   * @param {Object} filters - { category, country, language }
+   * @param {Object} pagination - { page, limit, cursor }
    */
-  async getLatestNews(filters = {}) {
+  async getLatestNews(filters = {}, pagination = {}) {
     try {
-      Logger.info("Fetching latest news from database", { filters });
+      Logger.info("Fetching latest news from database", { filters, pagination });
       
       // Always return from database - scheduler handles API fetching
-      return await this.getNewsFromDB(filters);
+      return await this.getNewsFromDB(filters, pagination);
     } catch (error) {
       Logger.error("Error fetching latest news", { error: error.message });
       throw error;
@@ -157,31 +75,110 @@ class UnifiedNewsService {
    * Search news from database ONLY
    * Note: API fetching is handled by scheduler, not user requests
    * This prevents exhausting API credits on user requests
+   * @param {string} query - Search query in the advanced syntax (see utils/searchQueryParser.js)
+   * @param {Object} filters - { country, language, category, source, from, to }
+   * @param {Object} pagination - { page, limit, cursor }
+   * @throws {SearchQueryError} Malformed query
+   * @throws {InvalidCursorError} Malformed cursor
    */
-  async searchNews(query, filters = {}) {
+  async searchNews(query, filters = {}, pagination = {}) {
     try {
-      Logger.info("Searching news in database", { query, filters });
-      
-      // Search only in database - scheduler handles API fetching
-      const dbResults = await News.searchArticles(query, 100);
+      Logger.info("Searching news in database", { query, filters, pagination });
 
+      const { page = 1, limit = 50, cursor = null } = pagination;
+      const parsedQuery = parseSearchQuery(query);
+      const conditions = this.buildSearchConditions(parsedQuery, filters);
+
+      // Search only in database - scheduler handles API fetching
+      // Qualifier-only queries (e.g. "source:reuters") skip $text and sort by date
+      const [result, totalResults] = parsedQuery.search
+        ? await Promise.all([
+            News.searchPage(parsedQuery.search, { filters: conditions, limit, cursor, page }),
+            News.countSearchResults(parsedQuery.search, conditions),
+          ])
+        : await Promise.all([
+            News.findPage(conditions, { limit, cursor, page }),
+            News.countByFilters(conditions),
+          ]);
+
+      // Each article has a textScore relevance "score" when searching text
       return {
-        success: true,
-        totalResults: dbResults.length,
-        articles: dbResults,
-        source: "database",
+        ...this.buildPage(result, totalResults, { page, limit, cursor }),
+        parsedQuery,
       };
     } catch (error) {
-      Logger.error("Error searching news", { error: error.message });
+      if (!["SearchQueryError", "InvalidCursorError"].includes(error.name)) {
+        Logger.error("Error searching news", { error: error.message });
+      }
       throw error;
     }
   }
 
+  /**
+   * Translate a parsed search query and request filters into MongoDB conditions
+   * Request filters (query string) behave like qualifiers written in the query
+   * @param {Object} parsedQuery - Result of parseSearchQuery()
+   * @param {Object} filters - { country, language, category, source, from, to }
+   * @returns {Object} MongoDB conditions combined with the $text query
+   */
+  buildSearchConditions(parsedQuery, filters = {}) {
+    const conditions = {};
+    const clauses = [];
+
+    const qualifierValues = (field) => {
+      const { include, exclude } = parsedQuery.qualifiers[field];
+      return {
+        include: filters[field] ? [...include, filters[field]] : include,
+        exclude,
+      };
+    };
+
+    for (const field of ["category", "country", "language"]) {
+      const { include, exclude } = qualifierValues(field);
+      if (include.length === 0 && exclude.length === 0) continue;
+
+      conditions[field] = {};
+      if (include.length > 0) conditions[field].$in = include;
+      if (exclude.length > 0) conditions[field].$nin = exclude;
+    }
+
+    // Source outlet: matches the source id or, case-insensitively, its name
+    const sourceMatchers = (value) => [
+      { "source.id": value.toLowerCase() },
+      { "source.name": new RegExp(`^${escapeRegExp(value)}$`, "i") },
+    ];
+    // Author: case-insensitive partial match
+    const authorMatchers = (value) => [{ author: new RegExp(escapeRegExp(value), "i") }];
+
+    for (const [field, matchers] of [["source", sourceMatchers], ["author", authorMatchers]]) {
+      const { include, exclude } = qualifierValues(field);
+      if (include.length > 0) clauses.push({ $or: include.flatMap(matchers) });
+      if (exclude.length > 0) clauses.push({ $nor: exclude.flatMap(matchers) });
+    }
+
+    if (clauses.length > 0) {
+      conditions.$and = clauses;
+    }
+
+    // Date range: after: (inclusive) / before: (exclusive) plus from/to (inclusive)
+    const publishedAt = {};
+    const from = [parsedQuery.from, filters.from].filter(Boolean);
+    if (from.length > 0) publishedAt.$gte = new Date(Math.max(...from));
+    if (parsedQuery.to) publishedAt.$lt = parsedQuery.to;
+    if (filters.to) publishedAt.$lte = filters.to;
+
+    if (Object.keys(publishedAt).length > 0) {
+      conditions.publishedAt = publishedAt;
+    }
+
+    return conditions;
+  }
+
   /**
    * Get news by category from both APIs
    */
-  async getNewsByCategory(category, filters = {}) {
-    return await this.getLatestNews({ ...filters, category });
+  async getNewsByCategory(category, filters = {}, pagination = {}) {
+    return await this.getLatestNews({ ...filters, category }, pagination);
   }
 
   /**
@@ -228,8 +225,11 @@ class UnifiedNewsService {
 
   /**
    * Get news from database with filters
+   * @param {Object} filters - { category, country, language, source }
+   * @param {Object} pagination - { page, limit, cursor }
+   * @throws {InvalidCursorError} Malformed cursor
    */
-  async getNewsFromDB(filters = {}, limit = 50, page = 1) {
+  async getNewsFromDB(filters = {}, { page = 1, limit = 50, cursor = null } = {}) {
     try {
       const query = {};
 
@@ -242,105 +242,114 @@ class UnifiedNewsService {
       if (filters.language) {
         query.language = filters.language;
       }
+      if (filters.source) {
+        // Source id, or the source name case-insensitively
+        query.$or = [
+          { "source.id": filters.source.toLowerCase() },
+          { "source.name": new RegExp(`^${escapeRegExp(filters.source)}$`, "i") },
+        ];
+      }
 
-      const skip = (page - 1) * limit;
-
-      const articles = await News.find(query)
-        .sort({ publishedAt: -1 })
-        .limit(limit)
-        .skip(skip)
-        .lean();
-
-      const total = await News.countDocuments(query);
+      // findPage/countByFilters hide soft-deleted articles and cross-provider duplicates
+      const [result, total] = await Promise.all([
+        News.findPage(query, { limit, cursor, page }),
+        News.countByFilters(query),
+      ]);
 
-      return {
-        success: true,
-        totalResults: total,
-        articles: articles,
-        page: page,
-        totalPages: Math.ceil(total / limit),
-        source: "database",
-      };
+      return this.buildPage(result, total, { page, limit, cursor });
     } catch (error) {
-      Logger.error("Error fetching news from database", {
-        error: error.message,
-      });
+      if (error.name !== "InvalidCursorError") {
+        Logger.error("Error fetching news from database", {
+          error: error.message,
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * Get trending news (most recent from database)
+   * Build the paginated result shared by the list endpoints
+   * `page` is null when paginating by cursor (the position is relative)
    */
-  async getTrendingNews(limit = 20) {
-    try {
-      const articles = await News.find()
-        .sort({ publishedAt: -1, fetchedAt: -1 })
-        .limit(limit)
-        .lean();
-
-      return {
-        success: true,
-        totalResults: articles.length,
-        articles: articles,
-        source: "database",
-      };
-    } catch (error) {
-      Logger.error("Error fetching trending news", { error: error.message });
-      throw error;
-    }
+  buildPage(result, total, { page, limit, cursor }) {
+    return {
+      success: true,
+      totalResults: total,
+      articles: result.items,
+      page: cursor ? null : page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor,
+      hasMore: result.hasMore,
+      source: "database",
+    };
   }
 
   /**
    * Refresh news cache (fetch new articles from APIs)
+   * Providers whose credits are spent are skipped and listed in quotaExceeded
    */
   async refreshCache(filters = {}) {
     try {
       Logger.info("Refreshing news cache");
 
-      // Fetch from both APIs simultaneously
-      const [newsDataResult, newsApiOrgResult] = await Promise.allSettled([
-        newsApiService.getLatestNews(filters),
-        newsApiOrgService.getTopHeadlines({
-          country: filters.country,
-          category: filters.category,
-          pageSize: 100,
-        }),
-      ]);
+      // Fetch from all refreshable providers simultaneously
+      const providers = providerRegistry
+        .list()
+        .filter((provider) => provider.supportsRefresh);
+
+      // Credits the ledger charged (failed requests it refunded are not counted)
+      const creditsConsumed = {};
+
+      const results = await creditLedger.metered(creditsConsumed, () =>
+        Promise.allSettled(
+          providers.map(async (provider) => {
+            const config = provider.buildRefreshConfig(filters);
+            const rawArticles = await provider.fetch(config);
+            return articleNormalizer.normalizeBatch(provider, rawArticles, config);
+          })
+        )
+      );
 
       const normalizedArticles = [];
+      const reports = [];
+      // Providers refused by the credit ledger (no request sent)
+      const quotaExceeded = {};
+
+      results.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+          normalizedArticles.push(...result.value.articles);
+          reports.push(result.value.report);
+        } else if (result.reason instanceof QuotaExceededError) {
+          quotaExceeded[providers[index].key] = {
+            reason: result.reason.message,
+            retryAt: result.reason.details.retryAt ?? null,
+          };
+          Logger.warn(`${providers[index].displayName} refresh skipped`, {
+            reason: result.reason.message,
+          });
+        } else {
+          Logger.warn(`${providers[index].displayName} refresh failed`, {
+            error: result.reason?.message,
+          });
+        }
+      });
 
-      if (
-        newsDataResult.status === "fulfilled" &&
-        newsDataResult.value?.results
-      ) {
-        const articles = newsDataResult.value.results.map((article) =>
-          this.normalizeNewsDataArticle(article)
-        );
-        normalizedArticles.push(...articles);
-      }
-
-      if (
-        newsApiOrgResult.status === "fulfilled" &&
-        newsApiOrgResult.value?.articles
-      ) {
-        const articles = newsApiOrgResult.value.articles.map((article) =>
-          this.normalizeNewsApiOrgArticle(
-            article,
-            filters.category ? [filters.category] : [],
-            filters.country ? [filters.country] : []
-          )
-        );
-        normalizedArticles.push(...articles);
-      }
+      const normalization = articleNormalizer.mergeReports(reports);
 
       if (normalizedArticles.length > 0) {
-        const result = await this.saveArticlesToDB(normalizedArticles);
+        const result = await articleIngestion.saveArticlesToDB(normalizedArticles);
         Logger.info("Cache refreshed successfully", result);
-        return result;
+
+        await storyClusteringService.clusterRecentArticles().catch((error) => {
+          Logger.warn("Story clustering failed after refresh", { error: error.message });
+        });
+
+        return { ...result, normalization, creditsConsumed, quotaExceeded };
       }
 
-      return { saved: 0, updated: 0, skipped: 0 };
+      return { saved: 0, updated: 0, skipped: 0, duplicates: 0, normalization, creditsConsumed, quotaExceeded };
     } catch (error) {
       Logger.error("Error refreshing cache", { error: error.message });
       throw error;
@@ -353,12 +362,17 @@ class UnifiedNewsService {
   async getStats() {
     try {
       const total = await News.countDocuments();
-      const newsDataCount = await News.countDocuments({
-        sourceApi: "newsdata.io",
-      });
-      const newsApiOrgCount = await News.countDocuments({
-        sourceApi: "newsapi.org",
-      });
+
+      const sourceCounts = await News.aggregate([
+        { $group: { _id: "$sourceApi", count: { $sum: 1 } } },
+      ]);
+
+      // Report every registered provider, even those without articles yet
+      const bySource = providerRegistry.list().reduce((counts, provider) => {
+        const match = sourceCounts.find((entry) => entry._id === provider.name);
+        counts[provider.key] = match ? match.count : 0;
+        return counts;
+      }, {});
 
       const recentCount = await News.countDocuments({
         fetchedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
@@ -366,10 +380,7 @@ class UnifiedNewsService {
 
       return {
         total,
-        bySource: {
-          newsDataIo: newsDataCount,
-          newsApiOrg: newsApiOrgCount,
-        },
+        bySource,
         recentArticles: recentCount,
       };
     } catch (error) {
@@ -0,0 +1,475 @@
+import mongoose from "mongoose";
+import { Watchlist, Notification, News, toArticleSnapshot } from "../db/index.js";
+import {
+  Logger,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  AppError,
+  toMatchText,
+  ownerFilter,
+  toList,
+  validateFilterLists,
+  toMatchCandidates,
+  matchArticles,
+} from "../utils/index.js";
+import { WATCHLISTS } from "../constants/index.js";
+
+/**
+ * Watchlist Service
+ * Keyword/entity watchlists and the notifications created when newly fetched
+ * articles mention them
+ */
+class WatchlistService {
+  /**
+   * Create a watchlist
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} data - { name, terms, categories, countries }
+   */
+  async createWatchlist(owner, data = {}) {
+    const fields = this.validateInput(data, { requireAll: true });
+    const filter = ownerFilter(owner);
+
+    const limit = owner.user ? WATCHLISTS.MAX_PER_OWNER : WATCHLISTS.MAX_PER_DEVICE;
+    const [count, total] = await Promise.all([
+      Watchlist.countDocuments(filter),
+      Watchlist.estimatedDocumentCount(),
+    ]);
+
+    if (count >= limit) {
+      throw new BadRequestError(
+        owner.user
+          ? `At most ${limit} watchlists are allowed`
+          : `At most ${limit} watchlists are allowed without an account`
+      );
+    }
+
+    if (total >= WATCHLISTS.MAX_TOTAL) {
+      throw new AppError("Watchlists are at capacity, try again later", 503);
+    }
+
+    try {
+      const watchlist = await Watchlist.create({ ...filter, ...fields });
+      return this.format(watchlist.toObject());
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A watchlist named "${fields.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List watchlists with the number of new articles since they were last seen
+   * @param {Object} owner - { user } or { deviceId }
+   */
+  async getWatchlists(owner) {
+    const watchlists = await Watchlist.find(ownerFilter(owner)).sort({ createdAt: 1 }).lean();
+    const newCounts = await this.countNew(watchlists);
+
+    return watchlists.map((watchlist) =>
+      this.format(watchlist, newCounts.get(watchlist._id.toString()) || 0)
+    );
+  }
+
+  /**
+   * Rename, change terms/filters or pause a watchlist
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {string} watchlistId - Watchlist id
+   * @param {Object} data - { name, terms, categories, countries, isActive }
+   */
+  async updateWatchlist(owner, watchlistId, data = {}) {
+    const changes = this.validateInput(data);
+
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError("Send at least one of: name, terms, categories, countries, isActive");
+    }
+
+    try {
+      const watchlist = await Watchlist.findOneAndUpdate(
+        this.watchlistFilter(owner, watchlistId),
+        { $set: changes },
+        { returnDocument: "after" }
+      ).lean();
+
+      if (!watchlist) {
+        throw new NotFoundError("Watchlist not found");
+      }
+
+      const newCounts = await this.countNew([watchlist]);
+      return this.format(watchlist, newCounts.get(watchlist._id.toString()) || 0);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A watchlist named "${changes.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a watchlist and its notifications
+   */
+  async deleteWatchlist(owner, watchlistId) {
+    const watchlist = await Watchlist.findOneAndDelete(this.watchlistFilter(owner, watchlistId));
+
+    if (!watchlist) {
+      throw new NotFoundError("Watchlist not found");
+    }
+
+    const { deletedCount } = await Notification.deleteMany({ watchlist: watchlist._id });
+
+    return { id: watchlistId, removed: true, notificationsRemoved: deletedCount };
+  }
+
+  /**
+   * Notifications, newest first
+   * @param {Object} owner - { user } or { deviceId }
+   * @param {Object} filters - { watchlistId, onlyNew }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { notifications, totalResults, page, limit, totalPages }
+   */
+  async getNotifications(owner, { watchlistId, onlyNew = false } = {}, { page = 1, limit = 20 } = {}) {
+    const watchlists = await Watchlist.find(
+      watchlistId ? this.watchlistFilter(owner, watchlistId) : ownerFilter(owner),
+      { name: 1, lastSeenAt: 1 }
+    ).lean();
+
+    if (watchlistId && watchlists.length === 0) {
+      throw new NotFoundError("Watchlist not found");
+    }
+
+    if (watchlists.length === 0) {
+      return { notifications: [], totalResults: 0, page, limit, totalPages: 0 };
+    }
+
+    const query = {
+      $or: watchlists.map((watchlist) => ({
+        watchlist: watchlist._id,
+        ...(onlyNew && { createdAt: { $gt: watchlist.lastSeenAt } }),
+      })),
+    };
+
+    const [notifications, totalResults] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+    ]);
+
+    const byId = new Map(watchlists.map((watchlist) => [watchlist._id.toString(), watchlist]));
+
+    return {
+      notifications: notifications.map((notification) =>
+        this.formatNotification(notification, byId.get(notification.watchlist.toString()))
+      ),
+      totalResults,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+    };
+  }
+
+  /**
+   * New articles per watchlist since the last visit ("12 new articles for RBI")
+   * @returns {Promise<Object>} { totalNew, watchlists: [{ id, name, newCount, lastSeenAt, latest }] }
+   */
+  async getSummary(owner) {
+    const watchlists = await Watchlist.find({ ...ownerFilter(owner), isActive: true })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (watchlists.length === 0) {
+      return { totalNew: 0, watchlists: [] };
+    }
+
+    const stats = await Notification.aggregate([
+      {
+        $match: {
+          $or: watchlists.map((watchlist) => ({
+            watchlist: watchlist._id,
+            createdAt: { $gt: watchlist.lastSeenAt },
+          })),
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$watchlist",
+          newCount: { $sum: 1 },
+          latest: { $first: "$snapshot.title" },
+        },
+      },
+    ]);
+
+    const statsById = new Map(stats.map((stat) => [stat._id.toString(), stat]));
+
+    const summary = watchlists
+      .map((watchlist) => {
+        const stat = statsById.get(watchlist._id.toString());
+        return {
+          id: watchlist._id.toString(),
+          name: watchlist.name,
+          newCount: stat?.newCount || 0,
+          lastSeenAt: watchlist.lastSeenAt,
+          latest: stat?.latest || null,
+        };
+      })
+      .filter((watchlist) => watchlist.newCount > 0)
+      .sort((a, b) => b.newCount - a.newCount);
+
+    return {
+      totalNew: summary.reduce((total, watchlist) => total + watchlist.newCount, 0),
+      watchlists: summary,
+    };
+  }
+
+  /**
+   * Mark one watchlist (or all of them) as seen: resets the new-article counts
+   */
+  async markSeen(owner, watchlistId) {
+    const filter = watchlistId ? this.watchlistFilter(owner, watchlistId) : ownerFilter(owner);
+    const lastSeenAt = new Date();
+
+    const { matchedCount } = await Watchlist.updateMany(filter, { $set: { lastSeenAt } });
+
+    if (watchlistId && matchedCount === 0) {
+      throw new NotFoundError("Watchlist not found");
+    }
+
+    return { updated: matchedCount, lastSeenAt };
+  }
+
+  /**
+   * Match newly saved articles against every active watchlist and create notifications
+   * Called after each scheduled fetch
+   * @param {Array} articleIds - News _ids saved by the fetch
+   * @returns {Promise<Object>} { articles, watchlists, notifications }
+   */
+  async matchNewArticles(articleIds = []) {
+    if (articleIds.length === 0) {
+      return { articles: 0, watchlists: 0, notifications: 0 };
+    }
+
+    const articles = await News.find({ _id: { $in: articleIds } }).active().lean();
+    if (articles.length === 0) {
+      return { articles: 0, watchlists: 0, notifications: 0 };
+    }
+
+    const watchlists = await Watchlist.find(this.matchingFilter(articles)).lean();
+
+    if (watchlists.length === 0) {
+      return { articles: articles.length, watchlists: 0, notifications: 0 };
+    }
+
+    const candidates = toMatchCandidates(articles);
+
+    const operations = [];
+    const matchesByWatchlist = new Map();
+
+    for (const watchlist of watchlists) {
+      for (const { article, matchedTerms } of matchArticles(candidates, watchlist, watchlist.terms)) {
+        operations.push({
+          updateOne: {
+            filter: { watchlist: watchlist._id, articleId: article.articleId },
+            update: {
+              $setOnInsert: {
+                user: watchlist.user,
+                deviceId: watchlist.deviceId,
+                article: article._id,
+                snapshot: toArticleSnapshot(article),
+                matchedTerms,
+              },
+            },
+            upsert: true,
+          },
+        });
+
+        const key = watchlist._id.toString();
+        matchesByWatchlist.set(key, (matchesByWatchlist.get(key) || 0) + 1);
+      }
+    }
+
+    if (operations.length === 0) {
+      return { articles: articles.length, watchlists: 0, notifications: 0 };
+    }
+
+    const result = await Notification.bulkWrite(operations, { ordered: false });
+
+    const now = new Date();
+    await Watchlist.bulkWrite(
+      [...matchesByWatchlist].map(([watchlistId, matches]) => ({
+        updateOne: {
+          filter: { _id: watchlistId },
+          update: { $set: { lastMatchedAt: now }, $inc: { totalMatches: matches } },
+        },
+      })),
+      { ordered: false }
+    );
+
+    Logger.info("Watchlist notifications created", {
+      articles: articles.length,
+      watchlists: matchesByWatchlist.size,
+      notifications: result.upsertedCount,
+    });
+
+    return {
+      articles: articles.length,
+      watchlists: matchesByWatchlist.size,
+      notifications: result.upsertedCount,
+    };
+  }
+
+  /**
+   * Condition selecting the active watchlists whose category/country filters
+   * can match at least one of the articles (terms are matched in memory)
+   * @param {Array} articles - News documents
+   * @returns {Object} MongoDB filter
+   */
+  matchingFilter(articles) {
+    const categories = [...new Set(articles.flatMap((article) => article.category || []))];
+    const countries = [...new Set(articles.flatMap((article) => article.country || []))];
+
+    return {
+      isActive: true,
+      $and: [
+        { $or: [{ categories: [] }, { categories: { $in: categories } }] },
+        { $or: [{ countries: [] }, { countries: { $in: countries } }] },
+      ],
+    };
+  }
+
+  /**
+   * Condition selecting one watchlist of an owner
+   * @throws {NotFoundError} Malformed id
+   */
+  watchlistFilter(owner, watchlistId) {
+    if (!mongoose.isValidObjectId(watchlistId)) {
+      throw new NotFoundError("Watchlist not found");
+    }
+    return { ...ownerFilter(owner), _id: new mongoose.Types.ObjectId(watchlistId) };
+  }
+
+  /**
+   * Number of notifications created after each watchlist was last seen
+   * @returns {Promise<Map<string, number>>} Watchlist id -> count
+   */
+  async countNew(watchlists) {
+    if (watchlists.length === 0) return new Map();
+
+    const counts = await Notification.aggregate([
+      {
+        $match: {
+          $or: watchlists.map((watchlist) => ({
+            watchlist: watchlist._id,
+            createdAt: { $gt: watchlist.lastSeenAt },
+          })),
+        },
+      },
+      { $group: { _id: "$watchlist", count: { $sum: 1 } } },
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  }
+
+  /**
+   * Validate watchlist input
+   * @param {Object} data - { name, terms, categories, countries, isActive }
+   * @param {Object} options - { requireAll } name and terms are required (create)
+   * @returns {Object} Normalized fields (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateInput(data, { requireAll = false } = {}) {
+    const fields = {};
+    const errors = {};
+
+    if (data.name !== undefined || requireAll) {
+      if (typeof data.name !== "string" || !data.name.trim()) {
+        errors.name = "Name is required";
+      } else if (data.name.trim().length > 50) {
+        errors.name = "Name cannot exceed 50 characters";
+      } else {
+        fields.name = data.name.trim();
+      }
+    }
+
+    if (data.terms !== undefined || requireAll) {
+      const list = toList(data.terms);
+
+      if (!Array.isArray(list) || list.some((term) => typeof term !== "string")) {
+        errors.terms = "Terms must be an array of strings";
+      } else {
+        // Case-insensitive de-duplication, keeping the first spelling ("RBI")
+        const seen = new Set();
+        const terms = list
+          .map((term) => term.trim().replace(/\s+/g, " "))
+          .filter((term) => term && !seen.has(term.toLowerCase()) && seen.add(term.toLowerCase()));
+
+        if (terms.length === 0) {
+          errors.terms = "At least one term is required";
+        } else if (terms.length > WATCHLISTS.MAX_TERMS) {
+          errors.terms = `At most ${WATCHLISTS.MAX_TERMS} terms are allowed`;
+        } else if (terms.some((term) => term.length > WATCHLISTS.MAX_TERM_LENGTH)) {
+          errors.terms = `Terms cannot exceed ${WATCHLISTS.MAX_TERM_LENGTH} characters`;
+        } else if (terms.some((term) => toMatchText(term).trim() === "")) {
+          errors.terms = "Each term needs at least one word that is not a common word";
+        } else {
+          fields.terms = terms;
+        }
+      }
+    }
+
+    validateFilterLists(data, fields, errors);
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== "boolean") {
+        errors.isActive = "isActive must be a boolean";
+      } else {
+        fields.isActive = data.isActive;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Response shape of a watchlist
+   */
+  format(watchlist, newCount = 0) {
+    return {
+      id: watchlist._id.toString(),
+      name: watchlist.name,
+      terms: watchlist.terms,
+      categories: watchlist.categories,
+      countries: watchlist.countries,
+      isActive: watchlist.isActive,
+      newCount,
+      lastSeenAt: watchlist.lastSeenAt,
+      lastMatchedAt: watchlist.lastMatchedAt,
+      totalMatches: watchlist.totalMatches,
+      createdAt: watchlist.createdAt,
+    };
+  }
+
+  /**
+   * Response shape of a notification; `article` is the snapshot taken when it matched
+   */
+  formatNotification(notification, watchlist) {
+    return {
+      id: notification._id.toString(),
+      watchlistId: notification.watchlist.toString(),
+      watchlistName: watchlist?.name || null,
+      matchedTerms: notification.matchedTerms,
+      isNew: watchlist ? notification.createdAt > watchlist.lastSeenAt : false,
+      createdAt: notification.createdAt,
+      article: { articleId: notification.articleId, ...toArticleSnapshot(notification.snapshot) },
+    };
+  }
+}
+
+export default new WatchlistService();
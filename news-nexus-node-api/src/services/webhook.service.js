@@ -0,0 +1,676 @@
+import crypto from "crypto";
+import axios from "axios";
+import mongoose from "mongoose";
+import { Webhook, WebhookDelivery, News, toArticleSnapshot } from "../db/index.js";
+import {
+  Logger,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  toMatchText,
+  toList,
+  validateFilterLists,
+  toMatchCandidates,
+  matchArticles,
+} from "../utils/index.js";
+import { WEBHOOKS } from "../constants/index.js";
+
+/**
+ * Attempts per delivery: the first one plus one per retry delay
+ */
+const MAX_ATTEMPTS = WEBHOOKS.RETRY_DELAYS_MINUTES.length + 1;
+
+/**
+ * Response body kept per attempt (characters)
+ */
+const RESPONSE_BODY_LIMIT = 500;
+
+/**
+ * Webhook Service
+ * Outbound webhooks: subscriptions, matching of newly saved articles, signed
+ * deliveries and their retries
+ */
+class WebhookService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} data - { name, url, categories, countries, keywords, secret, isActive }
+   * @param {Object} actor - Admin creating it (req.actor)
+   * @returns {Promise<Object>} Webhook including its secret (only returned here and on rotation)
+   */
+  async createWebhook(data = {}, actor = null) {
+    const fields = this.validateInput(data, { requireAll: true });
+
+    const count = await Webhook.countDocuments();
+    if (count >= WEBHOOKS.MAX_WEBHOOKS) {
+      throw new BadRequestError(`At most ${WEBHOOKS.MAX_WEBHOOKS} webhooks are allowed`);
+    }
+
+    try {
+      const webhook = await Webhook.create({
+        ...fields,
+        createdBy: actor && {
+          type: actor.type,
+          userId: actor.userId,
+          email: actor.email,
+          apiKeyLabel: actor.apiKeyLabel,
+        },
+      });
+
+      Logger.info("Webhook created", { webhook: webhook.name, url: webhook.url });
+      return this.format(webhook.toObject(), { includeSecret: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A webhook named "${fields.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all webhooks
+   */
+  async getWebhooks() {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 }).lean();
+    return webhooks.map((webhook) => this.format(webhook));
+  }
+
+  /**
+   * Get one webhook
+   */
+  async getWebhook(webhookId) {
+    const webhook = await Webhook.findById(this.toObjectId(webhookId, "Webhook")).lean();
+
+    if (!webhook) {
+      throw new NotFoundError("Webhook not found");
+    }
+
+    return this.format(webhook);
+  }
+
+  /**
+   * Change the URL, filters or secret of a webhook, or pause/resume it
+   * Resuming clears the failure counter of a webhook paused after failed deliveries
+   * @param {string} webhookId - Webhook id
+   * @param {Object} data - { name, url, categories, countries, keywords, secret, isActive }
+   */
+  async updateWebhook(webhookId, data = {}) {
+    const changes = this.validateInput(data);
+
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError(
+        "Send at least one of: name, url, categories, countries, keywords, secret, isActive"
+      );
+    }
+
+    if (changes.isActive === true) {
+      changes.consecutiveFailures = 0;
+      changes.disabledReason = null;
+    }
+
+    try {
+      const webhook = await Webhook.findByIdAndUpdate(
+        this.toObjectId(webhookId, "Webhook"),
+        { $set: changes },
+        { returnDocument: "after" }
+      ).lean();
+
+      if (!webhook) {
+        throw new NotFoundError("Webhook not found");
+      }
+
+      return this.format(webhook);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A webhook named "${changes.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   */
+  async deleteWebhook(webhookId) {
+    const webhook = await Webhook.findByIdAndDelete(this.toObjectId(webhookId, "Webhook"));
+
+    if (!webhook) {
+      throw new NotFoundError("Webhook not found");
+    }
+
+    const { deletedCount } = await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    Logger.info("Webhook deleted", { webhook: webhook.name });
+    return { id: webhookId, removed: true, deliveriesRemoved: deletedCount };
+  }
+
+  /**
+   * Replace the signing secret with a new random one
+   * @returns {Promise<Object>} Webhook including the new secret
+   */
+  async rotateSecret(webhookId) {
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+    const webhook = await Webhook.findByIdAndUpdate(
+      this.toObjectId(webhookId, "Webhook"),
+      { $set: { secret } },
+      { returnDocument: "after" }
+    )
+      .select("+secret")
+      .lean();
+
+    if (!webhook) {
+      throw new NotFoundError("Webhook not found");
+    }
+
+    return this.format(webhook, { includeSecret: true });
+  }
+
+  /**
+   * Send a "ping" event to a webhook now, to check the receiver and its signature check
+   * @returns {Promise<Object>} The delivery with its attempt
+   */
+  async sendTest(webhookId) {
+    const webhook = await Webhook.findById(this.toObjectId(webhookId, "Webhook")).lean();
+
+    if (!webhook) {
+      throw new NotFoundError("Webhook not found");
+    }
+
+    // Leased up front so that the retry worker does not pick the ping up as well
+    const delivery = new WebhookDelivery({ webhook: webhook._id, event: "ping", nextAttemptAt: this.leaseUntil() });
+    delivery.payload = {
+      event: "ping",
+      deliveryId: delivery.deliveryId,
+      createdAt: new Date().toISOString(),
+      webhook: { id: webhook._id.toString(), name: webhook.name },
+    };
+    await delivery.save();
+
+    return this.formatDelivery(await this.attemptDelivery(delivery.toObject(), { final: true }));
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * @param {string} webhookId - Webhook id
+   * @param {Object} filters - { status, event }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { deliveries, totalResults, page, limit, totalPages }
+   */
+  async getDeliveries(webhookId, { status, event } = {}, { page = 1, limit = 20 } = {}) {
+    const webhook = await Webhook.exists({ _id: this.toObjectId(webhookId, "Webhook") });
+
+    if (!webhook) {
+      throw new NotFoundError("Webhook not found");
+    }
+
+    const query = {
+      webhook: webhook._id,
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+
+    const [deliveries, totalResults] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select("-payload")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    return {
+      deliveries: deliveries.map((delivery) => this.formatDelivery(delivery)),
+      totalResults,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+    };
+  }
+
+  /**
+   * Get one delivery with its payload and attempts
+   */
+  async getDelivery(deliveryId) {
+    const delivery = await WebhookDelivery.findById(this.toObjectId(deliveryId, "Delivery")).lean();
+
+    if (!delivery) {
+      throw new NotFoundError("Delivery not found");
+    }
+
+    return this.formatDelivery(delivery, { includePayload: true });
+  }
+
+  /**
+   * Send a delivery again now (one attempt, same delivery id and payload)
+   * Used after fixing a receiver that made deliveries fail
+   */
+  async redeliver(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: this.toObjectId(deliveryId, "Delivery") },
+      // Keeps the retry worker away while this attempt runs
+      { $set: { nextAttemptAt: this.leaseUntil() } },
+      { returnDocument: "after" }
+    ).lean();
+
+    if (!delivery) {
+      throw new NotFoundError("Delivery not found");
+    }
+
+    return this.formatDelivery(await this.attemptDelivery(delivery, { final: true }));
+  }
+
+  /**
+   * Match newly saved articles against every active webhook and queue deliveries
+   * Called after each scheduled fetch; deliveries are sent right away in the background
+   * @param {Array} articleIds - News _ids saved by the fetch
+   * @returns {Promise<Object>} { articles, webhooks, deliveries }
+   */
+  async dispatchNewArticles(articleIds = []) {
+    if (articleIds.length === 0) {
+      return { articles: 0, webhooks: 0, deliveries: 0 };
+    }
+
+    const [articles, webhooks] = await Promise.all([
+      News.find({ _id: { $in: articleIds } }).active().lean(),
+      Webhook.find({ isActive: true }).lean(),
+    ]);
+
+    if (articles.length === 0 || webhooks.length === 0) {
+      return { articles: articles.length, webhooks: 0, deliveries: 0 };
+    }
+
+    const candidates = toMatchCandidates(articles);
+
+    const deliveries = [];
+    let matchedWebhooks = 0;
+
+    for (const webhook of webhooks) {
+      // Webhooks without keywords receive every article within their filters
+      const matches = matchArticles(candidates, webhook, webhook.keywords);
+
+      if (matches.length === 0) continue;
+      matchedWebhooks++;
+
+      for (let i = 0; i < matches.length; i += WEBHOOKS.MAX_ARTICLES_PER_DELIVERY) {
+        const batch = matches.slice(i, i + WEBHOOKS.MAX_ARTICLES_PER_DELIVERY);
+        const delivery = new WebhookDelivery({
+          webhook: webhook._id,
+          event: "articles.created",
+          articleIds: batch.map(({ article }) => article.articleId),
+        });
+
+        delivery.payload = {
+          event: "articles.created",
+          deliveryId: delivery.deliveryId,
+          createdAt: new Date().toISOString(),
+          webhook: { id: webhook._id.toString(), name: webhook.name },
+          articles: batch.map(({ article, matchedTerms }) => this.toPayloadArticle(article, matchedTerms)),
+        };
+
+        deliveries.push(delivery);
+      }
+    }
+
+    if (deliveries.length === 0) {
+      return { articles: articles.length, webhooks: 0, deliveries: 0 };
+    }
+
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+
+    Logger.info("Webhook deliveries queued", {
+      articles: articles.length,
+      webhooks: matchedWebhooks,
+      deliveries: deliveries.length,
+    });
+
+    // First attempts; failures are picked up again by the retry worker
+    this.processDueDeliveries().catch((error) => {
+      Logger.warn("Webhook delivery run failed", { error: error.message });
+    });
+
+    return { articles: articles.length, webhooks: matchedWebhooks, deliveries: deliveries.length };
+  }
+
+  /**
+   * Attempt pending deliveries that are due (first attempts and retries)
+   * Runs after each dispatch and on the WEBHOOK_RETRY scheduler job
+   * @returns {Promise<Object>} { attempted, succeeded, failed, retrying }
+   */
+  async processDueDeliveries() {
+    const stats = { attempted: 0, succeeded: 0, failed: 0, retrying: 0 };
+
+    // One run at a time; the next run picks up whatever is still due
+    if (this.isProcessing) return stats;
+    this.isProcessing = true;
+
+    try {
+      while (stats.attempted < WEBHOOKS.WORKER_BATCH_SIZE) {
+        // Claim the delivery so that other instances skip it while it is attempted
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: new Date() } },
+          { $set: { nextAttemptAt: this.leaseUntil() } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+        ).lean();
+
+        if (!delivery) break;
+
+        const result = await this.attemptDelivery(delivery);
+        stats.attempted++;
+
+        if (result.status === "success") stats.succeeded++;
+        else if (result.status === "failed") stats.failed++;
+        else stats.retrying++;
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    if (stats.attempted > 0) {
+      Logger.info("Webhook deliveries attempted", stats);
+    }
+
+    return stats;
+  }
+
+  /**
+   * POST a delivery to its webhook once and record the attempt
+   * A failed attempt is scheduled again with backoff unless it was the last one
+   * (or `final` is set, for test pings and manual redeliveries)
+   * @param {Object} delivery - WebhookDelivery (lean)
+   * @param {Object} options - { final }
+   * @returns {Promise<Object>} Updated delivery (lean, without payload)
+   */
+  async attemptDelivery(delivery, { final = false } = {}) {
+    const webhook = await Webhook.findById(delivery.webhook).select("+secret").lean();
+    const attempt = { attemptedAt: new Date(), statusCode: null, durationMs: null, error: null, responseBody: null };
+
+    if (!webhook) {
+      attempt.error = "Webhook was deleted";
+    } else if (!webhook.isActive && delivery.event !== "ping") {
+      attempt.error = "Webhook is paused";
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const started = Date.now();
+
+      try {
+        const response = await axios.post(webhook.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "NexusNews-Webhooks/1.0",
+            "X-Nexus-Event": delivery.event,
+            "X-Nexus-Delivery": delivery.deliveryId,
+            "X-Nexus-Timestamp": String(timestamp),
+            "X-Nexus-Signature": `sha256=${this.sign(webhook.secret, timestamp, body)}`,
+          },
+          timeout: WEBHOOKS.TIMEOUT_MS,
+          maxRedirects: 0,
+          responseType: "text",
+          transformResponse: (data) => data,
+          validateStatus: () => true,
+        });
+
+        attempt.statusCode = response.status;
+        attempt.responseBody = String(response.data ?? "").slice(0, RESPONSE_BODY_LIMIT) || null;
+
+        if (response.status < 200 || response.status >= 300) {
+          attempt.error = `Receiver responded with HTTP ${response.status}`;
+        }
+      } catch (error) {
+        attempt.error = error.code === "ECONNABORTED" ? `Timed out after ${WEBHOOKS.TIMEOUT_MS}ms` : error.message;
+      }
+
+      attempt.durationMs = Date.now() - started;
+    }
+
+    const succeeded = attempt.error === null;
+    const attemptCount = delivery.attempts.length + 1;
+    const retry = !succeeded && !final && Boolean(webhook?.isActive) && attemptCount < MAX_ATTEMPTS;
+
+    const update = retry
+      ? {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + WEBHOOKS.RETRY_DELAYS_MINUTES[attemptCount - 1] * 60 * 1000),
+        }
+      : { status: succeeded ? "success" : "failed", completedAt: new Date() };
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: update, $push: { attempts: attempt } },
+      { returnDocument: "after" }
+    )
+      .select("-payload")
+      .lean();
+
+    if (!retry && webhook?.isActive && delivery.event !== "ping") {
+      await this.recordResult(webhook, succeeded);
+    }
+
+    if (!succeeded) {
+      Logger.warn("Webhook delivery attempt failed", {
+        webhook: webhook?.name,
+        deliveryId: delivery.deliveryId,
+        attempt: attemptCount,
+        error: attempt.error,
+        nextAttemptAt: retry ? update.nextAttemptAt : null,
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Update the delivery stats of a webhook after a delivery completed
+   * Pauses the webhook after WEBHOOKS.MAX_CONSECUTIVE_FAILURES failed deliveries in a row
+   */
+  async recordResult(webhook, succeeded) {
+    if (succeeded) {
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        {
+          $set: { consecutiveFailures: 0, lastDeliveryAt: new Date(), lastDeliveryStatus: "success" },
+          $inc: { totalDeliveries: 1 },
+        }
+      );
+      return;
+    }
+
+    const updated = await Webhook.findByIdAndUpdate(
+      webhook._id,
+      {
+        $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: "failed" },
+        $inc: { totalDeliveries: 1, consecutiveFailures: 1 },
+      },
+      { returnDocument: "after" }
+    ).lean();
+
+    if (updated?.isActive && updated.consecutiveFailures >= WEBHOOKS.MAX_CONSECUTIVE_FAILURES) {
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        {
+          $set: {
+            isActive: false,
+            disabledReason: `Paused after ${updated.consecutiveFailures} failed deliveries in a row`,
+          },
+        }
+      );
+
+      Logger.warn("Webhook paused after repeated failures", {
+        webhook: webhook.name,
+        consecutiveFailures: updated.consecutiveFailures,
+      });
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature (hex) of `${timestamp}.${body}`
+   * Receivers recompute it with their secret and compare it to X-Nexus-Signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  }
+
+  /**
+   * Time until which a claimed delivery is skipped by other worker runs
+   */
+  leaseUntil() {
+    return new Date(Date.now() + WEBHOOKS.TIMEOUT_MS + 60 * 1000);
+  }
+
+  /**
+   * Article as sent in "articles.created" payloads
+   */
+  toPayloadArticle(article, matchedKeywords = []) {
+    return {
+      articleId: article.articleId,
+      ...toArticleSnapshot(article),
+      keywords: article.keywords || [],
+      clusterId: article.clusterId || null,
+      sourceApi: article.sourceApi || null,
+      matchedKeywords,
+    };
+  }
+
+  /**
+   * Parse an id param
+   * @throws {NotFoundError} Malformed id
+   */
+  toObjectId(id, label) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new NotFoundError(`${label} not found`);
+    }
+    return new mongoose.Types.ObjectId(id);
+  }
+
+  /**
+   * Validate webhook input
+   * @param {Object} data - { name, url, categories, countries, keywords, secret, isActive }
+   * @param {Object} options - { requireAll } name and url are required (create)
+   * @returns {Object} Normalized fields (only the ones provided)
+   * @throws {BadRequestError} With per-field details
+   */
+  validateInput(data, { requireAll = false } = {}) {
+    const fields = {};
+    const errors = {};
+
+    if (data.name !== undefined || requireAll) {
+      if (typeof data.name !== "string" || !data.name.trim()) {
+        errors.name = "Name is required";
+      } else if (data.name.trim().length > 50) {
+        errors.name = "Name cannot exceed 50 characters";
+      } else {
+        fields.name = data.name.trim();
+      }
+    }
+
+    if (data.url !== undefined || requireAll) {
+      let url = null;
+      try {
+        url = typeof data.url === "string" ? new URL(data.url.trim()) : null;
+      } catch {
+        url = null;
+      }
+
+      if (!url || !["http:", "https:"].includes(url.protocol)) {
+        errors.url = "URL must be a valid http(s) URL";
+      } else {
+        fields.url = url.toString();
+      }
+    }
+
+    if (data.keywords !== undefined) {
+      const list = toList(data.keywords);
+
+      if (!Array.isArray(list) || list.some((keyword) => typeof keyword !== "string")) {
+        errors.keywords = "Keywords must be an array of strings";
+      } else {
+        const seen = new Set();
+        const keywords = list
+          .map((keyword) => keyword.trim().replace(/\s+/g, " "))
+          .filter((keyword) => keyword && !seen.has(keyword.toLowerCase()) && seen.add(keyword.toLowerCase()));
+
+        if (keywords.length > WEBHOOKS.MAX_KEYWORDS) {
+          errors.keywords = `At most ${WEBHOOKS.MAX_KEYWORDS} keywords are allowed`;
+        } else if (keywords.some((keyword) => toMatchText(keyword).trim() === "")) {
+          errors.keywords = "Each keyword needs at least one word that is not a common word";
+        } else {
+          fields.keywords = keywords;
+        }
+      }
+    }
+
+    validateFilterLists(data, fields, errors);
+
+    if (data.secret !== undefined) {
+      if (typeof data.secret !== "string" || data.secret.length < 16 || data.secret.length > 128) {
+        errors.secret = "Secret must be a string of 16 to 128 characters";
+      } else {
+        fields.secret = data.secret;
+      }
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== "boolean") {
+        errors.isActive = "isActive must be a boolean";
+      } else {
+        fields.isActive = data.isActive;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new BadRequestError("Validation failed", errors);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Response shape of a webhook
+   */
+  format(webhook, { includeSecret = false } = {}) {
+    return {
+      id: webhook._id.toString(),
+      name: webhook.name,
+      url: webhook.url,
+      categories: webhook.categories,
+      countries: webhook.countries,
+      keywords: webhook.keywords,
+      ...(includeSecret && { secret: webhook.secret }),
+      isActive: webhook.isActive,
+      disabledReason: webhook.disabledReason,
+      consecutiveFailures: webhook.consecutiveFailures,
+      lastDeliveryAt: webhook.lastDeliveryAt,
+      lastDeliveryStatus: webhook.lastDeliveryStatus,
+      totalDeliveries: webhook.totalDeliveries,
+      createdBy: webhook.createdBy?.email || webhook.createdBy?.apiKeyLabel || null,
+      createdAt: webhook.createdAt,
+    };
+  }
+
+  /**
+   * Response shape of a delivery
+   */
+  formatDelivery(delivery, { includePayload = false } = {}) {
+    return {
+      id: delivery._id.toString(),
+      webhookId: delivery.webhook.toString(),
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      status: delivery.status,
+      articleCount: delivery.articleIds.length,
+      attemptCount: delivery.attempts.length,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+      completedAt: delivery.completedAt,
+      createdAt: delivery.createdAt,
+      ...(includePayload && { payload: delivery.payload }),
+    };
+  }
+}
+
+export default new WebhookService();
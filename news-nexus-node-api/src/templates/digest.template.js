@@ -0,0 +1,156 @@
+/**
+ * Digest email templates
+ * Plain functions from a digest (see digestService.buildDigest) to HTML and text
+ */
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Only http(s) links are rendered as links
+ */
+const safeUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : null);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+const storyCount = (count) => `${count} ${count === 1 ? "story" : "stories"}`;
+
+const truncate = (text, length) =>
+  text && text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text || "";
+
+/**
+ * Subject line of a digest
+ */
+export const renderDigestSubject = (digest) => {
+  const label = digest.frequency === "weekly" ? "Your weekly" : "Your daily";
+  const lead = digest.sections[0]?.articles[0]?.title;
+  return lead ? `${label} Nexus News digest: ${truncate(lead, 70)}` : `${label} Nexus News digest`;
+};
+
+/**
+ * HTML body (inline styles: most email clients ignore <style> blocks)
+ */
+export const renderDigestHtml = (digest) => {
+  const sections = digest.sections
+    .map((section) => {
+      const articles = section.articles
+        .map((article) => {
+          const url = safeUrl(article.url);
+          const title = escapeHtml(article.title);
+          const meta = [article.source?.name, article.publishedAt && formatDate(article.publishedAt)]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join(" · ");
+
+          return `
+            <tr><td style="padding:12px 0;border-bottom:1px solid #e2e8f0;">
+              <a href="${escapeHtml(url || "#")}" style="color:#1e3a8a;font-size:16px;font-weight:bold;text-decoration:none;">${title}</a>
+              <div style="color:#64748b;font-size:12px;margin-top:4px;">${meta}</div>
+              ${article.description ? `<div style="color:#334155;font-size:14px;margin-top:6px;">${escapeHtml(truncate(article.description, 220))}</div>` : ""}
+            </td></tr>`;
+        })
+        .join("");
+
+      return `
+        <h2 style="font-size:18px;color:#0f172a;margin:28px 0 4px;text-transform:uppercase;letter-spacing:0.5px;">${escapeHtml(section.title)}</h2>
+        <table role="presentation" width="100%" cellspacing="0" cellpadding="0">${articles}</table>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(renderDigestSubject(digest))}</title></head>
+  <body style="margin:0;padding:0;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0"><tr><td align="center" style="padding:24px;">
+      <table role="presentation" width="600" cellspacing="0" cellpadding="0" style="background:#ffffff;border-radius:12px;padding:32px;">
+        <tr><td>
+          <h1 style="margin:0;font-size:24px;color:#1d4ed8;">Nexus News</h1>
+          <p style="margin:4px 0 0;color:#64748b;font-size:13px;">
+            ${escapeHtml(digest.frequency === "weekly" ? "Weekly" : "Daily")} digest · ${escapeHtml(formatDate(digest.periodStart))} – ${escapeHtml(formatDate(digest.periodEnd))} · ${storyCount(digest.articleCount)}
+          </p>
+          ${sections}
+          <p style="margin:32px 0 0;font-size:12px;color:#94a3b8;">
+            <a href="${escapeHtml(digest.appUrl)}" style="color:#64748b;">Open Nexus News</a> ·
+            <a href="${escapeHtml(digest.unsubscribeUrl)}" style="color:#64748b;">Unsubscribe</a> from this ${escapeHtml(digest.frequency)} digest
+          </p>
+        </td></tr>
+      </table>
+    </td></tr></table>
+  </body>
+</html>`;
+};
+
+/**
+ * Plain-text body
+ */
+export const renderDigestText = (digest) => {
+  const lines = [
+    `Nexus News - ${digest.frequency === "weekly" ? "Weekly" : "Daily"} digest`,
+    `${formatDate(digest.periodStart)} - ${formatDate(digest.periodEnd)} · ${storyCount(digest.articleCount)}`,
+  ];
+
+  for (const section of digest.sections) {
+    lines.push("", section.title.toUpperCase(), "=".repeat(section.title.length));
+
+    for (const article of section.articles) {
+      const meta = [article.source?.name, article.publishedAt && formatDate(article.publishedAt)]
+        .filter(Boolean)
+        .join(" · ");
+
+      lines.push("", `* ${article.title}`);
+      if (meta) lines.push(`  ${meta}`);
+      if (safeUrl(article.url)) lines.push(`  ${article.url}`);
+    }
+  }
+
+  lines.push(
+    "",
+    "--",
+    `Open Nexus News: ${digest.appUrl}`,
+    `Unsubscribe from this ${digest.frequency} digest: ${digest.unsubscribeUrl}`
+  );
+
+  return lines.join("\n");
+};
+
+/**
+ * Page around the unsubscribe messages
+ */
+const renderPage = (content) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="robots" content="noindex"><title>Nexus News</title></head>
+  <body style="font-family:Arial,Helvetica,sans-serif;background:#f1f5f9;padding:48px;text-align:center;color:#0f172a;">
+    <h1 style="color:#1d4ed8;">Nexus News</h1>
+    ${content}
+  </body>
+</html>`;
+
+/**
+ * Page shown when following an unsubscribe link: nothing changes until the
+ * reader confirms, so link scanners and prefetchers cannot unsubscribe
+ */
+export const renderUnsubscribeConfirmPage = ({ frequency, token }) =>
+  renderPage(`<p>Unsubscribe from the ${escapeHtml(frequency)} digest?</p>
+    <form method="post" action="unsubscribe">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit" style="background:#1d4ed8;color:#ffffff;border:0;border-radius:6px;padding:10px 20px;font-size:15px;cursor:pointer;">Unsubscribe</button>
+    </form>`);
+
+/**
+ * Page shown after unsubscribing (or for an invalid link)
+ */
+export const renderUnsubscribePage = ({ unsubscribed, frequency }) =>
+  renderPage(`<p>${
+    unsubscribed
+      ? `You have been unsubscribed from the ${escapeHtml(frequency)} digest.`
+      : "This unsubscribe link is invalid."
+  }</p>`);
@@ -0,0 +1,200 @@
+/**
+ * Feed templates
+ * Plain functions from a feed (see syndicationService.getFeed) to RSS 2.0, Atom 1.0
+ * and JSON Feed 1.1 documents
+ */
+
+/**
+ * Escape text for XML content and attribute values
+ */
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+/**
+ * Only http(s) links are rendered
+ */
+const safeUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : null);
+
+const MEDIA_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime",
+  m3u8: "application/vnd.apple.mpegurl",
+};
+
+/**
+ * MIME type of a media URL from its extension, with a fallback per kind
+ */
+const mediaType = (url, fallback) => {
+  try {
+    const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+    return MEDIA_TYPES[extension] || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Image and video of an article (http(s) only), video first
+ */
+const attachments = (article) =>
+  [
+    { url: safeUrl(article.video_url), fallback: "video/mp4" },
+    { url: safeUrl(article.urlToImage), fallback: "image/jpeg" },
+  ]
+    .filter(({ url }) => url)
+    .map(({ url, fallback }) => ({ url, type: mediaType(url, fallback) }));
+
+/**
+ * Stable id of an article across feed formats
+ */
+const articleUri = (article) => `urn:nexus-news:article:${article.articleId}`;
+
+const toDate = (date) => (date ? new Date(date) : null);
+
+/**
+ * RSS 2.0 (one <enclosure> per item as the spec allows; Media RSS for image and video)
+ */
+export const renderRss = (feed) => {
+  const items = feed.articles
+    .map((article) => {
+      const link = safeUrl(article.url);
+      const media = attachments(article);
+      const publishedAt = toDate(article.publishedAt);
+      const creator = article.author || article.source?.name;
+
+      const lines = [
+        `<title>${escapeXml(article.title)}</title>`,
+        link && `<link>${escapeXml(link)}</link>`,
+        `<guid isPermaLink="false">${escapeXml(articleUri(article))}</guid>`,
+        article.description && `<description>${escapeXml(article.description)}</description>`,
+        publishedAt && `<pubDate>${publishedAt.toUTCString()}</pubDate>`,
+        creator && `<dc:creator>${escapeXml(creator)}</dc:creator>`,
+        ...(article.category || []).map((category) => `<category>${escapeXml(category)}</category>`),
+        media[0] && `<enclosure url="${escapeXml(media[0].url)}" length="0" type="${media[0].type}" />`,
+        ...media.map(
+          (item) =>
+            `<media:content url="${escapeXml(item.url)}" type="${item.type}" medium="${item.type.startsWith("image/") ? "image" : "video"}" />`
+        ),
+      ];
+
+      return `
+    <item>
+      ${lines.filter(Boolean).join("\n      ")}
+    </item>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language || "en")}</language>
+    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+    <ttl>${Math.round(feed.ttlSeconds / 60)}</ttl>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Atom 1.0 (image and video as rel="enclosure" links)
+ */
+export const renderAtom = (feed) => {
+  const entries = feed.articles
+    .map((article) => {
+      const link = safeUrl(article.url);
+      const publishedAt = toDate(article.publishedAt);
+      const updatedAt = toDate(article.updatedAt) || publishedAt || feed.updatedAt;
+
+      const lines = [
+        `<title>${escapeXml(article.title)}</title>`,
+        `<id>${escapeXml(articleUri(article))}</id>`,
+        link && `<link rel="alternate" type="text/html" href="${escapeXml(link)}" />`,
+        ...attachments(article).map(
+          (item) => `<link rel="enclosure" type="${item.type}" href="${escapeXml(item.url)}" />`
+        ),
+        publishedAt && `<published>${publishedAt.toISOString()}</published>`,
+        `<updated>${updatedAt.toISOString()}</updated>`,
+        `<author><name>${escapeXml(article.author || article.source?.name || "Nexus News")}</name></author>`,
+        ...(article.category || []).map((category) => `<category term="${escapeXml(category)}" />`),
+        article.description && `<summary>${escapeXml(article.description)}</summary>`,
+      ];
+
+      return `
+  <entry>
+    ${lines.filter(Boolean).join("\n    ")}
+  </entry>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ""}>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />
+  <updated>${feed.updatedAt.toISOString()}</updated>
+  <generator>Nexus News</generator>${entries}
+</feed>
+`;
+};
+
+/**
+ * JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+ */
+export const renderJsonFeed = (feed) => ({
+  version: "https://jsonfeed.org/version/1.1",
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.selfUrl,
+  ...(feed.language && { language: feed.language }),
+  items: feed.articles.map((article) => {
+    const media = attachments(article);
+    const image = safeUrl(article.urlToImage);
+    const publishedAt = toDate(article.publishedAt);
+    const updatedAt = toDate(article.updatedAt);
+
+    return {
+      id: articleUri(article),
+      ...(safeUrl(article.url) && { url: article.url }),
+      title: article.title,
+      content_text: article.description || article.title,
+      ...(article.description && { summary: article.description }),
+      ...(image && { image }),
+      ...(publishedAt && { date_published: publishedAt.toISOString() }),
+      ...(updatedAt && { date_modified: updatedAt.toISOString() }),
+      ...((article.author || article.source?.name) && {
+        authors: [{ name: article.author || article.source.name }],
+      }),
+      ...(article.language && { language: article.language }),
+      tags: article.category || [],
+      ...(media.length > 0 && {
+        attachments: media.map((item) => ({ url: item.url, mime_type: item.type })),
+      }),
+      _nexus: {
+        article_id: article.articleId,
+        source: article.source?.name || null,
+        country: article.country || [],
+      },
+    };
+  }),
+});
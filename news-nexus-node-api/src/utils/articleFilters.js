@@ -0,0 +1,107 @@
+/**
+ * Article filter helpers
+ * Category/country filters and term matching shared by the subscriptions that
+ * are matched against newly fetched articles (watchlists, webhooks, digests)
+ */
+
+import { toMatchText } from "./textSimilarity.js";
+
+const CATEGORY_PATTERN = /^[a-z][a-z_-]{1,29}$/;
+const COUNTRY_PATTERN = /^[a-z]{2}$/;
+
+/**
+ * Split a list given as an array or a comma-separated string
+ * @param {Array|string} value - List
+ * @returns {Array|*} Array, or the value unchanged when it is neither
+ */
+export const toList = (value) => (typeof value === "string" ? value.split(",") : value);
+
+/**
+ * Validate the optional `categories` and `countries` lists of an input:
+ * lowercased, de-duplicated values are added to `fields`, problems to `errors`
+ * @param {Object} data - Request input
+ * @param {Object} fields - Normalized fields of the caller's validateInput
+ * @param {Object} errors - Per-field errors of the caller's validateInput
+ * @param {Object} options - { max } most values allowed per list
+ */
+export const validateFilterLists = (data, fields, errors, { max = Infinity } = {}) => {
+  for (const [field, pattern] of [["categories", CATEGORY_PATTERN], ["countries", COUNTRY_PATTERN]]) {
+    if (data[field] === undefined) continue;
+
+    const list = toList(data[field]);
+    if (!Array.isArray(list) || list.some((value) => typeof value !== "string")) {
+      errors[field] = "Must be an array of strings";
+      continue;
+    }
+
+    const values = [...new Set(list.map((value) => value.trim().toLowerCase()).filter(Boolean))];
+    const invalid = values.find((value) => !pattern.test(value));
+
+    if (invalid !== undefined) {
+      errors[field] = `"${invalid}" is not valid`;
+    } else if (values.length > max) {
+      errors[field] = `At most ${max} values are allowed`;
+    } else {
+      fields[field] = values;
+    }
+  }
+};
+
+/**
+ * Whether an article is within the category/country filters of a subscription
+ * @param {Object} subscription - { categories, countries } (empty lists match everything)
+ * @param {Object} article - News document
+ * @returns {boolean}
+ */
+export const passesFilters = (subscription, article) => {
+  if (
+    subscription.categories.length > 0 &&
+    !(article.category || []).some((category) => subscription.categories.includes(category))
+  ) {
+    return false;
+  }
+
+  if (
+    subscription.countries.length > 0 &&
+    !(article.country || []).some((country) => subscription.countries.includes(country))
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Articles prepared for matchArticles: title, description and keywords as match text
+ * @param {Array} articles - News documents
+ * @returns {Array} [{ article, text }]
+ */
+export const toMatchCandidates = (articles) =>
+  articles.map((article) => ({
+    article,
+    text: toMatchText([article.title, article.description, ...(article.keywords || [])].join(" ")),
+  }));
+
+/**
+ * Candidates within a subscription's filters that mention at least one of its
+ * terms (every candidate within the filters when it has no terms)
+ * @param {Array} candidates - From toMatchCandidates
+ * @param {Object} subscription - { categories, countries }
+ * @param {string[]} terms - Terms/keywords of the subscription
+ * @returns {Array} [{ article, matchedTerms }]
+ */
+export const matchArticles = (candidates, subscription, terms = []) => {
+  const phrases = terms.map((term) => ({ term, text: toMatchText(term) }));
+  const matches = [];
+
+  for (const { article, text } of candidates) {
+    if (!passesFilters(subscription, article)) continue;
+
+    const matchedTerms = phrases.filter((phrase) => text.includes(phrase.text)).map(({ term }) => term);
+    if (phrases.length > 0 && matchedTerms.length === 0) continue;
+
+    matches.push({ article, matchedTerms });
+  }
+
+  return matches;
+};
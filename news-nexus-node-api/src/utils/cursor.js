@@ -0,0 +1,149 @@
+/**
+ * Opaque cursor pagination helpers (keyset pagination)
+ *
+ * A cursor stores the sort values of the first/last article of a page, so the
+ * next page continues exactly after it even while the scheduler inserts new
+ * articles (skip-based pages drift in that case)
+ */
+
+import mongoose from "mongoose";
+import { InvalidCursorError } from "./errors.js";
+
+/**
+ * Sort orders usable with cursors (field, direction); _id breaks ties
+ */
+export const DATE_SORT = [["publishedAt", -1], ["_id", -1]];
+export const RELEVANCE_SORT = [["score", -1], ["publishedAt", -1], ["_id", -1]];
+
+/**
+ * How sort values are stored in and restored from a cursor
+ */
+const FIELD_CODECS = {
+  publishedAt: {
+    encode: (value) => new Date(value).toISOString(),
+    decode: (value) => {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? undefined : date;
+    },
+  },
+  _id: {
+    encode: (value) => value.toString(),
+    decode: (value) =>
+      mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : undefined,
+  },
+  score: {
+    encode: (value) => value,
+    decode: (value) => (typeof value === "number" && isFinite(value) ? value : undefined),
+  },
+};
+
+/**
+ * Encode a cursor pointing at a document
+ * @param {Object} doc - Article (must contain the sort fields)
+ * @param {Array} sortFields - DATE_SORT or RELEVANCE_SORT
+ * @param {string} direction - "next" (older/lower-ranked) or "prev" (newer/higher-ranked)
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = (doc, sortFields, direction) => {
+  const payload = {
+    d: direction,
+    k: sortFields.map(([field]) => field).join(","),
+    v: sortFields.map(([field]) => FIELD_CODECS[field].encode(doc[field])),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array} sortFields - Sort order the cursor must have been created with
+ * @returns {{ direction: string, values: Array }} Direction and typed sort values
+ * @throws {InvalidCursorError} Malformed cursor or cursor of another endpoint
+ */
+export const decodeCursor = (cursor, sortFields) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new InvalidCursorError("Cursor is malformed");
+  }
+
+  const keys = sortFields.map(([field]) => field).join(",");
+
+  if (!payload || !["next", "prev"].includes(payload.d) || !Array.isArray(payload.v)) {
+    throw new InvalidCursorError("Cursor is malformed");
+  }
+
+  if (payload.k !== keys || payload.v.length !== sortFields.length) {
+    throw new InvalidCursorError("Cursor belongs to a different sort order");
+  }
+
+  const values = sortFields.map(([field], index) => FIELD_CODECS[field].decode(payload.v[index]));
+
+  if (values.some((value) => value === undefined)) {
+    throw new InvalidCursorError("Cursor is malformed");
+  }
+
+  return { direction: payload.d, values };
+};
+
+/**
+ * Build the MongoDB condition selecting documents after (or before) the cursor position
+ * @param {Array} sortFields - Sort order
+ * @param {Array} values - Decoded cursor values
+ * @param {string} direction - "next" or "prev"
+ * @returns {Object} { $or: [...] } keyset condition
+ */
+export const buildKeysetFilter = (sortFields, values, direction) => ({
+  $or: sortFields.map(([field, order], index) => {
+    const clause = {};
+
+    sortFields.slice(0, index).forEach(([previousField], previousIndex) => {
+      clause[previousField] = values[previousIndex];
+    });
+
+    const forward = direction === "next";
+    clause[field] = { [(order === -1) === forward ? "$lt" : "$gt"]: values[index] };
+
+    return clause;
+  }),
+});
+
+/**
+ * Sort specification for a direction ("prev" pages are read in reverse and flipped back)
+ * @returns {Object} Mongo sort object
+ */
+export const buildCursorSort = (sortFields, direction) =>
+  Object.fromEntries(
+    sortFields.map(([field, order]) => [field, direction === "prev" ? -order : order])
+  );
+
+/**
+ * Turn a fetched window (limit + 1 rows) into a page with next/prev cursors
+ * @param {Object[]} rows - Documents in query order
+ * @param {Object} options - { limit, sortFields, direction, hasPrevious }
+ *   direction: "next"/"prev" for cursor requests, null for page/first requests
+ *   hasPrevious: whether newer items exist before this page (page > 1 or cursor given)
+ * @returns {{ items: Object[], nextCursor: string|null, prevCursor: string|null, hasMore: boolean }}
+ */
+export const buildCursorPage = (rows, { limit, sortFields, direction, hasPrevious }) => {
+  const hasExtra = rows.length > limit;
+  let items = hasExtra ? rows.slice(0, limit) : rows;
+
+  if (direction === "prev") {
+    items = items.reverse();
+  }
+
+  // Going backwards, the page we came from is always after this one
+  const hasNext = direction === "prev" ? true : hasExtra;
+  const hasPrev = direction === "prev" ? hasExtra : hasPrevious;
+
+  return {
+    items,
+    nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], sortFields, "next") : null,
+    prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], sortFields, "prev") : null,
+    hasMore: hasNext,
+  };
+};
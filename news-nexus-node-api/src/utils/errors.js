@@ -0,0 +1,102 @@
+/**
+ * Application error classes
+ * errorHandler and controllers map them to HTTP responses by name / statusCode
+ */
+
+/**
+ * Base class for expected errors carrying an HTTP status code
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {*} details - Extra information returned as `errors`
+   */
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Malformed search query (400)
+ * `position` is the character offset in the query where the problem starts
+ */
+export class SearchQueryError extends AppError {
+  constructor(message, position, details = {}) {
+    super(`${message} at position ${position}`, 400, { position, ...details });
+    this.position = position;
+  }
+}
+
+/**
+ * Malformed or foreign pagination cursor (400)
+ */
+export class InvalidCursorError extends AppError {
+  constructor(message = "Invalid cursor") {
+    super(message, 400);
+  }
+}
+
+/**
+ * Invalid request input (400)
+ */
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", details = null) {
+    super(message, 400, details);
+  }
+}
+
+/**
+ * Missing, invalid or expired credentials (401)
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized access") {
+    super(message, 401);
+  }
+}
+
+/**
+ * Authenticated but not allowed to perform the action (403)
+ */
+export class ForbiddenError extends AppError {
+  constructor(message = "You do not have permission to perform this action") {
+    super(message, 403);
+  }
+}
+
+/**
+ * Resource does not exist or is not visible to the caller (404)
+ */
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found") {
+    super(message, 404);
+  }
+}
+
+/**
+ * Resource already exists (409)
+ */
+export class ConflictError extends AppError {
+  constructor(message = "Resource already exists") {
+    super(message, 409);
+  }
+}
+
+/**
+ * Upstream request refused before it was sent (429): the daily credit budget
+ * of the provider is exhausted, or the provider rate-limited us
+ */
+export class QuotaExceededError extends AppError {
+  /**
+   * @param {string} provider - Provider key (e.g. newsDataIo)
+   * @param {Object} details - { used, dailyLimit, resetsAt, retryAt }
+   * @param {string} message - Error message
+   */
+  constructor(provider, details = {}, message = `Daily API credit limit reached for ${provider}`) {
+    super(message, 429, { provider, ...details });
+    this.provider = provider;
+  }
+}
@@ -5,3 +5,10 @@
 
 export { default as Logger } from "./logger.js";
 export * from "./responseHandler.js";
+export * from "./textSimilarity.js";
+export * from "./urlCanonicalizer.js";
+export * from "./errors.js";
+export * from "./searchQueryParser.js";
+export * from "./cursor.js";
+export * from "./owner.js";
+export * from "./articleFilters.js";
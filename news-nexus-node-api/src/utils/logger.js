@@ -59,6 +59,8 @@ const transports = [
   // Console transport
   new winston.transports.Console({
     format: consoleFormat,
+    // CLI scripts that write data to stdout (e.g. npm run export) log to stderr
+    ...(process.env.LOG_TO_STDERR === "true" && { stderrLevels: Object.keys(levels) }),
   }),
   
   // File transport for all logs
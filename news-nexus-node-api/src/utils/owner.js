@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+/**
+ * MongoDB condition selecting the personal documents of an owner
+ * @param {Object} owner - req.owner set by identifyOwner: { user } or { deviceId }
+ * @returns {Object} { user: ObjectId } or { deviceId }
+ */
+export const ownerFilter = (owner) =>
+  owner.user
+    ? { user: new mongoose.Types.ObjectId(owner.user) }
+    : { deviceId: owner.deviceId };
+
+/**
+ * Who clicked an article, for counting one click per reader
+ * X-Device-Id is chosen by the client, so anonymous readers are keyed by IP
+ * @param {Object} req - Request (req.user set by optionalAuth/identifyOwner)
+ * @returns {string} "user:<id>" or "ip:<address>"
+ */
+export const clickerKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
@@ -42,6 +42,8 @@ export const sendErrorResponse = (res, message = "Error", statusCode = 500, erro
  * @param {Object} res - Express response object
  * @param {*} data - Response data
  * @param {Object} pagination - Pagination info
+ *   { currentPage, totalPages, totalItems, itemsPerPage } plus, for cursor
+ *   pagination, { nextCursor, prevCursor, hasMore } (currentPage is null then)
  * @param {string} message - Success message
  */
 export const sendPaginatedResponse = (
@@ -55,10 +57,15 @@ export const sendPaginatedResponse = (
     message,
     data,
     pagination: {
-      currentPage: pagination.currentPage || 1,
+      currentPage: pagination.currentPage === null ? null : pagination.currentPage || 1,
       totalPages: pagination.totalPages || 1,
       totalItems: pagination.totalItems || 0,
       itemsPerPage: pagination.itemsPerPage || 10,
+      ...(pagination.nextCursor !== undefined && {
+        nextCursor: pagination.nextCursor,
+        prevCursor: pagination.prevCursor || null,
+        hasMore: Boolean(pagination.hasMore),
+      }),
     },
     timestamp: new Date().toISOString(),
   };
@@ -0,0 +1,252 @@
+/**
+ * Search query parser
+ * Parses the advanced syntax of /api/news/search, e.g.
+ *   "climate change" -opinion source:reuters after:2026-01-01 category:science
+ *
+ * Supported syntax:
+ * - Terms and "quoted phrases" (passed to MongoDB $text)
+ * - Exclusions: -term, -"quoted phrase"
+ * - Field qualifiers: source, author, category, country, language
+ *   (negate with -category:opinion, quote values with source:"the hindu")
+ * - Date qualifiers: after:YYYY-MM-DD (on or after), before:YYYY-MM-DD (strictly before)
+ */
+
+import { SearchQueryError } from "./errors.js";
+
+export const MAX_SEARCH_QUERY_LENGTH = 500;
+
+export const FIELD_QUALIFIERS = ["source", "author", "category", "country", "language"];
+export const DATE_QUALIFIERS = ["after", "before"];
+
+/**
+ * Value rules of field qualifiers (values are matched lowercase except source/author)
+ */
+const QUALIFIER_PATTERNS = {
+  category: { pattern: /^[a-z_-]+$/, description: "a category name" },
+  country: { pattern: /^[a-z]{2}$/, description: "a 2-letter country code" },
+  language: { pattern: /^[a-z]{2}$/, description: "a 2-letter language code" },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Split the raw query into tokens with their positions
+ * @returns {Array<{ value: string, position: number, negated: boolean, quoted: boolean, qualifier: string|null }>}
+ */
+const tokenizeQuery = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new SearchQueryError("Unterminated quote", start);
+    }
+    const value = input.slice(start + 1, end).trim();
+    if (!value) {
+      throw new SearchQueryError("Empty quoted phrase", start);
+    }
+    return { value, end: end + 1 };
+  };
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let negated = false;
+
+    if (input[i] === "-") {
+      negated = true;
+      i++;
+      if (i >= input.length || /\s/.test(input[i])) {
+        throw new SearchQueryError("Expected a term or phrase after '-'", position);
+      }
+    }
+
+    // Quoted phrase
+    if (input[i] === '"') {
+      const { value, end } = readQuoted(i);
+      tokens.push({ value, position, negated, quoted: true, qualifier: null });
+      i = end;
+      continue;
+    }
+
+    // Bare word, possibly a qualifier (key:value or key:"quoted value")
+    let end = i;
+    while (end < input.length && !/\s/.test(input[end]) && input[end] !== '"') {
+      end++;
+    }
+
+    let word = input.slice(i, end);
+    const qualifierMatch = word.match(/^([a-z]+):(.*)$/i);
+
+    if (input[end] === '"') {
+      if (!qualifierMatch || qualifierMatch[2] !== "") {
+        throw new SearchQueryError("Unexpected quote", end);
+      }
+      const quoted = readQuoted(end);
+      word = `${word}${quoted.value}`;
+      end = quoted.end;
+    }
+
+    if (qualifierMatch) {
+      const key = qualifierMatch[1].toLowerCase();
+      const value = word.slice(qualifierMatch[1].length + 1);
+      tokens.push({ value, position, negated, quoted: false, qualifier: key });
+    } else {
+      tokens.push({ value: word, position, negated, quoted: false, qualifier: null });
+    }
+
+    i = end;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a date qualifier value
+ */
+const parseDate = (token) => {
+  const date = new Date(token.value);
+
+  if (!DATE_PATTERN.test(token.value) || isNaN(date.getTime())) {
+    throw new SearchQueryError(
+      `Invalid date '${token.value}' for '${token.qualifier}:' (expected YYYY-MM-DD)`,
+      token.position
+    );
+  }
+
+  return date;
+};
+
+/**
+ * Quote a $text phrase
+ */
+const toTextPhrase = (token) => (token.quoted ? `"${token.value}"` : token.value);
+
+/**
+ * Whether a parsed query restricts any field or date
+ */
+const hasQualifiers = (parsed) =>
+  parsed.from !== null ||
+  parsed.to !== null ||
+  Object.values(parsed.qualifiers).some(
+    ({ include, exclude }) => include.length > 0 || exclude.length > 0
+  );
+
+/**
+ * Parse an advanced search query
+ * @param {string} input - Raw query string
+ * @returns {Object} {
+ *   search,      // MongoDB $text search string ("" when only qualifiers were given)
+ *   terms, phrases, excluded,
+ *   qualifiers,  // { source: { include: [], exclude: [] }, author, category, country, language }
+ *   from, to     // Publish date range (Date or null)
+ * }
+ * @throws {SearchQueryError} Malformed query (with character position)
+ */
+export const parseSearchQuery = (input) => {
+  if (typeof input !== "string" || !input.trim()) {
+    throw new SearchQueryError("Search query is empty", 0);
+  }
+
+  if (input.length > MAX_SEARCH_QUERY_LENGTH) {
+    throw new SearchQueryError(
+      `Search query is longer than ${MAX_SEARCH_QUERY_LENGTH} characters`,
+      MAX_SEARCH_QUERY_LENGTH
+    );
+  }
+
+  const parsed = {
+    search: "",
+    terms: [],
+    phrases: [],
+    excluded: [],
+    qualifiers: Object.fromEntries(
+      FIELD_QUALIFIERS.map((field) => [field, { include: [], exclude: [] }])
+    ),
+    from: null,
+    to: null,
+  };
+
+  const textParts = [];
+  let firstExclusion = null;
+  let lastDateToken = null;
+
+  for (const token of tokenizeQuery(input)) {
+    if (token.qualifier === null) {
+      if (token.negated) {
+        parsed.excluded.push(token.value);
+        textParts.push(`-${toTextPhrase(token)}`);
+        firstExclusion = firstExclusion ?? token;
+      } else {
+        (token.quoted ? parsed.phrases : parsed.terms).push(token.value);
+        textParts.push(toTextPhrase(token));
+      }
+      continue;
+    }
+
+    const { qualifier } = token;
+
+    if (!token.value) {
+      throw new SearchQueryError(`Missing value for '${qualifier}:'`, token.position);
+    }
+
+    if (DATE_QUALIFIERS.includes(qualifier)) {
+      if (token.negated) {
+        throw new SearchQueryError(`'${qualifier}:' cannot be negated`, token.position);
+      }
+
+      const date = parseDate(token);
+      lastDateToken = token;
+      if (qualifier === "after") {
+        parsed.from = parsed.from && parsed.from > date ? parsed.from : date;
+      } else {
+        parsed.to = parsed.to && parsed.to < date ? parsed.to : date;
+      }
+      continue;
+    }
+
+    if (!FIELD_QUALIFIERS.includes(qualifier)) {
+      throw new SearchQueryError(
+        `Unknown qualifier '${qualifier}:' (supported: ${[...FIELD_QUALIFIERS, ...DATE_QUALIFIERS].join(", ")})`,
+        token.position
+      );
+    }
+
+    const rule = QUALIFIER_PATTERNS[qualifier];
+    const value = rule ? token.value.toLowerCase() : token.value;
+
+    if (rule && !rule.pattern.test(value)) {
+      throw new SearchQueryError(
+        `Invalid value '${token.value}' for '${qualifier}:' (expected ${rule.description})`,
+        token.position
+      );
+    }
+
+    parsed.qualifiers[qualifier][token.negated ? "exclude" : "include"].push(value);
+  }
+
+  // $text cannot match on exclusions alone
+  if (firstExclusion && parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    throw new SearchQueryError(
+      "Exclusions need at least one search term or phrase",
+      firstExclusion.position
+    );
+  }
+
+  if (parsed.from && parsed.to && parsed.from >= parsed.to) {
+    throw new SearchQueryError("'after:' must be earlier than 'before:'", lastDateToken.position);
+  }
+
+  if (textParts.length === 0 && !hasQualifiers(parsed)) {
+    throw new SearchQueryError("Search query is empty", 0);
+  }
+
+  parsed.search = textParts.join(" ");
+
+  return parsed;
+};
@@ -0,0 +1,118 @@
+/**
+ * Text similarity helpers
+ * Used to detect near-duplicate articles and group related coverage
+ */
+
+/**
+ * Common English words ignored when comparing texts
+ */
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "been", "but", "by", "for", "from",
+  "has", "have", "he", "her", "his", "in", "into", "is", "it", "its", "of", "on",
+  "or", "over", "says", "said", "she", "that", "the", "their", "they", "this",
+  "to", "was", "were", "will", "with", "after", "amid", "about", "new",
+  "up", "out", "more", "than", "who", "what", "why", "how", "when", "we", "you",
+]);
+
+/**
+ * Split text into normalized tokens (lowercase, no punctuation, no stopwords)
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+export const tokenize = (text) => {
+  if (!text || typeof text !== "string") return [];
+
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip accents
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+};
+
+/**
+ * Normalized form of a term or text: tokens joined by single spaces, padded so
+ * that `includes` only matches whole words ("rbi" does not match "herbicide")
+ * @param {string} text - Term or text
+ * @returns {string} Match text
+ */
+export const toMatchText = (text) => ` ${tokenize(text).join(" ")} `;
+
+/**
+ * Jaccard similarity between two token collections (0 - 1)
+ * @param {string[]|Set<string>} a - First token collection
+ * @param {string[]|Set<string>} b - Second token collection
+ * @returns {number} Similarity
+ */
+export const jaccardSimilarity = (a, b) => {
+  const setA = a instanceof Set ? a : new Set(a);
+  const setB = b instanceof Set ? b : new Set(b);
+
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  for (const token of setA) {
+    if (setB.has(token)) intersection++;
+  }
+
+  return intersection / (setA.size + setB.size - intersection);
+};
+
+/**
+ * Build a weighted term-frequency vector from several text fields
+ * @param {Array<{ text: string|string[], weight: number }>} fields - Fields and their weights
+ * @returns {Map<string, number>} Term vector
+ */
+export const buildTermVector = (fields = []) => {
+  const vector = new Map();
+
+  for (const { text, weight = 1 } of fields) {
+    const tokens = Array.isArray(text) ? text.flatMap((value) => tokenize(value)) : tokenize(text);
+    for (const token of tokens) {
+      vector.set(token, (vector.get(token) || 0) + weight);
+    }
+  }
+
+  return vector;
+};
+
+/**
+ * Add a term vector into another (in place)
+ * @param {Map<string, number>} target - Vector to add into
+ * @param {Map<string, number>} vector - Vector to add
+ * @returns {Map<string, number>} Target vector
+ */
+export const addTermVector = (target, vector) => {
+  for (const [token, weight] of vector) {
+    target.set(token, (target.get(token) || 0) + weight);
+  }
+  return target;
+};
+
+/**
+ * Cosine similarity between two term vectors (0 - 1)
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} Similarity
+ */
+export const cosineSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+  let dot = 0;
+  for (const [token, weight] of small) {
+    const other = large.get(token);
+    if (other) dot += weight * other;
+  }
+
+  if (dot === 0) return 0;
+
+  let normA = 0;
+  for (const weight of a.values()) normA += weight * weight;
+  let normB = 0;
+  for (const weight of b.values()) normB += weight * weight;
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
@@ -0,0 +1,63 @@
+/**
+ * URL canonicalization
+ * Produces a comparable form of article URLs so the same story linked with
+ * different tracking parameters, hosts or AMP variants is recognized
+ */
+
+/**
+ * Query parameters that never identify an article
+ */
+const TRACKING_PARAMS = new Set([
+  "fbclid", "gclid", "dclid", "msclkid", "yclid", "igshid", "mc_cid", "mc_eid",
+  "ref", "ref_src", "ref_url", "referrer", "cmpid", "cmp",
+  "ocid", "smid", "smtyp", "soc_src", "soc_trk", "taid", "ito", "_ga", "_gl",
+  "output", "amp", "outputtype", "ns_mchannel", "ns_source", "ns_campaign",
+  "ns_linkname", "ns_fee", "at_medium", "at_campaign", "at_custom1", "at_custom2",
+  "spm",
+]);
+
+/**
+ * Host prefixes that point to the same site
+ */
+const HOST_PREFIXES = /^(www\d*|m|mobile|amp)\./;
+
+/**
+ * Canonicalize an article URL
+ * - Lowercases and normalizes the host (www., m., amp. removed)
+ * - Drops the protocol difference (always https), default ports and fragments
+ * - Removes tracking parameters (utm_*, fbclid, ...) and sorts the rest
+ * - Removes AMP path variants and trailing slashes
+ * @param {string} value - Article URL
+ * @returns {string|null} Canonical URL, or null for invalid URLs
+ */
+export const canonicalizeUrl = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  const host = url.hostname.toLowerCase().replace(HOST_PREFIXES, "");
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => {
+      const name = key.toLowerCase();
+      return !name.startsWith("utm_") && !TRACKING_PARAMS.has(name);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const path = url.pathname
+    .replace(/\/amp(\.html)?\/?$/i, "/")
+    .replace(/\.amp(\.html)?$/i, "$1")
+    .replace(/\/{2,}/g, "/")
+    .replace(/\/+$/, "");
+
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : "";
+
+  return `https://${host}${path}${query}`;
+};
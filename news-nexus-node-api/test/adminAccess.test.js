@@ -0,0 +1,122 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+// Admin keys are read when the config is loaded
+process.env.ADMIN_API_KEYS = "ops:test_admin_key_0123456789";
+
+const { default: app } = await import("../src/app.js");
+const { AUTH_CONFIG } = await import("../src/config/index.js");
+const { authService, auditLogService, fetchScheduleService, newsFetchScheduler } = await import(
+  "../src/services/index.js"
+);
+
+const ADMIN_KEY = { "X-API-Key": "test_admin_key_0123456789" };
+
+const bearer = (role) => ({
+  Authorization: `Bearer ${jwt.sign(
+    { sub: "65f1c2a3b4c5d6e7f8a9b0c1", role, email: `${role}@example.com` },
+    AUTH_CONFIG.JWT_SECRET,
+    { expiresIn: "5m", issuer: AUTH_CONFIG.JWT_ISSUER }
+  )}`,
+});
+
+describe("admin routes", () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, { headers = {}, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json", ...headers } : headers,
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+  afterEach(() => mock.restoreAll());
+
+  it("require an admin token or API key", async () => {
+    for (const [method, path] of [
+      ["POST", "/scheduler/trigger"],
+      ["POST", "/news/refresh"],
+      ["GET", "/admin/audit-logs"],
+      ["GET", "/newsdata/latest"],
+      ["GET", "/newsapi/top-headlines"],
+    ]) {
+      assert.equal((await request(method, path)).status, 401, path);
+      assert.equal((await request(method, path, { headers: { "X-API-Key": "wrong" } })).status, 401, path);
+      assert.equal((await request(method, path, { headers: bearer("user") })).status, 403, path);
+    }
+  });
+
+  it("answers a trigger without a body with 400", async () => {
+    const { status, body } = await request("POST", "/scheduler/trigger", { headers: ADMIN_KEY });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /Schedule name is required/);
+  });
+
+  it("audits a manual trigger with the API key label", async () => {
+    mock.method(fetchScheduleService, "findSchedule", async () => ({ name: "MORNING", enabled: true }));
+    const start = mock.method(auditLogService, "start", async () => ({ _id: "audit_1" }));
+    mock.method(auditLogService, "complete", async () => {});
+    mock.method(newsFetchScheduler, "triggerManualFetch", async () => ({ status: "success", creditsConsumed: {} }));
+
+    const { status, body } = await request("POST", "/scheduler/trigger", {
+      headers: bearer("admin"),
+      body: { schedule: "morning" },
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.data.schedule, "MORNING");
+
+    const [action, actor, entry] = start.mock.calls[0].arguments;
+    assert.equal(action, "scheduler.trigger");
+    assert.equal(actor.type, "user");
+    assert.equal(actor.email, "admin@example.com");
+    assert.deepEqual(entry, { schedule: "MORNING" });
+  });
+
+  it("changes user roles and audits them", async () => {
+    const setRole = mock.method(authService, "setRole", async ({ id }, role) => ({
+      id,
+      email: "reader@example.com",
+      role,
+    }));
+    const record = mock.method(auditLogService, "record", async () => {});
+
+    const { status } = await request("PATCH", "/admin/users/65f1c2a3b4c5d6e7f8a9b0c1/role", {
+      headers: ADMIN_KEY,
+      body: { role: "admin" },
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(setRole.mock.calls[0].arguments, [{ id: "65f1c2a3b4c5d6e7f8a9b0c1" }, "admin"]);
+
+    const [action, actor] = record.mock.calls[0].arguments;
+    assert.equal(action, "user.role");
+    assert.deepEqual([actor.type, actor.apiKeyLabel], ["apiKey", "ops"]);
+  });
+
+  it("rejects invalid role changes with 400", async () => {
+    const invalidId = await request("PATCH", "/admin/users/not-an-id/role", {
+      headers: ADMIN_KEY,
+      body: { role: "admin" },
+    });
+    const invalidRole = await request("PATCH", "/admin/users/65f1c2a3b4c5d6e7f8a9b0c1/role", {
+      headers: ADMIN_KEY,
+      body: { role: "owner" },
+    });
+
+    assert.equal(invalidId.status, 400);
+    assert.equal(invalidRole.status, 400);
+  });
+});
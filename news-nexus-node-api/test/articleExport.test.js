@@ -0,0 +1,131 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough, Readable } from "stream";
+import { buffer } from "stream/consumers";
+import zlib from "zlib";
+import { articleExportService } from "../src/services/index.js";
+import { providerRegistry } from "../src/providers/index.js";
+import { News } from "../src/db/index.js";
+import { EXPORT } from "../src/constants/index.js";
+
+const article = (articleId, extra = {}) => ({
+  articleId,
+  title: `Story ${articleId}`,
+  url: `https://example.com/${articleId}`,
+  publishedAt: new Date("2026-10-19T06:00:00Z"),
+  source: { id: "example", name: "Example" },
+  category: ["business", "technology"],
+  ...extra,
+});
+
+/**
+ * Run an export into memory
+ */
+const exportToText = async (options) => {
+  const output = new PassThrough();
+  const [stats, data] = await Promise.all([articleExportService.exportTo(output, options), buffer(output)]);
+  return { stats, data };
+};
+
+describe("articleExportService.parseOptions", () => {
+  it("defaults to CSV of the default fields without deleted or duplicate articles", () => {
+    const options = articleExportService.parseOptions({});
+
+    assert.deepEqual([options.format, options.fields, options.gzip], ["csv", EXPORT.DEFAULT_FIELDS, false]);
+    assert.deepEqual(articleExportService.buildQuery(options.filters), { isDeleted: false, duplicate: false });
+  });
+
+  it("turns the filters into a query", () => {
+    const sourceApi = providerRegistry.names()[0];
+    const options = articleExportService.parseOptions({
+      format: "NDJSON",
+      fields: "articleId,source.name,articleId",
+      from: "2026-10-01",
+      to: "2026-10-19",
+      category: "Business, technology",
+      country: ["IN"],
+      sourceApi,
+      includeDeleted: "true",
+      gzip: "1",
+    });
+
+    assert.deepEqual([options.format, options.fields, options.gzip], ["ndjson", ["articleId", "source.name"], true]);
+    assert.deepEqual(articleExportService.buildQuery(options.filters), {
+      duplicate: false,
+      publishedAt: { $gte: new Date("2026-10-01"), $lt: new Date("2026-10-19") },
+      category: { $in: ["business", "technology"] },
+      country: { $in: ["in"] },
+      sourceApi: { $in: [sourceApi] },
+    });
+  });
+
+  it("rejects unknown formats, fields and filter values with 400", () => {
+    for (const input of [
+      { format: "xlsx" },
+      { fields: "title,password" },
+      { category: "business;drop" },
+      { country: "india" },
+      { sourceApi: "unknown" },
+      { from: "yesterday" },
+      { from: "2026-10-19", to: "2026-10-01" },
+    ]) {
+      assert.throws(() => articleExportService.parseOptions(input), { statusCode: 400 }, JSON.stringify(input));
+    }
+  });
+});
+
+describe("articleExportService.exportTo", () => {
+  afterEach(() => mock.restoreAll());
+
+  const useArchive = (docs) => {
+    const calls = {};
+    mock.method(News, "find", (query) => {
+      calls.query = query;
+      const chain = {
+        select: (fields) => ((calls.fields = fields), chain),
+        sort: (sort) => ((calls.sort = sort), chain),
+        lean: () => chain,
+        cursor: () => Readable.from(docs),
+      };
+      return chain;
+    });
+    return calls;
+  };
+
+  it("writes CSV with a header row, quoting and joined arrays", async () => {
+    const calls = useArchive([article("a1", { title: 'Rates, "steady"' }), article("a2", { category: [] })]);
+    const options = articleExportService.parseOptions({ fields: "articleId,title,category,publishedAt" });
+
+    const { stats, data } = await exportToText(options);
+
+    assert.equal(stats.rows, 2);
+    assert.equal(
+      data.toString(),
+      [
+        "articleId,title,category,publishedAt",
+        'a1,"Rates, ""steady""",business|technology,2026-10-19T06:00:00.000Z',
+        "a2,Story a2,,2026-10-19T06:00:00.000Z",
+        "",
+      ].join("\r\n")
+    );
+    assert.equal(calls.fields, "articleId title category publishedAt -_id");
+    assert.deepEqual(calls.sort, { publishedAt: 1, _id: 1 });
+  });
+
+  it("writes gzipped NDJSON with nested fields", async () => {
+    useArchive([article("a1")]);
+    const options = articleExportService.parseOptions({
+      format: "ndjson",
+      fields: "articleId,source.name,author",
+      gzip: true,
+    });
+
+    const { data } = await exportToText(options);
+    const lines = zlib.gunzipSync(data).toString().trim().split("\n");
+
+    assert.deepEqual(lines.map((line) => JSON.parse(line)), [
+      { articleId: "a1", source: { name: "Example" }, author: null },
+    ]);
+    assert.match(articleExportService.describe(options).fileName, /^news-export-.*\.ndjson\.gz$/);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateFilterLists, passesFilters, toMatchCandidates, matchArticles } from "../src/utils/index.js";
+
+const article = (articleId, title, category = [], country = []) => ({ articleId, title, category, country });
+
+describe("validateFilterLists", () => {
+  it("normalizes categories and countries given as arrays or comma-separated strings", () => {
+    const fields = {};
+    const errors = {};
+
+    validateFilterLists({ categories: ["Business", " business", "tech_news"], countries: "IN, us" }, fields, errors);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(fields, { categories: ["business", "tech_news"], countries: ["in", "us"] });
+  });
+
+  it("reports invalid values per field and leaves missing ones out", () => {
+    const fields = {};
+    const errors = {};
+
+    validateFilterLists({ categories: [1], countries: ["india"] }, fields, errors);
+    assert.deepEqual(errors, { categories: "Must be an array of strings", countries: '"india" is not valid' });
+    assert.deepEqual(fields, {});
+
+    validateFilterLists({ countries: ["in", "us", "gb"] }, fields, errors, { max: 2 });
+    assert.equal(errors.countries, "At most 2 values are allowed");
+  });
+});
+
+describe("matchArticles", () => {
+  const candidates = toMatchCandidates([
+    article("a1", "RBI keeps repo rate unchanged", ["business"], ["in"]),
+    article("a2", "Herbicide sales grow", ["business"], ["in"]),
+    article("a3", "RBI governor speaks in London", ["politics"], ["gb"]),
+  ]);
+
+  it("applies category and country filters", () => {
+    assert.equal(passesFilters({ categories: [], countries: [] }, article("a", "", ["sports"])), true);
+    assert.equal(passesFilters({ categories: ["business"], countries: [] }, article("a", "", ["sports"])), false);
+    assert.equal(passesFilters({ categories: [], countries: ["in"] }, article("a", "", [], ["in", "us"])), true);
+  });
+
+  it("matches whole terms within the filters", () => {
+    const matches = matchArticles(candidates, { categories: ["business"], countries: [] }, ["RBI", "repo rate"]);
+
+    assert.deepEqual(
+      matches.map(({ article: { articleId }, matchedTerms }) => [articleId, matchedTerms]),
+      [["a1", ["RBI", "repo rate"]]]
+    );
+  });
+
+  it("matches every article within the filters when there are no terms", () => {
+    const matches = matchArticles(candidates, { categories: [], countries: ["in"] }, []);
+
+    assert.deepEqual(
+      matches.map(({ article: { articleId }, matchedTerms }) => [articleId, matchedTerms]),
+      [
+        ["a1", []],
+        ["a2", []],
+      ]
+    );
+  });
+});
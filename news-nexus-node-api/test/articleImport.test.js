@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { articleImportService, articleIngestion, storyClusteringService } from "../src/services/index.js";
+import { providerRegistry } from "../src/providers/index.js";
+
+const line = (articleId, extra = {}) =>
+  JSON.stringify({
+    articleId,
+    title: `Story ${articleId}`,
+    url: `https://example.com/${articleId}`,
+    publishedAt: "2026-10-19T06:00:00.000Z",
+    source: { id: "example", name: "Example" },
+    category: ["business"],
+    sourceApi: providerRegistry.names()[0],
+    ...extra,
+  });
+
+const dump = (...lines) => Readable.from([lines.join("\n")]);
+
+describe("articleImportService.importFrom", () => {
+  let save;
+  let cluster;
+
+  beforeEach(() => {
+    save = mock.method(articleIngestion, "saveArticlesToDB", async (articles) => ({
+      saved: articles.length,
+      updated: 0,
+      duplicates: 0,
+    }));
+    cluster = mock.method(storyClusteringService, "clusterRecentArticles", async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("saves valid lines in batches, off the live feed", async () => {
+    const progress = [];
+
+    const stats = await articleImportService.importFrom(
+      dump(line("a1"), "", line("a2", { _id: "65f1c2a3b4c5d6e7f8a9b0c1", createdAt: "2020-01-01" }), line("a3")),
+      { batchSize: 2, onProgress: (totals) => progress.push(totals.saved) }
+    );
+
+    assert.deepEqual(
+      [stats.lines, stats.received, stats.accepted, stats.rejected, stats.saved],
+      [4, 3, 3, 0, 3]
+    );
+    assert.deepEqual(progress, [2, 3]);
+    assert.deepEqual(save.mock.calls[0].arguments[1], { notify: false });
+
+    // Only known fields are taken, dates are restored
+    const [, second] = save.mock.calls[0].arguments[0];
+    assert.equal(second._id, undefined);
+    assert.equal(second.createdAt, undefined);
+    assert.deepEqual(second.publishedAt, new Date("2026-10-19T06:00:00Z"));
+    assert.equal(cluster.mock.callCount(), 1);
+  });
+
+  it("reports rejected lines with their line numbers", async () => {
+    const stats = await articleImportService.importFrom(
+      dump(line("a1"), "{not json", "[1, 2]", line("a4", { url: "ftp://example.com/a4" }), line("a5"))
+    );
+
+    assert.deepEqual([stats.accepted, stats.rejected, stats.saved], [2, 3, 2]);
+    assert.deepEqual(
+      stats.rejections.map(({ line: number, articleId }) => [number, articleId]),
+      [
+        [2, null],
+        [3, null],
+        [4, "a4"],
+      ]
+    );
+    assert.match(stats.rejections[0].reasons[0], /^Invalid JSON/);
+    assert.deepEqual(stats.rejections[1].reasons, ["line is not a JSON object"]);
+    assert.deepEqual(stats.rejections[2].reasons, ["url is missing or not a valid HTTP/HTTPS URL"]);
+  });
+
+  it("validates without saving on a dry run", async () => {
+    const stats = await articleImportService.importFrom(dump(line("a1"), line("a2")), { dryRun: true });
+
+    assert.deepEqual([stats.accepted, stats.saved, stats.dryRun], [2, 0, true]);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(cluster.mock.callCount(), 0);
+  });
+});
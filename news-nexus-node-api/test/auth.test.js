@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { authService } from "../src/services/index.js";
+import { User, RefreshToken } from "../src/db/index.js";
+
+/**
+ * Assert that a promise rejects with an expected (4xx) service error
+ */
+const assertRejects = (promise, statusCode, message) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, statusCode);
+    assert.match(error.message, message);
+    return true;
+  });
+
+/**
+ * In-memory refresh_tokens collection (the queries used by authService)
+ */
+const useTokenStore = () => {
+  const tokens = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) =>
+      value === null ? doc[key] == null : String(doc[key]) === String(value)
+    );
+  const find = (filter) => tokens.find((doc) => matches(doc, filter)) || null;
+
+  mock.method(RefreshToken, "create", async (data) => {
+    const doc = new RefreshToken(data);
+    tokens.push(doc);
+    return doc;
+  });
+  mock.method(RefreshToken, "findOne", async (filter) => find(filter));
+  mock.method(RefreshToken, "findOneAndUpdate", async (filter, { $set }) => {
+    const doc = find(filter);
+    return doc && Object.assign(doc, $set);
+  });
+  mock.method(RefreshToken, "updateOne", async (filter, { $set }) => {
+    Object.assign(find(filter), $set);
+  });
+  mock.method(RefreshToken, "updateMany", async (filter, { $set }) => {
+    tokens.filter((doc) => matches(doc, filter)).forEach((doc) => Object.assign(doc, $set));
+  });
+
+  return tokens;
+};
+
+describe("authService.register", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects malformed input with 400 before touching the database", async () => {
+    const exists = mock.method(User, "exists", async () => null);
+
+    await assertRejects(authService.register({ email: "a@example.com", password: 12345678 }), 400, /Validation/);
+    await assertRejects(
+      authService.register({ email: "a@example.com", password: "long enough", name: "x".repeat(101) }),
+      400,
+      /Validation/
+    );
+    await assertRejects(
+      authService.register({ email: `${"a".repeat(250)}@example.com`, password: "long enough" }),
+      400,
+      /Validation/
+    );
+    await assertRejects(
+      authService.register({ email: "a@example.com", password: "long enough", name: { first: "A" } }),
+      400,
+      /Validation/
+    );
+
+    assert.equal(exists.mock.callCount(), 0);
+  });
+
+  it("reports a concurrent duplicate registration as a conflict", async () => {
+    mock.method(User, "exists", async () => null);
+    mock.method(User.prototype, "save", async () => {
+      throw Object.assign(new Error("E11000 duplicate key error collection: users"), { code: 11000 });
+    });
+
+    await assertRejects(
+      authService.register({ email: "a@example.com", password: "long enough" }),
+      409,
+      /already exists/
+    );
+  });
+});
+
+describe("authService.login", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects non-string credentials with 400", async () => {
+    const findOne = mock.method(User, "findOne");
+
+    await assertRejects(authService.login({ email: "a@example.com", password: { $gt: "" } }), 400, /strings/);
+    await assertRejects(authService.login({ email: ["a@example.com"], password: "secret123" }), 400, /strings/);
+
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+});
+
+describe("authService refresh token rotation", () => {
+  let tokens;
+  let user;
+
+  beforeEach(() => {
+    tokens = useTokenStore();
+    user = new User({ email: "reader@example.com", password: "hash", name: "Reader" });
+    mock.method(User, "findById", async () => user);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("issues access tokens that verify and carry the role", async () => {
+    const { accessToken } = await authService.issueTokens(user, null);
+    const payload = authService.verifyAccessToken(accessToken);
+
+    assert.equal(payload.sub, user._id.toString());
+    assert.equal(payload.role, "user");
+    assert.throws(() => authService.verifyAccessToken(`${accessToken}x`), { statusCode: 401 });
+  });
+
+  it("rotates the refresh token within the same session", async () => {
+    const first = await authService.issueTokens(user, null);
+    const second = await authService.refresh(first.refreshToken);
+
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens[0].family, tokens[1].family);
+    assert.ok(tokens[0].revokedAt);
+    assert.equal(tokens[0].replacedBy, tokens[1].tokenHash);
+    assert.equal(tokens[1].revokedAt, null);
+  });
+
+  it("ends the whole session when a rotated token is reused", async () => {
+    const first = await authService.issueTokens(user, null);
+    const second = await authService.refresh(first.refreshToken);
+
+    await assertRejects(authService.refresh(first.refreshToken), 401, /revoked/);
+
+    assert.ok(tokens.every((doc) => doc.revokedAt));
+    await assertRejects(authService.refresh(second.refreshToken), 401, /revoked/);
+  });
+
+  it("rejects unknown and expired refresh tokens", async () => {
+    await assertRejects(authService.refresh("unknown"), 401, /Invalid refresh token/);
+
+    const { refreshToken } = await authService.issueTokens(user, null);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    await assertRejects(authService.refresh(refreshToken), 401, /expired/);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { bookmarkService } from "../src/services/index.js";
+import { Bookmark, News } from "../src/db/index.js";
+
+const DEVICE = { deviceId: "device-0123456789" };
+
+const article = {
+  _id: new mongoose.Types.ObjectId(),
+  articleId: "newsdata_1",
+  title: "RBI keeps repo rate unchanged",
+  description: "Policy review",
+  url: "https://example.com/rbi",
+  publishedAt: new Date("2026-10-19T06:00:00Z"),
+  source: { id: "example", name: "Example" },
+  category: ["business"],
+  country: ["in"],
+  language: "en",
+};
+
+const bookmark = (articleId, extra = {}) =>
+  new Bookmark({
+    ...DEVICE,
+    articleId,
+    article: new mongoose.Types.ObjectId(),
+    snapshot: { ...article, articleId },
+    ...extra,
+  });
+
+describe("bookmarkService.addBookmark", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("saves a snapshot of the article", async () => {
+    mock.method(Bookmark, "findOne", async () => null);
+    mock.method(News, "findOne", () => ({ lean: async () => article }));
+    const create = mock.method(Bookmark, "create", async (doc) => new Bookmark(doc));
+
+    const { bookmark: saved, created } = await bookmarkService.addBookmark(DEVICE, {
+      articleId: "newsdata_1",
+      folder: " Reading ",
+      tags: "Economy, economy, RBI",
+    });
+
+    assert.equal(created, true);
+    assert.deepEqual([saved.folder, saved.tags], ["Reading", ["economy", "rbi"]]);
+    assert.equal(saved.article.title, article.title);
+    assert.deepEqual(create.mock.calls[0].arguments[0].article, article._id);
+  });
+
+  it("returns an existing bookmark, updating the folder and tags given", async () => {
+    const existing = bookmark("newsdata_1", { folder: "Later", tags: ["rbi"] });
+    const save = mock.method(existing, "save", async () => existing);
+    mock.method(Bookmark, "findOne", async () => existing);
+    const create = mock.method(Bookmark, "create");
+
+    const { bookmark: saved, created } = await bookmarkService.addBookmark(DEVICE, {
+      articleId: "newsdata_1",
+      folder: "Policy",
+    });
+
+    assert.equal(created, false);
+    assert.deepEqual([saved.folder, saved.tags], ["Policy", ["rbi"]]);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("returns the bookmark saved concurrently by another request", async () => {
+    const concurrent = bookmark("newsdata_1");
+    let lookups = 0;
+    mock.method(Bookmark, "findOne", async () => (lookups++ === 0 ? null : concurrent));
+    mock.method(News, "findOne", () => ({ lean: async () => article }));
+    mock.method(Bookmark, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    const { bookmark: saved, created } = await bookmarkService.addBookmark(DEVICE, { articleId: "newsdata_1" });
+
+    assert.equal(created, false);
+    assert.equal(saved.id, concurrent._id.toString());
+  });
+
+  it("rejects unknown articles and invalid input", async () => {
+    mock.method(Bookmark, "findOne", async () => null);
+    mock.method(News, "findOne", () => ({ lean: async () => null }));
+
+    await assert.rejects(bookmarkService.addBookmark(DEVICE, { articleId: "missing" }), { statusCode: 404 });
+    await assert.rejects(bookmarkService.addBookmark(DEVICE, { articleId: 1 }), { statusCode: 400 });
+    await assert.rejects(bookmarkService.addBookmark(DEVICE, { articleId: "newsdata_1", folder: 1 }), {
+      statusCode: 400,
+      message: "Validation failed",
+    });
+  });
+});
+
+describe("bookmarkService.validateInput", () => {
+  it("limits the number and length of tags", () => {
+    assert.throws(
+      () => bookmarkService.validateInput({ tags: Array.from({ length: 11 }, (_, index) => `tag${index}`) }),
+      { details: { tags: "At most 10 tags are allowed" } }
+    );
+    assert.throws(() => bookmarkService.validateInput({ tags: ["x".repeat(31)] }), {
+      details: { tags: "Tags cannot exceed 30 characters" },
+    });
+    assert.deepEqual(bookmarkService.validateInput({ folder: "  " }), { folder: null });
+  });
+});
+
+describe("bookmarkService.getBookmarks", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("flags bookmarks whose article was removed", async () => {
+    const live = bookmark("newsdata_1");
+    const removed = bookmark("newsdata_2");
+    const find = mock.method(Bookmark, "find", () => ({
+      sort: () => ({ skip: () => ({ limit: () => ({ lean: async () => [live.toObject(), removed.toObject()] }) }) }),
+    }));
+    mock.method(Bookmark, "countDocuments", async () => 2);
+    mock.method(News, "find", () => ({ lean: async () => [{ _id: live.article }] }));
+
+    const result = await bookmarkService.getBookmarks(DEVICE, { folder: "", tag: " RBI " });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { ...DEVICE, folder: null, tags: "rbi" });
+    assert.deepEqual(
+      result.bookmarks.map(({ articleId, isAvailable }) => [articleId, isAvailable]),
+      [
+        ["newsdata_1", true],
+        ["newsdata_2", false],
+      ]
+    );
+    assert.equal(result.totalPages, 1);
+  });
+});
+
+describe("bookmarkService.claimDeviceBookmarks", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps the user's bookmark of articles saved on both", async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    mock.method(Bookmark, "distinct", async () => ["newsdata_1"]);
+    const deleteMany = mock.method(Bookmark, "deleteMany", async () => ({ deletedCount: 1 }));
+    const updateMany = mock.method(Bookmark, "updateMany", async () => ({ modifiedCount: 3 }));
+
+    assert.deepEqual(await bookmarkService.claimDeviceBookmarks(userId, DEVICE.deviceId), {
+      claimed: 3,
+      skipped: 1,
+    });
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], {
+      deviceId: DEVICE.deviceId,
+      articleId: { $in: ["newsdata_1"] },
+    });
+    assert.equal(updateMany.mock.calls[0].arguments[1].$set.user.toString(), userId);
+  });
+});
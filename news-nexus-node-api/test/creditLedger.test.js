@@ -0,0 +1,131 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Credit days follow SCHEDULER_TIMEZONE; pin it before the config is loaded
+process.env.SCHEDULER_TIMEZONE = "America/New_York";
+
+const { creditLedger, fetchPlanner, newsFetchScheduler } = await import("../src/services/index.js");
+
+describe("creditLedger days", () => {
+  it("uses the calendar day of SCHEDULER_TIMEZONE", () => {
+    // 02:30 UTC is still the previous evening in New York
+    assert.equal(creditLedger.dayKey(new Date("2026-10-19T02:30:00Z")), "2026-10-18");
+    assert.equal(creditLedger.dayKey(new Date("2026-10-19T04:00:00Z")), "2026-10-19");
+  });
+
+  it("resets at the next local midnight", () => {
+    assert.deepEqual(
+      creditLedger.nextReset(new Date("2026-10-19T15:00:00Z")),
+      new Date("2026-10-20T04:00:00Z")
+    );
+  });
+
+  it("resets at local midnight across DST changes", () => {
+    // Clocks go back on 2026-11-01: midnight of 2026-11-02 is at 05:00 UTC
+    assert.deepEqual(
+      creditLedger.nextReset(new Date("2026-11-01T12:00:00Z")),
+      new Date("2026-11-02T05:00:00Z")
+    );
+    // Clocks go forward on 2026-03-08: the day before ends at 05:00 UTC
+    assert.deepEqual(
+      creditLedger.nextReset(new Date("2026-03-07T20:00:00Z")),
+      new Date("2026-03-08T05:00:00Z")
+    );
+  });
+});
+
+describe("creditLedger rate-limit headers", () => {
+  it("reads Retry-After as seconds or an HTTP date", () => {
+    const before = Date.now();
+    const retryAt = creditLedger.parseRetryAt({ "retry-after": "120" });
+
+    assert.ok(retryAt - before >= 120 * 1000 && retryAt - before < 125 * 1000);
+    assert.deepEqual(
+      creditLedger.parseRetryAt({ "retry-after": "Mon, 19 Oct 2026 12:00:00 GMT" }),
+      new Date("2026-10-19T12:00:00Z")
+    );
+  });
+
+  it("reads X-RateLimit-Reset as epoch seconds or seconds from now", () => {
+    assert.deepEqual(creditLedger.parseRetryAt({ "x-ratelimit-reset": "1792411200" }), new Date(1792411200 * 1000));
+
+    const before = Date.now();
+    const retryAt = creditLedger.parseRetryAt({ "x-ratelimit-reset": "900" });
+    assert.ok(retryAt - before >= 900 * 1000 && retryAt - before < 905 * 1000);
+  });
+
+  it("returns null without usable headers", () => {
+    assert.equal(creditLedger.parseRetryAt({}), null);
+    assert.equal(creditLedger.parseRetryAt({ "x-ratelimit-reset": "soon" }), null);
+  });
+
+  it("records the provider's limits and blocks when nothing is left", () => {
+    assert.deepEqual(creditLedger.rateLimitChanges({ "x-ratelimit-limit": "200", "x-ratelimit-remaining": "37" }), {
+      $set: { providerLimit: 200, providerRemaining: 37 },
+    });
+
+    const { $set } = creditLedger.rateLimitChanges({
+      "x-ratelimit-remaining": "0",
+      "retry-after": "Mon, 19 Oct 2026 12:00:00 GMT",
+    });
+    assert.equal($set.providerRemaining, 0);
+    assert.deepEqual($set.blockedUntil, new Date("2026-10-19T12:00:00Z"));
+  });
+});
+
+describe("creditLedger.metered", () => {
+  it("counts the credits charged to requests, not the refunded ones", async (t) => {
+    t.after(() => mock.restoreAll());
+    mock.method(creditLedger, "reserve", async (provider) => ({ provider, day: "2026-10-19", credits: 1 }));
+    mock.method(creditLedger, "update", async () => {});
+
+    const fail = (status) => async () => {
+      throw Object.assign(new Error("Request failed"), status ? { response: { status, headers: {} } } : {});
+    };
+
+    const meter = {};
+    await creditLedger.metered(meter, () =>
+      Promise.allSettled([
+        creditLedger.track("newsDataIo", async () => ({ headers: {} })),
+        creditLedger.track("newsDataIo", fail(422)), // Answered: charged
+        creditLedger.track("newsDataIo", fail()), // No response: refunded
+        creditLedger.track("newsApiOrg", fail(429)), // Rate-limited: refunded
+      ])
+    );
+
+    assert.deepEqual(meter, { newsDataIo: 2 });
+
+    // Requests outside the run are not counted
+    await creditLedger.track("newsDataIo", async () => ({ headers: {} }));
+    assert.deepEqual(meter, { newsDataIo: 2 });
+  });
+});
+
+describe("scheduled fetch summaries", () => {
+  const provider = (request) => ({
+    key: "newsDataIo",
+    name: "newsdata",
+    displayName: "NewsData.io",
+    fetchPages: () => creditLedger.track("newsDataIo", request),
+  });
+
+  const fail = (response) => async () => {
+    throw Object.assign(new Error("Request failed"), response ? { response } : {});
+  };
+
+  it("count a failed request as a page only when the provider answered it", async (t) => {
+    t.after(() => mock.restoreAll());
+    mock.method(creditLedger, "reserve", async (key) => ({ provider: key, day: "2026-10-19", credits: 1 }));
+    mock.method(creditLedger, "update", async () => {});
+    mock.method(fetchPlanner, "getResumeTokens", async () => []);
+
+    const noResponse = await newsFetchScheduler.fetchFromProvider(provider(fail()), { category: "business" });
+    assert.deepEqual([noResponse.pages, noResponse.credits], [0, 0]);
+
+    const answered = await newsFetchScheduler.fetchFromProvider(
+      provider(fail({ status: 422, headers: {} })),
+      { category: "business" }
+    );
+    assert.deepEqual([answered.pages, answered.credits], [1, 1]);
+  });
+});
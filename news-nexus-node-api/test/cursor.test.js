@@ -0,0 +1,131 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  DATE_SORT,
+  RELEVANCE_SORT,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter,
+  buildCursorSort,
+  buildCursorPage,
+  InvalidCursorError,
+} from "../src/utils/index.js";
+
+const article = (minutesAgo, score) => ({
+  _id: new mongoose.Types.ObjectId(),
+  publishedAt: new Date(Date.UTC(2026, 9, 19, 12) - minutesAgo * 60 * 1000),
+  score,
+});
+
+describe("encodeCursor / decodeCursor", () => {
+  it("round-trips the typed sort values and direction", () => {
+    const doc = article(5, 2.5);
+
+    const date = decodeCursor(encodeCursor(doc, DATE_SORT, "next"), DATE_SORT);
+    assert.equal(date.direction, "next");
+    assert.deepEqual(date.values, [doc.publishedAt, doc._id]);
+
+    const relevance = decodeCursor(encodeCursor(doc, RELEVANCE_SORT, "prev"), RELEVANCE_SORT);
+    assert.equal(relevance.direction, "prev");
+    assert.deepEqual(relevance.values, [2.5, doc.publishedAt, doc._id]);
+  });
+
+  it("produces URL-safe cursors", () => {
+    assert.match(encodeCursor(article(0, 1), RELEVANCE_SORT, "next"), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it("rejects cursors of another sort order", () => {
+    const cursor = encodeCursor(article(0, 1), RELEVANCE_SORT, "next");
+
+    assert.throws(() => decodeCursor(cursor, DATE_SORT), {
+      name: "InvalidCursorError",
+      message: "Cursor belongs to a different sort order",
+    });
+  });
+
+  it("rejects malformed cursors", () => {
+    const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+    for (const cursor of [
+      "not-a-cursor",
+      encode({ d: "sideways", k: "publishedAt,_id", v: ["2026-10-19T12:00:00.000Z", "65f1c2a3b4c5d6e7f8a9b0c1"] }),
+      encode({ d: "next", k: "publishedAt,_id", v: ["yesterday", "65f1c2a3b4c5d6e7f8a9b0c1"] }),
+      encode({ d: "next", k: "publishedAt,_id", v: ["2026-10-19T12:00:00.000Z", "not-an-id"] }),
+    ]) {
+      assert.throws(() => decodeCursor(cursor, DATE_SORT), InvalidCursorError, cursor);
+    }
+  });
+});
+
+describe("buildKeysetFilter", () => {
+  it("selects documents after the cursor for next pages", () => {
+    const [publishedAt, id] = [new Date("2026-10-19T12:00:00Z"), new mongoose.Types.ObjectId()];
+
+    assert.deepEqual(buildKeysetFilter(DATE_SORT, [publishedAt, id], "next"), {
+      $or: [{ publishedAt: { $lt: publishedAt } }, { publishedAt, _id: { $lt: id } }],
+    });
+  });
+
+  it("selects documents before the cursor for previous pages", () => {
+    const values = [3, new Date("2026-10-19T12:00:00Z"), new mongoose.Types.ObjectId()];
+
+    assert.deepEqual(buildKeysetFilter(RELEVANCE_SORT, values, "prev"), {
+      $or: [
+        { score: { $gt: 3 } },
+        { score: 3, publishedAt: { $gt: values[1] } },
+        { score: 3, publishedAt: values[1], _id: { $gt: values[2] } },
+      ],
+    });
+  });
+});
+
+describe("buildCursorSort", () => {
+  it("reverses the sort for previous pages", () => {
+    assert.deepEqual(buildCursorSort(DATE_SORT, "next"), { publishedAt: -1, _id: -1 });
+    assert.deepEqual(buildCursorSort(DATE_SORT, "prev"), { publishedAt: 1, _id: 1 });
+  });
+});
+
+describe("buildCursorPage", () => {
+  const rows = [article(1), article(2), article(3), article(4)];
+
+  it("trims the extra row and links the next page", () => {
+    const page = buildCursorPage(rows, { limit: 3, sortFields: DATE_SORT, direction: null, hasPrevious: false });
+
+    assert.deepEqual(page.items, rows.slice(0, 3));
+    assert.equal(page.hasMore, true);
+    assert.equal(page.prevCursor, null);
+    assert.deepEqual(decodeCursor(page.nextCursor, DATE_SORT).values, [rows[2].publishedAt, rows[2]._id]);
+  });
+
+  it("ends without a next cursor on the last page", () => {
+    const page = buildCursorPage(rows.slice(0, 2), {
+      limit: 3,
+      sortFields: DATE_SORT,
+      direction: "next",
+      hasPrevious: true,
+    });
+
+    assert.equal(page.hasMore, false);
+    assert.equal(page.nextCursor, null);
+    assert.equal(decodeCursor(page.prevCursor, DATE_SORT).direction, "prev");
+  });
+
+  it("flips previous pages back into display order", () => {
+    // "prev" windows are read in ascending order
+    const ascending = [...rows].reverse();
+    const page = buildCursorPage(ascending, { limit: 3, sortFields: DATE_SORT, direction: "prev", hasPrevious: true });
+
+    assert.deepEqual(page.items, [rows[1], rows[2], rows[3]]);
+    assert.equal(page.hasMore, true);
+    assert.ok(page.nextCursor);
+    assert.ok(page.prevCursor);
+  });
+
+  it("returns no cursors for an empty page", () => {
+    const page = buildCursorPage([], { limit: 3, sortFields: DATE_SORT, direction: "next", hasPrevious: true });
+
+    assert.deepEqual(page, { items: [], nextCursor: null, prevCursor: null, hasMore: false });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, jaccardSimilarity, canonicalizeUrl } from "../src/utils/index.js";
+import { deduplicationService } from "../src/services/index.js";
+import { News } from "../src/db/index.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const article = (articleId, title, url, hoursAgo = 0, extra = {}) => ({
+  articleId,
+  title,
+  url,
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS),
+  ...extra,
+});
+
+/**
+ * Canonical article already in the database, as returned by loadCandidates()
+ */
+const stored = (articleId, title, url, hoursAgo = 0) => ({
+  articleId,
+  canonicalUrl: canonicalizeUrl(url),
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS),
+  tokens: new Set(tokenize(title)),
+});
+
+describe("title similarity", () => {
+  it("tokenizes without case, accents, punctuation or stopwords", () => {
+    assert.deepEqual(tokenize("The RBI's Décision: rates on HOLD, says governor"), [
+      "rbi",
+      "decision",
+      "rates",
+      "hold",
+      "governor",
+    ]);
+  });
+
+  it("scores the overlap of token sets", () => {
+    assert.equal(jaccardSimilarity(["rbi", "holds", "rates"], ["rbi", "holds", "rates"]), 1);
+    assert.equal(jaccardSimilarity(["rbi", "holds", "rates"], ["rbi", "cuts", "rates"]), 0.5);
+    assert.equal(jaccardSimilarity([], ["rbi"]), 0);
+  });
+});
+
+describe("canonicalizeUrl", () => {
+  it("ignores tracking parameters, host variants, AMP paths and trailing slashes", () => {
+    const canonical = "https://example.com/news/rates?id=7";
+
+    for (const url of [
+      "https://www.example.com/news/rates/?id=7&utm_source=twitter",
+      "http://m.example.com/news/rates?fbclid=abc&id=7#comments",
+      "https://amp.example.com/news/rates/amp/?id=7",
+    ]) {
+      assert.equal(canonicalizeUrl(url), canonical, url);
+    }
+  });
+
+  it("returns null for missing and non-HTTP URLs", () => {
+    assert.equal(canonicalizeUrl(""), null);
+    assert.equal(canonicalizeUrl("ftp://example.com/file"), null);
+    assert.equal(canonicalizeUrl("not a url"), null);
+  });
+});
+
+describe("deduplicationService.markDuplicates", () => {
+  let candidates;
+
+  beforeEach(() => {
+    candidates = [];
+    mock.method(deduplicationService, "loadCandidates", async () => candidates);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("links the same URL from another provider to the stored article", async () => {
+    candidates = [stored("newsdata_1", "RBI keeps repo rate unchanged", "https://www.example.com/rbi-policy")];
+
+    const incoming = article(
+      "newsapi_1",
+      "Central bank pauses",
+      "https://example.com/rbi-policy/?utm_medium=rss",
+      1
+    );
+    const stats = await deduplicationService.markDuplicates([incoming]);
+
+    assert.deepEqual(stats, { checked: 1, duplicates: 1, byUrl: 1, byTitle: 0 });
+    assert.equal(incoming.duplicate, true);
+    assert.equal(incoming.canonicalArticleId, "newsdata_1");
+  });
+
+  it("matches similar titles within the comparison window", async () => {
+    candidates = [
+      stored("newsdata_1", "RBI keeps repo rate unchanged at 6.5 percent", "https://a.example.com/1", 2),
+    ];
+
+    const similar = article("rss_1", "RBI keeps repo rate unchanged at 6.5%", "https://b.example.com/2");
+    const older = article("rss_2", "RBI keeps repo rate unchanged at 6.5 percent", "https://c.example.com/3", 72);
+    const stats = await deduplicationService.markDuplicates([similar, older]);
+
+    assert.equal(stats.byTitle, 1);
+    assert.equal(similar.canonicalArticleId, "newsdata_1");
+    // Published 70 hours apart: a different story with the same headline
+    assert.equal(older.duplicate, false);
+  });
+
+  it("does not match short or different titles", async () => {
+    candidates = [stored("newsdata_1", "Markets live", "https://a.example.com/1")];
+
+    const batch = [
+      article("rss_1", "Markets live", "https://b.example.com/2"),
+      article("rss_2", "RBI cuts repo rate by 25 basis points", "https://c.example.com/3"),
+    ];
+    const stats = await deduplicationService.markDuplicates(batch);
+
+    assert.equal(stats.duplicates, 0);
+    assert.ok(batch.every((item) => item.duplicate === false && item.canonicalArticleId === null));
+  });
+
+  it("links duplicates inside a batch to the earliest article", async () => {
+    const later = article("newsapi_1", "Monsoon withdrawal delayed by a week", "https://b.example.com/1", 1);
+    const earlier = article("newsdata_1", "Monsoon withdrawal delayed by one week", "https://a.example.com/1", 3);
+
+    await deduplicationService.markDuplicates([later, earlier]);
+
+    assert.equal(earlier.duplicate, false);
+    assert.equal(later.duplicate, true);
+    assert.equal(later.canonicalArticleId, "newsdata_1");
+  });
+
+  it("keeps a stored canonical even when a later fetch brings an earlier copy", async () => {
+    candidates = [stored("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1", 1)];
+
+    const earlier = article("rss_1", "Monsoon withdrawal delayed by one week", "https://b.example.com/2", 5);
+    await deduplicationService.markDuplicates([earlier]);
+
+    assert.equal(earlier.duplicate, true);
+    assert.equal(earlier.canonicalArticleId, "newsdata_1");
+  });
+
+  it("keeps a re-fetched stored canonical when an earlier copy arrives in the same batch", async () => {
+    candidates = [stored("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1", 1)];
+
+    const refetched = article("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1", 1);
+    const earlier = article("rss_1", "Monsoon withdrawal delayed by one week", "https://b.example.com/2", 5);
+    await deduplicationService.markDuplicates([refetched, earlier]);
+
+    assert.equal(refetched.duplicate, false);
+    assert.equal(refetched.canonicalArticleId, null);
+    assert.equal(earlier.canonicalArticleId, "newsdata_1");
+  });
+
+  it("uses a lower threshold for articles the provider flagged, and unflags lone ones", async () => {
+    candidates = [stored("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1")];
+
+    const flagged = article(
+      "newsdata_2",
+      "Monsoon withdrawal delayed, forecasters say",
+      "https://b.example.com/2",
+      0,
+      { duplicate: true }
+    );
+    const lone = article("newsdata_3", "Metro line approved by city council", "https://c.example.com/3", 0, {
+      duplicate: true,
+    });
+
+    await deduplicationService.markDuplicates([flagged, lone]);
+
+    assert.equal(flagged.canonicalArticleId, "newsdata_1");
+    assert.equal(lone.duplicate, false);
+  });
+
+  it("does not treat a re-fetched article as its own duplicate", async () => {
+    const first = article("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1");
+    const again = { ...first };
+
+    const stats = await deduplicationService.markDuplicates([first, again]);
+
+    assert.equal(stats.duplicates, 0);
+  });
+});
+
+describe("deduplicationService.loadCandidates", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("loads stored canonicals of the batch itself", async () => {
+    let filter;
+    mock.method(News, "find", (query) => {
+      filter = query;
+      return { lean: async () => [] };
+    });
+
+    const incoming = article("newsdata_1", "Monsoon withdrawal delayed by a week", "https://a.example.com/1");
+    incoming.canonicalUrl = canonicalizeUrl(incoming.url);
+    await deduplicationService.loadCandidates([incoming]);
+
+    assert.equal(filter.articleId, undefined);
+    assert.deepEqual(filter.$or[0], { canonicalUrl: { $in: ["https://a.example.com/1"] } });
+    assert.equal(filter.duplicate, false);
+  });
+});
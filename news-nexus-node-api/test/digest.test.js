@@ -0,0 +1,116 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import app from "../src/app.js";
+import { digestService } from "../src/services/index.js";
+import { DigestSubscription } from "../src/db/index.js";
+import { DIGEST } from "../src/constants/index.js";
+import { renderUnsubscribeConfirmPage } from "../src/templates/digest.template.js";
+
+describe("digest unsubscribe links", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/digests/unsubscribe`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+  afterEach(() => mock.restoreAll());
+
+  it("shows a confirmation page on GET without unsubscribing", async () => {
+    mock.method(digestService, "findByUnsubscribeToken", async () => ({ frequency: "daily", isActive: true }));
+    const unsubscribe = mock.method(digestService, "unsubscribe");
+
+    const response = await fetch(`${baseUrl}?token=tok_123`);
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(html, /<form method="post" action="unsubscribe">/);
+    assert.match(html, /name="token" value="tok_123"/);
+    assert.equal(unsubscribe.mock.callCount(), 0);
+  });
+
+  it("answers unknown tokens with 404", async () => {
+    mock.method(digestService, "findByUnsubscribeToken", async () => null);
+
+    assert.equal((await fetch(`${baseUrl}?token=unknown`)).status, 404);
+  });
+
+  it("unsubscribes one-click POSTs of mail clients with JSON", async () => {
+    const unsubscribe = mock.method(digestService, "unsubscribe", async () => ({
+      unsubscribed: true,
+      frequency: "daily",
+    }));
+
+    const response = await fetch(`${baseUrl}?token=tok_123`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "List-Unsubscribe=One-Click",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.unsubscribed, true);
+    assert.deepEqual(unsubscribe.mock.calls[0].arguments, ["tok_123"]);
+  });
+
+  it("unsubscribes the confirmation form and answers with a page", async () => {
+    const unsubscribe = mock.method(digestService, "unsubscribe", async () => ({
+      unsubscribed: true,
+      frequency: "weekly",
+    }));
+
+    const response = await fetch(baseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "text/html" },
+      body: "token=tok_456",
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /unsubscribed from the weekly digest/);
+    assert.deepEqual(unsubscribe.mock.calls[0].arguments, ["tok_456"]);
+  });
+
+  it("escapes the token in the confirmation form", () => {
+    const html = renderUnsubscribeConfirmPage({ frequency: "daily", token: '"><script>' });
+
+    assert.match(html, /value="&quot;&gt;&lt;script&gt;"/);
+  });
+});
+
+describe("digest subscription limit", () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const subscriptionId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => mock.restoreAll());
+
+  it("applies when a paused subscription is resumed", async () => {
+    const count = mock.method(DigestSubscription, "countDocuments", async () => DIGEST.MAX_SUBSCRIPTIONS);
+    const update = mock.method(DigestSubscription, "findOneAndUpdate");
+
+    await assert.rejects(digestService.updateSubscription(userId, subscriptionId, { isActive: true }), {
+      statusCode: 400,
+      message: `At most ${DIGEST.MAX_SUBSCRIPTIONS} digest subscriptions are allowed`,
+    });
+
+    // The resumed subscription itself is not counted
+    const [filter] = count.mock.calls[0].arguments;
+    assert.equal(filter.isActive, true);
+    assert.equal(filter._id.$ne.toString(), subscriptionId);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("does not apply to other changes", async () => {
+    const count = mock.method(DigestSubscription, "countDocuments", async () => DIGEST.MAX_SUBSCRIPTIONS);
+    mock.method(DigestSubscription, "findOneAndUpdate", () => ({
+      lean: async () => ({ _id: subscriptionId, frequency: "weekly", watchlists: [], isActive: false }),
+    }));
+
+    const subscription = await digestService.updateSubscription(userId, subscriptionId, { frequency: "weekly" });
+
+    assert.equal(subscription.frequency, "weekly");
+    assert.equal(count.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { feedService, preferenceService } from "../src/services/index.js";
+import { News } from "../src/db/index.js";
+import { FEED } from "../src/constants/index.js";
+
+const NOW = new Date("2026-10-19T12:00:00Z").getTime();
+
+const noPreferences = preferenceService.format(null);
+
+const noSignals = {
+  categories: new Map(),
+  sources: new Map(),
+  keywords: new Set(),
+  readIds: new Set(),
+  total: 0,
+};
+
+const article = (articleId, extra = {}) => ({
+  articleId,
+  title: `Story ${articleId}`,
+  description: "",
+  category: ["business"],
+  country: ["in"],
+  keywords: [],
+  source: { id: "example", name: "Example" },
+  publishedAt: new Date(NOW),
+  clickCount: 0,
+  ...extra,
+});
+
+describe("feedService.scoreArticle", () => {
+  it("ranks followed categories, sources and keywords first, with the reasons", () => {
+    const preferences = { ...noPreferences, categories: ["technology"], sources: ["Wire"], keywords: ["repo rate"] };
+
+    const followed = feedService.scoreArticle(
+      article("a1", {
+        title: "RBI holds repo rate",
+        category: ["technology"],
+        source: { id: "wire", name: "Wire" },
+      }),
+      preferences,
+      noSignals,
+      NOW
+    );
+    const other = feedService.scoreArticle(article("a2"), preferences, noSignals, NOW);
+
+    assert.deepEqual(followed.feed.reasons, [
+      { type: "category", value: "technology" },
+      { type: "source", value: "Wire" },
+      { type: "keyword", value: "repo rate" },
+    ]);
+    assert.equal(followed.feed.relevance, FEED.CATEGORY_WEIGHT + FEED.SOURCE_WEIGHT + FEED.KEYWORD_WEIGHT);
+    assert.deepEqual([other.feed.score, other.feed.reasons], [1, []]);
+  });
+
+  it("decays older articles and pushes down articles already read", () => {
+    const signals = { ...noSignals, readIds: new Set(["read"]) };
+
+    const halfLife = feedService.scoreArticle(
+      article("old", { publishedAt: new Date(NOW - FEED.RECENCY_HALF_LIFE_HOURS * 60 * 60 * 1000) }),
+      noPreferences,
+      signals,
+      NOW
+    );
+    const read = feedService.scoreArticle(article("read"), noPreferences, signals, NOW);
+
+    assert.equal(halfLife.feed.score, 0.5);
+    assert.deepEqual([read.feed.score, read.feed.isRead], [FEED.READ_PENALTY, true]);
+  });
+
+  it("counts the categories and sources of the history", () => {
+    const signals = {
+      ...noSignals,
+      categories: new Map([["sports", 1]]),
+      sources: new Map([["example", 0.5]]),
+      total: 3,
+    };
+
+    const scored = feedService.scoreArticle(article("a1", { category: ["sports"] }), noPreferences, signals, NOW);
+
+    assert.equal(scored.feed.relevance, FEED.IMPLICIT_CATEGORY_WEIGHT + FEED.IMPLICIT_SOURCE_WEIGHT * 0.5);
+    assert.deepEqual(scored.feed.reasons, [{ type: "history" }]);
+  });
+});
+
+describe("feedService.diversify", () => {
+  const scored = (articleId, source, score, extra = {}) =>
+    article(articleId, { source: { id: source, name: source }, feed: { score }, ...extra });
+
+  it("limits a source to its share of a page", () => {
+    const candidates = [
+      scored("a1", "one", 10),
+      scored("a2", "one", 9),
+      scored("a3", "one", 8),
+      scored("b1", "two", 2),
+      scored("c1", "three", 1),
+    ];
+
+    const { articles, hasMore } = feedService.diversify(candidates, { page: 1, limit: 4 });
+
+    assert.deepEqual(
+      articles.map(({ articleId }) => articleId),
+      ["a1", "b1", "c1", "a2"]
+    );
+    assert.equal(hasMore, true);
+  });
+
+  it("keeps the best scored article of a story cluster", () => {
+    const candidates = [
+      scored("a1", "one", 10, { clusterId: "story" }),
+      scored("b1", "two", 9, { clusterId: "story" }),
+      scored("c1", "three", 1),
+    ];
+
+    const { articles, hasMore } = feedService.diversify(candidates, { page: 1, limit: 10 });
+
+    assert.deepEqual(
+      articles.map(({ articleId }) => articleId),
+      ["a1", "c1"]
+    );
+    assert.equal(hasMore, false);
+  });
+});
+
+describe("feedService.getFeed", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("leaves out muted sources", async () => {
+    mock.method(preferenceService, "getPreferences", async () => ({ ...noPreferences, mutedSources: ["Tabloid"] }));
+    mock.method(feedService, "getImplicitSignals", async () => noSignals);
+    mock.method(News, "find", () => ({
+      active: () => ({
+        sort: () => ({
+          limit: () => ({
+            lean: async () => [article("a1"), article("a2", { source: { id: "tabloid", name: "Tabloid" } })],
+          }),
+        }),
+      }),
+    }));
+
+    const feed = await feedService.getFeed({ deviceId: "device-0123456789" });
+
+    assert.deepEqual(
+      feed.articles.map(({ articleId }) => articleId),
+      ["a1"]
+    );
+    assert.equal(feed.personalized, false);
+  });
+});
+
+describe("preferenceService.validateInput", () => {
+  it("normalizes the lists and rejects invalid values", () => {
+    assert.deepEqual(preferenceService.validateInput({ categories: "Business, business,Sports", keywords: [" RBI "] }), {
+      categories: ["business", "sports"],
+      keywords: ["rbi"],
+    });
+    assert.throws(() => preferenceService.validateInput({ countries: ["india"] }), {
+      details: { countries: '"india" is not a valid 2-letter country code' },
+    });
+    assert.throws(() => preferenceService.validateInput({ sources: [1] }), {
+      details: { sources: "Must be an array of strings" },
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { fetchPlanner, fetchScheduleService, creditLedger, newsFetchScheduler } from "../src/services/index.js";
+import { providerRegistry } from "../src/providers/index.js";
+import { FetchSlice } from "../src/db/index.js";
+import { FETCH_SCHEDULE, SCHEDULER_CONFIG } from "../src/config/index.js";
+
+const newsData = providerRegistry.list().find((provider) => provider.key === "newsDataIo");
+
+// The default schedules, as fetchScheduleService returns them
+const schedules = Object.entries(FETCH_SCHEDULE).map(([name, schedule]) =>
+  fetchScheduleService.format({ name, enabled: true, ...schedule })
+);
+
+describe("fetchPlanner.getRunsLeftToday", { skip: SCHEDULER_CONFIG.timezone !== "Asia/Kolkata" }, () => {
+  it("counts the runs from the current minute until midnight", () => {
+    // 09:00 in Asia/Kolkata: MORNING is starting, EARLY_MORNING is over
+    const runs = fetchPlanner.getRunsLeftToday(
+      [...schedules, { name: "HALF_HOURLY", time: "*/30 * * * *" }, { name: "SECONDS", time: "30 0 23 * * *" }],
+      new Date("2026-10-19T03:30:20Z")
+    );
+
+    assert.deepEqual(Object.fromEntries(runs), {
+      EARLY_MORNING: 0,
+      MORNING: 1,
+      AFTERNOON: 1,
+      EVENING: 1,
+      NIGHT: 1,
+      HALF_HOURLY: 30,
+      SECONDS: 1,
+    });
+  });
+});
+
+describe("fetchPlanner.getRunBudget", () => {
+  it("shares the remaining credits by the adaptive runs left", () => {
+    const runsLeft = new Map(schedules.map(({ name }) => [name, name === "EARLY_MORNING" ? 0 : 1]));
+
+    assert.deepEqual(fetchPlanner.getRunBudget(newsData, 150, schedules, runsLeft), { budget: 38, runs: 4 });
+  });
+
+  it("keeps the estimated credits of fixed schedules still due", () => {
+    const runsLeft = new Map(schedules.map(({ name }) => [name, 1]));
+    // EVENING fetches its 6 configurations of 3 pages
+    const mixed = schedules.map((schedule) =>
+      schedule.name === "EVENING" ? { ...schedule, adaptive: false } : schedule
+    );
+
+    assert.deepEqual(fetchPlanner.getRunBudget(newsData, 118, mixed, runsLeft), { budget: 25, runs: 4 });
+  });
+
+  it("gives a run outside the schedules everything that is left", () => {
+    const runsLeft = new Map(schedules.map(({ name }) => [name, 0]));
+
+    assert.deepEqual(fetchPlanner.getRunBudget(newsData, 12, schedules, runsLeft), { budget: 12, runs: 1 });
+    assert.deepEqual(fetchPlanner.getRunBudget(newsData, 0, schedules, runsLeft), { budget: 0, runs: 1 });
+  });
+});
+
+describe("fetchPlanner.buildPlan", () => {
+  afterEach(() => mock.restoreAll());
+
+  const usage = (remaining) => ({
+    day: "2026-10-19",
+    resetsAt: new Date("2026-10-19T18:30:00Z"),
+    providers: {
+      newsDataIo: { dailyLimit: 200, used: 200 - remaining, remaining },
+      newsApiOrg: { dailyLimit: 100, used: 0, remaining: 100 },
+    },
+  });
+
+  it("selects slices within the share of the remaining credits", async () => {
+    mock.method(fetchScheduleService, "getSchedules", async () => schedules);
+    mock.method(creditLedger, "getUsage", async () => usage(9));
+    mock.method(fetchPlanner, "getDemand", async () => new Map([["business:in", 10]]));
+    mock.method(fetchPlanner, "getRunsLeftToday", () => new Map(schedules.map(({ name }) => [name, 1])));
+    mock.method(FetchSlice, "find", () => ({ lean: async () => [] }));
+
+    const plan = await fetchPlanner.buildPlan();
+    const { budget, runsLeft, planned, slices } = plan.providers.newsDataIo;
+
+    // ceil(9 / 5) credits, never fetched slices cost their page budget (3)
+    assert.deepEqual([budget, runsLeft, planned], [2, 5, 0]);
+    assert.ok(slices.every((slice) => slice.reason === "no credits left in this run"));
+
+    mock.method(creditLedger, "getUsage", async () => usage(30));
+    const { providers } = await fetchPlanner.buildPlan();
+
+    assert.deepEqual([providers.newsDataIo.budget, providers.newsDataIo.planned], [6, 2]);
+    assert.equal(providers.newsDataIo.slices[0].key, "category=business&country=in&language=en");
+  });
+});
+
+describe("newsFetchScheduler.executeScheduledFetch", () => {
+  afterEach(() => mock.restoreAll());
+
+  const run = async (stored) => {
+    mock.method(fetchScheduleService, "findSchedule", async () =>
+      fetchScheduleService.format({ name: "MORNING", enabled: true, ...FETCH_SCHEDULE.MORNING, ...stored })
+    );
+    const buildPlan = mock.method(fetchPlanner, "buildPlan", async () => ({
+      providers: {
+        newsDataIo: { planned: 0, slices: [] },
+        newsApiOrg: { planned: 0, slices: [] },
+      },
+    }));
+    const fetch = mock.method(newsFetchScheduler, "fetchWithDeferral", async () => {
+      throw new Error("fetch not expected");
+    });
+
+    return { buildPlan, fetch, summary: await newsFetchScheduler.executeScheduledFetch("MORNING") };
+  };
+
+  it("lets the planner choose by default", async () => {
+    const { buildPlan, fetch, summary } = await run({});
+
+    assert.equal(buildPlan.mock.callCount(), 1);
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.deepEqual(summary.planned, { newsDataIo: 0, newsApiOrg: 0 });
+  });
+
+  it("fetches the configurations of fixed schedules", async () => {
+    const { buildPlan, summary } = await run({ adaptive: false, newsDataConfig: [] });
+
+    assert.equal(buildPlan.mock.callCount(), 0);
+    assert.equal(summary.planned, null);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { fetchScheduleService } from "../src/services/index.js";
+import { FetchSchedule } from "../src/db/index.js";
+import { FETCH_SCHEDULES } from "../src/constants/index.js";
+
+const ACTOR = { type: "user", email: "admin@example.com" };
+
+describe("fetchScheduleService.validateInput", () => {
+  it("normalizes the name and cron time", () => {
+    const [configKey] = fetchScheduleService.getConfigKeys();
+
+    assert.deepEqual(
+      fetchScheduleService.validateInput(
+        { name: " late_night ", time: "0  23 * * *", description: " Night run ", [configKey]: [{ category: "world" }] },
+        { requireAll: true }
+      ),
+      { name: "LATE_NIGHT", time: "0 23 * * *", description: "Night run", [configKey]: [{ category: "world" }] }
+    );
+  });
+
+  it("reports every invalid field", () => {
+    const [configKey] = fetchScheduleService.getConfigKeys();
+
+    assert.throws(
+      () =>
+        fetchScheduleService.validateInput({
+          name: "9am",
+          time: "every day",
+          enabled: "yes",
+          adaptive: 1,
+          [configKey]: [{ category: ["world"] }],
+          owner: "me",
+        }),
+      (error) =>
+        error.statusCode === 400 &&
+        ["name", "time", "enabled", "adaptive", configKey, "unknown"].every((field) => field in error.details)
+    );
+  });
+
+  it("requires a name and time on create and keeps the names of other jobs", () => {
+    assert.throws(() => fetchScheduleService.validateInput({}, { requireAll: true }), (error) =>
+      ["name", "time"].every((field) => field in error.details)
+    );
+    assert.throws(
+      () => fetchScheduleService.validateInput({ name: FETCH_SCHEDULES.RESERVED_NAMES[0], time: "0 9 * * *" }),
+      { statusCode: 400 }
+    );
+  });
+});
+
+describe("fetchScheduleService changes", () => {
+  let changes;
+
+  const onChange = (event) => changes.push(event);
+
+  beforeEach(() => {
+    changes = [];
+    fetchScheduleService.on("schedule:changed", onChange);
+  });
+
+  afterEach(() => {
+    fetchScheduleService.off("schedule:changed", onChange);
+    mock.restoreAll();
+  });
+
+  it("creates a schedule, planned by default, and announces it", async () => {
+    mock.method(FetchSchedule, "countDocuments", async () => 3);
+    const create = mock.method(FetchSchedule, "create", async (fields) => ({
+      toObject: () => ({ enabled: true, ...fields }),
+    }));
+
+    const schedule = await fetchScheduleService.createSchedule({ name: "noon", time: "0 12 * * *" }, ACTOR);
+
+    assert.equal(create.mock.calls[0].arguments[0].updatedBy.email, ACTOR.email);
+    assert.deepEqual([schedule.name, schedule.adaptive, schedule.updatedBy], ["NOON", true, ACTOR.email]);
+    assert.deepEqual(changes, [{ name: "NOON", schedule }]);
+  });
+
+  it("refuses schedules past the limit and taken names", async () => {
+    mock.method(FetchSchedule, "countDocuments", async () => FETCH_SCHEDULES.MAX_SCHEDULES);
+    await assert.rejects(fetchScheduleService.createSchedule({ name: "NOON", time: "0 12 * * *" }), {
+      statusCode: 400,
+    });
+
+    mock.method(FetchSchedule, "countDocuments", async () => 1);
+    mock.method(FetchSchedule, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    await assert.rejects(fetchScheduleService.createSchedule({ name: "NOON", time: "0 12 * * *" }), {
+      statusCode: 409,
+    });
+
+    assert.equal(changes.length, 0);
+  });
+
+  it("updates a schedule by any case of its name, but does not rename it", async () => {
+    const stored = { name: "NOON", time: "0 12 * * *", enabled: true };
+    const update = mock.method(FetchSchedule, "findOneAndUpdate", (filter, { $set }) => ({
+      lean: async () => (filter.name === stored.name ? { ...stored, ...$set } : null),
+    }));
+
+    const schedule = await fetchScheduleService.updateSchedule("noon", { adaptive: false }, ACTOR);
+
+    assert.deepEqual(update.mock.calls[0].arguments[0], { name: "NOON" });
+    assert.equal(schedule.adaptive, false);
+    assert.deepEqual(changes, [{ name: "NOON", schedule }]);
+
+    await assert.rejects(fetchScheduleService.updateSchedule("noon", { name: "LUNCH" }), { statusCode: 400 });
+    await assert.rejects(fetchScheduleService.updateSchedule("noon", {}), { statusCode: 400 });
+    await assert.rejects(fetchScheduleService.updateSchedule("lunch", { enabled: false }), { statusCode: 404 });
+  });
+
+  it("deletes a schedule and announces it", async () => {
+    mock.method(FetchSchedule, "findOneAndDelete", async ({ name }) => (name === "NOON" ? { name } : null));
+
+    assert.deepEqual(await fetchScheduleService.deleteSchedule("noon"), { name: "NOON", removed: true });
+    assert.deepEqual(changes, [{ name: "NOON", schedule: null }]);
+
+    await assert.rejects(fetchScheduleService.deleteSchedule("lunch"), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { newsApiService } from "../src/services/index.js";
+import { newsDataProvider } from "../src/providers/index.js";
+import { NEWSDATA_PAGES } from "../src/constants/index.js";
+
+const PAGE_SIZE = 2;
+
+/**
+ * NewsData.io latest results, newest first: a page token is the article_id of
+ * the first article of its page
+ */
+const useUpstream = () => {
+  const upstream = { feed: [], stored: new Set(), requests: [] };
+
+  upstream.publish = (prefix, count) => {
+    const articles = Array.from({ length: count }, (_, index) => ({ article_id: `${prefix}${count - index}` }));
+    upstream.feed.unshift(...articles);
+  };
+
+  mock.method(newsApiService, "getLatestNews", async ({ page }) => {
+    upstream.requests.push(page);
+
+    const start = page ? upstream.feed.findIndex((article) => article.article_id === page) : 0;
+    if (start === -1) {
+      throw Object.assign(new Error("Invalid nextPage"), { status: 422 });
+    }
+
+    const results = upstream.feed.slice(start, start + PAGE_SIZE);
+    return { success: true, data: { results, nextPage: upstream.feed[start + PAGE_SIZE]?.article_id ?? null } };
+  });
+
+  return upstream;
+};
+
+describe("newsDataProvider.fetchPages", () => {
+  let upstream;
+  let nextPages;
+
+  // One scheduled fetch of a configuration with a budget of 3 pages; its articles are saved
+  const run = async () => {
+    const result = await newsDataProvider.fetchPages(
+      { category: "business", maxPages: 3 },
+      {
+        resumeFrom: nextPages,
+        isStored: async (articleIds) => articleIds.some((articleId) => upstream.stored.has(articleId)),
+      }
+    );
+
+    result.articles.forEach((article) => upstream.stored.add(newsDataProvider.getArticleId(article)));
+    nextPages = result.nextPages;
+    return result;
+  };
+
+  beforeEach(() => {
+    upstream = useUpstream();
+    nextPages = [];
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("queues the gaps of two runs in a row that ran out of pages", async () => {
+    upstream.publish("a", 10);
+    assert.deepEqual(await run(), {
+      articles: upstream.feed.slice(0, 6),
+      pages: 3,
+      nextPages: ["a4"],
+      stoppedBy: "budget",
+    });
+
+    upstream.publish("b", 8);
+    assert.equal((await run()).stoppedBy, "budget");
+    assert.deepEqual(nextPages, ["a4", "b2"]);
+
+    // Caught up: the oldest gap is read to the end of the results
+    const third = await run();
+    assert.deepEqual([third.pages, third.stoppedBy], [3, "end"]);
+    assert.deepEqual(upstream.requests.slice(-3), [null, "a4", "a2"]);
+    assert.deepEqual(nextPages, ["b2"]);
+
+    // Then the newer gap, up to the articles stored by the first run
+    const fourth = await run();
+    assert.deepEqual([fourth.pages, fourth.stoppedBy], [3, "stop"]);
+    assert.deepEqual(upstream.requests.slice(-3), [null, "b2", "a10"]);
+    assert.deepEqual(nextPages, []);
+    assert.equal(upstream.stored.size, upstream.feed.length);
+  });
+
+  it("keeps the older gaps when the queue is full", async () => {
+    nextPages = Array.from({ length: NEWSDATA_PAGES.MAX_RESUME_TOKENS }, (_, index) => `old${index}`);
+    upstream.publish("a", 10);
+
+    await run();
+
+    assert.deepEqual(nextPages, Array.from({ length: NEWSDATA_PAGES.MAX_RESUME_TOKENS }, (_, index) => `old${index}`));
+  });
+
+  it("drops a token NewsData.io rejects and keeps the other gaps", async () => {
+    upstream.publish("a", 4);
+    upstream.stored.add("newsdata_a4");
+    nextPages = ["expired", "a2"];
+
+    const result = await run();
+
+    assert.deepEqual([result.pages, result.stoppedBy], [1, "error"]);
+    assert.deepEqual(nextPages, ["a2"]);
+  });
+
+  it("drops every gap once the newest pages reach the end of the results", async () => {
+    upstream.publish("a", 4);
+    nextPages = ["x2", "y2"];
+
+    const result = await run();
+
+    assert.deepEqual([result.pages, result.stoppedBy, result.nextPages], [2, "end", []]);
+  });
+});
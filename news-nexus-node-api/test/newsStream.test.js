@@ -0,0 +1,112 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import app from "../src/app.js";
+import { articleIngestion, newsStreamService } from "../src/services/index.js";
+
+const article = (articleId, category, country = ["in"]) => ({
+  _id: articleId,
+  articleId,
+  title: `Story ${articleId}`,
+  url: `https://example.com/${articleId}`,
+  category,
+  country,
+  language: "en",
+});
+
+/**
+ * Events of an open stream, parsed as they arrive
+ */
+const openStream = async (url) => {
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  const next = async () => {
+    while (!buffer.includes("\n\n")) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Stream ended");
+      buffer += value;
+    }
+
+    const end = buffer.indexOf("\n\n");
+    const block = buffer.slice(0, end);
+    buffer = buffer.slice(end + 2);
+
+    const fields = Object.fromEntries(
+      block.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 1).trim()])
+    );
+    return { ...fields, data: fields.data && JSON.parse(fields.data) };
+  };
+
+  const close = async () => {
+    controller.abort();
+    await reader.cancel().catch(() => {});
+  };
+
+  return { response, next, close };
+};
+
+describe("GET /api/news/stream", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/news/stream`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+  afterEach(() => mock.restoreAll());
+
+  it("pushes the saved articles that match the filters of the stream", async () => {
+    const stream = await openStream(`${baseUrl}?category=business&country=IN`);
+
+    assert.equal(stream.response.status, 200);
+    assert.match(stream.response.headers.get("content-type"), /^text\/event-stream/);
+    assert.deepEqual(await stream.next(), { retry: "10000", data: undefined });
+
+    const ready = await stream.next();
+    assert.equal(ready.event, "ready");
+    assert.deepEqual(ready.data.filters, { categories: ["business"], countries: ["in"], language: null });
+
+    articleIngestion.emit("articles:saved", {
+      articles: [
+        article("a1", ["sports"]),
+        article("a2", ["business"]),
+        article("a3", ["business"], ["us"]),
+      ],
+    });
+
+    const { event, id, data } = await stream.next();
+    assert.equal(event, "articles");
+    assert.ok(Number(id) > Number(ready.id));
+    assert.deepEqual(
+      data.articles.map(({ articleId }) => articleId),
+      ["a2"]
+    );
+
+    await stream.close();
+  });
+
+  it("forgets clients that disconnect", async () => {
+    const stream = await openStream(baseUrl);
+    await stream.next();
+    assert.equal(newsStreamService.getStats().clients, 1);
+
+    await stream.close();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(newsStreamService.getStats().clients, 0);
+    assert.equal(newsStreamService.heartbeat, null);
+  });
+
+  it("rejects invalid filters with 400 and a full server with 503", async () => {
+    assert.equal((await fetch(`${baseUrl}?category=business;drop`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}?language=english`)).status, 400);
+
+    mock.method(newsStreamService, "connect", () => false);
+    assert.equal((await fetch(baseUrl)).status, 503);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import app from "../src/app.js";
+
+describe("unified news query parameters", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/news`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("rejects repeated parameters with 400 before querying", async () => {
+    for (const path of [
+      "/latest?source=reuters&source=bbc",
+      "/search?q=rates&q=inflation",
+      "/category/business?country=in&country=us&cursor=a",
+    ]) {
+      const response = await fetch(`${baseUrl}${path}`);
+      const body = await response.json();
+
+      assert.equal(response.status, 400, path);
+      assert.match(body.message, /must be given once/);
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { readingHistoryService, trendingService } from "../src/services/index.js";
+import { ReadingHistory, News } from "../src/db/index.js";
+
+const USER = { user: new mongoose.Types.ObjectId().toString() };
+const DEVICE = { deviceId: "device-0123456789" };
+
+const article = {
+  _id: new mongoose.Types.ObjectId(),
+  articleId: "newsdata_1",
+  title: "RBI keeps repo rate unchanged",
+  url: "https://example.com/rbi",
+  source: { id: "example", name: "Example" },
+};
+
+const entry = (extra = {}) =>
+  new ReadingHistory({
+    ...DEVICE,
+    articleId: "newsdata_1",
+    article: article._id,
+    snapshot: article,
+    firstReadAt: new Date("2026-10-18T06:00:00Z"),
+    lastReadAt: new Date("2026-10-19T06:00:00Z"),
+    readCount: 2,
+    ...extra,
+  });
+
+describe("readingHistoryService.recordRead", () => {
+  let click;
+
+  beforeEach(() => {
+    mock.method(News, "findOne", ({ articleId }) => ({
+      lean: async () => (articleId === article.articleId ? article : null),
+    }));
+    click = mock.method(trendingService, "recordClick", async () => ({ counted: true }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("upserts the entry, keeping the snapshot of the first read", async () => {
+    const upsert = mock.method(ReadingHistory, "findOneAndUpdate", async () => entry({ lastSource: "trending" }));
+
+    const recorded = await readingHistoryService.recordRead(DEVICE, "newsdata_1", { source: "trending" });
+
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { ...DEVICE, articleId: "newsdata_1" });
+    assert.deepEqual(update.$inc, { readCount: 1 });
+    assert.equal(update.$set.lastSource, "trending");
+    assert.equal(update.$setOnInsert.snapshot.title, article.title);
+    assert.equal(options.upsert, true);
+    assert.deepEqual([recorded.readCount, recorded.article.title], [2, article.title]);
+  });
+
+  it("counts the read as a click of the request's clicker, or of the owner", async () => {
+    mock.method(ReadingHistory, "findOneAndUpdate", async () => entry());
+
+    await readingHistoryService.recordRead(DEVICE, "newsdata_1", { clicker: "ip:203.0.113.7" });
+    await readingHistoryService.recordRead(USER, "newsdata_1");
+
+    assert.deepEqual(
+      click.mock.calls.map((call) => call.arguments),
+      [
+        ["newsdata_1", "ip:203.0.113.7"],
+        ["newsdata_1", `user:${USER.user}`],
+      ]
+    );
+  });
+
+  it("updates the entry inserted by a concurrent first read", async () => {
+    const existing = entry({ readCount: 3 });
+    const update = mock.method(ReadingHistory, "findOneAndUpdate", async (filter, changes) => {
+      if (changes.$setOnInsert) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      return existing;
+    });
+
+    const recorded = await readingHistoryService.recordRead(DEVICE, "newsdata_1");
+
+    assert.equal(update.mock.callCount(), 2);
+    assert.equal(update.mock.calls[1].arguments[1].$setOnInsert, undefined);
+    assert.equal(recorded.readCount, 3);
+  });
+
+  it("rejects unknown articles and sources without recording a click", async () => {
+    await assert.rejects(readingHistoryService.recordRead(DEVICE, "missing"), { statusCode: 404 });
+    await assert.rejects(readingHistoryService.recordRead(DEVICE, "newsdata_1", { source: "email" }), {
+      statusCode: 400,
+    });
+    await assert.rejects(readingHistoryService.recordRead(DEVICE, ["newsdata_1"]), { statusCode: 400 });
+
+    assert.equal(click.mock.callCount(), 0);
+  });
+});
+
+describe("readingHistoryService.getHistory", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("flags entries whose article was removed", async () => {
+    const removed = entry({ articleId: "newsdata_2", article: new mongoose.Types.ObjectId() });
+    mock.method(ReadingHistory, "find", () => ({
+      sort: () => ({ skip: () => ({ limit: () => ({ lean: async () => [entry().toObject(), removed.toObject()] }) }) }),
+    }));
+    mock.method(ReadingHistory, "countDocuments", async () => 21);
+    mock.method(News, "find", () => ({ lean: async () => [{ _id: article._id }] }));
+
+    const result = await readingHistoryService.getHistory(DEVICE);
+
+    assert.deepEqual(
+      result.history.map(({ articleId, isAvailable }) => [articleId, isAvailable]),
+      [
+        ["newsdata_1", true],
+        ["newsdata_2", false],
+      ]
+    );
+    assert.equal(result.totalPages, 2);
+  });
+});
+
+describe("readingHistoryService.removeEntry", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("reports a missing entry with 404", async () => {
+    mock.method(ReadingHistory, "deleteOne", async () => ({ deletedCount: 0 }));
+
+    await assert.rejects(readingHistoryService.removeEntry(DEVICE, "newsdata_1"), { statusCode: 404 });
+  });
+});
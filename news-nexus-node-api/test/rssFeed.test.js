@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import { rssFeedService, articleNormalizer } from "../src/services/index.js";
+import { rssProvider } from "../src/providers/index.js";
+
+const fixtureUrl = (name) => new URL(`../fixtures/feeds/${name}`, import.meta.url);
+const readFixture = (name) => fs.readFileSync(fileURLToPath(fixtureUrl(name)), "utf8");
+
+describe("rssFeedService.parseFeed", () => {
+  it("parses RSS 2.0 items with media, enclosures and authors", () => {
+    const feed = rssFeedService.parseFeed(readFixture("sample-rss.xml"));
+
+    assert.equal(feed.format, "rss");
+    assert.equal(feed.title, "Example Daily");
+    assert.equal(feed.link, "https://www.example.com/");
+    assert.equal(feed.language, "en-us");
+    assert.equal(feed.items.length, 3);
+
+    const [metro, monsoon, markets] = feed.items;
+
+    assert.deepEqual(metro, {
+      id: "example-daily-1001",
+      title: "City council approves new metro line",
+      link: "https://www.example.com/news/metro-line",
+      description: "The council voted 9-2 in favour of the new line.",
+      content: "The council voted 9-2 in favour of the new line, which is expected to open in 2029.",
+      publishedAt: "Mon, 19 Oct 2026 08:30:00 GMT",
+      authors: ["Asha Rao"],
+      categories: ["Transport", "City"],
+      imageUrl: "https://www.example.com/images/metro.jpg",
+      videoUrl: null,
+    });
+
+    assert.deepEqual(monsoon.authors, ["weather@example.com (Weather Desk)"]);
+    assert.equal(monsoon.imageUrl, null);
+    assert.equal(monsoon.videoUrl, "https://www.example.com/video/monsoon.mp4");
+
+    // No guid: the link identifies the item; entities are decoded
+    assert.equal(markets.id, "https://www.example.com/news/markets");
+    assert.equal(markets.title, "Markets open higher & steady");
+    assert.equal(markets.imageUrl, "https://www.example.com/images/markets.png");
+  });
+
+  it("parses Atom entries (alternate links, enclosures, HTML summaries)", () => {
+    const feed = rssFeedService.parseFeed(readFixture("sample-atom.xml"));
+
+    assert.equal(feed.format, "atom");
+    assert.equal(feed.title, "Example Science Blog");
+    assert.equal(feed.link, "https://science.example.org/");
+    assert.equal(feed.language, "en");
+
+    const [exoplanet, geneTherapy] = feed.items;
+
+    assert.equal(exoplanet.id, "urn:uuid:2f9e5c1e-9b1a-4a43-8d7f-1b0f3f0a2c01");
+    assert.equal(exoplanet.link, "https://science.example.org/posts/exoplanet");
+    assert.equal(exoplanet.description, "Astronomers report a rocky planet orbiting a nearby red dwarf.");
+    assert.equal(exoplanet.publishedAt, "2026-10-19T07:45:00Z");
+    assert.deepEqual(exoplanet.authors, ["Dr. Meera Iyer"]);
+    assert.equal(exoplanet.imageUrl, "https://science.example.org/images/exoplanet.jpg");
+
+    // Entries without <published> fall back to <updated>
+    assert.equal(geneTherapy.link, "https://science.example.org/posts/gene-therapy");
+    assert.equal(geneTherapy.publishedAt, "2026-10-18T16:20:00Z");
+    assert.deepEqual(geneTherapy.categories, ["Health", "Genetics"]);
+    assert.equal(geneTherapy.content, "");
+  });
+
+  it("parses RSS 1.0 (RDF) feeds", () => {
+    const feed = rssFeedService.parseFeed(`<?xml version="1.0"?>
+      <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <channel><title>RDF News</title><link>https://rdf.example.net/</link><dc:language>de</dc:language></channel>
+        <item>
+          <title>Bahnstreik beendet</title>
+          <link>https://rdf.example.net/bahn</link>
+          <dc:date>2026-10-18T10:00:00+02:00</dc:date>
+          <dc:creator>Redaktion</dc:creator>
+        </item>
+      </rdf:RDF>`);
+
+    assert.equal(feed.format, "rdf");
+    assert.equal(feed.language, "de");
+    assert.equal(feed.items.length, 1);
+    assert.equal(feed.items[0].id, "https://rdf.example.net/bahn");
+    assert.equal(feed.items[0].publishedAt, "2026-10-18T10:00:00+02:00");
+    assert.deepEqual(feed.items[0].authors, ["Redaktion"]);
+  });
+
+  it("rejects documents that are not feeds", () => {
+    assert.throws(() => rssFeedService.parseFeed("<html><body>Not a feed</body></html>"), /Unsupported feed format/);
+  });
+});
+
+describe("rssFeedService.fetchFeed", () => {
+  it("loads local feeds from file:// URLs and caps the items", async () => {
+    const feed = await rssFeedService.fetchFeed({ url: fixtureUrl("sample-rss.xml").href, maxItems: 2 });
+
+    assert.equal(feed.items.length, 2);
+    assert.equal(feed.items[0].id, "example-daily-1001");
+  });
+
+  it("requires a url or file", async () => {
+    await assert.rejects(rssFeedService.fetchFeed({}), /requires a url or file/);
+  });
+});
+
+describe("rssProvider normalization", () => {
+  it("turns fixture items into valid articles", async () => {
+    const config = {
+      url: pathToFileURL(fileURLToPath(fixtureUrl("sample-rss.xml"))).href,
+      name: "Example Daily",
+      category: "technology",
+    };
+
+    const items = await rssProvider.fetch(config);
+    const { articles, report } = articleNormalizer.normalizeBatch(rssProvider, items, config);
+
+    assert.equal(report.received, 3);
+    assert.equal(report.accepted, 3);
+    assert.equal(report.rejected, 0);
+
+    const [metro] = articles;
+    assert.equal(metro.articleId, "rss_example-daily-1001");
+    assert.equal(metro.sourceApi, "rss");
+    assert.deepEqual(metro.source, { id: "example.com", name: "Example Daily" });
+    assert.equal(metro.author, "Asha Rao");
+    assert.deepEqual(metro.category, ["technology"]);
+    assert.deepEqual(metro.keywords, ["Transport", "City"]);
+    // Feed language "en-us" is reduced to its language code
+    assert.equal(metro.language, "en");
+    assert.ok(metro.publishedAt instanceof Date && !isNaN(metro.publishedAt));
+  });
+
+  it("uses the Atom feed title as source name when none is configured", async () => {
+    const items = await rssProvider.fetch({ url: fixtureUrl("sample-atom.xml").href });
+    const article = rssProvider.normalize(items[0], {});
+
+    assert.deepEqual(article.source, { id: "science.example.org", name: "Example Science Blog" });
+    assert.deepEqual(article.creator, ["Dr. Meera Iyer"]);
+    assert.equal(article.urlToImage, "https://science.example.org/images/exoplanet.jpg");
+  });
+
+  it("rejects items without a link or date", () => {
+    const { articles, report } = articleNormalizer.normalizeBatch(rssProvider, [
+      { id: "no-link", title: "Headline without a link", publishedAt: "2026-10-18T10:00:00Z" },
+      { id: "no-date", title: "Headline without a date", link: "https://www.example.com/news/undated" },
+    ]);
+
+    assert.equal(articles.length, 0);
+    assert.equal(report.rejected, 2);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchQuery, MAX_SEARCH_QUERY_LENGTH } from "../src/utils/index.js";
+
+/**
+ * Assert that a query fails with a SearchQueryError at a position
+ */
+const assertQueryError = (query, message, position) =>
+  assert.throws(
+    () => parseSearchQuery(query),
+    (error) => {
+      assert.equal(error.name, "SearchQueryError");
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.position, position);
+      assert.match(error.message, message);
+      return true;
+    }
+  );
+
+describe("parseSearchQuery", () => {
+  it("parses terms, phrases, exclusions and qualifiers", () => {
+    const parsed = parseSearchQuery(
+      '"climate change" policy -opinion -"press release" source:reuters -category:Sports country:IN after:2026-01-01'
+    );
+
+    assert.equal(parsed.search, '"climate change" policy -opinion -"press release"');
+    assert.deepEqual(parsed.terms, ["policy"]);
+    assert.deepEqual(parsed.phrases, ["climate change"]);
+    assert.deepEqual(parsed.excluded, ["opinion", "press release"]);
+    assert.deepEqual(parsed.qualifiers.source, { include: ["reuters"], exclude: [] });
+    // Category, country and language values are lowercased
+    assert.deepEqual(parsed.qualifiers.category, { include: [], exclude: ["sports"] });
+    assert.deepEqual(parsed.qualifiers.country, { include: ["in"], exclude: [] });
+    assert.deepEqual(parsed.from, new Date("2026-01-01"));
+    assert.equal(parsed.to, null);
+  });
+
+  it("keeps quoted qualifier values and their case", () => {
+    const parsed = parseSearchQuery('source:"The Hindu" author:Rao');
+
+    assert.equal(parsed.search, "");
+    assert.deepEqual(parsed.qualifiers.source.include, ["The Hindu"]);
+    assert.deepEqual(parsed.qualifiers.author.include, ["Rao"]);
+  });
+
+  it("keeps the narrowest date range", () => {
+    const parsed = parseSearchQuery("budget after:2026-01-01 after:2026-02-01 before:2026-04-01 before:2026-03-01");
+
+    assert.deepEqual(parsed.from, new Date("2026-02-01"));
+    assert.deepEqual(parsed.to, new Date("2026-03-01"));
+  });
+
+  it("reports the position of malformed input", () => {
+    assertQueryError("   ", /Search query is empty/, 0);
+    assertQueryError('election "exit poll', /Unterminated quote/, 9);
+    assertQueryError('say ""', /Empty quoted phrase/, 4);
+    assertQueryError("markets - crash", /Expected a term or phrase after '-'/, 8);
+    assertQueryError('word"quoted"', /Unexpected quote/, 4);
+    assertQueryError("rates topic:economy", /Unknown qualifier 'topic:'/, 6);
+    assertQueryError("rates source:", /Missing value for 'source:'/, 6);
+    assertQueryError("rates country:india", /expected a 2-letter country code/, 6);
+    assertQueryError("rates after:yesterday", /Invalid date 'yesterday'/, 6);
+    assertQueryError("rates -before:2026-01-01", /'before:' cannot be negated/, 6);
+    assertQueryError("-opinion category:politics", /Exclusions need at least one search term/, 0);
+    assertQueryError("rates after:2026-03-01 before:2026-02-01", /'after:' must be earlier than 'before:'/, 23);
+  });
+
+  it("limits the query length", () => {
+    assertQueryError("a".repeat(MAX_SEARCH_QUERY_LENGTH + 1), /longer than/, MAX_SEARCH_QUERY_LENGTH);
+  });
+});
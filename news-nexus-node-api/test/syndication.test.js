@@ -0,0 +1,141 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import app from "../src/app.js";
+import { syndicationService, unifiedNewsService } from "../src/services/index.js";
+import { renderRss, renderAtom, renderJsonFeed } from "../src/templates/feed.template.js";
+
+const article = (articleId, extra = {}) => ({
+  articleId,
+  title: `Story ${articleId}`,
+  description: "Rates & <markets>",
+  url: `https://example.com/${articleId}`,
+  urlToImage: `https://cdn.example.com/${articleId}.png`,
+  publishedAt: new Date("2026-10-19T06:00:00Z"),
+  updatedAt: new Date("2026-10-19T07:00:00.250Z"),
+  source: { id: "example", name: "Example" },
+  category: ["business"],
+  country: ["in"],
+  language: "en",
+  ...extra,
+});
+
+const feed = (articles) => ({
+  title: "Nexus News: business",
+  description: "Latest business news, aggregated by Nexus News",
+  language: "en",
+  homeUrl: "https://nexus.example.com",
+  selfUrl: "https://api.example.com/api/news/feed.rss?category=business",
+  updatedAt: new Date("2026-10-19T07:00:00Z"),
+  ttlSeconds: 300,
+  articles,
+});
+
+describe("feed templates", () => {
+  it("escape text and leave out links that are not http(s)", () => {
+    const articles = [article("a1", { title: 'Q3 "results" <b>', url: "javascript:alert(1)", urlToImage: null })];
+
+    for (const xml of [renderRss(feed(articles)), renderAtom(feed(articles))]) {
+      assert.match(xml, /Q3 &quot;results&quot; &lt;b&gt;/);
+      assert.match(xml, /Rates &amp; &lt;markets&gt;/);
+      assert.doesNotMatch(xml, /javascript:/);
+    }
+
+    assert.equal(renderJsonFeed(feed(articles)).items[0].url, undefined);
+  });
+
+  it("attach images and videos with their media type", () => {
+    const articles = [article("a1", { video_url: "https://cdn.example.com/a1.webm" })];
+
+    const rss = renderRss(feed(articles));
+    assert.match(rss, /<enclosure url="https:\/\/cdn.example.com\/a1.webm" length="0" type="video\/webm" \/>/);
+    assert.match(rss, /<media:content url="https:\/\/cdn.example.com\/a1.png" type="image\/png" medium="image" \/>/);
+
+    assert.deepEqual(renderJsonFeed(feed(articles)).items[0].attachments, [
+      { url: "https://cdn.example.com/a1.webm", mime_type: "video/webm" },
+      { url: "https://cdn.example.com/a1.png", mime_type: "image/png" },
+    ]);
+  });
+
+  it("give an article the same id in every format", () => {
+    const articles = [article("newsdata_1")];
+    const id = "urn:nexus-news:article:newsdata_1";
+
+    assert.match(renderRss(feed(articles)), new RegExp(`<guid isPermaLink="false">${id}</guid>`));
+    assert.match(renderAtom(feed(articles)), new RegExp(`<id>${id}</id>`));
+    assert.equal(renderJsonFeed(feed(articles)).items[0].id, id);
+  });
+});
+
+describe("syndicationService.getFeed", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("describes the filters and dates the feed by its latest change", async () => {
+    const getNews = mock.method(unifiedNewsService, "getNewsFromDB", async () => ({
+      articles: [article("a1"), article("a2", { updatedAt: new Date("2026-10-19T09:30:00.900Z") })],
+    }));
+
+    const result = await syndicationService.getFeed({ category: "business", country: "in" }, { limit: 10 });
+
+    assert.deepEqual(getNews.mock.calls[0].arguments[1], { page: 1, limit: 10 });
+    assert.equal(result.title, "Nexus News: business · IN");
+    assert.equal(result.description, "Latest business news from IN, aggregated by Nexus News");
+    assert.deepEqual(result.updatedAt, new Date("2026-10-19T09:30:00Z"));
+  });
+});
+
+describe("GET /api/news/feed.:format", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/news`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+  afterEach(() => mock.restoreAll());
+
+  it("serves each format with its content type and caching headers", async () => {
+    mock.method(unifiedNewsService, "getNewsFromDB", async () => ({ articles: [article("a1")] }));
+
+    for (const [format, type] of [
+      ["rss", "application/rss+xml"],
+      ["atom", "application/atom+xml"],
+      ["json", "application/feed+json"],
+    ]) {
+      const response = await fetch(`${baseUrl}/feed.${format}?category=business`);
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get("content-type"), new RegExp(`^${type.replace("+", "\\+")}`));
+      assert.equal(response.headers.get("last-modified"), "Mon, 19 Oct 2026 07:00:00 GMT");
+      assert.equal(response.headers.get("cache-control"), "public, max-age=300");
+    }
+  });
+
+  it("answers a feed reader that has the latest version with 304", async () => {
+    mock.method(unifiedNewsService, "getNewsFromDB", async () => ({ articles: [article("a1")] }));
+
+    const first = await fetch(`${baseUrl}/feed.json`);
+    // fetch() marks conditional requests no-cache, feed readers do not
+    const status = (headers) =>
+      new Promise((resolve, reject) =>
+        http.get(`${baseUrl}/feed.json`, { headers }, (response) => resolve(response.resume().statusCode)).on(
+          "error",
+          reject
+        )
+      );
+
+    assert.equal(await status({ "If-None-Match": first.headers.get("etag") }), 304);
+    assert.equal(await status({ "If-Modified-Since": first.headers.get("last-modified") }), 304);
+    assert.equal(await status({ "If-Modified-Since": "Mon, 19 Oct 2026 06:00:00 GMT" }), 200);
+  });
+
+  it("answers unknown formats with 404", async () => {
+    const response = await fetch(`${baseUrl}/feed.xml`);
+
+    assert.equal(response.status, 404);
+    assert.deepEqual((await response.json()).errors, { formats: ["rss", "atom", "json"] });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { trendingService } from "../src/services/index.js";
+import { News, ArticleClick } from "../src/db/index.js";
+
+describe("trendingService.recordClick", () => {
+  let clickCount;
+  let markers;
+
+  beforeEach(() => {
+    clickCount = 0;
+    markers = new Set();
+
+    mock.method(News, "findOne", ({ articleId }) => ({
+      lean: async () => (articleId === "newsdata_1" ? { articleId, clickCount } : null),
+    }));
+    mock.method(News, "findOneAndUpdate", ({ articleId }) => ({
+      lean: async () => ({ articleId, clickCount: ++clickCount }),
+    }));
+    // Unique index on { articleId, clicker }
+    mock.method(ArticleClick, "create", async ({ articleId, clicker }) => {
+      const key = `${articleId} ${clicker}`;
+      if (markers.has(key)) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      markers.add(key);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("counts one click per clicker and article", async () => {
+    const first = await trendingService.recordClick("newsdata_1", "ip:203.0.113.7");
+    const again = await trendingService.recordClick("newsdata_1", "ip:203.0.113.7");
+    const other = await trendingService.recordClick("newsdata_1", "user:65f1c2a3b4c5d6e7f8a9b0c1");
+
+    assert.deepEqual(first, { articleId: "newsdata_1", clickCount: 1, counted: true });
+    assert.deepEqual(again, { articleId: "newsdata_1", clickCount: 1, counted: false });
+    assert.deepEqual(other, { articleId: "newsdata_1", clickCount: 2, counted: true });
+  });
+
+  it("returns null for unknown articles without storing a marker", async () => {
+    assert.equal(await trendingService.recordClick("missing", "ip:203.0.113.7"), null);
+    assert.equal(markers.size, 0);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { watchlistService } from "../src/services/index.js";
+import { Watchlist, Notification, News } from "../src/db/index.js";
+import { WATCHLISTS } from "../src/constants/index.js";
+
+const DEVICE = { deviceId: "device-0123456789" };
+const USER = { user: new mongoose.Types.ObjectId().toString() };
+
+const watchlist = (name, terms, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  terms,
+  categories: [],
+  countries: [],
+  ...DEVICE,
+  ...extra,
+});
+
+const article = (articleId, title, category = ["business"], country = ["in"]) => ({
+  _id: new mongoose.Types.ObjectId(),
+  articleId,
+  title,
+  description: "",
+  category,
+  country,
+  source: { id: "example", name: "Example" },
+  url: `https://example.com/${articleId}`,
+  publishedAt: new Date("2026-10-19T06:00:00Z"),
+});
+
+describe("watchlistService.createWatchlist limits", () => {
+  afterEach(() => mock.restoreAll());
+
+  const create = (owner, count, total = 0) => {
+    mock.method(Watchlist, "countDocuments", async () => count);
+    mock.method(Watchlist, "estimatedDocumentCount", async () => total);
+    const created = mock.method(Watchlist, "create", async (doc) => ({
+      toObject: () => ({ _id: new mongoose.Types.ObjectId(), ...doc }),
+    }));
+
+    return { created, promise: watchlistService.createWatchlist(owner, { name: "RBI", terms: ["RBI"] }) };
+  };
+
+  it("allows fewer watchlists to anonymous devices than to accounts", async () => {
+    await assert.rejects(create(DEVICE, WATCHLISTS.MAX_PER_DEVICE).promise, {
+      statusCode: 400,
+      message: `At most ${WATCHLISTS.MAX_PER_DEVICE} watchlists are allowed without an account`,
+    });
+
+    mock.restoreAll();
+    const { created, promise } = create(USER, WATCHLISTS.MAX_PER_DEVICE);
+    await promise;
+    assert.equal(created.mock.callCount(), 1);
+
+    mock.restoreAll();
+    await assert.rejects(create(USER, WATCHLISTS.MAX_PER_OWNER).promise, { statusCode: 400 });
+  });
+
+  it("stops creating watchlists at the global limit", async () => {
+    await assert.rejects(create(USER, 0, WATCHLISTS.MAX_TOTAL).promise, { statusCode: 503 });
+  });
+
+  it("normalizes terms and filters", () => {
+    const fields = watchlistService.validateInput(
+      { name: " RBI ", terms: "RBI, rbi,  repo   rate", categories: ["Business"] },
+      { requireAll: true }
+    );
+
+    assert.deepEqual(fields, { name: "RBI", terms: ["RBI", "repo rate"], categories: ["business"] });
+    assert.throws(() => watchlistService.validateInput({ name: "x", terms: ["the"] }, { requireAll: true }), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("watchlistService.matchNewArticles", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only loads watchlists whose filters can match the articles", () => {
+    const filter = watchlistService.matchingFilter([
+      article("a1", "One", ["business"], ["in"]),
+      article("a2", "Two", ["business", "technology"], ["us"]),
+    ]);
+
+    assert.deepEqual(filter, {
+      isActive: true,
+      $and: [
+        { $or: [{ categories: [] }, { categories: { $in: ["business", "technology"] } }] },
+        { $or: [{ countries: [] }, { countries: { $in: ["in", "us"] } }] },
+      ],
+    });
+  });
+
+  it("creates one notification per matching watchlist and article", async () => {
+    const articles = [
+      article("a1", "RBI keeps repo rate unchanged"),
+      article("a2", "Herbicide sales grow"),
+      article("a3", "RBI governor speaks", ["politics"]),
+    ];
+    const watchlists = [
+      watchlist("RBI", ["RBI"], { categories: ["business"] }),
+      watchlist("Rates", ["repo rate", "inflation"]),
+    ];
+
+    mock.method(News, "find", () => ({ active: () => ({ lean: async () => articles }) }));
+    const find = mock.method(Watchlist, "find", () => ({ lean: async () => watchlists }));
+    const notifications = mock.method(Notification, "bulkWrite", async (operations) => ({
+      upsertedCount: operations.length,
+    }));
+    const stats = mock.method(Watchlist, "bulkWrite", async () => ({}));
+
+    const result = await watchlistService.matchNewArticles(articles.map(({ _id }) => _id));
+
+    assert.deepEqual(result, { articles: 3, watchlists: 2, notifications: 2 });
+    assert.deepEqual(find.mock.calls[0].arguments[0], watchlistService.matchingFilter(articles));
+
+    const inserted = notifications.mock.calls[0].arguments[0].map(({ updateOne }) => [
+      updateOne.filter.articleId,
+      updateOne.update.$setOnInsert.matchedTerms,
+    ]);
+    assert.deepEqual(inserted, [
+      ["a1", ["RBI"]],
+      ["a1", ["repo rate"]],
+    ]);
+    assert.equal(stats.mock.calls[0].arguments[0].length, 2);
+  });
+
+  it("skips loading watchlists when no article is left", async () => {
+    mock.method(News, "find", () => ({ active: () => ({ lean: async () => [] }) }));
+    const find = mock.method(Watchlist, "find");
+
+    assert.deepEqual(await watchlistService.matchNewArticles([new mongoose.Types.ObjectId()]), {
+      articles: 0,
+      watchlists: 0,
+      notifications: 0,
+    });
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
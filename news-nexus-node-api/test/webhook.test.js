@@ -0,0 +1,177 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import mongoose from "mongoose";
+import { webhookService } from "../src/services/index.js";
+import { Webhook, WebhookDelivery } from "../src/db/index.js";
+import { WEBHOOKS } from "../src/constants/index.js";
+
+const SECRET = "whsec_test_0123456789";
+const MINUTE_MS = 60 * 1000;
+
+describe("webhookService.attemptDelivery", () => {
+  let receiver;
+  let received;
+  let status;
+  let webhook;
+  let updates;
+  let results;
+
+  const delivery = (attempts = 0, event = "articles.created") => ({
+    _id: new mongoose.Types.ObjectId(),
+    webhook: webhook._id,
+    deliveryId: "dlv_test",
+    event,
+    payload: { event, articles: [{ articleId: "newsdata_1" }] },
+    attempts: Array.from({ length: attempts }, () => ({ error: "Receiver responded with HTTP 500" })),
+  });
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(status).end("ok");
+      });
+    });
+    receiver.listen(0);
+    await new Promise((resolve) => receiver.once("listening", resolve));
+  });
+
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    status = 200;
+    updates = [];
+    webhook = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Receiver",
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      secret: SECRET,
+      isActive: true,
+    };
+
+    mock.method(Webhook, "findById", () => ({ select: () => ({ lean: async () => webhook }) }));
+    mock.method(WebhookDelivery, "findByIdAndUpdate", (id, update) => {
+      updates.push(update);
+      return { select: () => ({ lean: async () => ({ _id: id, ...update.$set }) }) };
+    });
+    results = mock.method(webhookService, "recordResult", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("signs the timestamp and body with the webhook secret", async () => {
+    const result = await webhookService.attemptDelivery(delivery());
+
+    const [{ headers, body }] = received;
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update(`${headers["x-nexus-timestamp"]}.${body}`)
+      .digest("hex");
+
+    assert.equal(headers["x-nexus-signature"], `sha256=${expected}`);
+    assert.equal(headers["x-nexus-event"], "articles.created");
+    assert.equal(headers["x-nexus-delivery"], "dlv_test");
+    assert.deepEqual(JSON.parse(body), delivery().payload);
+    assert.equal(result.status, "success");
+    assert.equal(updates[0].$push.attempts.statusCode, 200);
+    assert.deepEqual(results.mock.calls[0].arguments, [webhook, true]);
+  });
+
+  it("schedules a failed attempt again with backoff", async () => {
+    status = 500;
+    const started = Date.now();
+
+    const result = await webhookService.attemptDelivery(delivery(1));
+
+    assert.equal(result.status, "pending");
+    assert.ok(result.nextAttemptAt - started >= WEBHOOKS.RETRY_DELAYS_MINUTES[1] * MINUTE_MS);
+    assert.ok(result.nextAttemptAt - started < WEBHOOKS.RETRY_DELAYS_MINUTES[2] * MINUTE_MS);
+    assert.equal(updates[0].$push.attempts.error, "Receiver responded with HTTP 500");
+    assert.equal(results.mock.callCount(), 0);
+  });
+
+  it("fails the delivery after the last retry", async () => {
+    status = 410;
+
+    const result = await webhookService.attemptDelivery(delivery(WEBHOOKS.RETRY_DELAYS_MINUTES.length));
+
+    assert.equal(result.status, "failed");
+    assert.ok(result.completedAt);
+    assert.deepEqual(results.mock.calls[0].arguments, [webhook, false]);
+  });
+
+  it("does not send to a paused webhook", async () => {
+    webhook.isActive = false;
+
+    const result = await webhookService.attemptDelivery(delivery());
+
+    assert.equal(received.length, 0);
+    assert.equal(result.status, "failed");
+    assert.equal(updates[0].$push.attempts.error, "Webhook is paused");
+  });
+});
+
+describe("webhookService.processDueDeliveries", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("claims each due delivery with a lease before attempting it", async () => {
+    const due = [{ _id: "d1" }, { _id: "d2" }];
+    const claim = mock.method(WebhookDelivery, "findOneAndUpdate", () => ({ lean: async () => due.shift() ?? null }));
+    mock.method(webhookService, "attemptDelivery", async ({ _id }) => ({
+      status: _id === "d1" ? "success" : "pending",
+    }));
+    const started = Date.now();
+
+    assert.deepEqual(await webhookService.processDueDeliveries(), {
+      attempted: 2,
+      succeeded: 1,
+      failed: 0,
+      retrying: 1,
+    });
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, "pending");
+    assert.ok(filter.nextAttemptAt.$lte >= started);
+    // Other runs skip the delivery for longer than an attempt can take
+    assert.ok(update.$set.nextAttemptAt - started > WEBHOOKS.TIMEOUT_MS);
+  });
+
+  it("runs once at a time", async () => {
+    let release;
+    mock.method(WebhookDelivery, "findOneAndUpdate", () => ({
+      lean: () => new Promise((resolve) => (release = () => resolve(null))),
+    }));
+
+    const first = webhookService.processDueDeliveries();
+    const second = await webhookService.processDueDeliveries();
+    release();
+
+    assert.equal(second.attempted, 0);
+    assert.equal((await first).attempted, 0);
+    assert.equal(webhookService.isProcessing, false);
+  });
+});
+
+describe("webhookService.recordResult", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("pauses a webhook after too many failed deliveries in a row", async () => {
+    const webhook = { _id: new mongoose.Types.ObjectId(), name: "Receiver" };
+    mock.method(Webhook, "findByIdAndUpdate", () => ({
+      lean: async () => ({ ...webhook, isActive: true, consecutiveFailures: WEBHOOKS.MAX_CONSECUTIVE_FAILURES }),
+    }));
+    const pause = mock.method(Webhook, "updateOne", async () => ({}));
+
+    await webhookService.recordResult(webhook, false);
+
+    assert.deepEqual(pause.mock.calls[0].arguments[1].$set, {
+      isActive: false,
+      disabledReason: `Paused after ${WEBHOOKS.MAX_CONSECUTIVE_FAILURES} failed deliveries in a row`,
+    });
+  });
+});
@@ -5,6 +5,7 @@ import {
   getTrendingNews,
   searchNews,
 } from "./api/newsApi";
+import { getForYouFeed } from "./api/feedApi";
 import { formatArticles } from "./utils/articleFormatter";
 //import { testAPI } from './utils/apiTest';
 import {
@@ -12,8 +13,14 @@ import {
   MobileSidebar,
   TrendingSection,
   NewsGrid,
+  SavedView,
+  ContinueReading,
+  FollowTopics,
+  WatchlistAlerts,
+  NewStoriesBanner,
   Footer,
 } from "./components";
+import { useBookmarks, useReadingHistory, useNewStories } from "./hooks";
 import { Analytics } from "@vercel/analytics/react";
 
 /**
@@ -28,6 +35,15 @@ export default function App() {
   const [searchQuery, setSearchQuery] = useState("");
   const [loading, setLoading] = useState(true);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [feedVersion, setFeedVersion] = useState(0); // Bumped to reload the For You feed
+  const { isBookmarked, toggleBookmark } = useBookmarks();
+  const { recent, isRead, markRead } = useReadingHistory();
+
+  // Stories saved by the scheduler after the grid loaded (category tabs only get their category)
+  const { pending, takePending } = useNewStories(
+    ["top", "breaking"].includes(activeTab) ? null : activeTab,
+    !searchQuery && !["saved", "for-you"].includes(activeTab),
+  );
 
   // Test API on mount
   // useEffect(() => {
@@ -36,23 +52,28 @@ export default function App() {
 
   // Load initial data when active tab changes
   useEffect(() => {
+    // The saved view loads its own data
+    if (activeTab === "saved") return;
+
     const fetchData = async () => {
       setLoading(true);
       try {
         // console.log("🔍 Fetching data for category:", activeTab);
 
-        // Fetch all latest news
+        // Fetch the personalized feed or all latest news
         const [latestData, trendingData] = await Promise.all([
-          getAllLatestNews(50),
+          activeTab === "for-you"
+            ? getForYouFeed(40).then((feed) => feed.articles)
+            : getAllLatestNews(50),
           getTrendingNews(6),
         ]);
 
         // console.log("📡 Raw API Response - Latest:", latestData);
         // console.log("📡 Raw API Response - Trending:", trendingData);
 
-        // Filter by category on frontend (except for 'top' and 'breaking' which show all)
+        // Filter by category on frontend (except for 'top', 'breaking' and 'for-you' which show all)
         let filteredData = latestData;
-        if (activeTab !== "top" && activeTab !== "breaking") {
+        if (!["top", "breaking", "for-you"].includes(activeTab)) {
           filteredData = latestData.filter(
             (article) =>
               article.category && article.category.includes(activeTab),
@@ -85,7 +106,7 @@ export default function App() {
     };
 
     fetchData();
-  }, [activeTab]);
+  }, [activeTab, feedVersion]);
 
   /**
    * Handles search form submission
@@ -115,7 +136,9 @@ export default function App() {
     setLoading(true);
     try {
       const [latestData, trendingData] = await Promise.all([
-        getLatestNews("in", activeTab, 20),
+        activeTab === "for-you"
+          ? getForYouFeed(40).then((feed) => feed.articles)
+          : getLatestNews("in", activeTab, 20),
         getTrendingNews(6),
       ]);
 
@@ -133,6 +156,17 @@ export default function App() {
     }
   };
 
+  /**
+   * Merges the stories from the live feed into the top of the grid
+   */
+  const handleShowNewStories = () => {
+    const stories = takePending();
+    setArticles((current) => {
+      const known = new Set(current.map((article) => article.articleId));
+      return [...stories.filter((article) => !known.has(article.articleId)), ...current];
+    });
+  };
+
   /**
    * Handles logo click to reset state
    */
@@ -191,15 +225,40 @@ export default function App() {
       />
 
       <main className="max-w-7xl mx-auto px-4 pt-28 pb-20 relative z-10">
-        {!searchQuery && <TrendingSection trending={trending} />}
-
-        <NewsGrid
-          articles={articles}
-          loading={loading}
-          searchQuery={searchQuery}
-          activeTab={activeTab}
-          onClearFilters={handleClearFilters}
-        />
+        {activeTab === "saved" && !searchQuery ? (
+          <SavedView
+            isBookmarked={isBookmarked}
+            onToggleBookmark={toggleBookmark}
+            isRead={isRead}
+            onRead={markRead}
+          />
+        ) : (
+          <>
+            {!searchQuery && <TrendingSection trending={trending} onRead={markRead} />}
+
+            {!searchQuery && <WatchlistAlerts onRead={markRead} />}
+
+            {!searchQuery && <ContinueReading recent={recent} onRead={markRead} />}
+
+            {activeTab === "for-you" && !searchQuery && (
+              <FollowTopics onChange={() => setFeedVersion((version) => version + 1)} />
+            )}
+
+            <NewStoriesBanner count={pending.length} onShow={handleShowNewStories} />
+
+            <NewsGrid
+              articles={articles}
+              loading={loading}
+              searchQuery={searchQuery}
+              activeTab={activeTab}
+              onClearFilters={handleClearFilters}
+              isBookmarked={isBookmarked}
+              onToggleBookmark={toggleBookmark}
+              isRead={isRead}
+              onRead={markRead}
+            />
+          </>
+        )}
       </main>
 
       <Footer />
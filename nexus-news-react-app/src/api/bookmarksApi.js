@@ -0,0 +1,95 @@
+import { API_ROOT_URL } from '../constants/api';
+import { getDeviceHeaders } from '../utils/deviceId';
+
+const BOOKMARKS_URL = `${API_ROOT_URL}/bookmarks`;
+
+/**
+ * Get the ids of all bookmarked articles
+ */
+export const getBookmarkedIds = async () => {
+  try {
+    const response = await fetch(`${BOOKMARKS_URL}/ids`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data?.articleIds || [];
+  } catch (error) {
+    console.error('Error fetching bookmarked ids:', error);
+    return [];
+  }
+};
+
+/**
+ * Get a page of bookmarks (newest first), optionally from one folder
+ * @returns {Object} { bookmarks, pagination }
+ */
+export const getBookmarks = async ({ folder, page = 1, limit = 20 } = {}) => {
+  try {
+    let url = `${BOOKMARKS_URL}?page=${page}&limit=${limit}`;
+    if (folder !== undefined) {
+      url += `&folder=${encodeURIComponent(folder || '')}`;
+    }
+    const response = await fetch(url, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return {
+      bookmarks: json.data?.bookmarks || [],
+      pagination: json.pagination || null
+    };
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    return { bookmarks: [], pagination: null };
+  }
+};
+
+/**
+ * Get bookmark folders and tags with counts
+ */
+export const getBookmarkFolders = async () => {
+  try {
+    const response = await fetch(`${BOOKMARKS_URL}/folders`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data || { folders: [], tags: [] };
+  } catch (error) {
+    console.error('Error fetching bookmark folders:', error);
+    return { folders: [], tags: [] };
+  }
+};
+
+/**
+ * Bookmark an article
+ * @returns {Object|null} Bookmark, or null when saving failed
+ */
+export const addBookmark = async (articleId, { folder, tags } = {}) => {
+  try {
+    const response = await fetch(BOOKMARKS_URL, {
+      method: 'POST',
+      headers: getDeviceHeaders(),
+      body: JSON.stringify({ articleId, folder, tags })
+    });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data;
+  } catch (error) {
+    console.error('Error adding bookmark:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove a bookmark
+ * @returns {boolean} Whether the bookmark is gone
+ */
+export const removeBookmark = async (articleId) => {
+  try {
+    const response = await fetch(`${BOOKMARKS_URL}/${encodeURIComponent(articleId)}`, {
+      method: 'DELETE',
+      headers: getDeviceHeaders()
+    });
+    // 404: already removed (e.g. from another tab)
+    return response.ok || response.status === 404;
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    return false;
+  }
+};
@@ -0,0 +1,59 @@
+import { API_ROOT_URL } from '../constants/api';
+import { getDeviceHeaders } from '../utils/deviceId';
+
+const ME_URL = `${API_ROOT_URL}/me`;
+
+/**
+ * Get the personalized "For You" feed
+ * @returns {Object} { articles, personalized }
+ */
+export const getForYouFeed = async (limit = 40) => {
+  try {
+    const response = await fetch(`${ME_URL}/feed?limit=${limit}`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return {
+      articles: json.data?.articles || [],
+      personalized: json.data?.personalized ?? false
+    };
+  } catch (error) {
+    console.error('Error fetching For You feed:', error);
+    return { articles: [], personalized: false };
+  }
+};
+
+/**
+ * Get followed categories, countries, sources and keywords
+ */
+export const getPreferences = async () => {
+  try {
+    const response = await fetch(`${ME_URL}/preferences`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data || null;
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace followed lists (lists not sent are kept)
+ * @param {Object} changes - e.g. { categories: ['technology'] }
+ * @returns {Object|null} Saved preferences, or null when saving failed
+ */
+export const updatePreferences = async (changes) => {
+  try {
+    const response = await fetch(`${ME_URL}/preferences`, {
+      method: 'PUT',
+      headers: getDeviceHeaders(),
+      body: JSON.stringify(changes)
+    });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data;
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    return null;
+  }
+};
@@ -0,0 +1,54 @@
+import { API_ROOT_URL } from '../constants/api';
+import { getDeviceHeaders } from '../utils/deviceId';
+
+const HISTORY_URL = `${API_ROOT_URL}/me/history`;
+
+/**
+ * Record that an article was opened (also feeds the trending score)
+ * Fire-and-forget: failures never block opening the article
+ * @param {string} articleId - Article id
+ * @param {string} source - Where it was opened: card, trending, continue, saved, alert
+ */
+export const recordArticleRead = async (articleId, source = 'card') => {
+  if (!articleId) return;
+  try {
+    await fetch(HISTORY_URL, {
+      method: 'POST',
+      headers: getDeviceHeaders(),
+      body: JSON.stringify({ articleId, source }),
+      keepalive: true
+    });
+  } catch (error) {
+    console.error('Error recording article read:', error);
+  }
+};
+
+/**
+ * Get recently read articles (most recent first)
+ */
+export const getReadingHistory = async (limit = 6) => {
+  try {
+    const response = await fetch(`${HISTORY_URL}?limit=${limit}`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data?.history || [];
+  } catch (error) {
+    console.error('Error fetching reading history:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the ids of recently read articles
+ */
+export const getReadArticleIds = async () => {
+  try {
+    const response = await fetch(`${HISTORY_URL}/ids`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data?.articleIds || [];
+  } catch (error) {
+    console.error('Error fetching read article ids:', error);
+    return [];
+  }
+};
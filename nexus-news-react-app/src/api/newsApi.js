@@ -289,6 +289,38 @@ export const getNewsByCountry = async (countryCode, category = null, limit = 20)
   }
 };
 
+// ============================================
+// LIVE FEED (SERVER-SENT EVENTS)
+// ============================================
+
+/**
+ * Subscribe to articles saved by the scheduler after the page loaded
+ * @param {Object} filters - { category, country } (optional)
+ * @param {Function} onArticles - Called with the raw articles of each "articles" event
+ * @returns {Function} Closes the stream
+ */
+export const subscribeToNewArticles = (filters, onArticles) => {
+  if (typeof EventSource === 'undefined') return () => {};
+
+  const params = new URLSearchParams();
+  if (filters?.category) params.set('category', filters.category);
+  if (filters?.country) params.set('country', filters.country);
+
+  const query = params.toString();
+  const stream = new EventSource(`${API_BASE_URL}/stream${query ? `?${query}` : ''}`);
+
+  stream.addEventListener('articles', (event) => {
+    try {
+      onArticles(JSON.parse(event.data).articles || []);
+    } catch (error) {
+      console.error('Error reading live news event:', error);
+    }
+  });
+
+  // EventSource reconnects by itself after errors
+  return () => stream.close();
+};
+
 // ============================================
 // LEGACY API OBJECT (for backward compatibility)
 // ============================================
@@ -0,0 +1,72 @@
+import { API_ROOT_URL } from '../constants/api';
+import { getDeviceHeaders } from '../utils/deviceId';
+
+const WATCHLISTS_URL = `${API_ROOT_URL}/watchlists`;
+
+/**
+ * Get watchlists with new articles since the last visit
+ * @returns {Object} { totalNew, watchlists: [{ id, name, newCount, latest }] }
+ */
+export const getWatchlistSummary = async () => {
+  try {
+    const response = await fetch(`${WATCHLISTS_URL}/summary`, { headers: getDeviceHeaders() });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data || { totalNew: 0, watchlists: [] };
+  } catch (error) {
+    console.error('Error fetching watchlist summary:', error);
+    return { totalNew: 0, watchlists: [] };
+  }
+};
+
+/**
+ * Get the new articles of one watchlist
+ */
+export const getWatchlistNotifications = async (watchlistId, limit = 20) => {
+  try {
+    const response = await fetch(
+      `${WATCHLISTS_URL}/${watchlistId}/notifications?new=true&limit=${limit}`,
+      { headers: getDeviceHeaders() }
+    );
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data?.notifications || [];
+  } catch (error) {
+    console.error('Error fetching watchlist notifications:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a watchlist
+ * @param {string} name - Display name
+ * @param {string[]} terms - Keywords or phrases to watch
+ * @returns {Object|null} Watchlist, or null when saving failed
+ */
+export const createWatchlist = async (name, terms) => {
+  try {
+    const response = await fetch(WATCHLISTS_URL, {
+      method: 'POST',
+      headers: getDeviceHeaders(),
+      body: JSON.stringify({ name, terms })
+    });
+    if (!response.ok) throw new Error('Network response was not ok');
+    const json = await response.json();
+    return json.data;
+  } catch (error) {
+    console.error('Error creating watchlist:', error);
+    return null;
+  }
+};
+
+/**
+ * Mark one watchlist (or all of them when no id is given) as seen
+ */
+export const markWatchlistSeen = async (watchlistId) => {
+  try {
+    const url = watchlistId ? `${WATCHLISTS_URL}/${watchlistId}/seen` : `${WATCHLISTS_URL}/seen`;
+    await fetch(url, { method: 'POST', headers: getDeviceHeaders() });
+  } catch (error) {
+    console.error('Error marking watchlist as seen:', error);
+  }
+};
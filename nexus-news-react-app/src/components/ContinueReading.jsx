@@ -0,0 +1,56 @@
+import React from 'react';
+import { History, ExternalLink } from 'lucide-react';
+import { DEFAULT_NEWS_IMAGE } from '../constants/images';
+
+export const ContinueReading = ({ recent, onRead }) => {
+  if (!recent || recent.length === 0) return null;
+
+  return (
+    <section className="mb-16 relative">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="relative">
+          <div className="absolute inset-0 bg-linear-to-r from-emerald-500 to-teal-500 rounded-lg blur-md opacity-50"></div>
+          <div className="relative bg-linear-to-br from-emerald-500 to-teal-500 p-2 rounded-lg">
+            <History className="text-white" size={20} />
+          </div>
+        </div>
+        <div>
+          <h2 className="text-2xl font-black uppercase tracking-tight bg-linear-to-r from-white to-slate-300 bg-clip-text text-transparent">
+            Continue Reading
+          </h2>
+          <p className="text-slate-500 text-sm font-medium">Stories you opened recently</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {recent.map((article) => (
+          <a
+            key={article.articleId}
+            href={article.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={() => onRead?.(article, 'continue')}
+            className="group flex items-center gap-4 p-3 bg-slate-900/70 border border-slate-700/50 rounded-2xl hover:border-emerald-500/50 transition-all duration-300"
+          >
+            <img
+              src={article.thumbnail || DEFAULT_NEWS_IMAGE}
+              alt={article.title}
+              className="w-20 h-16 object-cover rounded-xl shrink-0"
+              onError={(e) => { e.target.src = DEFAULT_NEWS_IMAGE; }}
+            />
+            <div className="min-w-0 grow">
+              <h3 className="text-sm font-bold text-slate-100 line-clamp-2 group-hover:text-emerald-300 transition-colors">
+                {article.title}
+              </h3>
+              <span className="text-[11px] text-slate-500">
+                {article.source}
+                {article.lastReadAt && ` · read ${new Date(article.lastReadAt).toLocaleDateString()}`}
+              </span>
+            </div>
+            <ExternalLink size={14} className="text-slate-500 shrink-0 group-hover:text-emerald-300 transition-colors" />
+          </a>
+        ))}
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Check } from 'lucide-react';
+import { CATEGORIES } from '../constants/categories';
+import { getPreferences, updatePreferences } from '../api/feedApi';
+
+// Tabs that are not news categories
+const NON_TOPIC_IDS = ['top', 'breaking', 'for-you'];
+
+/**
+ * Chips to follow/unfollow categories for the "For You" feed
+ * @param {Function} onChange - Called after the followed topics were saved
+ */
+export const FollowTopics = ({ onChange }) => {
+  const [followed, setFollowed] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getPreferences().then((preferences) => setFollowed(preferences?.categories || []));
+  }, []);
+
+  const toggleTopic = async (topicId) => {
+    const next = followed.includes(topicId)
+      ? followed.filter((id) => id !== topicId)
+      : [...followed, topicId];
+
+    setFollowed(next);
+    setSaving(true);
+    const saved = await updatePreferences({ categories: next });
+    setSaving(false);
+
+    if (!saved) {
+      setFollowed(followed);
+      return;
+    }
+    onChange?.();
+  };
+
+  return (
+    <div className="flex items-center gap-2 mb-10 flex-wrap">
+      <span className="text-xs font-semibold uppercase tracking-wide text-slate-500 mr-1">Follow topics</span>
+      {CATEGORIES.filter((cat) => !NON_TOPIC_IDS.includes(cat.id)).map((cat) => {
+        const isFollowed = followed.includes(cat.id);
+        return (
+          <button
+            key={cat.id}
+            onClick={() => toggleTopic(cat.id)}
+            disabled={saving}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold transition-all duration-300 disabled:opacity-60 ${
+              isFollowed
+                ? 'text-white bg-linear-to-r from-blue-600 to-indigo-600 shadow-lg shadow-blue-500/30'
+                : 'text-slate-400 bg-slate-800/50 hover:text-white'
+            }`}
+          >
+            {isFollowed ? <Check size={14} /> : <Plus size={14} />}
+            {cat.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
@@ -1,6 +1,6 @@
 import React from 'react';
 import { CATEGORIES } from '../constants/categories';
-import { Search } from 'lucide-react';
+import { Search, Bookmark } from 'lucide-react';
 
 export const MobileSidebar = ({ 
   isMenuOpen, 
@@ -38,6 +38,18 @@ export const MobileSidebar = ({
             )}
           </button>
         ))}
+
+        <button
+          onClick={() => { setActiveTab('saved'); setIsMenuOpen(false); setSearchQuery(''); }}
+          className={`relative flex items-center gap-4 text-xl font-bold py-4 px-5 rounded-2xl transition-all duration-300 ${
+            activeTab === 'saved'
+              ? 'bg-linear-to-r from-blue-600 to-indigo-600 text-white shadow-lg shadow-blue-500/30 scale-105'
+              : 'text-slate-300 hover:bg-slate-800/50 hover:text-white'
+          }`}
+        >
+          <Bookmark size={18} />
+          Saved
+        </button>
         
         <form onSubmit={(e) => { handleSearch(e); setIsMenuOpen(false); }} className="relative mt-6 group">
           <div className="absolute inset-0 bg-linear-to-r from-blue-600/20 to-purple-600/20 rounded-2xl blur-xl group-focus-within:opacity-100 opacity-0 transition-opacity"></div>
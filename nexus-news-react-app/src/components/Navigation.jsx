@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Newspaper, Search, Menu, X, Sparkles, ChevronDown } from 'lucide-react';
+import { Newspaper, Search, Menu, X, Sparkles, ChevronDown, Bookmark } from 'lucide-react';
 import { CATEGORIES } from '../constants/categories';
 
 export const Navigation = ({ 
@@ -104,6 +104,19 @@ export const Navigation = ({
           </div>
         </div>
 
+        <button
+          onClick={() => { setActiveTab('saved'); setSearchQuery(''); }}
+          className={`hidden md:flex items-center gap-2 px-3 py-2 mr-3 rounded-xl text-xs font-semibold transition-all duration-300 whitespace-nowrap ${
+            activeTab === 'saved' && !searchQuery
+              ? 'text-white bg-linear-to-r from-blue-600 to-indigo-600 shadow-lg shadow-blue-500/30'
+              : 'text-slate-400 hover:text-white hover:bg-slate-800/50'
+          }`}
+          title="Saved stories"
+        >
+          <Bookmark size={18} />
+          Saved
+        </button>
+
         <form onSubmit={handleSearch} className="hidden lg:flex relative w-64 group/search">
           <div className="absolute inset-0 bg-linear-to-r from-blue-600/20 to-purple-600/20 rounded-full blur-xl group-focus-within/search:opacity-100 opacity-0 transition-opacity"></div>
           <input 
@@ -0,0 +1,21 @@
+import React from 'react';
+import { ArrowUp } from 'lucide-react';
+
+/**
+ * "N new stories" banner shown above the grid when the live feed has new articles
+ */
+export const NewStoriesBanner = ({ count, onShow }) => {
+  if (!count) return null;
+
+  return (
+    <div className="sticky top-24 z-20 flex justify-center mb-6">
+      <button
+        onClick={onShow}
+        className="flex items-center gap-2 px-5 py-2.5 rounded-full text-sm font-bold text-white bg-linear-to-r from-blue-600 to-indigo-600 shadow-lg shadow-blue-500/30 hover:from-blue-500 hover:to-indigo-500 transition-all duration-300 animate-fade-in"
+      >
+        <ArrowUp size={16} />
+        {count} new {count === 1 ? 'story' : 'stories'}
+      </button>
+    </div>
+  );
+};
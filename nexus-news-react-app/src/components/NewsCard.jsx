@@ -1,11 +1,12 @@
 import React from 'react';
-import { Globe, Clock, ChevronRight, Eye, BookmarkPlus, User } from 'lucide-react';
+import { Globe, Clock, ChevronRight, Eye, BookmarkPlus, BookmarkCheck, User, CheckCircle2 } from 'lucide-react';
 import { DEFAULT_NEWS_IMAGE } from '../constants/images';
 
-export const NewsCard = ({ article }) => {
+export const NewsCard = ({ article, isBookmarked = false, onToggleBookmark, isRead = false, onRead }) => {
   // Use formatted data directly from articleFormatter
   const {
     // id,
+    articleId,
     thumbnail,
     title,
     author,
@@ -35,6 +36,12 @@ export const NewsCard = ({ article }) => {
         
         {/* Category badge with gradient */}
         <div className="absolute top-3 left-3 flex gap-2 z-20">
+          {isRead && (
+            <span className="flex items-center gap-1 px-2 py-1.5 text-[10px] font-bold uppercase tracking-wider bg-slate-900/80 text-slate-300 rounded-lg backdrop-blur-sm" title="You already opened this story">
+              <CheckCircle2 size={12} className="text-emerald-400" />
+              Read
+            </span>
+          )}
           <div className="relative group/badge">
             <div className="absolute inset-0 bg-linear-to-r from-blue-600 to-indigo-600 rounded-lg blur-sm opacity-70"></div>
             <span className="relative block px-3 py-1.5 text-[10px] font-black uppercase tracking-wider bg-linear-to-r from-blue-600 to-indigo-600 text-white rounded-lg shadow-lg transform group-hover/badge:scale-105 transition-transform">
@@ -44,12 +51,26 @@ export const NewsCard = ({ article }) => {
         </div>
         
         {/* Quick action buttons */}
-        <div className="absolute top-3 right-3 flex gap-2 z-20 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
-          <button className="p-2 bg-white/10 backdrop-blur-md rounded-full hover:bg-white/20 transition-colors border border-white/20" title="Quick view">
+        <div className="absolute top-3 right-3 flex gap-2 z-20">
+          <button className="p-2 bg-white/10 backdrop-blur-md rounded-full hover:bg-white/20 transition-all duration-300 border border-white/20 opacity-0 group-hover:opacity-100" title="Quick view">
             <Eye size={14} className="text-white" />
           </button>
-          <button className="p-2 bg-white/10 backdrop-blur-md rounded-full hover:bg-white/20 transition-colors border border-white/20" title="Bookmark">
-            <BookmarkPlus size={14} className="text-white" />
+          <button
+            onClick={() => onToggleBookmark?.(articleId)}
+            disabled={!articleId || !onToggleBookmark}
+            aria-pressed={isBookmarked}
+            className={`p-2 backdrop-blur-md rounded-full transition-all duration-300 border ${
+              isBookmarked
+                ? 'bg-blue-600/80 hover:bg-blue-500/80 border-blue-400/50 opacity-100'
+                : 'bg-white/10 hover:bg-white/20 border-white/20 opacity-0 group-hover:opacity-100'
+            }`}
+            title={isBookmarked ? 'Remove bookmark' : 'Bookmark'}
+          >
+            {isBookmarked ? (
+              <BookmarkCheck size={14} className="text-white" />
+            ) : (
+              <BookmarkPlus size={14} className="text-white" />
+            )}
           </button>
         </div>
       </div>
@@ -118,6 +139,7 @@ export const NewsCard = ({ article }) => {
               href={url} 
               target="_blank" 
               rel="noopener noreferrer"
+              onClick={() => onRead?.(article)}
               className="relative group/link"
               title="Read full article"
             >
@@ -7,7 +7,11 @@ export const NewsGrid = ({
   loading, 
   searchQuery, 
   activeTab, 
-  onClearFilters 
+  onClearFilters,
+  isBookmarked,
+  onToggleBookmark,
+  isRead,
+  onRead
 }) => {
   return (
     <section className="relative">
@@ -20,7 +24,9 @@ export const NewsGrid = ({
             </div>
           </div>
           <h2 className="text-3xl md:text-4xl font-black uppercase tracking-tight bg-linear-to-r from-white via-slate-200 to-slate-300 bg-clip-text text-transparent">
-            {searchQuery ? `Results for "${searchQuery}"` : `${activeTab} Headlines`}
+            {searchQuery
+              ? `Results for "${searchQuery}"`
+              : activeTab === 'for-you' ? 'Picked For You' : `${activeTab} Headlines`}
           </h2>
         </div>
         <div className="h-px grow mx-8 bg-linear-to-r from-transparent via-slate-700 to-transparent hidden xl:block" />
@@ -40,7 +46,13 @@ export const NewsGrid = ({
               style={{ animationDelay: `${idx * 50}ms` }}
               className="animate-fade-in"
             >
-              <NewsCard article={article} />
+              <NewsCard
+                article={article}
+                isBookmarked={isBookmarked?.(article.articleId)}
+                onToggleBookmark={onToggleBookmark}
+                isRead={isRead?.(article.articleId)}
+                onRead={(opened) => onRead?.(opened, 'card')}
+              />
             </div>
           ))}
         </div>
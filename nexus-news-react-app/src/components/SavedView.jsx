@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Bookmark, FolderOpen } from 'lucide-react';
+import { NewsCard } from './NewsCard';
+import { getBookmarks, getBookmarkFolders } from '../api/bookmarksApi';
+import { formatArticle } from '../utils/articleFormatter';
+
+export const SavedView = ({ isBookmarked, onToggleBookmark, isRead, onRead }) => {
+  const [bookmarks, setBookmarks] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [activeFolder, setActiveFolder] = useState(undefined); // undefined = all folders
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    getBookmarkFolders().then((data) => setFolders(data.folders));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBookmarks = async () => {
+      setLoading(true);
+      const { bookmarks: items, pagination } = await getBookmarks({ folder: activeFolder, page });
+      if (cancelled) return;
+
+      setBookmarks((current) => (page === 1 ? items : [...current, ...items]));
+      setHasMore(pagination ? pagination.currentPage < pagination.totalPages : false);
+      setLoading(false);
+    };
+
+    fetchBookmarks();
+    return () => { cancelled = true; };
+  }, [activeFolder, page]);
+
+  const handleFolderSelect = (folder) => {
+    setActiveFolder(folder);
+    setPage(1);
+  };
+
+  // '' selects bookmarks without a folder
+  const folderOptions = [
+    { value: undefined, label: 'All' },
+    ...folders.map((folder) => ({ value: folder.name || '', label: folder.name || 'Unfiled', count: folder.count })),
+  ];
+
+  return (
+    <section className="relative">
+      <div className="flex items-center gap-3 mb-8">
+        <div className="relative">
+          <div className="absolute inset-0 bg-linear-to-r from-blue-500 to-indigo-500 rounded-lg blur-md opacity-50"></div>
+          <div className="relative bg-linear-to-br from-blue-600 to-indigo-600 p-2 rounded-lg">
+            <Bookmark className="text-white" size={20} />
+          </div>
+        </div>
+        <h2 className="text-3xl md:text-4xl font-black uppercase tracking-tight bg-linear-to-r from-white via-slate-200 to-slate-300 bg-clip-text text-transparent">
+          Saved Stories
+        </h2>
+      </div>
+
+      {/* Folder filter */}
+      {folders.length > 1 && (
+        <div className="flex items-center gap-2 mb-8 flex-wrap">
+          <FolderOpen size={16} className="text-slate-500" />
+          {folderOptions.map((folder) => (
+            <button
+              key={folder.value ?? 'all'}
+              onClick={() => handleFolderSelect(folder.value)}
+              className={`px-3 py-1.5 rounded-full text-xs font-semibold transition-all duration-300 ${
+                activeFolder === folder.value
+                  ? 'text-white bg-linear-to-r from-blue-600 to-indigo-600 shadow-lg shadow-blue-500/30'
+                  : 'text-slate-400 bg-slate-800/50 hover:text-white'
+              }`}
+            >
+              {folder.label}
+              {folder.count !== undefined && <span className="ml-1.5 opacity-70">{folder.count}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {bookmarks.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+          {bookmarks.map((bookmark, idx) => (
+            <div
+              key={bookmark.id}
+              style={{ animationDelay: `${(idx % 20) * 50}ms` }}
+              className="animate-fade-in relative"
+            >
+              {!bookmark.isAvailable && (
+                <span className="absolute -top-2 left-4 z-30 px-2 py-0.5 text-[10px] font-bold uppercase tracking-wide bg-slate-700 text-slate-300 rounded-full">
+                  Saved copy
+                </span>
+              )}
+              <NewsCard
+                article={formatArticle(bookmark.article)}
+                isBookmarked={isBookmarked(bookmark.articleId)}
+                onToggleBookmark={onToggleBookmark}
+                isRead={isRead?.(bookmark.articleId)}
+                onRead={(opened) => onRead?.(opened, 'saved')}
+              />
+            </div>
+          ))}
+        </div>
+      ) : !loading && (
+        <div className="text-center py-24 border-2 border-dashed border-slate-700/50 rounded-3xl bg-linear-to-br from-slate-900/50 to-slate-800/50">
+          <Bookmark size={48} className="text-slate-600 mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-slate-300 mb-2">No saved stories yet</h3>
+          <p className="text-slate-500 max-w-md mx-auto">
+            Tap the bookmark button on any story to read it later.
+          </p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 mt-6">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="h-125 bg-linear-to-br from-slate-900 to-slate-800 animate-shimmer rounded-3xl ring-1 ring-white/5" />
+          ))}
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <div className="text-center mt-10">
+          <button
+            onClick={() => setPage((current) => current + 1)}
+            className="px-8 py-3 bg-linear-to-r from-blue-600 to-indigo-600 hover:from-blue-500 hover:to-indigo-500 text-white rounded-full font-bold transition-all duration-300 shadow-xl shadow-blue-500/30"
+          >
+            Load more
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
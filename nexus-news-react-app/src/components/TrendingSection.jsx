@@ -2,7 +2,7 @@ import React from 'react';
 import { TrendingUp, ExternalLink, Flame } from 'lucide-react';
 import { DEFAULT_NEWS_IMAGE } from '../constants/images';
 
-export const TrendingSection = ({ trending }) => {
+export const TrendingSection = ({ trending, onRead }) => {
   return (
     <section className="mb-20 relative">
       <div className="absolute -top-20 -left-20 w-96 h-96 bg-linear-to-br from-blue-500/10 to-purple-500/10 rounded-full blur-3xl"></div>
@@ -62,6 +62,7 @@ export const TrendingSection = ({ trending }) => {
                   href={article.url}
                   target="_blank"
                   rel="noopener noreferrer"
+                  onClick={() => onRead?.(article, 'trending')}
                   className="flex items-center gap-2 w-fit px-4 py-2 bg-white/10 backdrop-blur-sm hover:bg-white/20 text-white text-sm font-semibold rounded-full transition-all duration-300 group/link border border-white/20 hover:border-white/40"
                 >
                   Read Full Story 
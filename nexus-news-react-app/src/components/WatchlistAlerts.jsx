@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, Plus, ExternalLink } from 'lucide-react';
+import {
+  getWatchlistSummary,
+  getWatchlistNotifications,
+  createWatchlist,
+  markWatchlistSeen
+} from '../api/watchlistsApi';
+import { formatArticle } from '../utils/articleFormatter';
+import { DEFAULT_NEWS_IMAGE } from '../constants/images';
+
+/**
+ * Keyword watchlist alerts ("12 new articles for RBI since your last visit")
+ * and a field to watch a new keyword
+ */
+export const WatchlistAlerts = ({ onRead }) => {
+  const [summary, setSummary] = useState({ totalNew: 0, watchlists: [] });
+  const [openWatchlist, setOpenWatchlist] = useState(null);
+  const [items, setItems] = useState([]);
+  const [keyword, setKeyword] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    getWatchlistSummary().then(setSummary);
+  }, []);
+
+  const handleOpen = async (watchlist) => {
+    setOpenWatchlist(watchlist);
+    const notifications = await getWatchlistNotifications(watchlist.id);
+    setItems(notifications.map((notification) => formatArticle(notification.article)));
+
+    // Opened alerts are no longer new
+    markWatchlistSeen(watchlist.id);
+    setSummary((current) => ({
+      totalNew: current.totalNew - watchlist.newCount,
+      watchlists: current.watchlists.filter((item) => item.id !== watchlist.id)
+    }));
+  };
+
+  const handleWatch = async (e) => {
+    e.preventDefault();
+    const term = keyword.trim();
+    if (!term) return;
+
+    const watchlist = await createWatchlist(term, [term]);
+    setMessage(watchlist ? `Watching "${term}": new articles will show up here` : `Could not watch "${term}"`);
+    if (watchlist) setKeyword('');
+  };
+
+  return (
+    <section className="mb-16 relative">
+      <div className="flex items-center justify-between gap-4 mb-6 flex-wrap">
+        <div className="flex items-center gap-3">
+          <div className="relative">
+            <div className="absolute inset-0 bg-linear-to-r from-amber-500 to-orange-500 rounded-lg blur-md opacity-50"></div>
+            <div className="relative bg-linear-to-br from-amber-500 to-orange-500 p-2 rounded-lg">
+              <Bell className="text-white" size={20} />
+            </div>
+          </div>
+          <div>
+            <h2 className="text-2xl font-black uppercase tracking-tight bg-linear-to-r from-white to-slate-300 bg-clip-text text-transparent">
+              Alerts
+            </h2>
+            <p className="text-slate-500 text-sm font-medium">
+              {summary.totalNew > 0 ? 'New since your last visit' : message || 'Follow keywords and people'}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleWatch} className="relative w-full sm:w-72">
+          <input
+            type="text"
+            placeholder="Watch a keyword (e.g. RBI)"
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+            maxLength={60}
+            className="w-full bg-slate-900/80 border border-slate-700/50 rounded-full py-2 pl-4 pr-10 text-sm focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 transition-all text-white placeholder:text-slate-500"
+          />
+          <button type="submit" className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-amber-400 transition-colors" title="Watch keyword">
+            <Plus size={18} />
+          </button>
+        </form>
+      </div>
+
+      {summary.watchlists.length > 0 && (
+        <div className="flex gap-3 flex-wrap mb-6">
+          {summary.watchlists.map((watchlist) => (
+            <button
+              key={watchlist.id}
+              onClick={() => handleOpen(watchlist)}
+              className="px-4 py-2 rounded-2xl text-sm font-semibold text-amber-200 bg-amber-500/10 border border-amber-500/30 hover:bg-amber-500/20 transition-all duration-300"
+              title={watchlist.latest || undefined}
+            >
+              {watchlist.newCount} new {watchlist.newCount === 1 ? 'article' : 'articles'} for {watchlist.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {openWatchlist && items.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {items.map((article) => (
+            <a
+              key={article.articleId}
+              href={article.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={() => onRead?.(article, 'alert')}
+              className="group flex items-center gap-4 p-3 bg-slate-900/70 border border-slate-700/50 rounded-2xl hover:border-amber-500/50 transition-all duration-300"
+            >
+              <img
+                src={article.thumbnail || DEFAULT_NEWS_IMAGE}
+                alt={article.title}
+                className="w-20 h-16 object-cover rounded-xl shrink-0"
+                onError={(e) => { e.target.src = DEFAULT_NEWS_IMAGE; }}
+              />
+              <div className="min-w-0 grow">
+                <h3 className="text-sm font-bold text-slate-100 line-clamp-2 group-hover:text-amber-300 transition-colors">
+                  {article.title}
+                </h3>
+                <span className="text-[11px] text-slate-500">
+                  {article.source} · {openWatchlist.name}
+                </span>
+              </div>
+              <ExternalLink size={14} className="text-slate-500 shrink-0 group-hover:text-amber-300 transition-colors" />
+            </a>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
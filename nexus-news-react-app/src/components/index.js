@@ -4,3 +4,8 @@ export { MobileSidebar } from './MobileSidebar';
 export { TrendingSection } from './TrendingSection';
 export { NewsGrid } from './NewsGrid';
 export { Footer } from './Footer';
+export { SavedView } from './SavedView';
+export { ContinueReading } from './ContinueReading';
+export { FollowTopics } from './FollowTopics';
+export { WatchlistAlerts } from './WatchlistAlerts';
+export { NewStoriesBanner } from './NewStoriesBanner';
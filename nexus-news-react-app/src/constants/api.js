@@ -1,2 +1,5 @@
 // Use environment variable with fallback to localhost for development
 export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://nexus-news-api.onrender.com/api/news';
+
+// API root (e.g. https://host/api) for endpoints outside /api/news
+export const API_ROOT_URL = API_BASE_URL.replace(/\/news\/?$/, '');
@@ -9,11 +9,13 @@ import {
   HeartPulse, 
   FlaskConical, 
   Landmark,
-  List
+  List,
+  Sparkles
 } from 'lucide-react';
 
 export const CATEGORIES = [
   { id: 'top', label: 'Latest', icon: <Newspaper size={18} />, description: 'Latest/top news' },
+  { id: 'for-you', label: 'For You', icon: <Sparkles size={18} />, description: 'Personalized feed' },
   { id: 'breaking', label: 'Breaking', icon: <Zap size={18} />, description: 'Breaking news' },
   { id: 'world', label: 'World', icon: <Globe size={18} />, description: 'World news' },
   { id: 'business', label: 'Business', icon: <Briefcase size={18} />, description: 'Business news' },
@@ -1 +1,4 @@
 export { useNews } from './useNews';
+export { useBookmarks } from './useBookmarks';
+export { useReadingHistory } from './useReadingHistory';
+export { useNewStories } from './useNewStories';
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getBookmarkedIds, addBookmark, removeBookmark } from '../api/bookmarksApi';
+
+/**
+ * Custom hook for the saved state of articles
+ * Loads the bookmarked ids once and toggles bookmarks optimistically
+ *
+ * @returns {Object} Bookmark state and operations
+ */
+export const useBookmarks = () => {
+  const [savedIds, setSavedIds] = useState(() => new Set());
+
+  useEffect(() => {
+    getBookmarkedIds().then((ids) => setSavedIds(new Set(ids)));
+  }, []);
+
+  const updateSaved = useCallback((articleId, saved) => {
+    setSavedIds((current) => {
+      const next = new Set(current);
+      if (saved) {
+        next.add(articleId);
+      } else {
+        next.delete(articleId);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Whether an article is bookmarked
+   */
+  const isBookmarked = useCallback((articleId) => savedIds.has(articleId), [savedIds]);
+
+  /**
+   * Save or unsave an article; reverts when the API call fails
+   * @returns {boolean} New saved state
+   */
+  const toggleBookmark = useCallback(async (articleId) => {
+    if (!articleId) return false;
+
+    const wasSaved = savedIds.has(articleId);
+    updateSaved(articleId, !wasSaved);
+
+    const ok = wasSaved ? await removeBookmark(articleId) : Boolean(await addBookmark(articleId));
+    if (!ok) {
+      updateSaved(articleId, wasSaved);
+      return wasSaved;
+    }
+    return !wasSaved;
+  }, [savedIds, updateSaved]);
+
+  return {
+    savedIds,
+    isBookmarked,
+    toggleBookmark,
+  };
+};
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToNewArticles } from '../api/newsApi';
+import { formatArticles } from '../utils/articleFormatter';
+
+/**
+ * Custom hook for stories published after the page loaded
+ * Collects articles from the live feed until they are merged into the grid
+ *
+ * @param {string|null} category - Only stories of this category (null for all)
+ * @param {boolean} enabled - Whether to listen (off for the saved view, For You and search)
+ * @returns {Object} { pending: formatted articles, takePending }
+ */
+export const useNewStories = (category, enabled = true) => {
+  const [pending, setPending] = useState([]);
+
+  useEffect(() => {
+    setPending([]);
+    if (!enabled) return;
+
+    return subscribeToNewArticles({ category }, (articles) => {
+      const incoming = formatArticles(articles);
+      setPending((current) => {
+        const known = new Set(current.map((article) => article.articleId));
+        return [...incoming.filter((article) => !known.has(article.articleId)), ...current];
+      });
+    });
+  }, [category, enabled]);
+
+  /**
+   * Hand over the pending stories (newest first) and clear the banner
+   */
+  const takePending = useCallback(() => {
+    const stories = pending;
+    setPending([]);
+    return stories;
+  }, [pending]);
+
+  return {
+    pending,
+    takePending,
+  };
+};
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getReadingHistory, getReadArticleIds, recordArticleRead } from '../api/historyApi';
+import { formatArticle } from '../utils/articleFormatter';
+
+const RECENT_LIMIT = 6;
+
+/**
+ * Custom hook for reading history
+ * Tracks which articles were opened ("continue reading" and read markers)
+ *
+ * @returns {Object} History state (recent: formatted articles with lastReadAt) and operations
+ */
+export const useReadingHistory = () => {
+  const [readIds, setReadIds] = useState(() => new Set());
+  const [recent, setRecent] = useState([]);
+
+  useEffect(() => {
+    getReadArticleIds().then((ids) => setReadIds(new Set(ids)));
+    getReadingHistory(RECENT_LIMIT).then((history) =>
+      setRecent(history.map((entry) => ({ ...formatArticle(entry.article), lastReadAt: entry.lastReadAt })))
+    );
+  }, []);
+
+  /**
+   * Whether an article was already opened
+   */
+  const isRead = useCallback((articleId) => readIds.has(articleId), [readIds]);
+
+  /**
+   * Record that an article was opened
+   * @param {Object} article - Formatted article (articleId, title, url, thumbnail, ...)
+   * @param {string} source - Where it was opened: card, trending, continue, saved, alert
+   */
+  const markRead = useCallback((article, source) => {
+    if (!article?.articleId) return;
+
+    setReadIds((current) => new Set(current).add(article.articleId));
+    setRecent((current) => [
+      { ...article, lastReadAt: new Date().toISOString() },
+      ...current.filter((item) => item.articleId !== article.articleId),
+    ].slice(0, RECENT_LIMIT));
+
+    recordArticleRead(article.articleId, source);
+  }, []);
+
+  return {
+    recent,
+    isRead,
+    markRead,
+  };
+};
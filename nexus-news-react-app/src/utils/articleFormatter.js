@@ -75,6 +75,7 @@ export const formatArticle = (article) => {
 
   const formatted = {
     id: article._id?.$oid || article._id || article.articleId,
+    articleId: article.articleId,
     title: article.title || "Untitled",
     author: article.author || "Unknown Author",
     description: article.description || "",
@@ -0,0 +1,32 @@
+/**
+ * Anonymous device id sent as X-Device-Id
+ * Identifies this browser for bookmarks and reading history until the user signs in
+ */
+
+const DEVICE_ID_KEY = 'nexus-news-device-id';
+
+/**
+ * Get (or create and persist) the device id of this browser
+ * @returns {string} Device id
+ */
+export const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  } catch {
+    // Storage disabled (private mode): the id only lasts for this page load
+    return crypto.randomUUID();
+  }
+};
+
+/**
+ * JSON request headers identifying this device to personal endpoints
+ */
+export const getDeviceHeaders = () => ({
+  'Content-Type': 'application/json',
+  'X-Device-Id': getDeviceId()
+});